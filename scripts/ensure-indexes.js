@@ -36,9 +36,11 @@ async function ensureIndexes() {
     { collection: 'orders', index: { checkoutId: 1 } },
     { collection: 'orders', index: { paymentStatus: 1, orderStatus: 1 } },
 
-    // License Keys — key assignment lookup
-    { collection: 'licensekeys', index: { productId: 1 } },
-    { collection: 'licensekeys', index: { productId: 1, 'keys.status': 1 } },
+    // License Keys — one document per key; duplicate check, assignment, order lookup
+    { collection: 'licensekeyitems', index: { productId: 1, keyHash: 1 }, options: { unique: true } },
+    { collection: 'licensekeyitems', index: { productId: 1, isUsed: 1, reservedUntil: 1, createdAt: 1 } },
+    { collection: 'licensekeyitems', index: { assignedToOrder: 1 } },
+    { collection: 'licensekeyitems', index: { reservedForCheckout: 1 } },
 
     // Reviews — product reviews listing
     { collection: 'reviews', index: { productId: 1, createdAt: -1 } },
@@ -0,0 +1,174 @@
+/**
+ * License Key Collection Migration
+ * Run: node scripts/migrate-license-keys.js
+ *
+ * Copies keys from the legacy per-product documents (collection `licensekeys`, embedded
+ * `keys[]` array) into one document per key (collection `licensekeyitems`), keeping each
+ * key's _id so Order.items.assignedKeyIds, ReturnRefund.licenseKeyIds and EmailLog.keyId
+ * stay valid.
+ *
+ * Zero-downtime rollout:
+ *   1. Run this script while the old code is still serving traffic.
+ *   2. Deploy the code that reads `licensekeyitems`.
+ *   3. Run this script again. It is idempotent: new keys are inserted, and keys the old
+ *      code sold, refunded or emailed in the meantime get those flags applied. A legacy key
+ *      a seller has since uploaded again through the new code already exists under its own
+ *      _id; it is skipped and listed at the end instead of stopping the run.
+ * The legacy collection is left untouched; drop it manually once verified.
+ */
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { decryptKey, hashKey } from '../src/utils/encryption.js';
+
+const MONGO_URI = process.env.MONGO_URI || process.env.MONGODB_URI;
+const DB_NAME = process.env.DB_Name;
+const BATCH_SIZE = 1000;
+
+async function migrateLicenseKeys() {
+  console.log('Connecting to MongoDB...');
+  await mongoose.connect(MONGO_URI, { dbName: DB_NAME });
+  const db = mongoose.connection.db;
+
+  const legacy = db.collection('licensekeys');
+  const target = db.collection('licensekeyitems');
+  const products = db.collection('products');
+
+  await target.createIndex({ productId: 1, keyHash: 1 }, { unique: true });
+
+  let productsMigrated = 0;
+  let keysUpserted = 0;
+  let flagsApplied = 0;
+  let undecryptable = 0;
+  let duplicates = 0;
+  const conflicts = [];
+
+  const cursor = legacy.find({ keys: { $exists: true } });
+  for await (const doc of cursor) {
+    const seenHashes = new Set();
+    let ops = [];
+
+    const flush = async () => {
+      if (ops.length === 0) return;
+      let result;
+      try {
+        result = await target.bulkWrite(ops, { ordered: false });
+      } catch (error) {
+        // Unordered, so every other write in the batch still went through.
+        const writeErrors = error.writeErrors || [];
+        if (writeErrors.length === 0 || writeErrors.some((e) => e.code !== 11000)) throw error;
+        writeErrors.forEach((e) => conflicts.push(ops[e.index].updateOne.filter._id.toString()));
+        result = error.result;
+      }
+      keysUpserted += result.upsertedCount;
+      flagsApplied += result.modifiedCount;
+      ops = [];
+    };
+
+    for (const key of doc.keys || []) {
+      let keyHash;
+      try {
+        keyHash = hashKey(decryptKey(key.keyData));
+      } catch {
+        // Keep the key (orders may reference it) under a hash no upload can collide with.
+        keyHash = hashKey(`undecryptable:${key._id}`);
+        undecryptable++;
+      }
+      if (seenHashes.has(keyHash)) {
+        keyHash = hashKey(`duplicate:${keyHash}:${key._id}`);
+        duplicates++;
+      }
+      seenHashes.add(keyHash);
+
+      const createdAt = key.encryptedAt || doc.createdAt || new Date();
+      ops.push({
+        updateOne: {
+          filter: { _id: key._id },
+          update: {
+            $setOnInsert: {
+              productId: doc.productId,
+              keyData: key.keyData,
+              keyHash,
+              keyType: key.keyType || 'other',
+              isUsed: !!key.isUsed,
+              isRefunded: !!key.isRefunded,
+              refundedAt: key.refundedAt || null,
+              assignedTo: key.assignedTo || null,
+              assignedToOrder: key.assignedToOrder || null,
+              assignedAt: key.assignedAt || null,
+              reservedForCheckout: null,
+              reservedUntil: null,
+              encryptedAt: key.encryptedAt || null,
+              emailSent: !!key.emailSent,
+              emailSentAt: key.emailSentAt || null,
+              metadata: key.metadata || null,
+              createdAt,
+              updatedAt: new Date(),
+            },
+          },
+          upsert: true,
+        },
+      });
+
+      // Catch-up for re-runs: these flags only ever move forward.
+      if (key.isUsed) {
+        ops.push({
+          updateOne: {
+            filter: { _id: key._id, isUsed: false },
+            update: { $set: { isUsed: true, assignedToOrder: key.assignedToOrder || null, assignedAt: key.assignedAt || null } },
+          },
+        });
+      }
+      if (key.isRefunded) {
+        ops.push({
+          updateOne: {
+            filter: { _id: key._id, isRefunded: { $ne: true } },
+            update: { $set: { isRefunded: true, refundedAt: key.refundedAt || null } },
+          },
+        });
+      }
+      if (key.emailSent) {
+        ops.push({
+          updateOne: {
+            filter: { _id: key._id, emailSent: { $ne: true } },
+            update: { $set: { emailSent: true, emailSentAt: key.emailSentAt || null } },
+          },
+        });
+      }
+
+      if (ops.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+
+    const [totalKeysCount, availableKeysCount] = await Promise.all([
+      target.countDocuments({ productId: doc.productId }),
+      target.countDocuments({ productId: doc.productId, isUsed: false }),
+    ]);
+    await products.updateOne(
+      { _id: doc.productId },
+      { $set: { totalKeysCount, availableKeysCount, stock: availableKeysCount } }
+    );
+
+    productsMigrated++;
+    console.log(`  [OK] product ${doc.productId}: ${doc.keys.length} keys`);
+  }
+
+  console.log(`\nDone: ${productsMigrated} products, ${keysUpserted} keys inserted, ${flagsApplied} flags caught up`);
+  if (undecryptable > 0) {
+    console.log(`  [WARN] ${undecryptable} keys could not be decrypted (check ENCRYPTION_KEYS/ENCRYPTION_KEY); migrated without a content hash`);
+  }
+  if (duplicates > 0) {
+    console.log(`  [WARN] ${duplicates} duplicate keys found inside legacy documents; kept with a disambiguated hash`);
+  }
+  if (conflicts.length > 0) {
+    console.log(`  [WARN] ${conflicts.length} legacy keys were not copied because the same key already exists for the product in licensekeyitems:`);
+    conflicts.forEach((id) => console.log(`    ${id}`));
+  }
+  await mongoose.disconnect();
+}
+
+migrateLicenseKeys().catch((err) => {
+  console.error('License key migration failed:', err);
+  process.exit(1);
+});
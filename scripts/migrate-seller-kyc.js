@@ -0,0 +1,89 @@
+/**
+ * Seller KYC Backfill
+ * Run: node scripts/migrate-seller-kyc.js
+ *
+ * Converts the legacy untyped `kycDocs` URLs into typed `kycDocuments` and sets `kycStatus`,
+ * so payouts (which now require kycStatus "approved") keep flowing for existing sellers.
+ * Legacy files are typed in upload order, the same way /apply-seller reads `kycDocs`:
+ * ID document, proof of address, business registration.
+ *
+ *   - Active sellers were approved on these documents, so they are migrated as approved.
+ *   - Pending sellers get them as pending and stay in the admin review queue.
+ *   - Sellers without any legacy document stay "not_submitted" and are listed at the end.
+ *
+ * Run it before or right after deploying the KYC code. It is idempotent: sellers that
+ * already have typed documents are skipped. `kycDocs` is left untouched.
+ */
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { KYC_DOCUMENT_TYPES, KYC_REQUIRED_DOCUMENT_TYPES } from '../src/constants.js';
+
+const MONGO_URI = process.env.MONGO_URI || process.env.MONGODB_URI;
+const DB_NAME = process.env.DB_Name;
+const MIGRATION_NOTE = 'Migrated from legacy KYC upload';
+
+async function migrateSellerKyc() {
+  console.log('Connecting to MongoDB...');
+  await mongoose.connect(MONGO_URI, { dbName: DB_NAME });
+  const sellers = mongoose.connection.db.collection('sellers');
+
+  const counts = { approved: 0, pending: 0, incomplete: 0, withoutDocuments: 0 };
+  const withoutDocuments = [];
+
+  const cursor = sellers.find({
+    $or: [{ kycDocuments: { $exists: false } }, { kycDocuments: { $size: 0 } }],
+  });
+  for await (const seller of cursor) {
+    const legacyDocs = (seller.kycDocs || []).filter(Boolean).slice(0, KYC_DOCUMENT_TYPES.length);
+
+    if (legacyDocs.length === 0) {
+      await sellers.updateOne(
+        { _id: seller._id },
+        { $set: { kycDocuments: [], kycStatus: seller.kycStatus || 'not_submitted', kycApprovedAt: seller.kycApprovedAt || null } }
+      );
+      counts.withoutDocuments++;
+      if (seller.status === 'active') withoutDocuments.push(seller._id.toString());
+      continue;
+    }
+
+    const now = new Date();
+    const approved = seller.status === 'active';
+    const kycDocuments = legacyDocs.map((url, index) => ({
+      _id: new mongoose.Types.ObjectId(),
+      type: KYC_DOCUMENT_TYPES[index],
+      url,
+      originalName: null,
+      status: approved ? 'approved' : 'pending',
+      reviewReason: approved ? MIGRATION_NOTE : null,
+      reviewedBy: null,
+      reviewedAt: approved ? now : null,
+      expiresAt: null,
+      submittedAt: seller.createdAt || now,
+    }));
+
+    const hasRequired = KYC_REQUIRED_DOCUMENT_TYPES.every((type) => kycDocuments.some((doc) => doc.type === type));
+    const kycStatus = !hasRequired ? 'incomplete' : approved ? 'approved' : 'pending';
+
+    await sellers.updateOne(
+      { _id: seller._id, $or: [{ kycDocuments: { $exists: false } }, { kycDocuments: { $size: 0 } }] },
+      { $set: { kycDocuments, kycStatus, kycApprovedAt: kycStatus === 'approved' ? now : null } }
+    );
+    counts[kycStatus]++;
+    console.log(`  [OK] seller ${seller._id}: ${kycDocuments.length} documents, ${kycStatus}`);
+  }
+
+  console.log(
+    `\nDone: ${counts.approved} approved, ${counts.pending} pending review, ` +
+    `${counts.incomplete} incomplete, ${counts.withoutDocuments} without legacy documents`
+  );
+  if (withoutDocuments.length > 0) {
+    console.log(`  [WARN] ${withoutDocuments.length} active sellers have no KYC documents; their payouts stay blocked until they upload:`);
+    withoutDocuments.forEach((id) => console.log(`    ${id}`));
+  }
+  await mongoose.disconnect();
+}
+
+migrateSellerKyc().catch((err) => {
+  console.error('Seller KYC migration failed:', err);
+  process.exit(1);
+});
@@ -74,7 +74,7 @@ app.use(
       callback(new Error('Not allowed by CORS'));
     },
     credentials: true,
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-PayPal-Webhook-Id'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-PayPal-Webhook-Id', 'X-2FA-Code'],
   })
 );
 
@@ -3,6 +3,7 @@
  * Validates required variables at startup; does not expose secrets.
  */
 import { logger } from '../utils/logger.js';
+import { assertEncryptionConfigured } from '../utils/encryption.js';
 
 const required = [
   'ACCESS_TOKEN_SECRET',
@@ -51,6 +52,8 @@ export function validateEnv() {
     }
   }
 
+  const encryption = assertEncryptionConfigured();
+
   Object.entries(optionalWithDefaults).forEach(([key, def]) => {
     if (process.env[key] === undefined || process.env[key] === '') {
       process.env[key] = def;
@@ -63,6 +66,8 @@ export function validateEnv() {
     PAYPAL_CLIENT_ID: process.env.PAYPAL_CLIENT_ID,
     PAYPAL_CLIENT_SECRET: process.env.PAYPAL_CLIENT_SECRET,
     hasRedis: !!process.env.REDIS_URL,
+    encryptionKeyId: encryption.currentKeyId,
+    encryptionKeyIds: encryption.keyIds,
     paypalEnv: process.env.PAYPAL_ENV || 'sandbox',
   });
   return true;
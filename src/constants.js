@@ -24,6 +24,24 @@ export const REFUND_WINDOW_DAYS = 10;
 export const SELLER_REVIEW_HOURS = 48;
 
 export const PAYOUT_HOLD_DAYS = 15;
+
+/** How long a checkout stays reserved once a PayPal order exists for it (PayPal orders expire after 3 hours). */
+export const CHECKOUT_PAYPAL_HOLD_MS = 3 * 60 * 60 * 1000;
+
+export const PAYOUT_SCHEDULES = ['per_order', 'daily', 'weekly', 'monthly'];
+
+/** Payout hold and rolling reserve per seller tier; reserveDays counts from order completion. */
+export const SELLER_TIERS = {
+    new: { label: 'New', holdDays: 21, reservePercent: 10, reserveDays: 60 },
+    standard: { label: 'Standard', holdDays: PAYOUT_HOLD_DAYS, reservePercent: 0, reserveDays: 0 },
+    trusted: { label: 'Trusted', holdDays: 7, reservePercent: 0, reserveDays: 0 },
+    high_risk: { label: 'High risk', holdDays: 30, reservePercent: 20, reserveDays: 90 },
+};
+
+export const KYC_DOCUMENT_TYPES = ['id_document', 'proof_of_address', 'business_registration'];
+export const KYC_REQUIRED_DOCUMENT_TYPES = ['id_document', 'proof_of_address'];
+export const KYC_DOCUMENT_STATUS = ['pending', 'approved', 'rejected', 'resubmission_requested', 'expired', 'superseded'];
+export const KYC_STATUS = ['not_submitted', 'incomplete', 'pending', 'approved', 'resubmission_required', 'expired'];
 export  const SUB_STATUS = ['active', 'cancelled', 'expired'];
 export  const COUPON_TYPE = ['percentage', 'fixed'];
 export  const DISCOUNT_TYPE = ['percentage', 'fixed'];
@@ -14,13 +14,20 @@ import { Message } from "../models/message.model.js";
 import { processScheduledPayouts } from "../services/payout.service.js";
 import { PlatformSettings } from "../models/platform.model.js";
 import { SELLER_STATUS } from "../constants.js";
-import { auditLog } from "../services/audit.service.js";
+import { auditLog, logSecurityEvent } from "../services/audit.service.js";
 import { fileDelete } from "../utils/deletecloudinary.js";
 import { deleteProductWithRelatedCleanup } from "../services/product.service.js";
+import { countAvailableKeys } from "../services/key.service.js";
 import { SeoSettings } from "../models/seoSettings.model.js";
 import { validateMetaTitle, validateMetaDescription } from "../utils/sanitize.js";
 import { getHandlingFeeConfig, validateHandlingFeeConfig } from "../services/handlingFee.service.js";
 import { handleSellerProfileDecision } from "../services/marketplaceEvents.service.js";
+import { revokeSessions } from "../services/session.service.js";
+import { isAccountLocked, unlockAccount } from "../services/accountSecurity.service.js";
+import { reviewKycDocument, requestKycResubmission, getKycSummary } from "../services/kyc.service.js";
+import { PayoutBatch, PAYOUT_BATCH_STATUSES } from "../models/payoutBatch.model.js";
+import { reconcilePayoutBatch } from "../services/payoutBatch.service.js";
+import { getInvoiceTaxSettings, validateInvoiceTaxSettings } from "../services/invoice.service.js";
 
 const approveSeller = asyncHandler(async (req, res) => {
   const { sellerId } = req.params;
@@ -137,6 +144,67 @@ const getPendingSellers = asyncHandler(async (req, res) => {
   );
 });
 
+/** Sellers with KYC documents waiting for review, oldest submission first. */
+const getPendingKycReviews = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+  const match = { kycDocuments: { $elemMatch: { status: "pending" } } };
+
+  const sellers = await Seller.find(match)
+    .populate("userId", "name email")
+    .select("shopName userId status kycStatus kycDocuments kycApprovedAt createdAt")
+    .sort({ updatedAt: 1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit))
+    .lean();
+
+  const total = await Seller.countDocuments(match);
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      sellers: sellers.map((seller) => ({
+        ...seller,
+        kycDocuments: seller.kycDocuments.filter((doc) => doc.status !== "superseded"),
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    }, "Pending KYC reviews retrieved successfully")
+  );
+});
+
+const reviewSellerKycDocument = asyncHandler(async (req, res) => {
+  const { sellerId, documentId } = req.params;
+  const { status, reason, expiresAt } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(sellerId) || !mongoose.Types.ObjectId.isValid(documentId)) {
+    throw new ApiError(400, "Invalid seller or document ID");
+  }
+
+  const { seller } = await reviewKycDocument(sellerId, documentId, { status, reason, expiresAt }, req.user._id);
+
+  return res.status(200).json(
+    new ApiResponse(200, getKycSummary(seller), `KYC document ${status}`)
+  );
+});
+
+const requestSellerKycResubmission = asyncHandler(async (req, res) => {
+  const { sellerId } = req.params;
+  const { types, reason } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(sellerId)) {
+    throw new ApiError(400, "Invalid seller ID");
+  }
+
+  const seller = await requestKycResubmission(sellerId, { types, reason }, req.user._id);
+
+  return res.status(200).json(
+    new ApiResponse(200, getKycSummary(seller), "KYC re-submission requested")
+  );
+});
+
 const getAllSellers = asyncHandler(async (req, res) => {
   const { page = 1, limit = 10, status } = req.query;
 
@@ -325,7 +393,6 @@ const rejectProduct = asyncHandler(async (req, res) => {
 
 const getPendingProducts = asyncHandler(async (req, res) => {
   const { page = 1, limit = 10 } = req.query;
-  const { LicenseKey } = await import("../models/licensekey.model.js");
   const mongoose = await import("mongoose");
 
   const products = await Product.find({ status: "pending" })
@@ -337,13 +404,7 @@ const getPendingProducts = asyncHandler(async (req, res) => {
     .lean();
 
   const productsWithStock = await Promise.all(products.map(async (product) => {
-    const licenseKeyDoc = await LicenseKey.findOne({
-      productId: product._id,
-    });
-
-    const availableCount = licenseKeyDoc 
-      ? licenseKeyDoc.keys.filter(key => !key.isUsed).length 
-      : 0;
+    const availableCount = await countAvailableKeys(product._id);
     
     if (product.stock !== availableCount || product.availableKeysCount !== availableCount) {
       Product.findByIdAndUpdate(product._id, {
@@ -376,7 +437,6 @@ const getPendingProducts = asyncHandler(async (req, res) => {
 
 const getAllProducts = asyncHandler(async (req, res) => {
   const { page = 1, limit = 10, status } = req.query;
-  const { LicenseKey } = await import("../models/licensekey.model.js");
 
   const match = {};
   if (status && status !== 'all') {
@@ -397,13 +457,7 @@ const getAllProducts = asyncHandler(async (req, res) => {
     .lean();
 
   const productsWithStock = await Promise.all(products.map(async (product) => {
-    const licenseKeyDoc = await LicenseKey.findOne({
-      productId: product._id,
-    });
-
-    const availableCount = licenseKeyDoc 
-      ? licenseKeyDoc.keys.filter(key => !key.isUsed).length 
-      : 0;
+    const availableCount = await countAvailableKeys(product._id);
     
     if (product.stock !== availableCount || product.availableKeysCount !== availableCount) {
       Product.findByIdAndUpdate(product._id, {
@@ -522,7 +576,6 @@ const updateProductFeaturedSettings = asyncHandler(async (req, res) => {
 
 const getProductDetails = asyncHandler(async (req, res) => {
   const { productId } = req.params;
-  const { LicenseKey } = await import("../models/licensekey.model.js");
 
   if (!mongoose.Types.ObjectId.isValid(productId)) {
     throw new ApiError(400, "Invalid product ID");
@@ -545,13 +598,7 @@ const getProductDetails = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Product not found");
   }
 
-  const licenseKeyDoc = await LicenseKey.findOne({
-    productId: product._id,
-  });
-
-  const availableCount = licenseKeyDoc 
-    ? licenseKeyDoc.keys.filter(key => !key.isUsed).length 
-    : 0;
+  const availableCount = await countAvailableKeys(product._id);
 
   if (product.stock !== availableCount || product.availableKeysCount !== availableCount) {
     Product.findByIdAndUpdate(product._id, {
@@ -626,8 +673,71 @@ const processPayout = asyncHandler(async (req, res) => {
   );
 });
 
+const getPayoutBatches = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, status, sellerId } = req.query;
+
+  const match = {};
+  if (status) {
+    if (!PAYOUT_BATCH_STATUSES.includes(status)) {
+      throw new ApiError(400, `status must be one of: ${PAYOUT_BATCH_STATUSES.join(", ")}`);
+    }
+    match.status = status;
+  }
+  if (sellerId && mongoose.Types.ObjectId.isValid(sellerId)) {
+    match["items.sellerId"] = sellerId;
+  }
+
+  const batches = await PayoutBatch.find(match)
+    .select("-items.payoutIds -items.orderIds")
+    .populate("items.sellerId", "shopName")
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit));
+
+  const total = await PayoutBatch.countDocuments(match);
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      batches,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    }, "Payout batches retrieved successfully")
+  );
+});
+
+/** `?refresh=true` pulls the latest item statuses from PayPal before responding. */
+const getPayoutBatchDetails = asyncHandler(async (req, res) => {
+  const { batchId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(batchId)) {
+    throw new ApiError(400, "Invalid batch ID");
+  }
+
+  let batch = await PayoutBatch.findById(batchId);
+  if (!batch) {
+    throw new ApiError(404, "Payout batch not found");
+  }
+
+  if (req.query.refresh === "true" && batch.status === "submitted") {
+    batch = await reconcilePayoutBatch(batch);
+  }
+
+  await batch.populate([
+    { path: "items.sellerId", select: "shopName userId" },
+    { path: "items.payoutIds", select: "orderId grossAmount commissionAmount netAmount status isReserve" },
+  ]);
+
+  return res.status(200).json(
+    new ApiResponse(200, batch, "Payout batch retrieved successfully")
+  );
+});
+
 const getAllUsers = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 10, role, isActive } = req.query;
+  const { page = 1, limit = 10, role, isActive, locked } = req.query;
 
   const match = {};
   if (role) {
@@ -645,6 +755,9 @@ const getAllUsers = asyncHandler(async (req, res) => {
   if (isActive !== undefined) {
     match.isActive = isActive === 'true';
   }
+  if (locked === 'true') {
+    match.lockUntil = { $gt: new Date() };
+  }
 
   const users = await User.find(match)
     .select('-password -refreshToken')
@@ -655,7 +768,8 @@ const getAllUsers = asyncHandler(async (req, res) => {
 
   const usersWithRoles = users.map(user => ({
     ...user,
-    roles: user.roles && user.roles.length > 0 ? user.roles : ['customer']
+    roles: user.roles && user.roles.length > 0 ? user.roles : ['customer'],
+    isLocked: isAccountLocked(user)
   }));
 
   const total = await User.countDocuments(match);
@@ -704,11 +818,36 @@ const banUser = asyncHandler(async (req, res) => {
 
   await user.save();
 
+  if (action === 'ban') {
+    await revokeSessions({ userId: user._id }, "banned");
+  }
+
   return res.status(200).json(
     new ApiResponse(200, user, `User ${action}ned successfully`)
   );
 });
 
+/** Clears a sign-in lockout before it expires. */
+const unlockUser = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw new ApiError(400, "Invalid user ID");
+  }
+
+  const unlocked = await unlockAccount(userId);
+  if (!unlocked) {
+    throw new ApiError(404, "User not found");
+  }
+
+  await logSecurityEvent("account_unlocked", userId, req.ip, req.get("user-agent"), { unlockedBy: req.user._id });
+  await auditLog(req.user._id, "USER_UNLOCKED", `Cleared sign-in lockout for user ${userId}`, { userId });
+
+  return res.status(200).json(
+    new ApiResponse(200, null, "User unlocked successfully")
+  );
+});
+
 const getDashboardStats = asyncHandler(async (req, res) => {
   const { ReturnRefund } = await import("../models/returnrefund.model.js");
 
@@ -888,6 +1027,46 @@ const updateCommissionRate = asyncHandler(async (req, res) => {
   );
 });
 
+const getInvoiceTaxSetting = asyncHandler(async (req, res) => {
+  const setting = await PlatformSettings.findOne({ key: 'invoice_tax' });
+  const tax = await getInvoiceTaxSettings();
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      ...tax,
+      description: 'Tax rate (0.0 to 1.0) included in prices and shown on buyer invoices',
+      lastUpdated: setting?.updatedAt || null,
+    }, "Invoice tax setting retrieved successfully")
+  );
+});
+
+/** Applies to invoices issued from now on; issued invoices keep their tax lines. */
+const updateInvoiceTaxSetting = asyncHandler(async (req, res) => {
+  const adminId = req.user._id;
+  const tax = validateInvoiceTaxSettings(req.body);
+  const previous = await getInvoiceTaxSettings();
+
+  await PlatformSettings.findOneAndUpdate(
+    { key: 'invoice_tax' },
+    {
+      key: 'invoice_tax',
+      value: tax,
+      description: 'Tax rate (0.0 to 1.0) included in prices and shown on buyer invoices',
+      updatedBy: adminId,
+    },
+    { upsert: true, new: true }
+  );
+
+  await auditLog(adminId, "INVOICE_TAX_UPDATED", `Invoice tax set to ${tax.label} ${(tax.rate * 100).toFixed(1)}%`, {
+    previous,
+    current: tax,
+  });
+
+  return res.status(200).json(
+    new ApiResponse(200, tax, "Invoice tax setting updated successfully")
+  );
+});
+
 const getAutoApproveSetting = asyncHandler(async (req, res) => {
   const setting = await PlatformSettings.findOne({ key: 'auto_approve_products' });
   const autoApprove = setting ? setting.value === true : false;
@@ -1060,6 +1239,38 @@ const getHandlingFeeStats = asyncHandler(async (req, res) => {
   );
 });
 
+const startLicenseKeyReencryption = asyncHandler(async (req, res) => {
+  const adminId = req.user._id;
+  const { queueReencryption, getReencryptionStatus } = await import("../jobs/keyReencryption.job.js");
+
+  const status = await getReencryptionStatus();
+  if (status.pendingTotal === 0) {
+    return res.status(200).json(
+      new ApiResponse(200, status, "All encrypted data already uses the current encryption key")
+    );
+  }
+
+  const run = await queueReencryption();
+
+  await auditLog(adminId, "LICENSE_KEYS_REENCRYPTION_STARTED", `Re-encryption of ${status.pendingTotal} stored values started under key "${status.currentKeyId}"`, {
+    ...run,
+    pending: status.pending,
+  });
+
+  return res.status(202).json(
+    new ApiResponse(202, { ...status, ...run }, "Re-encryption started")
+  );
+});
+
+const getLicenseKeyReencryptionStatus = asyncHandler(async (req, res) => {
+  const { getReencryptionStatus } = await import("../jobs/keyReencryption.job.js");
+  const status = await getReencryptionStatus();
+
+  return res.status(200).json(
+    new ApiResponse(200, status, "Re-encryption status retrieved successfully")
+  );
+});
+
 export {
   approveSeller,
   rejectSeller,
@@ -1075,12 +1286,20 @@ export {
   getProductDetails,
   getAllPayouts,
   processPayout,
+  getPayoutBatches,
+  getPayoutBatchDetails,
   getAllUsers,
   banUser,
+  unlockUser,
+  getPendingKycReviews,
+  reviewSellerKycDocument,
+  requestSellerKycResubmission,
   getDashboardStats,
   moderateChat,
   getCommissionRate,
   updateCommissionRate,
+  getInvoiceTaxSetting,
+  updateInvoiceTaxSetting,
   getAutoApproveSetting,
   updateAutoApproveSetting,
   getHomePageSEO,
@@ -1089,5 +1308,7 @@ export {
   updateBuyerHandlingFeeSetting,
   getHandlingFeeStats,
   updateProductFeaturedSettings,
+  startLicenseKeyReencryption,
+  getLicenseKeyReencryptionStatus,
 };
 
@@ -11,6 +11,19 @@ import { Seller } from "../models/seller.model.js";
 import { Subscription } from "../models/subscription.model.js";
 import { UserBehavior } from "../models/userBehavior.model.js";
 import { User } from "../models/user.model.js";
+import { getOrderDisplayId } from "../utils/orderDisplay.js";
+import { buildReportCSV } from "../services/analyticsReport.service.js";
+import { getSearchQueryReport } from "../services/productSuggest.service.js";
+import { recordProductView } from "../services/recentlyViewed.service.js";
+import {
+  streamPdf,
+  drawSummary,
+  drawSectionHeading,
+  createTable,
+  formatMoney,
+  formatDate,
+  formatDateRange,
+} from "../utils/pdfReport.js";
 
 /** Product analytics: sales, views, wishlist counts. */
 const getProductAnalytics = asyncHandler(async (req, res) => {
@@ -75,6 +88,7 @@ const incrementProductViews = asyncHandler(async (req, res) => {
     },
     { upsert: true, new: true }
   );
+  await recordProductView(req, productId);
 
   return res.status(200).json(
     new ApiResponse(200, analytics, "Product views incremented successfully")
@@ -341,15 +355,10 @@ const getAnalyticsDashboard = asyncHandler(async (req, res) => {
   );
 });
 
-/** Seller monthly analytics: sales, earnings, top products. */
-const getSellerMonthlyAnalytics = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
-  const { month, year, startDate: startDateParam, endDate: endDateParam } = req.query;
+/** Collects seller monthly analytics for the requested month or startDate/endDate range. */
+const buildSellerMonthlyAnalytics = async (seller, query) => {
+  const { month, year, startDate: startDateParam, endDate: endDateParam } = query;
 
-  const seller = await Seller.findOne({ userId });
-  if (!seller) {
-    throw new ApiError(404, "Seller account not found");
-  }
   let startDate, endDate;
   if (startDateParam && endDateParam) {
     startDate = new Date(startDateParam);
@@ -517,47 +526,103 @@ const getSellerMonthlyAnalytics = asyncHandler(async (req, res) => {
     totalEarnings: 0,
   };
 
+  return {
+    period: {
+      month: month || new Date().getMonth() + 1,
+      year: year || new Date().getFullYear(),
+      startDate,
+      endDate,
+    },
+    totalRevenue: stats.totalRevenue,
+    totalSales: stats.totalSales,
+    totalOrders: stats.totalOrders || 0,
+    netEarnings: stats.sellerEarnings,
+    totalCommission: stats.totalCommission,
+    averageOrderValue,
+    allTimeRevenue: allTime.totalRevenue,
+    allTimeSales: allTime.totalSales,
+    allTimeEarnings: allTime.totalEarnings,
+    totalProducts,
+    activeProducts,
+    sales: {
+      total: stats.totalSales,
+      revenue: stats.totalRevenue,
+    },
+    earnings: {
+      total: stats.sellerEarnings,
+      commission: stats.totalCommission,
+      pending: pendingPayouts[0]?.totalPending || 0,
+      pendingCount: pendingPayouts[0]?.count || 0,
+    },
+    topProducts,
+  };
+};
+
+const findSellerForUser = async (userId) => {
+  const seller = await Seller.findOne({ userId });
+  if (!seller) {
+    throw new ApiError(404, "Seller account not found");
+  }
+  return seller;
+};
+
+/** Seller monthly analytics: sales, earnings, top products. */
+const getSellerMonthlyAnalytics = asyncHandler(async (req, res) => {
+  const seller = await findSellerForUser(req.user._id);
+  const analytics = await buildSellerMonthlyAnalytics(seller, req.query);
+
   return res.status(200).json(
-    new ApiResponse(200, {
-      period: {
-        month: month || new Date().getMonth() + 1,
-        year: year || new Date().getFullYear(),
-        startDate,
-        endDate,
-      },
-      totalRevenue: stats.totalRevenue,
-      totalSales: stats.totalSales,
-      totalOrders: stats.totalOrders || 0,
-      netEarnings: stats.sellerEarnings,
-      totalCommission: stats.totalCommission,
-      averageOrderValue,
-      allTimeRevenue: allTime.totalRevenue,
-      allTimeSales: allTime.totalSales,
-      allTimeEarnings: allTime.totalEarnings,
-      totalProducts,
-      activeProducts,
-      sales: {
-        total: stats.totalSales,
-        revenue: stats.totalRevenue,
-      },
-      earnings: {
-        total: stats.sellerEarnings,
-        commission: stats.totalCommission,
-        pending: pendingPayouts[0]?.totalPending || 0,
-        pendingCount: pendingPayouts[0]?.count || 0,
-      },
-      topProducts,
-    }, "Monthly analytics retrieved successfully")
+    new ApiResponse(200, analytics, "Monthly analytics retrieved successfully")
   );
 });
 
-/** Admin monthly analytics: platform revenue, commission, user metrics. */
-const getAdminMonthlyAnalytics = asyncHandler(async (req, res) => {
-  if (!req.user.roles?.includes('admin')) {
-    throw new ApiError(403, "Only admins can view admin analytics");
-  }
+/** Seller monthly analytics as a downloadable PDF. */
+const exportSellerMonthlyAnalyticsPDF = asyncHandler(async (req, res) => {
+  const seller = await findSellerForUser(req.user._id);
+  const analytics = await buildSellerMonthlyAnalytics(seller, req.query);
+  const { startDate, endDate } = analytics.period;
+
+  await streamPdf(res, {
+    filename: `seller-monthly-${formatDate(startDate)}.pdf`,
+    title: "Seller Monthly Report",
+    caption: `${seller.shopName || "Seller"} · ${formatDateRange(startDate, endDate)}`,
+  }, (doc) => {
+    drawSectionHeading(doc, "Period summary");
+    drawSummary(doc, [
+      { label: "Revenue", value: formatMoney(analytics.totalRevenue) },
+      { label: "Net earnings", value: formatMoney(analytics.netEarnings) },
+      { label: "Commission", value: formatMoney(analytics.totalCommission) },
+      { label: "Orders", value: analytics.totalOrders },
+      { label: "Units sold", value: analytics.totalSales },
+      { label: "Average unit value", value: formatMoney(analytics.averageOrderValue) },
+      { label: "Pending payouts", value: `${formatMoney(analytics.earnings.pending)} (${analytics.earnings.pendingCount})` },
+      { label: "Active products", value: `${analytics.activeProducts} / ${analytics.totalProducts}` },
+    ]);
+
+    drawSectionHeading(doc, "All time");
+    drawSummary(doc, [
+      { label: "Revenue", value: formatMoney(analytics.allTimeRevenue) },
+      { label: "Earnings", value: formatMoney(analytics.allTimeEarnings) },
+      { label: "Units sold", value: analytics.allTimeSales },
+    ]);
+
+    drawSectionHeading(doc, "Top products");
+    const table = createTable(doc, [
+      { header: "#", width: 0.4 },
+      { header: "Product", width: 4 },
+      { header: "Units", width: 1, align: "right" },
+      { header: "Revenue", width: 1.4, align: "right" },
+    ]);
+    analytics.topProducts.forEach((product, index) => {
+      table.addRow([index + 1, product.productName, product.salesCount, formatMoney(product.revenue)]);
+    });
+    table.end();
+  });
+});
 
-  const { month, year } = req.query;
+/** Collects platform-wide analytics for the requested month. */
+const buildAdminMonthlyAnalytics = async (query) => {
+  const { month, year } = query;
 
   const startDate = new Date(year || new Date().getFullYear(), (month || new Date().getMonth() + 1) - 1, 1);
   const endDate = new Date(year || new Date().getFullYear(), month || new Date().getMonth() + 1, 0, 23, 59, 59);
@@ -647,36 +712,83 @@ const getAdminMonthlyAnalytics = asyncHandler(async (req, res) => {
     },
   ]);
 
+  return {
+    period: {
+      month: month || new Date().getMonth() + 1,
+      year: year || new Date().getFullYear(),
+      startDate,
+      endDate,
+    },
+    revenue: {
+      total: platformRevenue[0]?.totalRevenue || 0,
+      currency: 'EUR',
+    },
+    commission: {
+      total: commissionIncome[0]?.totalCommission || 0,
+      currency: 'EUR',
+    },
+    orders: {
+      total: platformRevenue[0]?.totalOrders || 0,
+      breakdown: ordersBreakdown,
+    },
+    sellers: {
+      active: activeSellers,
+    },
+    subscriptions: {
+      active: subscriptionUsers,
+    },
+  };
+};
+
+/** Admin monthly analytics: platform revenue, commission, user metrics. */
+const getAdminMonthlyAnalytics = asyncHandler(async (req, res) => {
+  if (!req.user.roles?.includes('admin')) {
+    throw new ApiError(403, "Only admins can view admin analytics");
+  }
+
+  const analytics = await buildAdminMonthlyAnalytics(req.query);
+
   return res.status(200).json(
-    new ApiResponse(200, {
-      period: {
-        month: month || new Date().getMonth() + 1,
-        year: year || new Date().getFullYear(),
-        startDate,
-        endDate,
-      },
-      revenue: {
-        total: platformRevenue[0]?.totalRevenue || 0,
-        currency: 'EUR',
-      },
-      commission: {
-        total: commissionIncome[0]?.totalCommission || 0,
-        currency: 'EUR',
-      },
-      orders: {
-        total: platformRevenue[0]?.totalOrders || 0,
-        breakdown: ordersBreakdown,
-      },
-      sellers: {
-        active: activeSellers,
-      },
-      subscriptions: {
-        active: subscriptionUsers,
-      },
-    }, "Monthly analytics retrieved successfully")
+    new ApiResponse(200, analytics, "Monthly analytics retrieved successfully")
   );
 });
 
+/** Admin monthly analytics as a downloadable PDF. */
+const exportAdminMonthlyAnalyticsPDF = asyncHandler(async (req, res) => {
+  if (!req.user.roles?.includes('admin')) {
+    throw new ApiError(403, "Only admins can view admin analytics");
+  }
+
+  const analytics = await buildAdminMonthlyAnalytics(req.query);
+  const { startDate, endDate } = analytics.period;
+
+  await streamPdf(res, {
+    filename: `platform-monthly-${formatDate(startDate)}.pdf`,
+    title: "Platform Monthly Report",
+    caption: formatDateRange(startDate, endDate),
+  }, (doc) => {
+    drawSectionHeading(doc, "Summary");
+    drawSummary(doc, [
+      { label: "Revenue (net of refunds)", value: formatMoney(analytics.revenue.total, analytics.revenue.currency) },
+      { label: "Commission income", value: formatMoney(analytics.commission.total, analytics.commission.currency) },
+      { label: "Paid orders", value: analytics.orders.total },
+      { label: "Active sellers", value: analytics.sellers.active },
+      { label: "Active subscriptions", value: analytics.subscriptions.active },
+    ]);
+
+    drawSectionHeading(doc, "Daily breakdown");
+    const table = createTable(doc, [
+      { header: "Date", width: 2 },
+      { header: "Orders", width: 1, align: "right" },
+      { header: "Revenue", width: 1.5, align: "right" },
+    ]);
+    analytics.orders.breakdown.forEach((day) => {
+      table.addRow([day._id, day.count, formatMoney(day.revenue, analytics.revenue.currency)]);
+    });
+    table.end();
+  });
+});
+
 /** Custom analytics report with flexible filtering. */
 const createCustomReport = asyncHandler(async (req, res) => {
   const { reportType, filters, dateRange } = req.body;
@@ -757,32 +869,7 @@ const exportReportCSV = asyncHandler(async (req, res) => {
     match.createdAt = { ...match.createdAt, $lte: new Date(dateRange.endDate) };
   }
 
-  let csv = "";
-
-  switch (reportType) {
-    case "orders": {
-      const orders = await Order.find({ ...match, paymentStatus: "paid" }).lean();
-      csv = [
-        ["Order ID", "User ID", "Total Amount", "Status", "Date"].join(","),
-        ...orders.map((o) => {
-          const id = o.orderNumber || o._id;
-          return [id, o.userId, o.totalAmount, o.orderStatus, o.createdAt.toISOString()].join(",");
-        }),
-      ].join("\n");
-      break;
-    }
-    case "products":
-      const products = await Product.find(match).lean();
-      csv = [
-        ["Product ID", "Name", "Price", "Status", "Stock", "Date"].join(","),
-        ...products.map((p) =>
-          [p._id, p.name, p.price, p.status, p.stock, p.createdAt.toISOString()].join(",")
-        ),
-      ].join("\n");
-      break;
-    default:
-      throw new ApiError(400, "Invalid report type for CSV export");
-  }
+  const { csv } = await buildReportCSV(reportType, { match });
 
   return res
     .status(200)
@@ -791,38 +878,141 @@ const exportReportCSV = asyncHandler(async (req, res) => {
     .send(csv);
 });
 
-/** Exports analytics report as PDF (returns JSON if pdfkit not available). */
+/** Reads the report range from `startDate`/`endDate` or `dateRange[startDate]`/`dateRange[endDate]`. */
+const parseReportDateRange = (query) => {
+  const startParam = query.startDate || query.dateRange?.startDate || query["dateRange[startDate]"];
+  const endParam = query.endDate || query.dateRange?.endDate || query["dateRange[endDate]"];
+  const startDate = startParam ? new Date(startParam) : null;
+  const endDate = endParam ? new Date(endParam) : null;
+
+  if ((startDate && isNaN(startDate.getTime())) || (endDate && isNaN(endDate.getTime()))) {
+    throw new ApiError(400, "Invalid date range");
+  }
+  if (endDate && endParam.length <= 10) {
+    endDate.setHours(23, 59, 59, 999);
+  }
+  if (startDate && endDate && startDate > endDate) {
+    throw new ApiError(400, "startDate must be before endDate");
+  }
+
+  const match = {};
+  if (startDate) match.createdAt = { $gte: startDate };
+  if (endDate) match.createdAt = { ...match.createdAt, $lte: endDate };
+  return { startDate, endDate, match };
+};
+
+/** Exports the orders or products report as a PDF, streaming rows from a cursor. */
 const exportReportPDF = asyncHandler(async (req, res) => {
-  const { reportType, dateRange } = req.query;
+  const { reportType } = req.query;
 
   if (!reportType) {
     throw new ApiError(400, "Report type is required");
   }
-  const match = {};
-  if (dateRange?.startDate) {
-    match.createdAt = { $gte: new Date(dateRange.startDate) };
-  }
-  if (dateRange?.endDate) {
-    match.createdAt = { ...match.createdAt, $lte: new Date(dateRange.endDate) };
+  if (!["orders", "products"].includes(reportType)) {
+    throw new ApiError(400, "Invalid report type for PDF export");
   }
 
-  let data = {};
-  switch (reportType) {
-    case "orders":
-      const orders = await Order.find({ ...match, paymentStatus: "paid" }).lean();
-      data = { totalOrders: orders.length, orders };
-      break;
-    case "products":
-      const products = await Product.find(match).lean();
-      data = { totalProducts: products.length, products };
-      break;
-    default:
-      throw new ApiError(400, "Invalid report type for PDF export");
+  const { startDate, endDate, match } = parseReportDateRange(req.query);
+  const caption = formatDateRange(startDate, endDate);
+  const filename = `${reportType}-report-${Date.now()}.pdf`;
+
+  if (reportType === "orders") {
+    const orderMatch = { ...match, paymentStatus: "paid" };
+    const [totals] = await Order.aggregate([
+      { $match: orderMatch },
+      {
+        $group: {
+          _id: null,
+          totalOrders: { $sum: 1 },
+          grossAmount: { $sum: "$totalAmount" },
+          refundedAmount: { $sum: { $sum: "$items.refundedAmount" } },
+          itemCount: { $sum: { $sum: "$items.qty" } },
+        },
+      },
+    ]);
+    const summary = totals || { totalOrders: 0, grossAmount: 0, refundedAmount: 0, itemCount: 0 };
+
+    return streamPdf(res, { filename, title: "Orders Report", caption }, async (doc) => {
+      drawSummary(doc, [
+        { label: "Paid orders", value: summary.totalOrders },
+        { label: "Gross amount", value: formatMoney(summary.grossAmount) },
+        { label: "Refunded", value: formatMoney(summary.refundedAmount) },
+        { label: "Net amount", value: formatMoney(summary.grossAmount - summary.refundedAmount) },
+        { label: "Items sold", value: summary.itemCount },
+        { label: "Average order", value: formatMoney(summary.totalOrders ? summary.grossAmount / summary.totalOrders : 0) },
+      ]);
+
+      drawSectionHeading(doc, "Orders");
+      const table = createTable(doc, [
+        { header: "Order", width: 2 },
+        { header: "Date", width: 1.2 },
+        { header: "Items", width: 0.7, align: "right" },
+        { header: "Status", width: 1.5 },
+        { header: "Refunded", width: 1.1, align: "right" },
+        { header: "Total", width: 1.1, align: "right" },
+      ]);
+
+      const cursor = Order.find(orderMatch)
+        .select("orderNumber items.qty items.refundedAmount totalAmount orderStatus createdAt")
+        .sort({ createdAt: 1 })
+        .lean()
+        .cursor();
+      for await (const order of cursor) {
+        const refunded = (order.items || []).reduce((sum, item) => sum + (item.refundedAmount || 0), 0);
+        const qty = (order.items || []).reduce((sum, item) => sum + (item.qty || 0), 0);
+        table.addRow([
+          getOrderDisplayId(order),
+          formatDate(order.createdAt),
+          qty,
+          order.orderStatus,
+          refunded > 0 ? formatMoney(refunded) : "-",
+          formatMoney(order.totalAmount),
+        ]);
+      }
+      table.end();
+    });
   }
 
-  return res.status(200).json(
-    new ApiResponse(200, { reportType, data, note: "PDF export requires pdfkit package installation" }, "Report data retrieved (PDF generation pending)")
-  );
+  const statusBreakdown = await Product.aggregate([
+    { $match: match },
+    { $group: { _id: "$status", count: { $sum: 1 }, stock: { $sum: "$stock" } } },
+    { $sort: { count: -1 } },
+  ]);
+  const totalProducts = statusBreakdown.reduce((sum, row) => sum + row.count, 0);
+  const totalStock = statusBreakdown.reduce((sum, row) => sum + (row.stock || 0), 0);
+
+  return streamPdf(res, { filename, title: "Products Report", caption }, async (doc) => {
+    drawSummary(doc, [
+      { label: "Products", value: totalProducts },
+      { label: "Keys in stock", value: totalStock },
+      ...statusBreakdown.map((row) => ({ label: `Status: ${row._id || "unknown"}`, value: row.count })),
+    ]);
+
+    drawSectionHeading(doc, "Products");
+    const table = createTable(doc, [
+      { header: "Product", width: 3.5 },
+      { header: "Status", width: 1.2 },
+      { header: "Price", width: 1, align: "right" },
+      { header: "Stock", width: 0.8, align: "right" },
+      { header: "Created", width: 1.2 },
+    ]);
+
+    const cursor = Product.find(match)
+      .select("name status price stock createdAt")
+      .sort({ createdAt: 1 })
+      .lean()
+      .cursor();
+    for await (const product of cursor) {
+      table.addRow([
+        product.name,
+        product.status,
+        formatMoney(product.price),
+        product.stock ?? 0,
+        formatDate(product.createdAt),
+      ]);
+    }
+    table.end();
+  });
 });
 
 /** Real-time counters: users, orders, products, revenue. */
@@ -914,6 +1104,33 @@ const getUserBehaviorAnalytics = asyncHandler(async (req, res) => {
   );
 });
 
+const SEARCH_REPORT_SOURCES = ["search", "suggest"];
+
+/** Popular and zero-result storefront searches; defaults to the last 30 days, typeahead prefixes only with `source=suggest`. */
+const getSearchReport = asyncHandler(async (req, res) => {
+  const { startDate, endDate, source, limit = 20 } = req.query;
+
+  const end = endDate ? new Date(endDate) : new Date();
+  const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+    throw new ApiError(400, "Invalid date range");
+  }
+  if (source && !SEARCH_REPORT_SOURCES.includes(source)) {
+    throw new ApiError(400, `source must be one of: ${SEARCH_REPORT_SOURCES.join(", ")}`);
+  }
+
+  const report = await getSearchQueryReport({
+    startDate: start,
+    endDate: end,
+    source,
+    limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100),
+  });
+
+  return res.status(200).json(
+    new ApiResponse(200, report, "Search report retrieved successfully")
+  );
+});
+
 export {
   getProductAnalytics,
   incrementProductViews,
@@ -925,7 +1142,10 @@ export {
   createCustomReport,
   exportReportCSV,
   exportReportPDF,
+  exportSellerMonthlyAnalyticsPDF,
+  exportAdminMonthlyAnalyticsPDF,
   getRealTimeCounters,
   trackUserBehavior,
   getUserBehaviorAnalytics,
+  getSearchReport,
 };
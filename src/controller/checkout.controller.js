@@ -6,40 +6,66 @@ import { Checkout } from "../models/checkout.model.js";
 import { Cart } from "../models/cart.model.js";
 import { Product } from "../models/product.model.js";
 import { Coupon } from "../models/coupon.model.js";
-import { LicenseKey } from "../models/licensekey.model.js";
 import { createPayPalOrder } from "../services/payment.service.js";
+import { countAvailableKeys, reserveKeysForCheckout, releaseCheckoutReservations } from "../services/key.service.js";
 import { validateCouponCode } from "../services/coupon.service.js";
 import { hasActiveSubscription, calculateSubscriptionDiscount } from "../services/subscription.service.js";
 import { getWalletBalance, debitWallet } from "../services/wallet.service.js";
 import { Transaction } from "../models/transaction.model.js";
 import { calculateBuyerHandlingFee, assertValidHandlingFeeConfig } from "../services/handlingFee.service.js";
+import { normalizeBillingDetails } from "../services/invoice.service.js";
+import { logger } from "../utils/logger.js";
+
+const CHECKOUT_TTL_MS = 30 * 60 * 1000;
+
+/** Creates the checkout and reserves its license keys until it expires, in one transaction. */
+const createCheckoutWithReservation = async (checkoutData) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const [checkout] = await Checkout.create([checkoutData], { session });
+    await reserveKeysForCheckout(checkout._id, checkout.items, checkout.expiresAt, session);
+    await session.commitTransaction();
+    return checkout;
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    if (error.code === 112 || error.errorLabels?.includes('TransientTransactionError')) {
+      throw new ApiError(409, 'Stock changed while reserving your items. Please try again.');
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
 
 const createCheckoutSession = asyncHandler(async (req, res) => {
   const userId = req.user._id;
   const { couponCode, preferredPaymentMethod } = req.body;
+  const billingDetails = normalizeBillingDetails(req.body.billingDetails);
 
-  const cart = await Cart.findOne({ userId }).populate('items.productId', 'name images price sellerId').lean();
+  const cart = await Cart.findOne({ userId }).populate('items.productId', 'name images price sellerId allowBackorder').lean();
   
   if (!cart || !cart.items || cart.items.length === 0) {
     throw new ApiError(400, 'Cart is empty');
   }
 
+  const backorderQtyByProduct = new Map();
   for (const item of cart.items) {
     const product = item.productId;
     if (!product) {
       throw new ApiError(404, `Product not found for item`);
     }
 
-    const licenseKeyDoc = await LicenseKey.findOne({
-      productId: product._id,
-    });
-
-    const availableKeys = licenseKeyDoc 
-      ? licenseKeyDoc.keys.filter(key => !key.isUsed).length 
-      : 0;
+    const availableKeys = await countAvailableKeys(product._id);
 
     if (availableKeys < item.qty) {
-      throw new ApiError(400, `Insufficient stock for ${product.name}. Available: ${availableKeys}, Requested: ${item.qty}`);
+      if (!product.allowBackorder) {
+        throw new ApiError(400, `Insufficient stock for ${product.name}. Available: ${availableKeys}, Requested: ${item.qty}`);
+      }
+      backorderQtyByProduct.set(product._id.toString(), item.qty - availableKeys);
     }
   }
 
@@ -78,6 +104,7 @@ const createCheckoutSession = asyncHandler(async (req, res) => {
       discountPercentage: discountPercentage,
       discountType: discountType,
       lineTotal: lineTotal,
+      backorderQty: backorderQtyByProduct.get(product._id.toString()) || 0,
     });
   }
 
@@ -180,7 +207,7 @@ const createCheckoutSession = asyncHandler(async (req, res) => {
     paymentMethod = requestedMethod === "Card" ? "Card" : "PayPal";
   }
 
-  const checkout = await Checkout.create({
+  const checkout = await createCheckoutWithReservation({
     userId,
     items: checkoutItems,
     subtotal,
@@ -196,11 +223,12 @@ const createCheckoutSession = asyncHandler(async (req, res) => {
     cardAmount,
     couponId,
     hasSubscription: hasSubscription,
+    billingDetails,
     paymentMethod,
     paypalOrderId: null,
     paypalApprovalUrl: null,
     status: 'pending',
-    expiresAt: new Date(Date.now() + 30 * 60 * 1000),
+    expiresAt: new Date(Date.now() + CHECKOUT_TTL_MS),
   });
 
   return res.status(201).json(
@@ -220,6 +248,7 @@ const createCheckoutSession = asyncHandler(async (req, res) => {
 
 const createGuestCheckoutSession = asyncHandler(async (req, res) => {
   const { items: requestItems, guestEmail, couponCode } = req.body;
+  const billingDetails = normalizeBillingDetails(req.body.billingDetails);
 
   const emailTrimmed = typeof guestEmail === 'string' ? guestEmail.trim() : '';
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -248,8 +277,7 @@ const createGuestCheckoutSession = asyncHandler(async (req, res) => {
       throw new ApiError(404, `Product not found: ${productId}`);
     }
 
-    const licenseKeyDoc = await LicenseKey.findOne({ productId: product._id });
-    const availableKeys = licenseKeyDoc ? licenseKeyDoc.keys.filter(k => !k.isUsed).length : 0;
+    const availableKeys = await countAvailableKeys(product._id);
     if (availableKeys < qty) {
       throw new ApiError(400, `Insufficient stock for ${product.name}. Available: ${availableKeys}, Requested: ${qty}`);
     }
@@ -307,7 +335,7 @@ const createGuestCheckoutSession = asyncHandler(async (req, res) => {
   await assertValidHandlingFeeConfig();
   const { buyerHandlingFee, grandTotal } = await calculateBuyerHandlingFee(totalAmount);
 
-  const checkout = await Checkout.create({
+  const checkout = await createCheckoutWithReservation({
     userId: null,
     isGuest: true,
     guestEmail: emailTrimmed.toLowerCase(),
@@ -324,11 +352,12 @@ const createGuestCheckoutSession = asyncHandler(async (req, res) => {
     cardAmount: grandTotal,
     couponId,
     hasSubscription: false,
+    billingDetails,
     paymentMethod: 'PayPal',
     paypalOrderId: null,
     paypalApprovalUrl: null,
     status: 'pending',
-    expiresAt: new Date(Date.now() + 30 * 60 * 1000),
+    expiresAt: new Date(Date.now() + CHECKOUT_TTL_MS),
   });
 
   return res.status(201).json(
@@ -372,6 +401,7 @@ const getCheckoutStatus = asyncHandler(async (req, res) => {
   if (checkout.status === 'pending' && checkout.expiresAt < new Date()) {
     checkout.status = 'expired';
     await checkout.save();
+    await releaseCheckoutReservations(checkout._id);
   }
 
   return res.status(200).json(
@@ -404,6 +434,12 @@ const cancelCheckout = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'Checkout session not found or already processed');
   }
 
+  const releasedKeys = await releaseCheckoutReservations(checkout._id);
+  logger.info('[CHECKOUT] Checkout cancelled, key reservations released', {
+    checkoutId: checkout._id,
+    releasedKeys,
+  });
+
   return res.status(200).json(
     new ApiResponse(200, checkout, 'Checkout session cancelled successfully')
   );
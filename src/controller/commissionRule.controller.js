@@ -0,0 +1,134 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { CommissionRule, COMMISSION_RULE_SCOPES } from "../models/commissionRule.model.js";
+import {
+  buildCommissionRuleFields,
+  getCommissionContext,
+  resolveCommissionRule,
+} from "../services/commissionRule.service.js";
+import { auditLog } from "../services/audit.service.js";
+
+const findRuleOr404 = async (ruleId) => {
+  if (!mongoose.Types.ObjectId.isValid(ruleId)) {
+    throw new ApiError(400, "Invalid rule ID");
+  }
+  const rule = await CommissionRule.findById(ruleId);
+  if (!rule) {
+    throw new ApiError(404, "Commission rule not found");
+  }
+  return rule;
+};
+
+const getCommissionRules = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, scope, sellerId, categoryId, active } = req.query;
+
+  const match = {};
+  if (scope) {
+    if (!COMMISSION_RULE_SCOPES.includes(scope)) {
+      throw new ApiError(400, `scope must be one of: ${COMMISSION_RULE_SCOPES.join(", ")}`);
+    }
+    match.scope = scope;
+  }
+  if (sellerId && mongoose.Types.ObjectId.isValid(sellerId)) match.sellerId = sellerId;
+  if (categoryId && mongoose.Types.ObjectId.isValid(categoryId)) match.categoryId = categoryId;
+  if (active === "true") match.isActive = true;
+  if (active === "false") match.isActive = false;
+
+  const rules = await CommissionRule.find(match)
+    .populate("sellerId", "shopName")
+    .populate("categoryId", "name")
+    .sort({ scope: 1, priority: -1, createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit))
+    .lean();
+
+  const total = await CommissionRule.countDocuments(match);
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      rules,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    }, "Commission rules retrieved successfully")
+  );
+});
+
+const createCommissionRule = asyncHandler(async (req, res) => {
+  const fields = buildCommissionRuleFields(req.body);
+  const rule = await CommissionRule.create({ ...fields, createdBy: req.user._id, updatedBy: req.user._id });
+
+  await auditLog(req.user._id, "COMMISSION_RULE_CREATED", `Commission rule "${rule.name}" created at ${(rule.rate * 100).toFixed(1)}%`, {
+    ruleId: rule._id,
+    ...fields,
+  });
+
+  return res.status(201).json(
+    new ApiResponse(201, rule, "Commission rule created successfully")
+  );
+});
+
+const updateCommissionRule = asyncHandler(async (req, res) => {
+  const rule = await findRuleOr404(req.params.ruleId);
+  const before = rule.toObject();
+
+  const fields = buildCommissionRuleFields(req.body, before);
+  rule.set({ ...fields, updatedBy: req.user._id });
+  await rule.save();
+
+  await auditLog(req.user._id, "COMMISSION_RULE_UPDATED", `Commission rule "${rule.name}" updated`, {
+    ruleId: rule._id,
+    before: { rate: before.rate, scope: before.scope, startsAt: before.startsAt, endsAt: before.endsAt, isActive: before.isActive },
+    after: fields,
+  });
+
+  return res.status(200).json(
+    new ApiResponse(200, rule, "Commission rule updated successfully")
+  );
+});
+
+/** Past orders keep their snapshot of the rule, so deleting only affects new orders. */
+const deleteCommissionRule = asyncHandler(async (req, res) => {
+  const rule = await findRuleOr404(req.params.ruleId);
+  await rule.deleteOne();
+
+  await auditLog(req.user._id, "COMMISSION_RULE_DELETED", `Commission rule "${rule.name}" deleted`, {
+    ruleId: rule._id,
+    scope: rule.scope,
+    rate: rule.rate,
+  });
+
+  return res.status(200).json(
+    new ApiResponse(200, null, "Commission rule deleted successfully")
+  );
+});
+
+/** Shows which rule an item from this seller/category would get right now. */
+const previewCommissionRule = asyncHandler(async (req, res) => {
+  const { sellerId, categoryId } = req.query;
+  for (const [key, value] of Object.entries({ sellerId, categoryId })) {
+    if (value && !mongoose.Types.ObjectId.isValid(value)) {
+      throw new ApiError(400, `Invalid ${key}`);
+    }
+  }
+
+  const context = await getCommissionContext();
+  const applied = resolveCommissionRule(context, { sellerId, categoryId });
+
+  return res.status(200).json(
+    new ApiResponse(200, { ...applied, defaultRate: context.defaultRate }, "Commission rule resolved")
+  );
+});
+
+export {
+  getCommissionRules,
+  createCommissionRule,
+  updateCommissionRule,
+  deleteCommissionRule,
+  previewCommissionRule,
+};
@@ -0,0 +1,175 @@
+import mongoose from "mongoose";
+import path from "path";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { logger } from "../utils/logger.js";
+import { Dispute, DISPUTE_QUEUE_STATUSES } from "../models/dispute.model.js";
+import { fileUploader } from "../utils/cloudinary.js";
+import { revokeDisputedKeys } from "../services/dispute.service.js";
+import { auditLog } from "../services/audit.service.js";
+
+const findDisputeOr404 = async (disputeId) => {
+  if (!mongoose.Types.ObjectId.isValid(disputeId)) {
+    throw new ApiError(400, "Invalid dispute ID");
+  }
+  const dispute = await Dispute.findById(disputeId);
+  if (!dispute) {
+    throw new ApiError(404, "Dispute not found");
+  }
+  return dispute;
+};
+
+/** Admin dispute queue; unresolved disputes first, oldest seller deadline on top. */
+const getDisputes = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, queueStatus, status } = req.query;
+
+  const match = {};
+  if (queueStatus) {
+    if (!DISPUTE_QUEUE_STATUSES.includes(queueStatus)) {
+      throw new ApiError(400, `queueStatus must be one of: ${DISPUTE_QUEUE_STATUSES.join(", ")}`);
+    }
+    match.queueStatus = queueStatus;
+  } else {
+    match.queueStatus = { $ne: "resolved" };
+  }
+  if (status) {
+    match.status = status;
+  }
+
+  const disputes = await Dispute.find(match)
+    .select("-events")
+    .populate("orderId", "orderNumber totalPaid paymentMethod createdAt")
+    .populate("userId", "name email")
+    .populate("sellerIds", "shopName")
+    .populate("assignedTo", "name email")
+    .sort({ sellerResponseDueDate: 1, createdAt: 1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit));
+
+  const total = await Dispute.countDocuments(match);
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      disputes,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    }, "Disputes retrieved successfully")
+  );
+});
+
+const getDisputeById = asyncHandler(async (req, res) => {
+  await findDisputeOr404(req.params.disputeId);
+
+  const dispute = await Dispute.findById(req.params.disputeId)
+    .populate("orderId", "orderNumber items totalPaid paymentMethod paymentStatus orderStatus createdAt")
+    .populate("userId", "name email")
+    .populate("sellerIds", "shopName userId")
+    .populate("assignedTo", "name email")
+    .populate("evidence.uploadedBy", "name email")
+    .populate("blockedPayouts.payoutId", "status netAmount holdUntil blockReason");
+
+  return res.status(200).json(new ApiResponse(200, dispute, "Dispute retrieved successfully"));
+});
+
+/** Updates the queue state: status, assignee (`assignToMe`) and internal notes. */
+const updateDispute = asyncHandler(async (req, res) => {
+  const dispute = await findDisputeOr404(req.params.disputeId);
+  const { queueStatus, adminNotes, assignToMe } = req.body;
+
+  if (queueStatus !== undefined) {
+    if (!DISPUTE_QUEUE_STATUSES.includes(queueStatus)) {
+      throw new ApiError(400, `queueStatus must be one of: ${DISPUTE_QUEUE_STATUSES.join(", ")}`);
+    }
+    if (queueStatus === "resolved" && !dispute.outcomeAppliedAt) {
+      throw new ApiError(400, "A dispute is resolved when PayPal reports its outcome");
+    }
+    if (dispute.outcomeAppliedAt && queueStatus !== "resolved") {
+      throw new ApiError(400, "This dispute has already been resolved by PayPal");
+    }
+    dispute.queueStatus = queueStatus;
+  }
+  if (adminNotes !== undefined) {
+    dispute.adminNotes = typeof adminNotes === "string" ? adminNotes.trim() : null;
+  }
+  if (assignToMe === true || assignToMe === "true") {
+    dispute.assignedTo = req.user._id;
+  }
+  await dispute.save();
+
+  await auditLog(req.user._id, "DISPUTE_UPDATED", `Updated dispute ${dispute.paypalDisputeId}`, {
+    disputeId: dispute._id,
+    queueStatus: dispute.queueStatus,
+  });
+
+  return res.status(200).json(new ApiResponse(200, dispute, "Dispute updated successfully"));
+});
+
+/** Uploads evidence files (images or PDFs) to the dispute, with optional notes. */
+const uploadDisputeEvidence = asyncHandler(async (req, res) => {
+  const dispute = await findDisputeOr404(req.params.disputeId);
+  const files = req.files || [];
+  if (files.length === 0) {
+    throw new ApiError(400, "At least one evidence file is required");
+  }
+
+  const notes = typeof req.body.notes === "string" && req.body.notes.trim() ? req.body.notes.trim() : null;
+  const uploaded = [];
+  for (const file of files) {
+    try {
+      const result = await fileUploader(path.resolve(file.path));
+      uploaded.push({
+        url: result.url || result.secure_url,
+        filename: file.originalname,
+        notes,
+        uploadedBy: req.user._id,
+      });
+    } catch (error) {
+      logger.warn("Dispute evidence upload failed for one file", { file: file.originalname, error: error.message });
+    }
+  }
+  if (uploaded.length === 0) {
+    throw new ApiError(400, "No files could be uploaded. Please try again.");
+  }
+
+  dispute.evidence.push(...uploaded);
+  if (dispute.queueStatus === "open") {
+    dispute.queueStatus = "in_review";
+  }
+  await dispute.save();
+
+  await auditLog(req.user._id, "DISPUTE_EVIDENCE_UPLOADED", `Uploaded ${uploaded.length} evidence file(s) to dispute ${dispute.paypalDisputeId}`, {
+    disputeId: dispute._id,
+  });
+
+  return res.status(200).json(new ApiResponse(200, dispute.evidence, "Evidence uploaded successfully"));
+});
+
+/** Revokes the order's delivered keys before PayPal decides (e.g. the key was resold). */
+const revokeDisputeKeys = asyncHandler(async (req, res) => {
+  const dispute = await findDisputeOr404(req.params.disputeId);
+  if (dispute.flaggedKeyIds.length === 0) {
+    throw new ApiError(400, "This dispute has no delivered keys to revoke");
+  }
+
+  const revoked = await revokeDisputedKeys(dispute);
+
+  await auditLog(req.user._id, "DISPUTE_KEYS_REVOKED", `Revoked ${revoked} key(s) for dispute ${dispute.paypalDisputeId}`, {
+    disputeId: dispute._id,
+    keyIds: dispute.flaggedKeyIds,
+  });
+
+  return res.status(200).json(new ApiResponse(200, { revoked }, "License keys revoked"));
+});
+
+export {
+  getDisputes,
+  getDisputeById,
+  updateDispute,
+  uploadDisputeEvidence,
+  revokeDisputeKeys,
+};
@@ -0,0 +1,158 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { Order } from "../models/order.model.js";
+import { getOrderInvoiceData } from "../services/invoice.service.js";
+import {
+  streamPdf,
+  drawParties,
+  drawTotals,
+  createTable,
+  getInvoiceIssuer,
+  formatMoney,
+  formatDate,
+} from "../utils/pdfReport.js";
+import { getOrderDisplayId } from "../utils/orderDisplay.js";
+
+const PAYMENT_METHOD_LABELS = {
+  PayPal: "PayPal",
+  Card: "Card",
+  Wallet: "Wallet",
+  "Wallet+Card": "Wallet + card",
+};
+
+/** Buyer, admin, or a guest who supplies the order's email; everyone else gets a 404. */
+const assertCanViewInvoice = async (orderId, user, guestEmail) => {
+  const order = await Order.findById(orderId).select("userId isGuest guestEmail").lean();
+  if (!order) {
+    throw new ApiError(404, "Order not found");
+  }
+
+  if (!user) {
+    if (!guestEmail) {
+      throw new ApiError(400, "Guest email is required to download the invoice for this order");
+    }
+    if (!order.isGuest || order.guestEmail?.trim().toLowerCase() !== guestEmail) {
+      throw new ApiError(404, "Order not found");
+    }
+    return;
+  }
+
+  const userRoles = Array.isArray(user.roles) ? user.roles : (user.role ? [user.role] : []);
+  const isAdmin = userRoles.some((r) => r && r.toLowerCase() === "admin");
+  const isOwner = order.userId && order.userId.toString() === user._id.toString();
+  if (!isAdmin && !isOwner) {
+    throw new ApiError(404, "Order not found");
+  }
+};
+
+const describeBuyer = (order) => {
+  const billing = order.billingDetails || {};
+  return [
+    billing.companyName,
+    billing.fullName || order.userId?.name,
+    billing.address,
+    [billing.postalCode, billing.city].filter(Boolean).join(" "),
+    billing.country,
+    billing.vatId && `VAT ID: ${billing.vatId}`,
+    order.userId?.email || order.guestEmail,
+  ];
+};
+
+const getOrderInvoice = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const guestEmail = req.query.guestEmail ? String(req.query.guestEmail).trim().toLowerCase() : null;
+
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    throw new ApiError(400, "Invalid order ID");
+  }
+  await assertCanViewInvoice(orderId, req.user, guestEmail);
+
+  const { order, invoice, discounts, sellers } = await getOrderInvoiceData(orderId);
+  const currency = order.currency || "USD";
+  const money = (amount) => formatMoney(amount, currency);
+  const issuer = getInvoiceIssuer();
+  const grandTotal = order.grandTotal ?? order.totalAmount + (order.buyerHandlingFee || 0);
+
+  await streamPdf(res, {
+    filename: `${invoice.number}.pdf`,
+    title: "Invoice",
+    caption: `Invoice ${invoice.number} · Order ${getOrderDisplayId(order)}`,
+  }, (doc) => {
+    drawParties(doc, [
+      { heading: "Issued by", lines: [issuer.name, issuer.address, issuer.vatId && `VAT ID: ${issuer.vatId}`, issuer.email] },
+      { heading: "Billed to", lines: describeBuyer(order) },
+      {
+        heading: "Invoice",
+        lines: [
+          `Number: ${invoice.number}`,
+          `Invoice date: ${formatDate(invoice.issuedAt)}`,
+          `Order: ${getOrderDisplayId(order)}`,
+          `Order date: ${formatDate(order.createdAt)}`,
+          order.paymentStatus === "refunded" ? "Status: Refunded" : "Status: Paid",
+        ],
+      },
+    ]);
+
+    const items = createTable(doc, [
+      { header: "Product", width: 3.2 },
+      { header: "Sold by", width: 1.6 },
+      { header: "Qty", width: 0.5, align: "right" },
+      { header: "Unit price", width: 1, align: "right" },
+      { header: "Amount", width: 1, align: "right" },
+    ]);
+    order.items.forEach((item) => items.addRow([
+      item.productId?.name || "Product",
+      item.sellerId?.shopName || "-",
+      item.qty,
+      money(item.unitPrice),
+      money(item.lineTotal),
+    ]));
+    items.end();
+
+    const totals = [{ label: "Subtotal", value: money(order.subtotal) }];
+    if (discounts.bundle > 0) totals.push({ label: "Bundle discount", value: money(-discounts.bundle) });
+    if (discounts.subscription > 0) totals.push({ label: "Subscription discount", value: money(-discounts.subscription) });
+    if (discounts.coupon > 0) {
+      totals.push({ label: `Coupon${order.couponId?.code ? ` (${order.couponId.code})` : ""}`, value: money(-discounts.coupon) });
+    }
+    if (order.buyerHandlingFee > 0) totals.push({ label: "Handling fee", value: money(order.buyerHandlingFee) });
+    totals.push({ label: "Total", value: money(grandTotal), bold: true });
+    if (invoice.taxRate > 0) {
+      totals.push({ label: "Net amount", value: money(invoice.netAmount) });
+      totals.push({ label: `${invoice.taxLabel} ${(invoice.taxRate * 100).toFixed(1)}% (included)`, value: money(invoice.taxAmount) });
+    } else {
+      totals.push({ label: `${invoice.taxLabel} 0%`, value: money(0) });
+    }
+    drawTotals(doc, totals);
+
+    const payments = createTable(doc, [
+      { header: "Payment method", width: 3 },
+      { header: "Amount", width: 1, align: "right" },
+    ]);
+    if (order.walletAmount > 0) payments.addRow(["Wallet", money(order.walletAmount)]);
+    if (order.cardAmount > 0) {
+      payments.addRow([order.paymentMethod === "Card" ? "Card" : "PayPal / card", money(order.cardAmount)]);
+    }
+    if (!(order.walletAmount > 0) && !(order.cardAmount > 0)) {
+      payments.addRow([PAYMENT_METHOD_LABELS[order.paymentMethod] || order.paymentMethod, money(grandTotal)]);
+    }
+    payments.end();
+
+    const sellerTable = createTable(doc, [
+      { header: "Seller", width: 2 },
+      { header: "Location", width: 3 },
+    ]);
+    sellers.forEach((seller) => sellerTable.addRow([
+      seller.shopName,
+      [seller.city, seller.state, seller.country].filter(Boolean).join(", ") || "-",
+    ]));
+    sellerTable.end();
+
+    doc.font("Helvetica").fontSize(8).text(
+      `Digital goods sold through the ${issuer.name} marketplace on behalf of the sellers listed above.`
+    );
+  });
+});
+
+export { getOrderInvoice };
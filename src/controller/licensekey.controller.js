@@ -6,7 +6,7 @@ import { LicenseKey } from "../models/licensekey.model.js";
 import { Order } from "../models/order.model.js";
 import { Product } from "../models/product.model.js";
 import { Seller } from "../models/seller.model.js";
-import { getDecryptedKey } from "../services/key.service.js";
+import { getDecryptedKey, syncProductStock } from "../services/key.service.js";
 import { logAction } from "../services/audit.service.js";
 import { logger } from "../utils/logger.js";
 
@@ -58,25 +58,13 @@ const getMyLicenseKeys = asyncHandler(async (req, res) => {
     );
   }
 
-  const licenseKeyDocs = await LicenseKey.find({
-    'keys._id': { $in: keyIds },
-  });
-
-  const allKeys = [];
-  licenseKeyDocs.forEach(doc => {
-    doc.keys.forEach(key => {
-      if (keyIds.some(id => id.toString() === key._id.toString()) && !key.isRefunded) {
-        allKeys.push({
-          _id: key._id,
-          keyType: key.keyType,
-          isUsed: key.isUsed,
-          isRefunded: key.isRefunded,
-          assignedAt: key.assignedAt,
-          emailSent: key.emailSent,
-        });
-      }
-    });
-  });
+  const allKeys = await LicenseKey.find({
+    _id: { $in: keyIds },
+    isRefunded: { $ne: true },
+    isRevoked: { $ne: true },
+  })
+    .select('keyType isUsed isRefunded assignedAt emailSent disputeId')
+    .lean();
 
   allKeys.sort((a, b) => (b.assignedAt || 0) - (a.assignedAt || 0));
 
@@ -95,6 +83,7 @@ const getMyLicenseKeys = asyncHandler(async (req, res) => {
         purchaseDate: key.assignedAt,
         emailSent: key.emailSent,
         isRevealed: false,
+        underDispute: !!key.disputeId,
       };
     });
 
@@ -121,15 +110,7 @@ const revealLicenseKey = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid key ID");
   }
 
-  const licenseKeyDoc = await LicenseKey.findOne({
-    'keys._id': new mongoose.Types.ObjectId(keyId),
-  });
-
-  if (!licenseKeyDoc) {
-    throw new ApiError(404, "License key not found");
-  }
-
-  const key = licenseKeyDoc.keys.id(keyId);
+  const key = await LicenseKey.findById(keyId);
   if (!key) {
     throw new ApiError(404, "License key not found");
   }
@@ -138,6 +119,14 @@ const revealLicenseKey = asyncHandler(async (req, res) => {
     throw new ApiError(403, "This license key has been refunded and is no longer available");
   }
 
+  if (key.isRevoked) {
+    throw new ApiError(403, "This license key was revoked following a payment dispute");
+  }
+
+  if (key.disputeId) {
+    throw new ApiError(403, "This license key is unavailable while a payment dispute on the order is open");
+  }
+
   const order = await Order.findOne({
     userId: new mongoose.Types.ObjectId(userId),
     paymentStatus: 'paid',
@@ -217,18 +206,18 @@ const getSellerLicenseKeys = asyncHandler(async (req, res) => {
     throw new ApiError(403, "You do not have access to this product's license keys");
   }
 
-  const [licenseKeyDoc] = await LicenseKey.aggregate([
-    { $match: { productId: new mongoose.Types.ObjectId(productId) } },
-    {
-      $project: {
-        keys: 1,
-        totalKeys: { $size: '$keys' },
-        createdAt: 1,
-      },
-    },
+  const filter = { productId: new mongoose.Types.ObjectId(productId) };
+  const [keyDocs, total] = await Promise.all([
+    LicenseKey.find(filter)
+      .select('keyType isUsed isRefunded assignedAt refundedAt encryptedAt createdAt assignedToOrder')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean(),
+    LicenseKey.countDocuments(filter),
   ]);
 
-  if (!licenseKeyDoc || !licenseKeyDoc.keys || licenseKeyDoc.keys.length === 0) {
+  if (total === 0) {
     return res.status(200).json(
       new ApiResponse(200, {
         keys: [],
@@ -242,9 +231,7 @@ const getSellerLicenseKeys = asyncHandler(async (req, res) => {
     );
   }
 
-  const total = licenseKeyDoc.totalKeys || licenseKeyDoc.keys.length;
-
-  const allKeys = licenseKeyDoc.keys.map(key => {
+  const paginatedKeys = keyDocs.map(key => {
     let status = 'Active';
     if (key.isRefunded) {
       status = 'Refunded';
@@ -254,7 +241,7 @@ const getSellerLicenseKeys = asyncHandler(async (req, res) => {
 
     const maskedKey = 'XXXX-XXXX-XXXX';
 
-    const createdAt = key.encryptedAt || licenseKeyDoc.createdAt || new Date();
+    const createdAt = key.encryptedAt || key.createdAt || new Date();
 
     return {
       _id: key._id,
@@ -270,10 +257,6 @@ const getSellerLicenseKeys = asyncHandler(async (req, res) => {
     };
   });
 
-  allKeys.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-  const paginatedKeys = allKeys.slice(skip, skip + limitNum);
-
   await logAction(
     'license_key:view',
     userId,
@@ -314,20 +297,12 @@ const deleteSellerLicenseKey = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Seller account not found");
   }
 
-  const licenseKeyDoc = await LicenseKey.findOne({
-    'keys._id': new mongoose.Types.ObjectId(keyId),
-  });
-
-  if (!licenseKeyDoc) {
-    throw new ApiError(404, "License key not found");
-  }
-
-  const key = licenseKeyDoc.keys.id(keyId);
+  const key = await LicenseKey.findById(keyId);
   if (!key) {
     throw new ApiError(404, "License key not found");
   }
 
-  const product = await Product.findById(licenseKeyDoc.productId).lean();
+  const product = await Product.findById(key.productId).lean();
   if (!product) {
     throw new ApiError(404, "Product not found");
   }
@@ -352,20 +327,14 @@ const deleteSellerLicenseKey = asyncHandler(async (req, res) => {
   session.startTransaction();
 
   try {
-    licenseKeyDoc.keys.pull(keyId);
-    await licenseKeyDoc.save({ session });
+    await LicenseKey.deleteOne({ _id: key._id }, { session });
 
     await Product.findByIdAndUpdate(
-      licenseKeyDoc.productId,
-      {
-        $inc: {
-          totalKeysCount: -1,
-          availableKeysCount: -1,
-          stock: -1,
-        },
-      },
+      key.productId,
+      { $inc: { totalKeysCount: -1 } },
       { session }
     );
+    await syncProductStock(key.productId, session);
 
     await session.commitTransaction();
 
@@ -375,7 +344,7 @@ const deleteSellerLicenseKey = asyncHandler(async (req, res) => {
       'LicenseKey',
       keyId,
       {
-        productId: licenseKeyDoc.productId,
+        productId: key.productId,
         productName: product.name,
         keyType: key.keyType,
       },
@@ -386,7 +355,7 @@ const deleteSellerLicenseKey = asyncHandler(async (req, res) => {
     return res.status(200).json(
       new ApiResponse(200, {
         deletedKeyId: keyId,
-        productId: licenseKeyDoc.productId,
+        productId: key.productId,
       }, "License key deleted successfully")
     );
   } catch (error) {
@@ -411,20 +380,12 @@ const revealSellerLicenseKey = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Seller account not found");
   }
 
-  const licenseKeyDoc = await LicenseKey.findOne({
-    'keys._id': new mongoose.Types.ObjectId(keyId),
-  });
-
-  if (!licenseKeyDoc) {
-    throw new ApiError(404, "License key not found");
-  }
-
-  const key = licenseKeyDoc.keys.id(keyId);
+  const key = await LicenseKey.findById(keyId);
   if (!key) {
     throw new ApiError(404, "License key not found");
   }
 
-  const product = await Product.findById(licenseKeyDoc.productId).lean();
+  const product = await Product.findById(key.productId).lean();
   if (!product) {
     throw new ApiError(404, "Product not found");
   }
@@ -456,7 +417,7 @@ const revealSellerLicenseKey = asyncHandler(async (req, res) => {
     userId,
     'LicenseKey',
     keyId,
-    { productId: licenseKeyDoc.productId, productName: product.name },
+    { productId: key.productId, productName: product.name },
     req.ip,
     req.get('user-agent')
   );
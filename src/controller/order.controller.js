@@ -11,7 +11,8 @@ import { Product } from "../models/product.model.js";
 import { User } from "../models/user.model.js";
 import { Payout } from "../models/payout.model.js";
 import { capturePayPalPayment, getPayPalOrder } from "../services/payment.service.js";
-import { assignKeyToOrder } from "../services/key.service.js";
+import { countAvailableKeys } from "../services/key.service.js";
+import { assignKeysWithBackorder, getBackorderDeadline } from "../services/backorder.service.js";
 import { sendLicenseKeyEmail, sendOrderConfirmation } from "../services/email.service.js";
 import { queueEmail } from "../jobs/email.job.js";
 import { logAction } from "../services/audit.service.js";
@@ -24,6 +25,8 @@ import { queueSellerOrderNotifications } from "../services/sellerOrderNotificati
 import { Transaction } from "../models/transaction.model.js";
 import { calculateBuyerHandlingFee, assertValidHandlingFeeConfig } from "../services/handlingFee.service.js";
 import { computeOrderRevenue, computeItemRevenue, logRevenueVerification } from "../services/orderRevenue.service.js";
+import { getCommissionContext, resolveCommissionRule } from "../services/commissionRule.service.js";
+import { issueOrderInvoice } from "../services/invoice.service.js";
 
 const createWalletOrder = async (checkoutId, userId, req) => {
   const session = await mongoose.startSession();
@@ -62,7 +65,7 @@ const createWalletOrder = async (checkoutId, userId, req) => {
           session,
           new: true 
         }
-      ).populate('items.productId', 'name price stock isFeatured featuredExtraCommission');
+      ).populate('items.productId', 'name price stock categoryId isFeatured featuredExtraCommission allowBackorder');
 
       if (!checkout) {
         await session.abortTransaction();
@@ -92,8 +95,8 @@ const createWalletOrder = async (checkoutId, userId, req) => {
       const handlingFee = Math.round(Number(buyerHandlingFee) * 100) / 100;
       if (handlingFee < 0) throw new ApiError(400, 'Invalid handling fee');
 
-      const { getCommissionRate } = await import('../services/payout.service.js');
-      const commissionRate = await getCommissionRate();
+      const commissionContext = await getCommissionContext();
+      const commissionRate = commissionContext.defaultRate;
       const revenue = computeOrderRevenue(productSubtotal, handlingFee, commissionRate);
 
       const { getWalletBalance } = await import('../services/wallet.service.js');
@@ -122,15 +125,13 @@ const createWalletOrder = async (checkoutId, userId, req) => {
       for (const checkoutItem of checkout.items) {
         const product = checkoutItem.productId;
         
-        const assignedKeys = [];
-        for (let i = 0; i < checkoutItem.qty; i++) {
-          const key = await assignKeyToOrder(
-            product._id,
-            null,
-            session
-          );
-          assignedKeys.push(key);
-        }
+        const { assignedKeys, backorderedQty } = await assignKeysWithBackorder(
+          product._id,
+          checkoutItem.qty,
+          session,
+          checkout._id,
+          { allowBackorder: product.allowBackorder === true }
+        );
 
         const finalUnitPrice = checkoutItem.unitPrice || checkoutItem.discountedPrice || product.price;
         const lineTotal = Math.round(finalUnitPrice * checkoutItem.qty * 100) / 100;
@@ -139,7 +140,6 @@ const createWalletOrder = async (checkoutId, userId, req) => {
           ? product.featuredExtraCommission
           : 10;
         const extraCommissionRate = isFeaturedProduct ? featuredExtraCommissionPercent : 0;
-        const itemRev = computeItemRevenue(lineTotal, commissionRate, extraCommissionRate);
 
         let sellerId = checkoutItem.sellerId;
         if (sellerId && typeof sellerId === 'object' && sellerId._id) {
@@ -149,6 +149,9 @@ const createWalletOrder = async (checkoutId, userId, req) => {
           throw new ApiError(400, `Invalid seller ID for product: ${product?.name || 'Unknown'}`);
         }
 
+        const appliedRule = resolveCommissionRule(commissionContext, { sellerId, categoryId: product.categoryId });
+        const itemRev = computeItemRevenue(lineTotal, appliedRule, extraCommissionRate);
+
         const productIdObjectId = product._id instanceof mongoose.Types.ObjectId 
           ? product._id 
           : new mongoose.Types.ObjectId(product._id);
@@ -164,7 +167,10 @@ const createWalletOrder = async (checkoutId, userId, req) => {
           commissionAmount: itemRev.commissionAmount,
           normalCommissionAmount: itemRev.normalCommissionAmount,
           featuredExtraCommissionAmount: itemRev.featuredExtraCommissionAmount,
+          commissionRule: itemRev.commissionRule,
           keyDeliveryStatus: 'pending',
+          backorderedQty,
+          backorderDeadline: backorderedQty > 0 ? getBackorderDeadline() : null,
         });
       }
 
@@ -246,6 +252,10 @@ const createWalletOrder = async (checkoutId, userId, req) => {
         currency: 'USD',
         subtotal: checkout.subtotal,
         discount: checkout.discount,
+        couponDiscount: checkout.couponDiscount || 0,
+        bundleDiscount: checkout.bundleDiscount || 0,
+        subscriptionDiscount: checkout.subscriptionDiscount || 0,
+        billingDetails: checkout.billingDetails || null,
         totalAmount: productSubtotal,
         buyerHandlingFee: revenue.handlingFee,
         grandTotal: revenue.totalPaid,
@@ -270,7 +280,7 @@ const createWalletOrder = async (checkoutId, userId, req) => {
         paypalOrderId: null,
         paypalCaptureId: null,
         paypalPayerId: null,
-        orderStatus: 'completed',
+        orderStatus: orderItems.some(item => item.backorderedQty > 0) ? 'partially_completed' : 'completed',
         orderCompletedAt: new Date(),
         payoutScheduledAt: new Date(Date.now() + 15 * 24 * 60 * 60 * 1000),
       }], { session });
@@ -290,17 +300,13 @@ const createWalletOrder = async (checkoutId, userId, req) => {
             .flatMap(item => item.assignedKeyIds || []);
           
           if (itemKeyIds.length > 0) {
-            await LicenseKey.updateOne(
-              { productId: new mongoose.Types.ObjectId(productId) },
+            await LicenseKey.updateMany(
               {
-                $set: {
-                  'keys.$[key].assignedToOrder': createdOrder._id,
-                },
+                _id: { $in: itemKeyIds },
+                productId: new mongoose.Types.ObjectId(productId),
               },
-              {
-                arrayFilters: [{ 'key._id': { $in: itemKeyIds } }],
-                session,
-              }
+              { $set: { assignedToOrder: createdOrder._id } },
+              { session }
             );
           }
         }
@@ -326,11 +332,8 @@ const createWalletOrder = async (checkoutId, userId, req) => {
       }
       for (const [sellerId, payoutData] of sellerPayouts) {
         const grossAmount = payoutData.lineTotal || (payoutData.amount + payoutData.commission);
-        const baseCommissionFromGross = grossAmount * commissionRate;
-        const extraFeaturedCommissionTotal = payoutData.extraFeaturedCommission || 0;
-        const desiredTotalCommission = baseCommissionFromGross + extraFeaturedCommissionTotal;
         const effectiveCommissionRate = grossAmount > 0
-          ? Math.min(1, Math.max(0, desiredTotalCommission / grossAmount))
+          ? Math.min(1, Math.max(0, payoutData.commission / grossAmount))
           : commissionRate;
         await schedulePayout({
           orderId: createdOrder._id,
@@ -374,6 +377,12 @@ const createWalletOrder = async (checkoutId, userId, req) => {
 
       await session.commitTransaction();
 
+      try {
+        await issueOrderInvoice(createdOrder._id);
+      } catch (invoiceError) {
+        logger.error('[WALLET ORDER] Invoice issue failed (non-critical):', invoiceError);
+      }
+
       try {
         const productIds = [...new Set(orderItems.map(item => item.productId.toString()))];
         for (const productId of productIds) {
@@ -485,7 +494,7 @@ const createOrder = asyncHandler(async (req, res) => {
   }
 
   const checkout = await Checkout.findById(checkoutId)
-    .populate('items.productId', 'name price stock isFeatured featuredExtraCommission');
+    .populate('items.productId', 'name price stock categoryId isFeatured featuredExtraCommission allowBackorder');
   
   if (!checkout) {
     throw new ApiError(404, 'Checkout session not found');
@@ -602,8 +611,8 @@ const createOrder = asyncHandler(async (req, res) => {
   const handlingFee = Math.round(Number(buyerHandlingFee) * 100) / 100;
   if (handlingFee < 0) throw new ApiError(400, 'Invalid handling fee');
 
-  const { getCommissionRate } = await import('../services/payout.service.js');
-  const commissionRate = await getCommissionRate();
+  const commissionContext = await getCommissionContext();
+  const commissionRate = commissionContext.defaultRate;
   const revenue = computeOrderRevenue(productSubtotal, handlingFee, commissionRate);
 
   let recalculatedWalletAmount = 0;
@@ -690,15 +699,13 @@ const createOrder = asyncHandler(async (req, res) => {
     for (const checkoutItem of checkout.items) {
       const product = checkoutItem.productId;
       
-      const assignedKeys = [];
-      for (let i = 0; i < checkoutItem.qty; i++) {
-        const key = await assignKeyToOrder(
-          product._id,
-          null,
-          session
-        );
-        assignedKeys.push(key);
-      }
+      const { assignedKeys, backorderedQty } = await assignKeysWithBackorder(
+        product._id,
+        checkoutItem.qty,
+        session,
+        checkout._id,
+        { allowBackorder: product.allowBackorder === true && !!checkout.userId }
+      );
       
       await checkStockAfterAssignment(product._id);
 
@@ -709,7 +716,6 @@ const createOrder = asyncHandler(async (req, res) => {
         ? product.featuredExtraCommission
         : 10;
       const extraCommissionRate = isFeaturedProduct ? featuredExtraCommissionPercent : 0;
-      const itemRev = computeItemRevenue(lineTotal, commissionRate, extraCommissionRate);
 
       let sellerId = checkoutItem.sellerId;
       if (sellerId && typeof sellerId === 'object' && sellerId._id) {
@@ -723,6 +729,9 @@ const createOrder = asyncHandler(async (req, res) => {
         throw new ApiError(400, `Invalid seller ID for product: ${product?.name || 'Unknown'}`);
       }
 
+      const appliedRule = resolveCommissionRule(commissionContext, { sellerId, categoryId: product.categoryId });
+      const itemRev = computeItemRevenue(lineTotal, appliedRule, extraCommissionRate);
+
       const productIdObjectId = product._id instanceof mongoose.Types.ObjectId 
         ? product._id 
         : new mongoose.Types.ObjectId(product._id);
@@ -738,7 +747,10 @@ const createOrder = asyncHandler(async (req, res) => {
         commissionAmount: itemRev.commissionAmount,
         normalCommissionAmount: itemRev.normalCommissionAmount,
         featuredExtraCommissionAmount: itemRev.featuredExtraCommissionAmount,
+        commissionRule: itemRev.commissionRule,
         keyDeliveryStatus: 'pending',
+        backorderedQty,
+        backorderDeadline: backorderedQty > 0 ? getBackorderDeadline() : null,
       });
     }
 
@@ -844,6 +856,10 @@ const createOrder = asyncHandler(async (req, res) => {
       currency: 'USD',
       subtotal: checkout.subtotal,
       discount: checkout.discount,
+      couponDiscount: checkout.couponDiscount || 0,
+      bundleDiscount: checkout.bundleDiscount || 0,
+      subscriptionDiscount: checkout.subscriptionDiscount || 0,
+      billingDetails: checkout.billingDetails || null,
       totalAmount: productSubtotal,
       buyerHandlingFee: revenue.handlingFee,
       grandTotal: revenue.totalPaid,
@@ -868,7 +884,7 @@ const createOrder = asyncHandler(async (req, res) => {
       paypalOrderId: paypalOrderId || null,
       paypalCaptureId: capture?.captureId || null,
       paypalPayerId: capture?.payerId || paypalOrder?.payer?.payer_id || null,
-      orderStatus: 'completed',
+      orderStatus: orderItems.some(item => item.backorderedQty > 0) ? 'partially_completed' : 'completed',
       orderCompletedAt: new Date(),
       payoutScheduledAt: new Date(Date.now() + 15 * 24 * 60 * 60 * 1000),
     }], { session });
@@ -888,17 +904,13 @@ const createOrder = asyncHandler(async (req, res) => {
           .flatMap(item => item.assignedKeyIds || []);
         
         if (itemKeyIds.length > 0) {
-          await LicenseKey.updateOne(
-            { productId: new mongoose.Types.ObjectId(productId) },
+          await LicenseKey.updateMany(
             {
-              $set: {
-                'keys.$[key].assignedToOrder': createdOrder._id,
-              },
+              _id: { $in: itemKeyIds },
+              productId: new mongoose.Types.ObjectId(productId),
             },
-            {
-              arrayFilters: [{ 'key._id': { $in: itemKeyIds } }],
-              session,
-            }
+            { $set: { assignedToOrder: createdOrder._id } },
+            { session }
           );
         }
       }
@@ -924,11 +936,8 @@ const createOrder = asyncHandler(async (req, res) => {
     }
     for (const [sellerId, payoutData] of sellerPayouts) {
       const grossAmount = payoutData.lineTotal || (payoutData.amount + payoutData.commission);
-      const baseCommissionFromGross = grossAmount * commissionRate;
-      const extraFeaturedCommissionTotal = payoutData.extraFeaturedCommission || 0;
-      const desiredTotalCommission = baseCommissionFromGross + extraFeaturedCommissionTotal;
       const effectiveCommissionRate = grossAmount > 0
-        ? Math.min(1, Math.max(0, desiredTotalCommission / grossAmount))
+        ? Math.min(1, Math.max(0, payoutData.commission / grossAmount))
         : commissionRate;
       await schedulePayout({
         orderId: createdOrder._id,
@@ -1021,6 +1030,12 @@ const createOrder = asyncHandler(async (req, res) => {
       );
     }
 
+    try {
+      await issueOrderInvoice(createdOrder._id);
+    } catch (invoiceError) {
+      logger.error('Failed to issue order invoice', invoiceError);
+    }
+
     try {
       await queueSellerOrderNotifications(createdOrder._id);
     } catch (sellerEmailError) {
@@ -1409,13 +1424,7 @@ const reorder = asyncHandler(async (req, res) => {
       continue;
     }
 
-    const licenseKeyDoc = await LicenseKey.findOne({
-      productId: product._id,
-    });
-
-    const availableKeys = licenseKeyDoc 
-      ? licenseKeyDoc.keys.filter(key => !key.isUsed).length 
-      : 0;
+    const availableKeys = await countAvailableKeys(product._id);
 
     if (availableKeys < item.qty) {
       throw new ApiError(400, `Insufficient stock for ${product.name}. Available: ${availableKeys}, Requested: ${item.qty}`);
@@ -2,8 +2,11 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { getSellerPayouts, getSellerBalance } from "../services/payout.service.js";
+import { getSellerPayoutBatches, isConsolidationDue } from "../services/payoutBatch.service.js";
+import { PAYOUT_SCHEDULES } from "../constants.js";
 import { Payout } from "../models/payout.model.js";
 import { Seller } from "../models/seller.model.js";
+import { auditLog } from "../services/audit.service.js";
 import mongoose from "mongoose";
 
 const getMyPayouts = asyncHandler(async (req, res) => {
@@ -194,6 +197,70 @@ const getPayoutReports = asyncHandler(async (req, res) => {
   );
 });
 
+const describePayoutSchedule = (seller) => ({
+  payoutSchedule: seller.payoutSchedule || "per_order",
+  minPayoutAmount: seller.minPayoutAmount,
+  lastConsolidatedPayoutAt: seller.lastConsolidatedPayoutAt,
+  dueNextRun: seller.payoutSchedule && seller.payoutSchedule !== "per_order" ? isConsolidationDue(seller) : null,
+  availableSchedules: PAYOUT_SCHEDULES,
+});
+
+const getPayoutSchedule = asyncHandler(async (req, res) => {
+  const seller = await Seller.findOne({ userId: req.user._id }).select("payoutSchedule minPayoutAmount lastConsolidatedPayoutAt");
+
+  if (!seller) {
+    throw new ApiError(404, "Seller account not found");
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, describePayoutSchedule(seller), "Payout schedule retrieved successfully")
+  );
+});
+
+/** Takes effect from the next payout run; payouts already in a batch are not affected. */
+const updatePayoutSchedule = asyncHandler(async (req, res) => {
+  const { payoutSchedule } = req.body;
+
+  if (!PAYOUT_SCHEDULES.includes(payoutSchedule)) {
+    throw new ApiError(400, `payoutSchedule must be one of: ${PAYOUT_SCHEDULES.join(", ")}`);
+  }
+
+  const seller = await Seller.findOneAndUpdate(
+    { userId: req.user._id },
+    { $set: { payoutSchedule } },
+    { new: true }
+  ).select("payoutSchedule minPayoutAmount lastConsolidatedPayoutAt");
+
+  if (!seller) {
+    throw new ApiError(404, "Seller account not found");
+  }
+
+  await auditLog(req.user._id, "PAYOUT_SCHEDULE_UPDATED", `Payout schedule set to ${payoutSchedule}`, {
+    sellerId: seller._id,
+    payoutSchedule,
+  });
+
+  return res.status(200).json(
+    new ApiResponse(200, describePayoutSchedule(seller), "Payout schedule updated successfully")
+  );
+});
+
+const getMyPayoutBatches = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+
+  const seller = await Seller.findOne({ userId: req.user._id }).select("_id");
+
+  if (!seller) {
+    throw new ApiError(404, "Seller account not found");
+  }
+
+  const result = await getSellerPayoutBatches(seller._id, parseInt(page), parseInt(limit));
+
+  return res.status(200).json(
+    new ApiResponse(200, result, "Consolidated payouts retrieved successfully")
+  );
+});
+
 export {
   getMyPayouts,
   getPayoutDetails,
@@ -202,5 +269,8 @@ export {
   getPayoutRequests,
   updateMinimumPayoutThreshold,
   getPayoutReports,
+  getPayoutSchedule,
+  updatePayoutSchedule,
+  getMyPayoutBatches,
 };
 
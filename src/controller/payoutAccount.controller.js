@@ -198,7 +198,8 @@ const getMyPayoutAccount = asyncHandler(async (req, res) => {
   const payoutEligible =
     seller.paypalVerified === true &&
     seller.accountBlocked !== true &&
-    seller.paypalOAuthConnected === true;
+    seller.paypalOAuthConnected === true &&
+    seller.kycStatus === "approved";
 
   if (!hasAccount) {
     return res.status(200).json(
@@ -208,6 +209,7 @@ const getMyPayoutAccount = asyncHandler(async (req, res) => {
         paypalVerified: false,
         accountBlocked: !!seller.accountBlocked,
         payoutEligible: false,
+        kycStatus: seller.kycStatus,
         message: "Connect your PayPal account to receive payouts. Email-only accounts are not accepted.",
       }, "No payout account found")
     );
@@ -228,6 +230,7 @@ const getMyPayoutAccount = asyncHandler(async (req, res) => {
       paypalVerified: !!seller.paypalVerified,
       accountBlocked: !!seller.accountBlocked,
       payoutEligible,
+      kycStatus: seller.kycStatus,
       accountStatus: seller.accountStatus || null,
       paymentsReceivable: seller.paymentsReceivable,
       oauthConnectedAt: seller.oauthConnectedAt || null,
@@ -6,6 +6,8 @@ import { createPayPalOrderForCheckout, capturePayPalOrderForCheckout } from "../
 import { Checkout } from "../models/checkout.model.js";
 import { getWalletBalance } from "../services/wallet.service.js";
 import { calculateBuyerHandlingFee } from "../services/handlingFee.service.js";
+import { extendCheckoutReservations } from "../services/key.service.js";
+import { CHECKOUT_PAYPAL_HOLD_MS } from "../constants.js";
 import mongoose from "mongoose";
 
 const recalculateCheckoutAmounts = async (checkout) => {
@@ -97,6 +99,14 @@ const createOrder = asyncHandler(async (req, res) => {
       });
     }
 
+    if (checkout.expiresAt && checkout.expiresAt < new Date()) {
+      return res.status(400).json({
+        ok: false,
+        message: 'Checkout session expired',
+        details: { checkoutId, expiresAt: checkout.expiresAt },
+      });
+    }
+
     if (checkout.isGuest) {
       if (req.user) {
         return res.status(400).json({
@@ -150,7 +160,14 @@ const createOrder = asyncHandler(async (req, res) => {
     try {
       const result = await createPayPalOrderForCheckout(orderData);
 
+      // The buyer may approve and capture after the normal checkout TTL; keep the checkout and its
+      // keys out of the expiry sweep until the PayPal order itself can no longer be captured.
+      const holdUntil = new Date(Date.now() + CHECKOUT_PAYPAL_HOLD_MS);
       checkout.paypalOrderId = result.orderId;
+      if (!checkout.expiresAt || checkout.expiresAt < holdUntil) {
+        checkout.expiresAt = holdUntil;
+        await extendCheckoutReservations(checkout._id, holdUntil);
+      }
       await checkout.save();
 
       return res.status(201).json({
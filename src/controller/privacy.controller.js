@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { logger } from "../utils/logger.js";
+import { DataExport } from "../models/dataExport.model.js";
+import { openDataExportStream } from "../services/privacy.service.js";
+import { queueDataExport } from "../jobs/dataExport.job.js";
+import { logAction } from "../services/audit.service.js";
+
+const EXPORT_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+/** Starts a personal data export; one per day, and never while another is being built. */
+const requestDataExport = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+
+  const inProgress = await DataExport.exists({ userId, status: { $in: ["pending", "processing"] } });
+  if (inProgress) {
+    throw new ApiError(409, "A data export is already being prepared");
+  }
+
+  const recent = await DataExport.exists({
+    userId,
+    status: "ready",
+    createdAt: { $gt: new Date(Date.now() - EXPORT_COOLDOWN_MS) },
+  });
+  if (recent) {
+    throw new ApiError(429, "You can request one data export per day. Download your latest export instead.");
+  }
+
+  const dataExport = await DataExport.create({ userId });
+  const run = await queueDataExport(dataExport._id);
+
+  await logAction("data_export_requested", userId, "DataExport", dataExport._id, run, req.ip, req.get("user-agent"));
+
+  return res.status(202).json(
+    new ApiResponse(202, dataExport, "Your data export is being prepared. You will be notified when it is ready.")
+  );
+});
+
+const getDataExports = asyncHandler(async (req, res) => {
+  const exports = await DataExport.find({ userId: req.user._id })
+    .select("-fileId")
+    .sort({ createdAt: -1 })
+    .limit(10)
+    .lean();
+
+  return res.status(200).json(
+    new ApiResponse(200, exports, "Data exports retrieved successfully")
+  );
+});
+
+const downloadDataExport = asyncHandler(async (req, res) => {
+  const { exportId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(exportId)) {
+    throw new ApiError(400, "Invalid export ID");
+  }
+
+  const dataExport = await DataExport.findOne({ _id: exportId, userId: req.user._id });
+  if (!dataExport) {
+    throw new ApiError(404, "Data export not found");
+  }
+  if (dataExport.status !== "ready" || !dataExport.fileId) {
+    throw new ApiError(400, `Data export is ${dataExport.status}`);
+  }
+  if (dataExport.expiresAt <= new Date()) {
+    throw new ApiError(410, "This data export has expired. Please request a new one.");
+  }
+
+  await DataExport.updateOne({ _id: dataExport._id }, { $inc: { downloadCount: 1 } });
+  await logAction("data_export_downloaded", req.user._id, "DataExport", dataExport._id, null, req.ip, req.get("user-agent"));
+
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader("Content-Disposition", `attachment; filename="${dataExport.filename}"`);
+  if (dataExport.sizeBytes) {
+    res.setHeader("Content-Length", dataExport.sizeBytes);
+  }
+
+  const stream = openDataExportStream(dataExport);
+  stream.on("error", (error) => {
+    logger.error(`[DATA_EXPORT] Download failed for export ${dataExport._id}:`, error.message);
+    if (!res.headersSent) {
+      res.status(500).end();
+    } else {
+      res.destroy(error);
+    }
+  });
+  stream.pipe(res);
+});
+
+export {
+  requestDataExport,
+  getDataExports,
+  downloadDataExport,
+};
@@ -30,6 +30,25 @@ import {
   updateCheckDuplicateRecord,
   deleteProductWithRelatedCleanup,
 } from "../services/product.service.js";
+import { searchProducts as runProductSearch } from "../services/productSearch.service.js";
+import { recordProductView } from "../services/recentlyViewed.service.js";
+import {
+  normalizeSuggestPrefix,
+  getSearchSuggestions,
+  countSuggestions,
+  logProductSearch,
+} from "../services/productSuggest.service.js";
+import {
+  PRODUCT_IMPORT_COLUMNS,
+  validateProductImportRows,
+  createProductImport,
+} from "../services/productImport.service.js";
+import { ProductImport } from "../models/productImport.model.js";
+import { queueProductImport } from "../jobs/productImport.job.js";
+import { importKeyRows, buildRejectionReportCSV } from "../services/keyImport.service.js";
+import { KeyImport } from "../models/keyImport.model.js";
+import { parseSpreadsheet } from "../utils/spreadsheet.js";
+import { logAction } from "../services/audit.service.js";
 
 const createProduct = asyncHandler(async (req, res) => {
   const userId = req.user?._id || req.user;
@@ -56,6 +75,7 @@ const createProduct = asyncHandler(async (req, res) => {
     device,
     theme,
     isFeatured = false,
+    allowBackorder,
     discount = 0,
     productType = 'LICENSE_KEY', 
     metaTitle,
@@ -150,6 +170,7 @@ const createProduct = asyncHandler(async (req, res) => {
     device,
     theme,
     isFeatured,
+    allowBackorder: allowBackorder === true || allowBackorder === "true",
     discount,
     productType,
     metaTitle: metaTitleValidation.value,
@@ -279,6 +300,7 @@ const updateProduct = asyncHandler(async (req, res) => {
     device,
     theme,
     isFeatured = false,
+    allowBackorder,
     discount = 0,
     metaTitle,
     metaDescription,
@@ -342,6 +364,9 @@ const updateProduct = asyncHandler(async (req, res) => {
     discount,
   };
 
+  if (allowBackorder !== undefined) {
+    updateData.allowBackorder = allowBackorder === true || allowBackorder === "true";
+  }
   if (metaTitle !== undefined) {
     updateData.metaTitle = metaTitleValidation.value;
   }
@@ -391,6 +416,38 @@ const getProducts = asyncHandler(async (req, res) => {
   
 });
 
+const searchProducts = asyncHandler(async (req, res) => {
+  const result = await runProductSearch(req.query, req.user);
+  if (result.search?.terms.length) {
+    logProductSearch(req, { query: result.search.terms.join(" "), resultCount: result.totalDocs, source: "search" });
+  }
+  return res
+    .status(200)
+    .json(new ApiResponse(true, result, "Products fetched successfully"));
+});
+
+/** Typeahead for the storefront search box; prefixes shorter than two characters get no suggestions. */
+const suggestProducts = asyncHandler(async (req, res) => {
+  const prefix = normalizeSuggestPrefix(req.query.q);
+  if (!prefix) {
+    return res.status(200).json(new ApiResponse(true, {
+      query: String(req.query.q || "").trim(),
+      products: [],
+      categories: [],
+      subcategories: [],
+      platforms: [],
+      sellers: [],
+    }, "Suggestions fetched successfully"));
+  }
+
+  const suggestions = await getSearchSuggestions(prefix);
+  logProductSearch(req, { query: prefix, resultCount: countSuggestions(suggestions), source: "suggest" });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(true, suggestions, "Suggestions fetched successfully"));
+});
+
 const getProductById = asyncHandler(async (req, res) => {
   const { identifier } = req.params;
 
@@ -398,7 +455,7 @@ const getProductById = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Product identifier is required");
   }
 
-  const actionRoutes = ['upload-keys', 'keys', 'sync-stock', 'create-product', 'update-product-images', 'delete-product', 'update-product', 'get-products'];
+  const actionRoutes = ['upload-keys', 'keys', 'sync-stock', 'create-product', 'update-product-images', 'delete-product', 'update-product', 'get-products', 'search', 'suggest', 'recently-viewed'];
   if (actionRoutes.includes(identifier.toLowerCase())) {
     throw new ApiError(404, "Product not found");
   }
@@ -445,6 +502,7 @@ const getProductById = asyncHandler(async (req, res) => {
     { $inc: { viewCount: 1 } },
     { new: false }
   );
+  await recordProductView(req, product._id);
   
   product.viewCount = (product.viewCount || 0) + 1;
 
@@ -552,8 +610,8 @@ const uploadKeys = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid product ID");
   }
 
-  if (!keys || !Array.isArray(keys) || keys.length === 0) {
-    throw new ApiError(400, "Keys array is required and must not be empty");
+  if (!req.file && (!keys || !Array.isArray(keys) || keys.length === 0)) {
+    throw new ApiError(400, "Keys array or a CSV/TXT key file is required");
   }
 
   const product = await Product.findById(id);
@@ -590,6 +648,10 @@ const uploadKeys = asyncHandler(async (req, res) => {
     throw new ApiError(403, "Cannot upload keys for a rejected product. Please contact admin or create a new product.");
   }
 
+  if (req.file) {
+    return importKeysFromFile(req, res, { product, seller });
+  }
+
   const firstKey = keys[0];
   const isAccountData = typeof firstKey === 'object' && firstKey !== null;
   const uploadType = isAccountData ? 'ACCOUNT_BASED' : 'LICENSE_KEY';
@@ -610,6 +672,121 @@ const uploadKeys = asyncHandler(async (req, res) => {
   );
 });
 
+const parseColumnMap = (value) => {
+  if (!value) return {};
+  if (typeof value === "object") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new ApiError(400, "columnMap must be a JSON object, e.g. {\"key\":\"Serial\",\"keyType\":\"Platform\"}");
+  }
+};
+
+/** File branch of uploadKeys: CSV/TXT upload with column mapping and per-row results. */
+const importKeysFromFile = async (req, res, { product, seller }) => {
+  const { defaultKeyType, hasHeader } = req.body;
+  const dryRun = String(req.body.dryRun ?? "false") === "true";
+
+  const parsed = await parseSpreadsheet(req.file, {
+    maxRows: 10000,
+    hasHeader: String(hasHeader ?? "true") !== "false",
+  });
+
+  const result = await importKeyRows({
+    product,
+    seller,
+    userId: req.user._id,
+    filename: req.file.originalname,
+    parsed,
+    columnMap: parseColumnMap(req.body.columnMap),
+    defaultKeyType,
+    dryRun,
+  });
+
+  if (!dryRun) {
+    await logAction(
+      "license_key:file_import",
+      req.user._id,
+      "Product",
+      product._id,
+      { filename: req.file.originalname, importId: result.importId, ...result.summary },
+      req.ip,
+      req.get("user-agent")
+    );
+  }
+
+  const { accepted, totalRows } = result.summary;
+  return res.status(200).json(
+    new ApiResponse(200, result, dryRun
+      ? `Dry run: ${accepted} of ${totalRows} keys would be uploaded`
+      : `${accepted} of ${totalRows} keys uploaded`)
+  );
+};
+
+const findSellerOwnedProduct = async (productId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    throw new ApiError(400, "Invalid product ID");
+  }
+  const [product, seller] = await Promise.all([
+    Product.findById(productId).lean(),
+    Seller.findOne({ userId }).lean(),
+  ]);
+  if (!product) {
+    throw new ApiError(404, "Product not found");
+  }
+  if (!seller || product.sellerId.toString() !== seller._id.toString()) {
+    throw new ApiError(403, "You don't have permission to access this product's key imports");
+  }
+  return { product, seller };
+};
+
+const getKeyImports = asyncHandler(async (req, res) => {
+  const { product } = await findSellerOwnedProduct(req.params.id, req.user._id);
+
+  const imports = await KeyImport.find({ productId: product._id })
+    .select("-rejectedRows")
+    .sort({ createdAt: -1 })
+    .limit(50)
+    .lean();
+
+  return res.status(200).json(
+    new ApiResponse(200, imports, "Key imports retrieved successfully")
+  );
+});
+
+/** Downloads the rejected rows of a key import as CSV. */
+const downloadKeyImportRejections = asyncHandler(async (req, res) => {
+  const { product } = await findSellerOwnedProduct(req.params.id, req.user._id);
+  const { importId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(importId)) {
+    throw new ApiError(400, "Invalid import ID");
+  }
+  const keyImport = await KeyImport.findOne({ _id: importId, productId: product._id });
+  if (!keyImport) {
+    throw new ApiError(404, "Key import not found or its report has expired");
+  }
+
+  const csv = buildRejectionReportCSV(keyImport);
+
+  await logAction(
+    "license_key:rejection_report_download",
+    req.user._id,
+    "KeyImport",
+    keyImport._id,
+    { productId: product._id },
+    req.ip,
+    req.get("user-agent")
+  );
+
+  return res
+    .status(200)
+    .setHeader("Content-Type", "text/csv")
+    .setHeader("Content-Disposition", `attachment; filename="key-import-rejections-${keyImport._id}.csv"`)
+    .setHeader("Cache-Control", "no-store")
+    .send(csv);
+});
+
 const getProductKeys = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const userId = req.user._id;
@@ -742,15 +919,166 @@ const duplicateProduct = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * Bulk product import from CSV/XLSX. Defaults to a dry run that only reports row errors;
+ * send dryRun=false to create the products. A commit is refused while any row has errors
+ * unless skipInvalidRows=true, in which case only the valid rows are imported. Commits run
+ * in the background; poll GET /import/:importId for per-row results.
+ */
+const importProducts = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const dryRun = String(req.body.dryRun ?? "true") !== "false";
+  const skipInvalidRows = String(req.body.skipInvalidRows ?? "false") === "true";
+
+  const seller = await Seller.findOne({ userId });
+  if (!seller) {
+    throw new ApiError(403, "Seller account not found. Please apply to become a seller first.");
+  }
+
+  const { rows } = await parseSpreadsheet(req.file, { maxRows: 500 });
+  const validated = await validateProductImportRows(rows);
+
+  const invalidRows = validated.filter((row) => !row.valid);
+  const report = {
+    totalRows: validated.length,
+    validRows: validated.length - invalidRows.length,
+    invalidRows: invalidRows.length,
+    errors: invalidRows.map(({ rowNumber, name, errors }) => ({ rowNumber, name, errors })),
+    preview: validated
+      .filter((row) => row.valid)
+      .map(({ rowNumber, product, imageUrls, keys }) => ({
+        rowNumber,
+        name: product.name,
+        slug: product.slug,
+        price: product.price,
+        productType: product.productType,
+        images: imageUrls.length,
+        keys: keys.length,
+      })),
+  };
+
+  if (dryRun) {
+    return res.status(200).json(
+      new ApiResponse(200, { dryRun: true, ...report }, invalidRows.length > 0
+        ? `Dry run found errors in ${invalidRows.length} of ${validated.length} rows`
+        : `Dry run passed: ${validated.length} products ready to import`)
+    );
+  }
+
+  if (invalidRows.length > 0 && !skipInvalidRows) {
+    throw new ApiError(400, `Import rejected: ${invalidRows.length} rows have errors. Fix them or set skipInvalidRows=true`, report.errors);
+  }
+  if (report.validRows === 0) {
+    throw new ApiError(400, "No valid rows to import", report.errors);
+  }
+
+  const productImport = await createProductImport({
+    validatedRows: validated,
+    seller,
+    userId,
+    filename: req.file.originalname,
+  });
+  const run = await queueProductImport(productImport._id);
+
+  await logAction(
+    "product:bulk_import",
+    userId,
+    "Seller",
+    seller._id,
+    {
+      importId: productImport._id,
+      filename: req.file.originalname,
+      totalRows: validated.length,
+      queued: report.validRows,
+      skipped: invalidRows.length,
+      ...run,
+    },
+    req.ip,
+    req.get("user-agent")
+  );
+
+  return res.status(202).json(
+    new ApiResponse(202, {
+      dryRun: false,
+      importId: productImport._id,
+      status: productImport.status,
+      totalRows: validated.length,
+      queued: report.validRows,
+      skipped: invalidRows.length,
+      errors: report.errors,
+    }, `Importing ${report.validRows} products. You will be notified when the import is finished.`)
+  );
+});
+
+/** Progress and per-row results of one of the seller's product imports. */
+const getProductImport = asyncHandler(async (req, res) => {
+  const { importId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(importId)) {
+    throw new ApiError(400, "Invalid import ID");
+  }
+  const seller = await Seller.findOne({ userId: req.user._id }).select("_id").lean();
+  if (!seller) {
+    throw new ApiError(403, "Seller account not found. Please apply to become a seller first.");
+  }
+
+  const productImport = await ProductImport.findOne({ _id: importId, sellerId: seller._id })
+    .select("-pendingRows")
+    .lean();
+  if (!productImport) {
+    throw new ApiError(404, "Product import not found");
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, productImport, "Product import retrieved successfully")
+  );
+});
+
+/** CSV header row for the bulk import, with one example line. */
+const getProductImportTemplate = asyncHandler(async (req, res) => {
+  const example = {
+    name: "Example Game Standard Edition",
+    description: "Short product description",
+    price: "19.99",
+    discount: "0",
+    productType: "LICENSE_KEY",
+    category: "games",
+    platform: "Steam",
+    region: "Global",
+    type: "Key",
+    genre: "Action",
+    mode: "Single-player",
+    images: "https://example.com/cover.jpg",
+    keys: "AAAAA-BBBBB-CCCCC|DDDDD-EEEEE-FFFFF",
+  };
+  const csv = [
+    PRODUCT_IMPORT_COLUMNS.join(","),
+    PRODUCT_IMPORT_COLUMNS.map((column) => example[column] || "").join(","),
+  ].join("\n");
+
+  return res
+    .status(200)
+    .setHeader("Content-Type", "text/csv")
+    .setHeader("Content-Disposition", 'attachment; filename="product-import-template.csv"')
+    .send(csv);
+});
+
 export {
   createProduct,
+  importProducts,
+  getProductImport,
+  getProductImportTemplate,
   updateProductImages,
   deleteProduct,
   updateProduct,
   getProducts,
+  searchProducts,
+  suggestProducts,
   getProductById,
   uploadKeys,
   getProductKeys,
+  getKeyImports,
+  downloadKeyImportRejections,
   syncStock,
   duplicateProduct,
 };
@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import {
+  getHistoryOwner,
+  getGuestSessionId,
+  getRecentlyViewed,
+  clearRecentlyViewed,
+  mergeGuestHistory,
+} from "../services/recentlyViewed.service.js";
+
+const MAX_LIMIT = 50;
+
+/** Signed-in users get their account history; guests the history of their `X-Session-Id`. */
+const getMyRecentlyViewed = asyncHandler(async (req, res) => {
+  const { limit = 20, excludeOutOfStock, excludeInactive } = req.query;
+  const owner = getHistoryOwner(req);
+
+  const items = await getRecentlyViewed(owner, {
+    limit: Math.min(Math.max(parseInt(limit) || 20, 1), MAX_LIMIT),
+    excludeOutOfStock: excludeOutOfStock === "true",
+    excludeInactive: excludeInactive === "true",
+  });
+
+  return res.status(200).json(
+    new ApiResponse(200, { items }, "Recently viewed products retrieved successfully")
+  );
+});
+
+const clearMyRecentlyViewed = asyncHandler(async (req, res) => {
+  const owner = getHistoryOwner(req);
+  await clearRecentlyViewed(owner);
+
+  return res.status(200).json(
+    new ApiResponse(200, null, "Recently viewed history cleared")
+  );
+});
+
+const removeRecentlyViewedProduct = asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    throw new ApiError(400, "Invalid product ID");
+  }
+
+  const owner = getHistoryOwner(req);
+  await clearRecentlyViewed(owner, productId);
+
+  return res.status(200).json(
+    new ApiResponse(200, null, "Product removed from recently viewed")
+  );
+});
+
+/** For sign-ins that cannot carry the guest header (OAuth redirects); password logins merge automatically. */
+const mergeMyRecentlyViewed = asyncHandler(async (req, res) => {
+  const guestSessionId = getGuestSessionId(req);
+  if (!guestSessionId) {
+    throw new ApiError(400, "X-Session-Id header is required");
+  }
+
+  const merged = await mergeGuestHistory(req.user._id, guestSessionId);
+
+  return res.status(200).json(
+    new ApiResponse(200, { merged }, "Guest history merged into your account")
+  );
+});
+
+export {
+  getMyRecentlyViewed,
+  clearMyRecentlyViewed,
+  removeRecentlyViewedProduct,
+  mergeMyRecentlyViewed,
+};
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Product } from "../models/product.model.js";
+import {
+  getProductRecommendations as loadProductRecommendations,
+  getRecommendationsForUser,
+} from "../services/recommendation.service.js";
+
+const MAX_RECOMMENDATIONS = 24;
+
+const parseLimit = (limit, fallback) => Math.min(Math.max(parseInt(limit) || fallback, 1), MAX_RECOMMENDATIONS);
+
+/** "Customers also bought" and "similar products" for a product page; accepts an ID or slug. */
+const getProductRecommendations = asyncHandler(async (req, res) => {
+  const { identifier } = req.params;
+
+  const filter = mongoose.Types.ObjectId.isValid(identifier) ? { _id: identifier } : { slug: identifier };
+  const product = await Product.findOne(filter).select("genre platform theme").lean();
+  if (!product) {
+    throw new ApiError(404, "Product not found");
+  }
+
+  const recommendations = await loadProductRecommendations(product, parseLimit(req.query.limit, 12));
+
+  return res.status(200).json(
+    new ApiResponse(200, recommendations, "Product recommendations retrieved successfully")
+  );
+});
+
+/** "Recommended for you" on the homepage; anonymous visitors get best sellers. */
+const getHomepageRecommendations = asyncHandler(async (req, res) => {
+  const recommendations = await getRecommendationsForUser(req.user?._id || null, parseLimit(req.query.limit, 12));
+
+  return res.status(200).json(
+    new ApiResponse(200, recommendations, "Recommendations retrieved successfully")
+  );
+});
+
+export { getProductRecommendations, getHomepageRecommendations };
@@ -107,15 +107,36 @@ const isWithinRefundWindow = (order) => {
   return daysSince <= REFUND_WINDOW_DAYS;
 };
 
-/** Returns true if order payout is still held (within PAYOUT_HOLD_DAYS). */
-const isPayoutHeldForOrder = async (orderId, session = null) => {
-  const order = await Order.findById(orderId).session(session).select("orderCompletedAt updatedAt createdAt").lean();
-  if (!order) return false;
-  const completedAt = getOrderCompletionDate(order);
-  if (!completedAt) return false;
-  const now = new Date();
-  const daysSince = (now.getTime() - completedAt.getTime()) / (24 * 60 * 60 * 1000);
-  return daysSince <= PAYOUT_HOLD_DAYS;
+/**
+ * Splits the seller's refund deduction between the unpaid scheduled payouts (main or reserve) still
+ * held for the order and the seller's available balance. Only what the held payouts can cover is
+ * taken from them; the rest goes through the balance check and clawback like a released payout.
+ */
+const splitRefundDeduction = async (orderId, sellerId, { gross, commission, net }, session = null) => {
+  const held = await Payout.find({
+    orderId,
+    sellerId,
+    requestType: "scheduled",
+    status: { $in: ["pending", "hold"] },
+    netAmount: { $gt: 0 },
+  })
+    .select("netAmount")
+    .session(session)
+    .lean();
+  const heldNet = Math.round(held.reduce((sum, payout) => sum + payout.netAmount, 0) * 100) / 100;
+
+  const share = heldNet <= 0 ? 0 : net <= 0 || heldNet >= net ? 1 : heldNet / net;
+  const fromHeld = {
+    gross: Math.round(gross * share * 100) / 100,
+    commission: Math.round(commission * share * 100) / 100,
+    net: share === 1 ? net : heldNet,
+  };
+  const fromBalance = {
+    gross: Math.round((gross - fromHeld.gross) * 100) / 100,
+    commission: Math.round((commission - fromHeld.commission) * 100) / 100,
+    net: Math.round((net - fromHeld.net) * 100) / 100,
+  };
+  return { payoutHeld: share === 1, fromHeld: share > 0 ? fromHeld : null, fromBalance: share < 1 ? fromBalance : null };
 };
 
 const CREATE_REFUND_TYPES = ["WALLET", "ORIGINAL_PAYMENT"];
@@ -248,14 +269,13 @@ const createReturnRefund = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Selected key(s) do not belong to this order item");
   }
 
-  const licenseKeyDoc = await LicenseKey.findOne({ productId: new mongoose.Types.ObjectId(productId) }).select("keys");
-  if (licenseKeyDoc) {
-    for (const keyId of licenseKeyIds) {
-      const key = licenseKeyDoc.keys.id(keyId);
-      if (key?.isRefunded) {
-        throw new ApiError(400, "One or more selected keys are already refunded");
-      }
-    }
+  const alreadyRefunded = await LicenseKey.exists({
+    _id: { $in: licenseKeyIds.map((id) => new mongoose.Types.ObjectId(id)) },
+    productId: new mongoose.Types.ObjectId(productId),
+    isRefunded: true,
+  });
+  if (alreadyRefunded) {
+    throw new ApiError(400, "One or more selected keys are already refunded");
   }
 
   const existingForSameKey = await ReturnRefund.findOne({
@@ -821,11 +841,18 @@ const processRefundExecution = async (refund, actorUserId, actorRole) => {
       throw new ApiError(400, "Invalid refund amount");
     }
 
-    const payoutHeld = await isPayoutHeldForOrder(orderId, session);
-    if (!payoutHeld) {
+    const commissionPerUnit = qty > 0 ? (orderItem.lineTotal - sellerEarningTotal) / qty : 0;
+    const refundCommission = keyCount > 0 ? Math.round(commissionPerUnit * keyCount * 100) / 100 : 0;
+    const { payoutHeld, fromHeld, fromBalance } = await splitRefundDeduction(
+      orderId,
+      sellerId,
+      { gross: refundAmount, commission: refundCommission, net: sellerEarning },
+      session
+    );
+    if (fromBalance) {
       const sellerBalance = await getSellerBalance(sellerId);
       const available = sellerBalance?.available ?? 0;
-      if (available < sellerEarning) {
+      if (available < fromBalance.net) {
         await session.abortTransaction();
         session.endSession();
         return { hold: true };
@@ -865,26 +892,25 @@ const processRefundExecution = async (refund, actorUserId, actorRole) => {
       }
     }
 
-    const commissionPerUnit = qty > 0 ? (orderItem.lineTotal - sellerEarningTotal) / qty : 0;
-    const refundCommission = keyCount > 0 ? Math.round(commissionPerUnit * keyCount * 100) / 100 : 0;
-    if (payoutHeld) {
+    if (fromHeld) {
       await adjustPayoutForRefund(
         order._id,
         sellerId,
-        refundAmount,
-        refundCommission,
-        sellerEarning,
+        fromHeld.gross,
+        fromHeld.commission,
+        fromHeld.net,
         keyIdsToRefund.map((id) => id?.toString?.() || id),
         session
       );
-    } else {
+    }
+    if (fromBalance) {
       await Payout.create([{
         sellerId,
         orderId: order._id,
         requestType: "scheduled",
-        grossAmount: -refundAmount,
-        commissionAmount: -refundCommission,
-        netAmount: -sellerEarning,
+        grossAmount: -fromBalance.gross,
+        commissionAmount: -fromBalance.commission,
+        netAmount: -fromBalance.net,
         currency: "USD",
         status: "blocked",
         notes: `Refund deduction for order ${order._id}, product ${productId} (${actorRole} approved)`,
@@ -900,16 +926,10 @@ const processRefundExecution = async (refund, actorUserId, actorRole) => {
     );
 
     if (keyIdsToRefund.length > 0) {
-      await LicenseKey.updateOne(
-        { productId },
-        {
-          $set: {
-            "keys.$[key].isRefunded": true,
-            "keys.$[key].refundedAt": new Date(),
-            "keys.$[key].isUsed": true,
-          },
-        },
-        { arrayFilters: [{ "key._id": { $in: keyIdsToRefund } }], session }
+      await LicenseKey.updateMany(
+        { _id: { $in: keyIdsToRefund }, productId },
+        { $set: { isRefunded: true, refundedAt: new Date(), isUsed: true } },
+        { session }
       );
     }
 
@@ -925,11 +945,11 @@ const processRefundExecution = async (refund, actorUserId, actorRole) => {
       order.items[itemIndex].refundedSellerAmount = round2((item.refundedSellerAmount || 0) + sellerEarning);
       const allKeyIds = item.assignedKeyIds || [];
       if (allKeyIds.length > 0) {
-        const licenseKeyDoc = await LicenseKey.findOne({ productId }).session(session).select("keys");
-        const allRefunded = licenseKeyDoc && allKeyIds.every((kid) => {
-          const k = licenseKeyDoc.keys.id(kid);
-          return k && k.isRefunded === true;
-        });
+        const refundedCount = await LicenseKey.countDocuments({
+          _id: { $in: allKeyIds },
+          isRefunded: true,
+        }).session(session);
+        const allRefunded = refundedCount === allKeyIds.length;
         if (allRefunded) {
           order.items[itemIndex].refunded = true;
           order.items[itemIndex].refundedAt = new Date();
@@ -983,7 +1003,11 @@ const processRefundExecution = async (refund, actorUserId, actorRole) => {
       refundAmount,
       walletBalance: finalWalletBalance,
       timestamp: new Date(),
-      notes: payoutHeld ? "Deducted from seller pending (payout still held)" : "Deducted from seller available balance",
+      notes: payoutHeld
+        ? "Deducted from seller pending (payout still held)"
+        : fromHeld
+          ? "Deducted from seller pending up to the held payout, rest from available balance"
+          : "Deducted from seller available balance",
     });
     const [customerForNotify, sellerForNotify] = await Promise.all([
       User.findById(userId).select("_id name email").lean(),
@@ -1041,10 +1065,17 @@ const processManualRefundCompletion = async (refund, adminUserId, manualRefundRe
     const sellerEarning = keyCount > 0 ? Math.round(sellerEarningPerUnit * keyCount * 100) / 100 : sellerEarningTotal;
     if (refundAmount <= 0) throw new ApiError(400, "Invalid refund amount");
 
-    const payoutHeld = await isPayoutHeldForOrder(orderId, session);
-    if (!payoutHeld) {
+    const commissionPerUnit = qty > 0 ? (orderItem.lineTotal - sellerEarningTotal) / qty : 0;
+    const refundCommission = keyCount > 0 ? Math.round(commissionPerUnit * keyCount * 100) / 100 : 0;
+    const { payoutHeld, fromHeld, fromBalance } = await splitRefundDeduction(
+      orderId,
+      sellerId,
+      { gross: refundAmount, commission: refundCommission, net: sellerEarning },
+      session
+    );
+    if (fromBalance) {
       const sellerBalance = await getSellerBalance(sellerId);
-      if ((sellerBalance?.available ?? 0) < sellerEarning) {
+      if ((sellerBalance?.available ?? 0) < fromBalance.net) {
         await session.abortTransaction();
         session.endSession();
         return { hold: true };
@@ -1052,26 +1083,25 @@ const processManualRefundCompletion = async (refund, adminUserId, manualRefundRe
     }
 
     refund.refundAmount = refundAmount;
-    const commissionPerUnit = qty > 0 ? (orderItem.lineTotal - sellerEarningTotal) / qty : 0;
-    const refundCommission = keyCount > 0 ? Math.round(commissionPerUnit * keyCount * 100) / 100 : 0;
-    if (payoutHeld) {
+    if (fromHeld) {
       await adjustPayoutForRefund(
         order._id,
         sellerId,
-        refundAmount,
-        refundCommission,
-        sellerEarning,
+        fromHeld.gross,
+        fromHeld.commission,
+        fromHeld.net,
         keyIdsToRefund.map((id) => id?.toString?.() || id),
         session
       );
-    } else {
+    }
+    if (fromBalance) {
       await Payout.create([{
         sellerId,
         orderId: order._id,
         requestType: "scheduled",
-        grossAmount: -refundAmount,
-        commissionAmount: -refundCommission,
-        netAmount: -sellerEarning,
+        grossAmount: -fromBalance.gross,
+        commissionAmount: -fromBalance.commission,
+        netAmount: -fromBalance.net,
         currency: "USD",
         status: "blocked",
         notes: `Manual refund deduction for order ${order._id}, product ${productId} (admin completed)`,
@@ -1079,10 +1109,10 @@ const processManualRefundCompletion = async (refund, adminUserId, manualRefundRe
     }
 
     if (keyIdsToRefund.length > 0) {
-      await LicenseKey.updateOne(
-        { productId },
-        { $set: { "keys.$[key].isRefunded": true, "keys.$[key].refundedAt": new Date(), "keys.$[key].isUsed": true } },
-        { arrayFilters: [{ "key._id": { $in: keyIdsToRefund } }], session }
+      await LicenseKey.updateMany(
+        { _id: { $in: keyIdsToRefund }, productId },
+        { $set: { isRefunded: true, refundedAt: new Date(), isUsed: true } },
+        { session }
       );
     }
 
@@ -1095,8 +1125,8 @@ const processManualRefundCompletion = async (refund, adminUserId, manualRefundRe
       order.items[itemIndex].refundedSellerAmount = round2((item.refundedSellerAmount || 0) + sellerEarning);
       const allKeyIds = item.assignedKeyIds || [];
       if (allKeyIds.length > 0) {
-        const licenseKeyDoc = await LicenseKey.findOne({ productId }).session(session).select("keys");
-        const allRefunded = licenseKeyDoc && allKeyIds.every((kid) => { const k = licenseKeyDoc.keys.id(kid); return k && k.isRefunded === true; });
+        const refundedCount = await LicenseKey.countDocuments({ _id: { $in: allKeyIds }, isRefunded: true }).session(session);
+        const allRefunded = refundedCount === allKeyIds.length;
         if (allRefunded) {
           order.items[itemIndex].refunded = true;
           order.items[itemIndex].refundedAt = new Date();
@@ -1398,10 +1428,11 @@ const getOrderItemLicenseKeysForRefund = asyncHandler(async (req, res) => {
     );
   }
 
-  const licenseKeyDoc = await LicenseKey.findOne({
+  const licenseKeys = await LicenseKey.find({
+    _id: { $in: keyIds },
     productId: new mongoose.Types.ObjectId(productId),
-  }).select("keys");
-  if (!licenseKeyDoc) {
+  });
+  if (licenseKeys.length === 0) {
     return res.status(200).json(
       new ApiResponse(200, { keys: [], productType: orderItem.productId?.productType || "LICENSE_KEY" }, "No keys found")
     );
@@ -1415,7 +1446,7 @@ const getOrderItemLicenseKeysForRefund = asyncHandler(async (req, res) => {
   const keys = [];
   for (let i = 0; i < keyIds.length; i++) {
     const keyId = keyIds[i];
-    const key = licenseKeyDoc.keys.id(keyId);
+    const key = licenseKeys.find((k) => k._id.toString() === keyId.toString());
     if (!key) continue;
     const status = key.isRefunded ? "refunded" : "active";
     const issuedAt = key.assignedAt || orderCompletedAt;
@@ -1522,14 +1553,15 @@ const validateGuestOrderForRefund = asyncHandler(async (req, res) => {
     const productId = item.productId?._id || item.productId;
     if (!productId) continue;
 
-    const licenseKeyDoc = await LicenseKey.findOne({
+    const licenseKeys = await LicenseKey.find({
+      _id: { $in: keyIds },
       productId: new mongoose.Types.ObjectId(productId),
-    }).select("keys");
-    if (!licenseKeyDoc) continue;
+    });
+    if (licenseKeys.length === 0) continue;
 
     const keys = [];
     for (const keyId of keyIds) {
-      const key = licenseKeyDoc.keys.id(keyId);
+      const key = licenseKeys.find((k) => k._id.toString() === keyId.toString());
       if (!key || key.isRefunded) continue;
       const issuedAt = key.assignedAt || orderCompletedAt;
       keys.push({
@@ -1909,17 +1941,18 @@ const getRefundKeyDetails = asyncHandler(async (req, res) => {
     );
   }
 
-  const licenseKeyDoc = await LicenseKey.findOne({
+  const licenseKeys = await LicenseKey.find({
+    _id: { $in: licenseKeyIds },
     productId: refund.productId._id,
-  }).select("keys");
+  });
 
-  if (!licenseKeyDoc) {
-    throw new ApiError(404, "License key document not found");
+  if (licenseKeys.length === 0) {
+    throw new ApiError(404, "License keys not found");
   }
 
   const keyDetails = [];
   for (const keyId of licenseKeyIds) {
-    const keyItem = licenseKeyDoc.keys.id(keyId);
+    const keyItem = licenseKeys.find((k) => k._id.toString() === keyId.toString());
     if (keyItem) {
       let decryptedKey = "";
       try {
@@ -0,0 +1,211 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import {
+  ScheduledReport,
+  SCHEDULED_REPORT_TYPES,
+  SCHEDULED_REPORT_WINDOWS,
+} from "../models/scheduledReport.model.js";
+import { ScheduledReportRun } from "../models/scheduledReportRun.model.js";
+import { getNextRunAt } from "../services/analyticsReport.service.js";
+import { logAction } from "../services/audit.service.js";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const findReportOr404 = async (reportId) => {
+  if (!mongoose.Types.ObjectId.isValid(reportId)) {
+    throw new ApiError(400, "Invalid report ID");
+  }
+  const report = await ScheduledReport.findById(reportId);
+  if (!report) {
+    throw new ApiError(404, "Scheduled report not found");
+  }
+  return report;
+};
+
+const normalizeRecipients = (recipients) => {
+  const list = (Array.isArray(recipients) ? recipients : String(recipients || "").split(","))
+    .map((email) => String(email).trim().toLowerCase())
+    .filter(Boolean);
+  const unique = [...new Set(list)];
+
+  if (unique.length === 0 || unique.length > 20) {
+    throw new ApiError(400, "Between 1 and 20 recipients are required");
+  }
+  const invalid = unique.filter((email) => !EMAIL_PATTERN.test(email));
+  if (invalid.length > 0) {
+    throw new ApiError(400, `Invalid recipient email: ${invalid.join(", ")}`);
+  }
+  return unique;
+};
+
+/** Saves a report definition with a cron schedule and recipients. */
+const createScheduledReport = asyncHandler(async (req, res) => {
+  const { name, reportType, filters = {}, dateWindow = "last_7_days", cron, timezone = "UTC", recipients } = req.body;
+
+  if (!name?.trim()) {
+    throw new ApiError(400, "Report name is required");
+  }
+  if (!SCHEDULED_REPORT_TYPES.includes(reportType)) {
+    throw new ApiError(400, `reportType must be one of: ${SCHEDULED_REPORT_TYPES.join(", ")}`);
+  }
+  if (!SCHEDULED_REPORT_WINDOWS.includes(dateWindow)) {
+    throw new ApiError(400, `dateWindow must be one of: ${SCHEDULED_REPORT_WINDOWS.join(", ")}`);
+  }
+  if (!cron || typeof cron !== "string") {
+    throw new ApiError(400, "A cron schedule is required");
+  }
+  if (filters === null || typeof filters !== "object" || Array.isArray(filters)) {
+    throw new ApiError(400, "filters must be an object");
+  }
+
+  const report = await ScheduledReport.create({
+    name: name.trim(),
+    reportType,
+    filters,
+    dateWindow,
+    cron: cron.trim(),
+    timezone,
+    recipients: normalizeRecipients(recipients),
+    nextRunAt: getNextRunAt(cron, timezone),
+    createdBy: req.user._id,
+  });
+
+  await logAction(
+    "scheduled_report:create",
+    req.user._id,
+    "ScheduledReport",
+    report._id,
+    { name: report.name, reportType, cron: report.cron, recipients: report.recipients },
+    req.ip,
+    req.get("user-agent")
+  );
+
+  return res.status(201).json(
+    new ApiResponse(201, report, "Scheduled report created successfully")
+  );
+});
+
+const getScheduledReports = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.max(1, Math.min(100, parseInt(limit) || 20));
+
+  const filter = {};
+  if (status) filter.status = status;
+
+  const [reports, total] = await Promise.all([
+    ScheduledReport.find(filter)
+      .populate("createdBy", "name email")
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    ScheduledReport.countDocuments(filter),
+  ]);
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      reports,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    }, "Scheduled reports retrieved successfully")
+  );
+});
+
+const pauseScheduledReport = asyncHandler(async (req, res) => {
+  const report = await findReportOr404(req.params.reportId);
+  if (report.status === "paused") {
+    throw new ApiError(400, "Scheduled report is already paused");
+  }
+
+  report.set({ status: "paused", pausedBy: req.user._id, pausedAt: new Date(), nextRunAt: null });
+  await report.save();
+
+  await logAction("scheduled_report:pause", req.user._id, "ScheduledReport", report._id, { name: report.name }, req.ip, req.get("user-agent"));
+
+  return res.status(200).json(
+    new ApiResponse(200, report, "Scheduled report paused")
+  );
+});
+
+const resumeScheduledReport = asyncHandler(async (req, res) => {
+  const report = await findReportOr404(req.params.reportId);
+  if (report.status === "active") {
+    throw new ApiError(400, "Scheduled report is already active");
+  }
+
+  // Missed runs are not replayed; the report continues from its next scheduled time.
+  report.set({ status: "active", pausedBy: null, pausedAt: null, nextRunAt: getNextRunAt(report.cron, report.timezone) });
+  await report.save();
+
+  await logAction("scheduled_report:resume", req.user._id, "ScheduledReport", report._id, { name: report.name }, req.ip, req.get("user-agent"));
+
+  return res.status(200).json(
+    new ApiResponse(200, report, "Scheduled report resumed")
+  );
+});
+
+/** Deletes the definition; its run history is kept until it expires. */
+const deleteScheduledReport = asyncHandler(async (req, res) => {
+  const report = await findReportOr404(req.params.reportId);
+  await ScheduledReport.deleteOne({ _id: report._id });
+
+  await logAction("scheduled_report:delete", req.user._id, "ScheduledReport", report._id, { name: report.name, reportType: report.reportType }, req.ip, req.get("user-agent"));
+
+  return res.status(200).json(
+    new ApiResponse(200, { deletedReportId: report._id }, "Scheduled report deleted successfully")
+  );
+});
+
+/** Run history, for one report (`/:reportId/runs`) or across all reports. */
+const getScheduledReportRuns = asyncHandler(async (req, res) => {
+  const { reportId } = req.params;
+  const { status, page = 1, limit = 20 } = req.query;
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.max(1, Math.min(100, parseInt(limit) || 20));
+
+  const filter = {};
+  if (reportId) {
+    if (!mongoose.Types.ObjectId.isValid(reportId)) {
+      throw new ApiError(400, "Invalid report ID");
+    }
+    filter.reportId = new mongoose.Types.ObjectId(reportId);
+  }
+  if (status) filter.status = status;
+
+  const [runs, total] = await Promise.all([
+    ScheduledReportRun.find(filter)
+      .sort({ startedAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    ScheduledReportRun.countDocuments(filter),
+  ]);
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      runs,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    }, "Scheduled report runs retrieved successfully")
+  );
+});
+
+export {
+  createScheduledReport,
+  getScheduledReports,
+  pauseScheduledReport,
+  resumeScheduledReport,
+  deleteScheduledReport,
+  getScheduledReportRuns,
+};
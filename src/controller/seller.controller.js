@@ -4,13 +4,15 @@ import { Seller } from "../models/seller.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { fileUploader } from "../utils/cloudinary.js";
-import { SELLER_STATUS } from "../constants.js";
+import { SELLER_STATUS, KYC_DOCUMENT_TYPES } from "../constants.js";
 import { Product } from "../models/product.model.js";
 import { Order } from "../models/order.model.js";
 import { Payout } from "../models/payout.model.js";
 import { Review } from "../models/review.model.js";
 import { getSellerBalance, getSellerPayouts } from "../services/payout.service.js";
 import { handleSellerProfileSubmitted } from "../services/marketplaceEvents.service.js";
+import { addKycDocument, getKycSummary } from "../services/kyc.service.js";
+import { getSellerTier, describeSellerTier } from "../services/sellerTier.service.js";
 import mongoose from "mongoose";
 
 
@@ -24,15 +26,26 @@ const applySeller = asyncHandler(async (req, res) => {
   }
 
   const files = req.files || {};
-  if (!files.shopLogo?.[0] || !files.shopBanner?.[0] || !files.kycDocs) {
-    throw new ApiError(400, "Shop logo, banner & KYC docs are required");
+  // Older clients send untyped `kycDocs`, read in order as ID, proof of address and business registration.
+  // Without a proof of address the seller stays "incomplete" until it is uploaded on /seller/kyc/documents.
+  const legacyKycDocs = files.kycDocs || [];
+  const idDocument = files.idDocument?.[0] || legacyKycDocs[0];
+  const proofOfAddress = files.proofOfAddress?.[0] || legacyKycDocs[1];
+  const businessRegistration = files.businessRegistration?.[0] || legacyKycDocs[2];
+  if (!files.shopLogo?.[0] || !files.shopBanner?.[0] || !idDocument || (!proofOfAddress && legacyKycDocs.length === 0)) {
+    throw new ApiError(400, "Shop logo, banner, ID document & proof of address are required");
   }
 
+  const kycFiles = [
+    { type: "id_document", file: idDocument, expiresAt: req.body.idDocumentExpiresAt },
+    proofOfAddress && { type: "proof_of_address", file: proofOfAddress, expiresAt: req.body.proofOfAddressExpiresAt },
+    businessRegistration && { type: "business_registration", file: businessRegistration },
+  ].filter(Boolean);
 
-  const [shopLogoImage, shopBannerImage, kycDocsImages] = await Promise.all([
+  const [shopLogoImage, shopBannerImage, kycUploads] = await Promise.all([
     fileUploader(files.shopLogo[0].path),
     fileUploader(files.shopBanner[0].path),
-    Promise.all(files.kycDocs.map((file) => fileUploader(file.path)))
+    Promise.all(kycFiles.map(({ file }) => fileUploader(file.path)))
   ]);
 
   const user = await User.findById(req.user._id);
@@ -42,7 +55,7 @@ const applySeller = asyncHandler(async (req, res) => {
   const existingSeller = await Seller.findOne({ shopName }).lean();
   if (existingSeller) throw new ApiError(409, "Seller already exists");
 
-  const seller = await Seller.create({
+  const seller = new Seller({
     userId: req.user._id,
     shopName,
     description,
@@ -51,9 +64,12 @@ const applySeller = asyncHandler(async (req, res) => {
     city,
     shopLogo: shopLogoImage.url,
     shopBanner: shopBannerImage.url,
-    kycDocs: kycDocsImages.map((file) => file.url),
     status: "pending"
   });
+  kycFiles.forEach(({ type, file, expiresAt }, index) => {
+    addKycDocument(seller, { type, url: kycUploads[index].url, originalName: file.originalname, expiresAt });
+  });
+  await seller.save();
 
   handleSellerProfileSubmitted({ seller, sellerUser: user }).catch(() => null);
 
@@ -377,6 +393,14 @@ const getSellerPerformanceMetrics = asyncHandler(async (req, res) => {
     },
   ]);
 
+  const [tier, reserveHeld] = await Promise.all([
+    getSellerTier(seller._id),
+    Payout.aggregate([
+      { $match: { sellerId: new mongoose.Types.ObjectId(seller._id), isReserve: true, status: { $in: ["pending", "hold"] } } },
+      { $group: { _id: null, amount: { $sum: "$netAmount" }, count: { $sum: 1 }, nextReleaseAt: { $min: "$holdUntil" } } },
+    ]),
+  ]);
+
   return res.status(200).json(
     new ApiResponse(200, {
       sales: salesMetrics[0] || {
@@ -394,6 +418,14 @@ const getSellerPerformanceMetrics = asyncHandler(async (req, res) => {
         averageRating: 0,
       },
       payouts: payoutMetrics,
+      tier: {
+        ...describeSellerTier(tier),
+        reserveHeld: {
+          amount: reserveHeld[0]?.amount || 0,
+          count: reserveHeld[0]?.count || 0,
+          nextReleaseAt: reserveHeld[0]?.nextReleaseAt || null,
+        },
+      },
     }, "Performance metrics retrieved successfully")
   );
 });
@@ -407,7 +439,7 @@ const getSellerVerificationBadge = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Seller account not found");
   }
 
-  const hasKYC = seller.kycDocs && seller.kycDocs.length > 0;
+  const hasKYC = seller.kycStatus === "approved";
   const isActive = seller.status === "active";
   const hasPayoutAccount = seller.payoutAccount && seller.payoutAccount !== "inactive";
   const hasProducts = await Product.countDocuments({ sellerId: seller._id }) > 0;
@@ -433,6 +465,49 @@ const getSellerVerificationBadge = asyncHandler(async (req, res) => {
   );
 });
 
+const getMyKyc = asyncHandler(async (req, res) => {
+  const seller = await Seller.findOne({ userId: req.user._id }).select("kycStatus kycApprovedAt kycDocuments");
+  if (!seller) {
+    throw new ApiError(404, "Seller account not found");
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, getKycSummary(seller), "KYC status retrieved successfully")
+  );
+});
+
+/** Uploads or replaces one KYC document; the new upload goes back into the review queue. */
+const uploadKycDocument = asyncHandler(async (req, res) => {
+  const { type, expiresAt } = req.body;
+
+  if (!KYC_DOCUMENT_TYPES.includes(type)) {
+    throw new ApiError(400, `Document type must be one of: ${KYC_DOCUMENT_TYPES.join(", ")}`);
+  }
+  if (!req.file) {
+    throw new ApiError(400, "Document file is required");
+  }
+
+  const seller = await Seller.findOne({ userId: req.user._id });
+  if (!seller) {
+    throw new ApiError(404, "Seller account not found");
+  }
+  if (seller.status === "banned") {
+    throw new ApiError(403, "Seller account is banned");
+  }
+
+  const uploaded = await fileUploader(req.file.path);
+  if (!uploaded?.url) {
+    throw new ApiError(500, "Failed to upload document");
+  }
+
+  const document = addKycDocument(seller, { type, url: uploaded.url, originalName: req.file.originalname, expiresAt });
+  await seller.save();
+
+  return res.status(201).json(
+    new ApiResponse(201, { documentId: document._id, ...getKycSummary(seller) }, "KYC document submitted for review")
+  );
+});
+
 const getPublicSellerProfile = asyncHandler(async (req, res) => {
   const { sellerId } = req.params;
 
@@ -787,6 +862,8 @@ export {
   getSellerWithdrawalHistory,
   getSellerPerformanceMetrics,
   getSellerVerificationBadge,
+  getMyKyc,
+  uploadKycDocument,
   getPublicSellerProfile,
   getSellerProducts,
   getSellerReviews,
@@ -0,0 +1,320 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Seller } from "../models/seller.model.js";
+import { SellerStatement } from "../models/sellerStatement.model.js";
+import {
+  getSellerStatement,
+  getSellerStatementLines,
+  listSellerStatements,
+  parseStatementPeriod,
+} from "../services/sellerStatement.service.js";
+import {
+  streamPdf,
+  drawSectionHeading,
+  drawSummary,
+  drawParties,
+  drawTotals,
+  createTable,
+  getInvoiceIssuer,
+  formatMoney,
+  formatDate,
+} from "../utils/pdfReport.js";
+import { toCsv } from "../utils/spreadsheet.js";
+
+const STATEMENT_FORMATS = ["pdf", "csv"];
+
+const findSellerForUser = async (userId) => {
+  const seller = await Seller.findOne({ userId }).select("_id shopName");
+  if (!seller) {
+    throw new ApiError(404, "Seller account not found");
+  }
+  return seller;
+};
+
+const findSellerById = async (sellerId) => {
+  if (!mongoose.Types.ObjectId.isValid(sellerId)) {
+    throw new ApiError(400, "Invalid seller ID");
+  }
+  const seller = await Seller.findById(sellerId).select("_id shopName");
+  if (!seller) {
+    throw new ApiError(404, "Seller not found");
+  }
+  return seller;
+};
+
+const streamStatementPdf = (res, statement, seller, lines) => {
+  const money = (amount) => formatMoney(amount, statement.currency);
+
+  return streamPdf(res, {
+    filename: `statement-${statement.period}.pdf`,
+    title: "Seller Statement",
+    caption: `${seller.shopName || "Seller"} · ${statement.period}${statement.final ? "" : " (provisional, month in progress)"}`,
+  }, (doc) => {
+    drawSectionHeading(doc, "Summary");
+    drawSummary(doc, [
+      { label: "Opening balance", value: money(statement.openingBalance) },
+      { label: "Gross sales", value: money(statement.sales.grossSales) },
+      { label: "Orders / units", value: `${statement.sales.orderCount} / ${statement.sales.unitCount}` },
+      { label: "Commission", value: money(statement.sales.normalCommission) },
+      { label: "Featured extra commission", value: money(statement.sales.featuredExtraCommission) },
+      { label: "Net earnings", value: money(statement.sales.netEarnings) },
+      { label: "Refunds deducted", value: money(statement.refunds.netAmount) },
+      { label: "Payouts sent", value: money(statement.payouts.amount) },
+      { label: "Closing balance", value: money(statement.closingBalance) },
+    ]);
+    if (statement.commissionInvoice?.number) {
+      doc.font("Helvetica").fontSize(9).text(
+        `Commission invoice ${statement.commissionInvoice.number} issued ${formatDate(statement.commissionInvoice.issuedAt)} for ${money(statement.commissionInvoice.amount)}.`
+      );
+      doc.moveDown(1);
+    }
+
+    drawSectionHeading(doc, "Sales");
+    const sales = createTable(doc, [
+      { header: "Date", width: 1 },
+      { header: "Order", width: 1.2 },
+      { header: "Product", width: 2.6 },
+      { header: "Qty", width: 0.5, align: "right" },
+      { header: "Gross", width: 1, align: "right" },
+      { header: "Commission", width: 1, align: "right" },
+      { header: "Featured", width: 0.9, align: "right" },
+      { header: "Net", width: 1, align: "right" },
+    ]);
+    lines.sales.forEach((row) => sales.addRow([
+      formatDate(row.date),
+      row.order,
+      row.description,
+      row.qty,
+      money(row.grossAmount),
+      money(row.normalCommissionAmount),
+      money(row.featuredExtraCommissionAmount),
+      money(row.netAmount),
+    ]));
+    sales.end("No sales this month.");
+
+    drawSectionHeading(doc, "Refund deductions");
+    const refunds = createTable(doc, [
+      { header: "Date", width: 1 },
+      { header: "Order", width: 1.2 },
+      { header: "Description", width: 2.6 },
+      { header: "Refunded", width: 1, align: "right" },
+      { header: "Commission returned", width: 1.2, align: "right" },
+      { header: "Deducted", width: 1, align: "right" },
+    ]);
+    lines.refunds.forEach((row) => refunds.addRow([
+      formatDate(row.date),
+      row.order,
+      row.description,
+      money(row.grossAmount),
+      money(row.commissionAmount),
+      money(row.netAmount),
+    ]));
+    refunds.end("No refunds this month.");
+
+    drawSectionHeading(doc, "Payouts sent");
+    const payouts = createTable(doc, [
+      { header: "Date", width: 1 },
+      { header: "Order", width: 1.2 },
+      { header: "Type", width: 1.8 },
+      { header: "Reference", width: 2.2 },
+      { header: "Amount", width: 1, align: "right" },
+    ]);
+    lines.payouts.forEach((row) => payouts.addRow([
+      formatDate(row.date),
+      row.order,
+      row.description,
+      row.reference,
+      money(row.netAmount),
+    ]));
+    payouts.end("No payouts this month.");
+  });
+};
+
+const sendStatementCsv = (res, statement, lines) => {
+  const rows = [
+    ["Opening balance", formatDate(statement.periodStart), "", "", "", "", "", "", statement.openingBalance, ""],
+    ...lines.sales.map((row) => [
+      "Sale", formatDate(row.date), row.order, row.description, row.qty,
+      row.grossAmount, row.normalCommissionAmount, row.featuredExtraCommissionAmount, row.netAmount, "",
+    ]),
+    ...lines.refunds.map((row) => [
+      "Refund", formatDate(row.date), row.order, row.description, "",
+      -row.grossAmount, -row.commissionAmount, "", -row.netAmount, "",
+    ]),
+    ...lines.payouts.map((row) => [
+      "Payout", formatDate(row.date), row.order, row.description, "",
+      "", "", "", -row.netAmount, row.reference,
+    ]),
+    ["Closing balance", formatDate(new Date(statement.periodEnd.getTime() - 1)), "", "", "", "", "", "", statement.closingBalance, ""],
+  ];
+  const csv = toCsv(
+    ["Type", "Date", "Order", "Description", "Quantity", "Gross", "Commission", "Featured commission", "Net", "Reference"],
+    rows
+  );
+
+  return res
+    .status(200)
+    .setHeader("Content-Type", "text/csv")
+    .setHeader("Content-Disposition", `attachment; filename="statement-${statement.period}.csv"`)
+    .send(csv);
+};
+
+const sendStatementDownload = async (req, res, seller) => {
+  const format = String(req.query.format || "pdf").toLowerCase();
+  if (!STATEMENT_FORMATS.includes(format)) {
+    throw new ApiError(400, `format must be one of: ${STATEMENT_FORMATS.join(", ")}`);
+  }
+
+  const statement = await getSellerStatement(seller._id, req.params.period);
+  const lines = await getSellerStatementLines(seller._id, statement.periodStart, statement.periodEnd);
+
+  return format === "csv"
+    ? sendStatementCsv(res, statement, lines)
+    : streamStatementPdf(res, statement, seller, lines);
+};
+
+const streamCommissionInvoice = (res, statement) => {
+  const invoice = statement.commissionInvoice;
+  const issuer = getInvoiceIssuer();
+  const money = (amount) => formatMoney(amount, statement.currency);
+  const sellerLocation = [statement.seller?.city, statement.seller?.state, statement.seller?.country].filter(Boolean).join(", ");
+
+  return streamPdf(res, {
+    filename: `${invoice.number}.pdf`,
+    title: "Commission Invoice",
+    caption: `Invoice ${invoice.number} · ${statement.period}`,
+  }, (doc) => {
+    drawParties(doc, [
+      { heading: "Issued by", lines: [issuer.name, issuer.address, issuer.vatId && `VAT ID: ${issuer.vatId}`, issuer.email] },
+      { heading: "Billed to", lines: [statement.seller?.shopName, sellerLocation, statement.seller?.email, `Seller ID: ${statement.sellerId}`] },
+      {
+        heading: "Invoice",
+        lines: [
+          `Number: ${invoice.number}`,
+          `Date: ${formatDate(invoice.issuedAt)}`,
+          `Period: ${formatDate(statement.periodStart)} – ${formatDate(new Date(new Date(statement.periodEnd).getTime() - 1))}`,
+        ],
+      },
+    ]);
+
+    const table = createTable(doc, [
+      { header: "Description", width: 5 },
+      { header: "Amount", width: 1.2, align: "right" },
+    ]);
+    table.addRow([
+      `Marketplace commission on ${statement.sales.orderCount} order(s), gross sales ${money(statement.sales.grossSales)}`,
+      money(statement.sales.normalCommission),
+    ]);
+    if (statement.sales.featuredExtraCommission > 0) {
+      table.addRow(["Featured listing extra commission", money(statement.sales.featuredExtraCommission)]);
+    }
+    if (statement.refunds.commissionAmount > 0) {
+      table.addRow([`Commission returned on ${statement.refunds.count} refund(s)`, money(-statement.refunds.commissionAmount)]);
+    }
+    table.end();
+
+    drawTotals(doc, [
+      { label: "Total commission", value: money(invoice.amount), bold: true },
+      { label: "Balance due", value: money(0) },
+    ]);
+    doc.font("Helvetica").fontSize(8).text(
+      "This commission was withheld from your sale proceeds before payout; no payment is required."
+    );
+  });
+};
+
+const findIssuedInvoice = async (sellerId, period) => {
+  const { closed } = parseStatementPeriod(period);
+  if (!closed) {
+    throw new ApiError(400, "The commission invoice is issued after the month ends");
+  }
+  const statement = await getSellerStatement(sellerId, period);
+  if (!statement.commissionInvoice?.number) {
+    throw new ApiError(404, "No commission was charged for this month, so no invoice was issued");
+  }
+  return statement;
+};
+
+const getMyStatements = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 12 } = req.query;
+  const seller = await findSellerForUser(req.user._id);
+
+  const result = await listSellerStatements(seller._id, parseInt(page), parseInt(limit));
+
+  return res.status(200).json(
+    new ApiResponse(200, result, "Statements retrieved successfully")
+  );
+});
+
+/** Closed months are issued on first access; the current month is a provisional preview. */
+const getMyStatement = asyncHandler(async (req, res) => {
+  const seller = await findSellerForUser(req.user._id);
+  const statement = await getSellerStatement(seller._id, req.params.period);
+
+  return res.status(200).json(
+    new ApiResponse(200, statement, "Statement retrieved successfully")
+  );
+});
+
+const downloadMyStatement = asyncHandler(async (req, res) => {
+  const seller = await findSellerForUser(req.user._id);
+  return sendStatementDownload(req, res, seller);
+});
+
+const downloadMyCommissionInvoice = asyncHandler(async (req, res) => {
+  const seller = await findSellerForUser(req.user._id);
+  const statement = await findIssuedInvoice(seller._id, req.params.period);
+  return streamCommissionInvoice(res, statement);
+});
+
+const getCommissionInvoices = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, sellerId, period } = req.query;
+
+  const match = { "commissionInvoice.number": { $type: "string" } };
+  if (sellerId && mongoose.Types.ObjectId.isValid(sellerId)) match.sellerId = sellerId;
+  if (period) match.period = parseStatementPeriod(period).period;
+
+  const invoices = await SellerStatement.find(match)
+    .select("sellerId period commissionInvoice sales.totalCommission refunds.commissionAmount seller.shopName")
+    .sort({ "commissionInvoice.issuedAt": -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit))
+    .lean();
+
+  const total = await SellerStatement.countDocuments(match);
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      invoices,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    }, "Commission invoices retrieved successfully")
+  );
+});
+
+const downloadSellerStatement = asyncHandler(async (req, res) => {
+  const seller = await findSellerById(req.params.sellerId);
+  return sendStatementDownload(req, res, seller);
+});
+
+const downloadSellerCommissionInvoice = asyncHandler(async (req, res) => {
+  const seller = await findSellerById(req.params.sellerId);
+  const statement = await findIssuedInvoice(seller._id, req.params.period);
+  return streamCommissionInvoice(res, statement);
+});
+
+export {
+  getMyStatements,
+  getMyStatement,
+  downloadMyStatement,
+  downloadMyCommissionInvoice,
+  getCommissionInvoices,
+  downloadSellerStatement,
+  downloadSellerCommissionInvoice,
+};
@@ -3,32 +3,35 @@ import { Session } from "../models/session.model.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
-import bcrypt from "bcrypt";
 import { fileUploader } from "../utils/cloudinary.js";
-import jwt from "jsonwebtoken";
 import mongoose from "mongoose";
 import crypto from "crypto";
 import { sendPasswordResetEmail, sendEmailVerificationOTP } from "../services/email.service.js";
 import nodemailer from "nodemailer";
 import { invalidateUserCache } from "../middlerwares/authmiddlerware.js";
-
-
-
-const generateRefreshTokenAndAccessToken = async (userid) => {
-
-    const user = await User.findById(userid).select('-password -refreshToken')
-
-    const accessToken = await user.generateAccessToken(user?._id)
-
-    const refreshToken = await user.generateRefreshToken(user?._id)
-
-    const bcryptRefreshToken = await bcrypt.hash(refreshToken, 10)
-
-    user.refreshToken = bcryptRefreshToken
-
-    await user.save({
-        validateBeforeSave: true
-    })
+import { logAction, logSecurityEvent } from "../services/audit.service.js";
+import { createSession, rotateSession, revokeSessions } from "../services/session.service.js";
+import { assertAccountNotLocked, recordFailedLogin } from "../services/accountSecurity.service.js";
+import { getErasureBlockers, eraseUserData } from "../services/privacy.service.js";
+import { mergeGuestHistoryOnLogin } from "../services/recentlyViewed.service.js";
+import {
+    isTwoFactorRequiredForRole,
+    startEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    regenerateBackupCodes,
+    disableTwoFactor,
+    getBackupCodesRemaining,
+    issueLoginChallenge,
+    verifyLoginChallenge,
+} from "../services/twoFactor.service.js";
+
+
+
+/** Opens a new device session for the user; `req` supplies the device details shown in the session list. */
+const generateRefreshTokenAndAccessToken = async (userid, req = null) => {
+
+    const { accessToken, refreshToken } = await createSession(userid, req)
 
     return { accessToken, refreshToken }
 }
@@ -76,34 +79,19 @@ const registerUser = asyncHandler(async (req, res) => {
 })
 
 
-const loginUser = asyncHandler(async (req, res) => {
+/** Issues session tokens for an authenticated user and sends the login payload. */
+const sendLoginResponse = async (req, res, userId) => {
 
-    const { email, password } = req.body
+    const { accessToken, refreshToken } = await generateRefreshTokenAndAccessToken(userId, req)
 
-    if (!email || !password) {
-        throw new ApiError(409, "All the feild requried")
-    }
-
-    const user = await User.findOne({ email })
-
-    if (!user) {
-        throw new ApiError(404, "User not Found")
-    }
-
-    const isPasswordValidate = await user.isPasswordCorrect(password)
-
-    if (!isPasswordValidate) {
-        throw new ApiError(401, "Password Wrong")
-    }
-
-    const { accessToken, refreshToken } = await generateRefreshTokenAndAccessToken(user._id)
+    await mergeGuestHistoryOnLogin(req, userId)
 
 
 
     const userAsSeller = await User.aggregate([
         {
             $match: {
-                _id: new mongoose.Types.ObjectId(user._id)
+                _id: new mongoose.Types.ObjectId(userId)
             }
         },
         {
@@ -126,6 +114,7 @@ const loginUser = asyncHandler(async (req, res) => {
                 email: 1,
                 roles: 1,
                 profileImage: 1,
+                twoFactorEnabled: 1,
                 seller: {
                     _id: "$seller._id",
                     shopName: "$seller.shopName",
@@ -137,6 +126,7 @@ const loginUser = asyncHandler(async (req, res) => {
                     city: "$seller.city",
                     payoutAccount: "$seller.payoutAccount",
                     kycDocs: "$seller.kycDocs",
+                    kycStatus: "$seller.kycStatus",
                     rating: "$seller.rating",
                     status: "$seller.status",
                     minPayoutAmount: "$seller.minPayoutAmount",
@@ -158,7 +148,7 @@ const loginUser = asyncHandler(async (req, res) => {
         sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
     }
 
-    res.status(200)
+    return res.status(200)
         .cookie("accessToken", accessToken, opition)
         .cookie("refreshToken", refreshToken, opition)
         .json(
@@ -169,66 +159,121 @@ const loginUser = asyncHandler(async (req, res) => {
             }, "User logged in successfully")
         )
 
-})
+}
 
+const loginUser = asyncHandler(async (req, res) => {
 
-const refreshAccessToken = asyncHandler(async (req, res) => {
+    const { email, password } = req.body
 
-    const incomingRefreshToken = (req.cookies?.refreshToken) || (req.body?.refreshToken);
+    if (!email || !password) {
+        throw new ApiError(409, "All the feild requried")
+    }
 
-    if (!incomingRefreshToken) {
-        throw new ApiError(401, "unauthorize")
+    const user = await User.findOne({ email })
+
+    if (!user) {
+        throw new ApiError(404, "User not Found")
     }
 
-    try {
+    assertAccountNotLocked(user)
 
-        const decoded = jwt.verify(incomingRefreshToken, process.env.REFRESH_TOKEN_SECRET)
-        const user = await User.findById(decoded._id)
-        if (!user) {
-            throw new ApiError(404, "User not found")
+    const isPasswordValidate = await user.isPasswordCorrect(password)
+
+    if (!isPasswordValidate) {
+        const lockUntil = await recordFailedLogin(user, req, "password")
+        if (lockUntil) {
+            throw new ApiError(423, "Too many failed sign-in attempts. Your account has been temporarily locked.")
         }
+        throw new ApiError(401, "Password Wrong")
+    }
+
+    if (user.twoFactorEnabled) {
+        return res.status(200).json(
+            new ApiResponse(200, {
+                twoFactorRequired: true,
+                challengeToken: issueLoginChallenge(user._id)
+            }, "Two-factor verification required")
+        )
+    }
 
-        const isRefreshTokenValid = await bcrypt.compare(incomingRefreshToken, user.refreshToken)
+    return sendLoginResponse(req, res, user._id)
 
-        if (!isRefreshTokenValid) {
-            throw new ApiError(401, "unauthorize")
-        }
+})
 
-        const { accessToken, refreshToken } = await generateRefreshTokenAndAccessToken(user._id)
+/** Second login step: exchanges the challenge token and a TOTP or recovery code for session tokens. */
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
 
-        const opition = {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+    const { challengeToken, code } = req.body
+
+    if (!challengeToken || !code) {
+        throw new ApiError(400, "Challenge token and code are required")
+    }
+
+    const userId = verifyLoginChallenge(challengeToken)
+
+    if (!userId) {
+        throw new ApiError(401, "Login challenge expired, please sign in again")
+    }
+
+    const user = await User.findById(userId).select("lockUntil").lean()
+
+    if (!user) {
+        throw new ApiError(401, "Login challenge expired, please sign in again")
+    }
+
+    assertAccountNotLocked(user)
+
+    const method = await verifySecondFactor(userId, code)
+
+    if (!method) {
+        const lockUntil = await recordFailedLogin(user, req, "2fa")
+        if (lockUntil) {
+            throw new ApiError(423, "Too many failed sign-in attempts. Your account has been temporarily locked.")
         }
-        res.status(200)
-            .cookie("accessToken", accessToken, opition)
-            .cookie("refreshToken", refreshToken, opition)
-            .json(
-                new ApiResponse(200, {
-                    refreshToken,
-                    accessToken
-                }, "Refersh Token successfully")
-            )
-
-    } catch (error) {
+        throw new ApiError(401, "Invalid two-factor code")
+    }
+
+    if (method === "backup_code") {
+        await logSecurityEvent("2fa_backup_code_used", userId, req.ip, req.get("user-agent"))
+    }
+
+    return sendLoginResponse(req, res, userId)
+
+})
+
+
+const refreshAccessToken = asyncHandler(async (req, res) => {
+
+    const incomingRefreshToken = (req.cookies?.refreshToken) || (req.body?.refreshToken);
+
+    if (!incomingRefreshToken) {
         throw new ApiError(401, "unauthorize")
     }
 
+    const { accessToken, refreshToken } = await rotateSession(incomingRefreshToken, req)
+
+    const opition = {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+    }
+    res.status(200)
+        .cookie("accessToken", accessToken, opition)
+        .cookie("refreshToken", refreshToken, opition)
+        .json(
+            new ApiResponse(200, {
+                refreshToken,
+                accessToken
+            }, "Refersh Token successfully")
+        )
+
 })
 
 
 const logoutUser = asyncHandler(async (req, res) => {
 
-    if (req.user && req.user._id) {
-        const user = await User.findById(req.user._id)
-
-        if (user) {
-            user.refreshToken = undefined
-            await user.save({
-                validateBeforeSave: true
-            })
-        }
+    if (req.user && req.user._id && req.sessionId) {
+        await revokeSessions({ _id: req.sessionId, userId: req.user._id }, "logout")
     }
 
     const opition = {
@@ -326,11 +371,11 @@ const googleOAuthCallback = asyncHandler(async (req, res) => {
     return res.redirect(`${frontendUrl}/login?error=oauth_failed`);
   }
 
-  const { accessToken, refreshToken } = await generateRefreshTokenAndAccessToken(user._id);
+  if (user.twoFactorEnabled) {
+    return res.redirect(`${frontendUrl}/auth/2fa?challenge=${issueLoginChallenge(user._id)}`);
+  }
 
-  user.lastLogin = new Date();
-  user.loginCount = (user.loginCount || 0) + 1;
-  await user.save();
+  const { accessToken, refreshToken } = await generateRefreshTokenAndAccessToken(user._id, req);
 
   const redirectUrl = `${frontendUrl}/auth/callback?token=${accessToken}&refreshToken=${refreshToken}`;
   return res.redirect(redirectUrl);
@@ -349,11 +394,11 @@ const facebookOAuthCallback = asyncHandler(async (req, res) => {
     return res.redirect(`${frontendUrl}/login?error=oauth_failed`);
   }
 
-  const { accessToken, refreshToken } = await generateRefreshTokenAndAccessToken(user._id);
+  if (user.twoFactorEnabled) {
+    return res.redirect(`${frontendUrl}/auth/2fa?challenge=${issueLoginChallenge(user._id)}`);
+  }
 
-  user.lastLogin = new Date();
-  user.loginCount = (user.loginCount || 0) + 1;
-  await user.save();
+  const { accessToken, refreshToken } = await generateRefreshTokenAndAccessToken(user._id, req);
 
   const redirectUrl = `${frontendUrl}/auth/callback?token=${accessToken}&refreshToken=${refreshToken}`;
   return res.redirect(redirectUrl);
@@ -537,6 +582,7 @@ const resetPassword = asyncHandler(async (req, res) => {
   user.passwordResetToken = undefined;
   user.passwordResetExpires = undefined;
   await user.save();
+  await revokeSessions({ userId: user._id }, "password_reset");
 
   return res.status(200).json(
     new ApiResponse(200, null, "Password reset successfully")
@@ -658,14 +704,28 @@ const deleteAccount = asyncHandler(async (req, res) => {
     throw new ApiError(401, "Incorrect password");
   }
 
-  user.isActive = false;
-  await user.save();
+  const blockers = await getErasureBlockers(userId);
+  if (blockers.length > 0) {
+    throw new ApiError(409, `Account cannot be deleted yet: ${blockers.join("; ")}`);
+  }
 
-  await Session.updateMany({ userId, isActive: true }, { isActive: false });
+  await revokeSessions({ userId }, "account_deleted");
+  const { erasedAt } = await eraseUserData(userId);
+  await invalidateUserCache(userId);
+  await logAction("account_erased", userId, "User", userId, { erasedAt });
 
-  return res.status(200).json(
-    new ApiResponse(200, null, "Account deleted successfully")
-  );
+  const opition = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+  };
+
+  return res.status(200)
+    .cookie("accessToken", "", { ...opition, maxAge: 0 })
+    .cookie("refreshToken", "", { ...opition, maxAge: 0 })
+    .json(
+      new ApiResponse(200, null, "Account deleted and personal data erased. Order and payment records are kept for accounting.")
+    );
 });
 
 const getActiveSessions = asyncHandler(async (req, res) => {
@@ -675,10 +735,19 @@ const getActiveSessions = asyncHandler(async (req, res) => {
     userId,
     isActive: true,
     expiresAt: { $gt: new Date() },
-  }).sort({ lastActivity: -1 });
+  })
+    .select("-token -refreshToken")
+    .sort({ lastActivity: -1 })
+    .lean();
+
+  const currentSessionId = req.sessionId?.toString();
+  const sessionsWithCurrent = sessions.map((session) => ({
+    ...session,
+    current: session._id.toString() === currentSessionId,
+  }));
 
   return res.status(200).json(
-    new ApiResponse(200, sessions, "Active sessions retrieved successfully")
+    new ApiResponse(200, sessionsWithCurrent, "Active sessions retrieved successfully")
   );
 });
 
@@ -690,14 +759,13 @@ const revokeSession = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid session ID");
   }
 
-  const session = await Session.findOne({ _id: sessionId, userId });
+  const session = await Session.findOne({ _id: sessionId, userId }).select("_id").lean();
 
   if (!session) {
     throw new ApiError(404, "Session not found");
   }
 
-  session.isActive = false;
-  await session.save();
+  await revokeSessions({ _id: session._id, userId }, "user_revoked");
 
   return res.status(200).json(
     new ApiResponse(200, null, "Session revoked successfully")
@@ -707,17 +775,118 @@ const revokeSession = asyncHandler(async (req, res) => {
 const revokeAllSessions = asyncHandler(async (req, res) => {
   const userId = req.user._id;
 
-  await Session.updateMany({ userId, isActive: true }, { isActive: false });
+  await revokeSessions({ userId }, "revoke_all");
 
   return res.status(200).json(
     new ApiResponse(200, null, "All sessions revoked successfully")
   );
 });
 
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const enabled = !!req.user.twoFactorEnabled;
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      enabled,
+      enabledAt: req.user.twoFactorEnabledAt || null,
+      required: isTwoFactorRequiredForRole(req.user.roles),
+      backupCodesRemaining: enabled ? await getBackupCodesRemaining(req.user._id) : 0,
+    }, "Two-factor status retrieved successfully")
+  );
+});
+
+/** Starts TOTP enrollment; the client renders `otpauthUrl` as a QR code. */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  if (req.user.twoFactorEnabled) {
+    throw new ApiError(400, "Two-factor authentication is already enabled");
+  }
+
+  const { secret, otpauthUrl } = await startEnrollment(req.user);
+
+  return res.status(200).json(
+    new ApiResponse(200, { secret, otpauthUrl }, "Scan the QR code and confirm with a code from your app")
+  );
+});
+
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    throw new ApiError(400, "Verification code is required");
+  }
+  if (req.user.twoFactorEnabled) {
+    throw new ApiError(400, "Two-factor authentication is already enabled");
+  }
+
+  const backupCodes = await confirmEnrollment(req.user._id, code);
+  if (!backupCodes) {
+    throw new ApiError(400, "Invalid verification code or no enrollment in progress");
+  }
+
+  await invalidateUserCache(req.user._id);
+  await logSecurityEvent("2fa_enabled", req.user._id, req.ip, req.get("user-agent"));
+
+  return res.status(200).json(
+    new ApiResponse(200, { backupCodes }, "Two-factor authentication enabled. Store your recovery codes safely.")
+  );
+});
+
+const disableTwoFactorAuth = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  if (!req.user.twoFactorEnabled) {
+    throw new ApiError(400, "Two-factor authentication is not enabled");
+  }
+  if (isTwoFactorRequiredForRole(req.user.roles)) {
+    throw new ApiError(403, "Two-factor authentication is mandatory for admin accounts");
+  }
+  if (!code) {
+    throw new ApiError(400, "Verification code is required");
+  }
+
+  const user = await User.findById(req.user._id);
+  if (user.password) {
+    if (!password || !(await user.isPasswordCorrect(password))) {
+      throw new ApiError(401, "Password wrong");
+    }
+  }
+
+  if (!(await verifySecondFactor(req.user._id, code))) {
+    throw new ApiError(401, "Invalid two-factor code");
+  }
+
+  await disableTwoFactor(req.user._id);
+  await invalidateUserCache(req.user._id);
+  await logSecurityEvent("2fa_disabled", req.user._id, req.ip, req.get("user-agent"));
+
+  return res.status(200).json(
+    new ApiResponse(200, null, "Two-factor authentication disabled")
+  );
+});
+
+const regenerateTwoFactorBackupCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!req.user.twoFactorEnabled) {
+    throw new ApiError(400, "Two-factor authentication is not enabled");
+  }
+  if (!code || !(await verifySecondFactor(req.user._id, code))) {
+    throw new ApiError(401, "Invalid two-factor code");
+  }
+
+  const backupCodes = await regenerateBackupCodes(req.user._id);
+  await logSecurityEvent("2fa_backup_codes_regenerated", req.user._id, req.ip, req.get("user-agent"));
+
+  return res.status(200).json(
+    new ApiResponse(200, { backupCodes }, "Recovery codes regenerated")
+  );
+});
+
 export { 
   generateRefreshTokenAndAccessToken,
   registerUser, 
   loginUser, 
+  verifyTwoFactorLogin,
   refreshAccessToken, 
   logoutUser,
   getProfile,
@@ -739,4 +908,9 @@ export {
   getActiveSessions,
   revokeSession,
   revokeAllSessions,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactorAuth,
+  regenerateTwoFactorBackupCodes,
 }
\ No newline at end of file
@@ -10,6 +10,8 @@ import { auditLog } from "../services/audit.service.js";
 import { renewSubscription, handleSubscriptionPaymentFailure } from "../services/subscription.service.js";
 import { verifyPayPalWebhook } from "../services/payment.service.js";
 import { blockPayoutsForOrder } from "../services/payout.service.js";
+import { handlePayoutBatchItemWebhook, handlePayoutBatchWebhook } from "../services/payoutBatch.service.js";
+import { recordDisputeEvent } from "../services/dispute.service.js";
 import paypal from "@paypal/checkout-server-sdk";
 
 /** Handles PayPal webhooks: verifies signature, dispatches by event type. Returns 200 for audit. */
@@ -58,6 +60,8 @@ const handlePayPalWebhook = asyncHandler(async (req, res) => {
     'PAYMENT.CAPTURE.REFUNDED',
     'CHECKOUT.ORDER.APPROVED',
     'CUSTOMER.DISPUTE.CREATED',
+    'CUSTOMER.DISPUTE.UPDATED',
+    'CUSTOMER.DISPUTE.RESOLVED',
     'PAYOUTS.PAYOUT.COMPLETED',
     'PAYOUTS.PAYOUT.FAILED',
     'PAYOUTS-ITEM.SUCCEEDED',
@@ -104,7 +108,17 @@ const handlePayPalWebhook = asyncHandler(async (req, res) => {
 
       case "CUSTOMER.DISPUTE.CREATED":
         logger.info(`[WEBHOOK] Processing CUSTOMER.DISPUTE.CREATED for resource.id: ${resourceId}`);
-        await handleCustomerDisputeCreated(resource);
+        await recordDisputeEvent(eventType, resource);
+        break;
+
+      case "CUSTOMER.DISPUTE.UPDATED":
+        logger.info(`[WEBHOOK] Processing CUSTOMER.DISPUTE.UPDATED for resource.id: ${resourceId}`);
+        await recordDisputeEvent(eventType, resource);
+        break;
+
+      case "CUSTOMER.DISPUTE.RESOLVED":
+        logger.info(`[WEBHOOK] Processing CUSTOMER.DISPUTE.RESOLVED for resource.id: ${resourceId}`);
+        await recordDisputeEvent(eventType, resource);
         break;
 
       case "PAYOUTS.PAYOUT.COMPLETED":
@@ -350,6 +364,10 @@ const handlePaymentRefunded = async (resource) => {
 const handlePayoutCompleted = async (resource) => {
   const payoutBatchId = resource.payout_batch_id;
 
+  if (await handlePayoutBatchWebhook(payoutBatchId || resource.batch_header?.payout_batch_id)) {
+    return;
+  }
+
   const payout = await Payout.findOne({ paypalBatchId: payoutBatchId });
 
   if (!payout) {
@@ -382,6 +400,10 @@ const handlePayoutCompleted = async (resource) => {
 const handlePayoutFailed = async (resource) => {
   const payoutBatchId = resource.payout_batch_id;
 
+  if (await handlePayoutBatchWebhook(payoutBatchId || resource.batch_header?.payout_batch_id)) {
+    return;
+  }
+
   const payout = await Payout.findOne({ paypalBatchId: payoutBatchId });
 
   if (!payout) {
@@ -412,6 +434,10 @@ const handlePayoutFailed = async (resource) => {
 };
 
 const handlePayoutItemSucceeded = async (resource) => {
+  if (await handlePayoutBatchItemWebhook(resource, true)) {
+    return;
+  }
+
   const payoutItemId =
     resource.payout_item_id ||
     resource.payout_item?.payout_item_id ||
@@ -476,6 +502,10 @@ const handlePayoutItemSucceeded = async (resource) => {
 };
 
 const handlePayoutItemFailed = async (resource) => {
+  if (await handlePayoutBatchItemWebhook(resource, false)) {
+    return;
+  }
+
   const payoutItemId =
     resource.payout_item_id ||
     resource.payout_item?.payout_item_id ||
@@ -562,17 +592,6 @@ const handleCheckoutOrderApproved = async (resource) => {
   });
 };
 
-const handleCustomerDisputeCreated = async (resource) => {
-  const disputeId = resource.dispute_id || resource.id;
-  const status = resource.status;
-
-  logger.warn('[WEBHOOK] CUSTOMER.DISPUTE.CREATED received', {
-    disputeId,
-    status,
-    reason: resource.reason,
-  });
-};
-
 const handleSubscriptionCreated = async (resource) => {
   const subscriptionId = resource.id;
   logger.info(`[WEBHOOK] Subscription created: ${subscriptionId}`);
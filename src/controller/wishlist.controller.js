@@ -3,6 +3,7 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { Wishlist } from "../models/wishlist.model.js";
+import { updateWishlistAlerts as saveWishlistAlerts } from "../services/wishlistAlert.service.js";
 
 const addToWishlist = asyncHandler(async (req, res) => {
   const { productId } = req.body;
@@ -99,4 +100,18 @@ const clearWishlist = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, clearedWishlist.products, "Wishlist cleared successfully"));
 });
 
-export { addToWishlist, getWishlist, removeFromWishlist, clearWishlist };
+const updateWishlistAlerts = asyncHandler(async (req, res) => {
+  const { productId, priceDrop, backInStock } = req.body;
+
+  if (!productId) {
+    throw new ApiError(400, "Missing required fields");
+  }
+
+  const item = await saveWishlistAlerts(req.user._id, productId, { priceDrop, backInStock });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, item, "Wishlist alerts updated"));
+});
+
+export { addToWishlist, getWishlist, removeFromWishlist, clearWishlist, updateWishlistAlerts };
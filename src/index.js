@@ -5,6 +5,16 @@ import { app } from "./app.js";
 import { initializeSocketIO } from "./socket/socket.io.js";
 import { scheduleDailyPayouts } from "./jobs/payout.job.js";
 import { scheduleRuntimeRefresh, refreshRuntime } from "./jobs/runtimeRefresh.job.js";
+import { scheduleCheckoutExpiry } from "./jobs/checkoutExpiry.job.js";
+import { scheduleScheduledReports } from "./jobs/scheduledReport.job.js";
+import { scheduleBackorderRefunds } from "./jobs/backorder.job.js";
+import { scheduleRefundEscalation } from "./jobs/refundEscalation.job.js";
+import { scheduleDataExportCleanup } from "./jobs/dataExport.job.js";
+import { scheduleKycExpiry } from "./jobs/kycExpiry.job.js";
+import { scheduleSellerTierRefresh } from "./jobs/sellerTier.job.js";
+import { scheduleSellerStatements } from "./jobs/sellerStatement.job.js";
+import { scheduleRecommendationRefresh } from "./jobs/recommendation.job.js";
+import { scheduleWishlistAlerts } from "./jobs/wishlistAlert.job.js";
 import { logger } from "./utils/logger.js";
 import http from 'http';
 
@@ -28,7 +38,18 @@ import http from 'http';
         if (process.env.REDIS_URL) {
           scheduleDailyPayouts();
           scheduleRuntimeRefresh();
+          scheduleCheckoutExpiry();
+          scheduleScheduledReports();
+          scheduleBackorderRefunds();
+          scheduleRefundEscalation();
+          scheduleDataExportCleanup();
+          scheduleKycExpiry();
+          scheduleSellerTierRefresh();
+          scheduleSellerStatements();
+          scheduleRecommendationRefresh();
+          scheduleWishlistAlerts();
           await refreshRuntime();
+          await import('./jobs/keyReencryption.job.js');
           const { emailWorker } = await import('./jobs/email.job.js');
           if (emailWorker) {
             logger.info('Email worker initialized');
@@ -0,0 +1,34 @@
+import { Queue, Worker } from "bullmq";
+import { connection } from "./payout.job.js";
+import { refundExpiredBackorders } from "../services/backorder.service.js";
+import { logger } from "../utils/logger.js";
+
+const QUEUE_NAME = "backorder-refunds";
+
+export const backorderQueue = new Queue(QUEUE_NAME, { connection });
+
+export const backorderWorker = new Worker(
+  QUEUE_NAME,
+  async () => {
+    return await refundExpiredBackorders();
+  },
+  { connection, concurrency: 1 }
+);
+
+backorderWorker.on("failed", (job, err) => {
+  logger.error(`[BACKORDER] Job ${job?.id} failed:`, err?.message || err);
+});
+
+/** Schedules the expired-backorder refund sweep every 15 minutes. */
+export const scheduleBackorderRefunds = () => {
+  backorderQueue.add(
+    "refund-expired-backorders",
+    {},
+    {
+      repeat: { pattern: "*/15 * * * *" },
+      attempts: 2,
+      backoff: { type: "exponential", delay: 5000 },
+    }
+  );
+  logger.info("[BACKORDER] Refund sweep scheduled");
+};
@@ -0,0 +1,74 @@
+import { Queue, Worker } from "bullmq";
+import { connection } from "./payout.job.js";
+import { Checkout } from "../models/checkout.model.js";
+import { releaseCheckoutReservations } from "../services/key.service.js";
+import { logger } from "../utils/logger.js";
+
+const QUEUE_NAME = "checkout-expiry";
+const BATCH_SIZE = 200;
+
+export const checkoutExpiryQueue = new Queue(QUEUE_NAME, { connection });
+
+/**
+ * Marks pending checkouts past expiresAt as expired and returns their reserved
+ * license keys to stock. Checkouts with a PayPal order have expiresAt pushed out to
+ * CHECKOUT_PAYPAL_HOLD_MS when the order is created, so a late capture still finds them pending.
+ */
+export const expireStaleCheckouts = async () => {
+  const stale = await Checkout.find({
+    status: "pending",
+    expiresAt: { $lt: new Date() },
+  })
+    .select("_id")
+    .limit(BATCH_SIZE)
+    .lean();
+
+  let expired = 0;
+  let releasedKeys = 0;
+
+  for (const { _id } of stale) {
+    const updated = await Checkout.findOneAndUpdate(
+      { _id, status: "pending" },
+      { $set: { status: "expired" } }
+    );
+    if (!updated) continue;
+
+    try {
+      releasedKeys += await releaseCheckoutReservations(_id);
+      expired++;
+    } catch (error) {
+      logger.error(`[CHECKOUT_EXPIRY] Failed to release keys for checkout ${_id}:`, error?.message || error);
+    }
+  }
+
+  if (expired > 0) {
+    logger.info("[CHECKOUT_EXPIRY] Expired stale checkouts", { expired, releasedKeys });
+  }
+  return { expired, releasedKeys };
+};
+
+export const checkoutExpiryWorker = new Worker(
+  QUEUE_NAME,
+  async () => {
+    return await expireStaleCheckouts();
+  },
+  { connection, concurrency: 1 }
+);
+
+checkoutExpiryWorker.on("failed", (job, err) => {
+  logger.error(`[CHECKOUT_EXPIRY] Job ${job?.id} failed:`, err?.message || err);
+});
+
+/** Schedules the expiry sweep every 5 minutes. */
+export const scheduleCheckoutExpiry = () => {
+  checkoutExpiryQueue.add(
+    "expire-stale-checkouts",
+    {},
+    {
+      repeat: { pattern: "*/5 * * * *" },
+      attempts: 2,
+      backoff: { type: "exponential", delay: 5000 },
+    }
+  );
+  logger.info("[CHECKOUT_EXPIRY] Expiry sweep scheduled");
+};
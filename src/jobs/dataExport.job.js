@@ -0,0 +1,83 @@
+import { Queue, Worker } from "bullmq";
+import { connection } from "./payout.job.js";
+import { runDataExport, purgeExpiredDataExports } from "../services/privacy.service.js";
+import { notifyDataExportReady } from "../services/notification.service.js";
+import { logger } from "../utils/logger.js";
+
+const QUEUE_NAME = "data-export";
+const isRedisAvailable = !!process.env.REDIS_URL;
+
+let dataExportQueue = null;
+let dataExportWorker = null;
+
+/** Builds one export archive and tells the user it can be downloaded. */
+export const processDataExport = async (exportId) => {
+  const dataExport = await runDataExport(exportId);
+  if (!dataExport) return null;
+
+  try {
+    await notifyDataExportReady(dataExport.userId, dataExport);
+  } catch (error) {
+    logger.error(`[DATA_EXPORT] Failed to notify user for export ${exportId} (non-critical):`, error?.message || error);
+  }
+  logger.info("[DATA_EXPORT] Archive ready", { exportId, sizeBytes: dataExport.sizeBytes });
+  return { exportId, sizeBytes: dataExport.sizeBytes };
+};
+
+if (isRedisAvailable) {
+  dataExportQueue = new Queue(QUEUE_NAME, { connection });
+
+  dataExportWorker = new Worker(
+    QUEUE_NAME,
+    async (job) => {
+      if (job.name === "purge-expired-exports") {
+        return { purged: await purgeExpiredDataExports() };
+      }
+      return await processDataExport(job.data.exportId);
+    },
+    { connection, concurrency: 1 }
+  );
+
+  dataExportWorker.on("failed", (job, err) => {
+    logger.error(`[DATA_EXPORT] Job ${job?.id} failed:`, err?.message || err);
+  });
+}
+
+/** Queues an export build; runs in-process when Redis is unavailable. */
+export const queueDataExport = async (exportId) => {
+  if (!dataExportQueue) {
+    processDataExport(exportId).catch((error) => {
+      logger.error(`[DATA_EXPORT] Direct run failed for export ${exportId}:`, error);
+    });
+    return { method: "direct" };
+  }
+
+  const job = await dataExportQueue.add(
+    "build-data-export",
+    { exportId: exportId.toString() },
+    {
+      jobId: `data-export-${exportId}`,
+      attempts: 3,
+      backoff: { type: "exponential", delay: 10000 },
+      removeOnComplete: { age: 7 * 24 * 3600 },
+    }
+  );
+  return { method: "queue", jobId: job.id };
+};
+
+/** Schedules the daily removal of archives past their download window. */
+export const scheduleDataExportCleanup = () => {
+  if (!dataExportQueue) return;
+  dataExportQueue.add(
+    "purge-expired-exports",
+    {},
+    {
+      repeat: { pattern: "30 3 * * *" },
+      attempts: 2,
+      backoff: { type: "exponential", delay: 5000 },
+    }
+  );
+  logger.info("[DATA_EXPORT] Expired archive cleanup scheduled");
+};
+
+export { dataExportWorker };
@@ -8,6 +8,8 @@ import {
   sendPayoutNotification,
   sendRefundDecisionCustomerEmail,
   sendRefundDecisionSellerEmail,
+  sendRefundEscalatedEmail,
+  sendRefundSellerReviewReminderEmail,
   sendRefundRequestToAdminEmail,
   sendSellerApprovedEmail,
   sendSellerNewOrderEmail,
@@ -15,6 +17,8 @@ import {
   sendSellerSubmissionConfirmationEmail,
   sendSellerSubmissionToAdminEmail,
   sendSupportTicketCreatedToAdminEmail,
+  sendSuspiciousLoginEmail,
+  sendWishlistAlertEmail,
 } from '../services/email.service.js';
 import { Order } from '../models/order.model.js';
 import { User } from '../models/user.model.js';
@@ -217,6 +221,22 @@ const processEmailJob = async (type, data) => {
     case 'refund_decision_seller':
       await sendRefundDecisionSellerEmail(data);
       break;
+
+    case 'refund_seller_review_reminder':
+      await sendRefundSellerReviewReminderEmail(data);
+      break;
+
+    case 'refund_escalated':
+      await sendRefundEscalatedEmail(data);
+      break;
+
+    case 'suspicious_login':
+      await sendSuspiciousLoginEmail(data);
+      break;
+
+    case 'wishlist_alerts':
+      await sendWishlistAlertEmail(data);
+      break;
       
     default:
       throw new Error(`Unknown email type: ${type}`);
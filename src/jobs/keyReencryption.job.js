@@ -0,0 +1,172 @@
+import { Queue, Worker } from "bullmq";
+import mongoose from "mongoose";
+import { connection } from "./payout.job.js";
+import { LicenseKey } from "../models/licensekey.model.js";
+import { SellerPayoutAccount } from "../models/sellerPayoutAccount.model.js";
+import { User } from "../models/user.model.js";
+import { KeyImport } from "../models/keyImport.model.js";
+import { ProductImport } from "../models/productImport.model.js";
+import { getCurrentKeyId, reencryptKey } from "../utils/encryption.js";
+import { logger } from "../utils/logger.js";
+
+const QUEUE_NAME = "license-key-reencryption";
+const BATCH_SIZE = 500;
+const isRedisAvailable = !!process.env.REDIS_URL;
+
+let reencryptionQueue = null;
+let reencryptionWorker = null;
+
+/**
+ * Every field written with encryptKey. An old key can only be dropped from ENCRYPTION_KEYS
+ * once all of these report zero pending documents.
+ */
+const ENCRYPTED_FIELDS = [
+  { name: "licenseKeys", model: LicenseKey, field: "keyData" },
+  { name: "payoutAccounts", model: SellerPayoutAccount, field: "encryptedAccountIdentifier" },
+  { name: "twoFactorSecrets", model: User, field: "twoFactorSecret" },
+  { name: "twoFactorPendingSecrets", model: User, field: "twoFactorPendingSecret" },
+  { name: "keyImportRejectedRows", model: KeyImport, field: "rejectedRows" },
+  { name: "productImportPendingRows", model: ProductImport, field: "pendingRows" },
+];
+
+const notUnderCurrentKey = (field) => ({
+  [field]: { $type: "string", $ne: "", $not: new RegExp(`^${getCurrentKeyId()}:`) },
+});
+
+/** Re-wraps one encrypted field, walking the collection by _id from `afterId`. */
+const reencryptField = async ({ name, model, field }, { afterId = null, onProgress = null } = {}) => {
+  let lastId = afterId;
+  let rewrapped = 0;
+  let failed = 0;
+
+  while (true) {
+    const filter = lastId
+      ? { ...notUnderCurrentKey(field), _id: { $gt: new mongoose.Types.ObjectId(lastId) } }
+      : notUnderCurrentKey(field);
+
+    const batch = await model.find(filter)
+      .select(`_id ${field}`)
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+
+    if (batch.length === 0) break;
+
+    const ops = [];
+    for (const doc of batch) {
+      try {
+        ops.push({
+          updateOne: {
+            // Guard on the old ciphertext so a concurrent write is never overwritten.
+            filter: { _id: doc._id, [field]: doc[field] },
+            update: { $set: { [field]: reencryptKey(doc[field]) } },
+          },
+        });
+      } catch (error) {
+        failed++;
+        logger.error(`[KEY_REENCRYPTION] Failed to re-encrypt ${name} ${doc._id}:`, error.message);
+      }
+    }
+
+    if (ops.length > 0) {
+      const result = await model.bulkWrite(ops, { ordered: false });
+      rewrapped += result.modifiedCount;
+    }
+
+    lastId = batch[batch.length - 1]._id.toString();
+    if (onProgress) {
+      await onProgress({ lastId, rewrapped, failed });
+    }
+  }
+
+  return { rewrapped, failed };
+};
+
+/**
+ * Re-wraps every encrypted field (license keys, payout account identifiers, TOTP secrets,
+ * rejected import rows) not yet under the current key. Resumable: pass the last reported
+ * `field` and `lastId`; values already under the current key are never selected, so
+ * re-running from the start is also safe.
+ */
+export const reencryptStoredSecrets = async ({ field: resumeField = null, afterId = null, onProgress = null } = {}) => {
+  const currentKeyId = getCurrentKeyId();
+  const startIndex = Math.max(ENCRYPTED_FIELDS.findIndex((entry) => entry.name === resumeField), 0);
+  const results = {};
+  let rewrapped = 0;
+  let failed = 0;
+
+  for (const entry of ENCRYPTED_FIELDS.slice(startIndex)) {
+    const result = await reencryptField(entry, {
+      afterId: entry.name === resumeField ? afterId : null,
+      onProgress: onProgress
+        ? (progress) => onProgress({ field: entry.name, ...progress, totalRewrapped: rewrapped + progress.rewrapped })
+        : null,
+    });
+    results[entry.name] = result;
+    rewrapped += result.rewrapped;
+    failed += result.failed;
+  }
+
+  logger.info("[KEY_REENCRYPTION] Completed", { currentKeyId, rewrapped, failed, results });
+  return { currentKeyId, rewrapped, failed, results };
+};
+
+/** Stored values still encrypted under a key other than the current one, per field. */
+export const getReencryptionStatus = async () => {
+  const counts = await Promise.all(
+    ENCRYPTED_FIELDS.map(({ model, field }) => model.countDocuments(notUnderCurrentKey(field)))
+  );
+  const pending = Object.fromEntries(ENCRYPTED_FIELDS.map(({ name }, index) => [name, counts[index]]));
+  return {
+    currentKeyId: getCurrentKeyId(),
+    pendingKeys: pending.licenseKeys,
+    pending,
+    pendingTotal: counts.reduce((sum, count) => sum + count, 0),
+  };
+};
+
+if (isRedisAvailable) {
+  reencryptionQueue = new Queue(QUEUE_NAME, { connection });
+
+  reencryptionWorker = new Worker(
+    QUEUE_NAME,
+    async (job) => {
+      return await reencryptStoredSecrets({
+        field: job.progress?.field || null,
+        afterId: job.progress?.lastId || null,
+        onProgress: (progress) => job.updateProgress(progress),
+      });
+    },
+    { connection, concurrency: 1 }
+  );
+
+  reencryptionWorker.on("failed", (job, err) => {
+    logger.error(`[KEY_REENCRYPTION] Job ${job?.id} failed:`, err?.message || err);
+  });
+}
+
+/** Queues a re-encryption run for the current key; runs in-process when Redis is unavailable. */
+export const queueReencryption = async () => {
+  const currentKeyId = getCurrentKeyId();
+
+  if (!reencryptionQueue) {
+    reencryptStoredSecrets().catch((error) => {
+      logger.error("[KEY_REENCRYPTION] Direct run failed:", error);
+    });
+    return { method: "direct", currentKeyId };
+  }
+
+  const job = await reencryptionQueue.add(
+    "reencrypt-stored-secrets",
+    {},
+    {
+      jobId: `reencrypt-${currentKeyId}-${Date.now()}`,
+      attempts: 5,
+      backoff: { type: "exponential", delay: 10000 },
+      removeOnComplete: { age: 7 * 24 * 3600 },
+    }
+  );
+  return { method: "queue", jobId: job.id, currentKeyId };
+};
+
+export { reencryptionWorker };
@@ -0,0 +1,34 @@
+import { Queue, Worker } from "bullmq";
+import { connection } from "./payout.job.js";
+import { expireKycDocuments } from "../services/kyc.service.js";
+import { logger } from "../utils/logger.js";
+
+const QUEUE_NAME = "kyc-expiry";
+
+export const kycExpiryQueue = new Queue(QUEUE_NAME, { connection });
+
+export const kycExpiryWorker = new Worker(
+  QUEUE_NAME,
+  async () => {
+    return await expireKycDocuments();
+  },
+  { connection, concurrency: 1 }
+);
+
+kycExpiryWorker.on("failed", (job, err) => {
+  logger.error(`[KYC_EXPIRY] Job ${job?.id} failed:`, err?.message || err);
+});
+
+/** Schedules the daily sweep that expires KYC documents and forces re-verification. */
+export const scheduleKycExpiry = () => {
+  kycExpiryQueue.add(
+    "expire-kyc-documents",
+    {},
+    {
+      repeat: { pattern: "0 2 * * *" },
+      attempts: 2,
+      backoff: { type: "exponential", delay: 5000 },
+    }
+  );
+  logger.info("[KYC_EXPIRY] Daily expiry sweep scheduled");
+};
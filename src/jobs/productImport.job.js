@@ -0,0 +1,67 @@
+import { Queue, Worker } from "bullmq";
+import { connection } from "./payout.job.js";
+import { runProductImport } from "../services/productImport.service.js";
+import { notifyProductImportFinished } from "../services/notification.service.js";
+import { logger } from "../utils/logger.js";
+
+const QUEUE_NAME = "product-import";
+const isRedisAvailable = !!process.env.REDIS_URL;
+
+let productImportQueue = null;
+let productImportWorker = null;
+
+/** Imports the rows of one committed spreadsheet and tells the seller how it went. */
+export const processProductImport = async (importId) => {
+  const productImport = await runProductImport(importId);
+  if (!productImport) return null;
+
+  try {
+    await notifyProductImportFinished(productImport.uploadedBy, productImport);
+  } catch (error) {
+    logger.error(`[PRODUCT_IMPORT] Failed to notify seller for import ${importId} (non-critical):`, error?.message || error);
+  }
+  logger.info("[PRODUCT_IMPORT] Import finished", {
+    importId,
+    created: productImport.created,
+    failed: productImport.failed,
+  });
+  return { importId, created: productImport.created, failed: productImport.failed };
+};
+
+if (isRedisAvailable) {
+  productImportQueue = new Queue(QUEUE_NAME, { connection });
+
+  productImportWorker = new Worker(
+    QUEUE_NAME,
+    async (job) => await processProductImport(job.data.importId),
+    { connection, concurrency: 1 }
+  );
+
+  productImportWorker.on("failed", (job, err) => {
+    logger.error(`[PRODUCT_IMPORT] Job ${job?.id} failed:`, err?.message || err);
+  });
+}
+
+/** Queues a product import; runs in-process when Redis is unavailable. */
+export const queueProductImport = async (importId) => {
+  if (!productImportQueue) {
+    processProductImport(importId).catch((error) => {
+      logger.error(`[PRODUCT_IMPORT] Direct run failed for import ${importId}:`, error);
+    });
+    return { method: "direct" };
+  }
+
+  const job = await productImportQueue.add(
+    "run-product-import",
+    { importId: importId.toString() },
+    {
+      jobId: `product-import-${importId}`,
+      attempts: 3,
+      backoff: { type: "exponential", delay: 10000 },
+      removeOnComplete: { age: 7 * 24 * 3600 },
+    }
+  );
+  return { method: "queue", jobId: job.id };
+};
+
+export { productImportWorker };
@@ -0,0 +1,34 @@
+import { Queue, Worker } from "bullmq";
+import { connection } from "./payout.job.js";
+import { refreshRecommendations } from "../services/recommendation.service.js";
+import { logger } from "../utils/logger.js";
+
+const QUEUE_NAME = "product-recommendations";
+
+export const recommendationQueue = new Queue(QUEUE_NAME, { connection });
+
+export const recommendationWorker = new Worker(
+  QUEUE_NAME,
+  async () => {
+    return await refreshRecommendations();
+  },
+  { connection, concurrency: 1 }
+);
+
+recommendationWorker.on("failed", (job, err) => {
+  logger.error(`[RECOMMENDATIONS] Job ${job?.id} failed:`, err?.message || err);
+});
+
+/** Schedules the nightly rebuild of product recommendation lists. */
+export const scheduleRecommendationRefresh = () => {
+  recommendationQueue.add(
+    "refresh-recommendations",
+    {},
+    {
+      repeat: { pattern: "15 3 * * *" },
+      attempts: 2,
+      backoff: { type: "exponential", delay: 5000 },
+    }
+  );
+  logger.info("[RECOMMENDATIONS] Nightly recommendation refresh scheduled");
+};
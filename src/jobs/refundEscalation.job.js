@@ -0,0 +1,171 @@
+import { Queue, Worker } from "bullmq";
+import { connection } from "./payout.job.js";
+import { ReturnRefund } from "../models/returnrefund.model.js";
+import { Seller } from "../models/seller.model.js";
+import { User } from "../models/user.model.js";
+import { SELLER_REVIEW_HOURS } from "../constants.js";
+import { auditLog } from "../services/audit.service.js";
+import { handleRefundEscalated, handleRefundSellerReviewReminder } from "../services/marketplaceEvents.service.js";
+import { logger } from "../utils/logger.js";
+
+const QUEUE_NAME = "refund-escalation";
+const BATCH_SIZE = 200;
+const REVIEW_WINDOW_MS = SELLER_REVIEW_HOURS * 60 * 60 * 1000;
+
+export const refundEscalationQueue = new Queue(QUEUE_NAME, { connection });
+
+const loadParticipants = async (refund) => {
+  const seller = await Seller.findById(refund.sellerId).select("shopName userId").lean();
+  const [customer, sellerUser] = await Promise.all([
+    User.findById(refund.userId).select("name email").lean(),
+    seller?.userId ? User.findById(seller.userId).select("name email").lean() : null,
+  ]);
+  return { customer, seller, sellerUser };
+};
+
+const reviewStartedAt = (refund) => refund.sellerReviewStartedAt || refund.createdAt;
+
+/** Reminds sellers at the halfway mark of the review window, once per refund. */
+const sendHalfwayReminders = async (now) => {
+  const halfwayBefore = new Date(now.getTime() - REVIEW_WINDOW_MS / 2);
+  const deadlineAfter = new Date(now.getTime() - REVIEW_WINDOW_MS);
+  const due = await ReturnRefund.find({
+    status: "SELLER_REVIEW",
+    sellerReviewReminderSentAt: null,
+    $or: [
+      { sellerReviewStartedAt: { $lte: halfwayBefore, $gt: deadlineAfter } },
+      { sellerReviewStartedAt: null, createdAt: { $lte: halfwayBefore, $gt: deadlineAfter } },
+    ],
+  })
+    .populate("orderId", "orderNumber")
+    .populate("productId", "name")
+    .limit(BATCH_SIZE)
+    .lean();
+
+  let reminded = 0;
+  for (const refund of due) {
+    const claimed = await ReturnRefund.findOneAndUpdate(
+      { _id: refund._id, status: "SELLER_REVIEW", sellerReviewReminderSentAt: null },
+      { $set: { sellerReviewReminderSentAt: now } }
+    );
+    if (!claimed) continue;
+
+    try {
+      const { seller, sellerUser } = await loadParticipants(refund);
+      await handleRefundSellerReviewReminder({
+        refund,
+        order: refund.orderId,
+        product: refund.productId,
+        seller,
+        sellerUser,
+        deadline: new Date(reviewStartedAt(refund).getTime() + REVIEW_WINDOW_MS),
+      });
+      reminded++;
+    } catch (error) {
+      logger.error(`[REFUND_ESCALATION] Reminder failed for refund ${refund._id}:`, error?.message || error);
+    }
+  }
+  return reminded;
+};
+
+/** Moves refunds past the seller review window to admin review. */
+const escalateOverdueRefunds = async (now) => {
+  const deadlineBefore = new Date(now.getTime() - REVIEW_WINDOW_MS);
+  const overdue = await ReturnRefund.find({
+    status: "SELLER_REVIEW",
+    $or: [
+      { sellerReviewStartedAt: { $lte: deadlineBefore } },
+      { sellerReviewStartedAt: null, createdAt: { $lte: deadlineBefore } },
+    ],
+  })
+    .select("_id")
+    .limit(BATCH_SIZE)
+    .lean();
+
+  let escalated = 0;
+  for (const { _id } of overdue) {
+    const refund = await ReturnRefund.findOneAndUpdate(
+      { _id, status: "SELLER_REVIEW" },
+      {
+        $set: { status: "ADMIN_REVIEW", currentStage: "ADMIN_REVIEW", sellerReviewEscalatedAt: now },
+        $push: {
+          refundHistory: {
+            actor: "system",
+            action: "AUTO_ESCALATE_TO_ADMIN",
+            previousStatus: "SELLER_REVIEW",
+            newStatus: "ADMIN_REVIEW",
+            notes: `Seller did not review within ${SELLER_REVIEW_HOURS} hours`,
+            timestamp: now,
+          },
+        },
+      },
+      { new: true }
+    )
+      .populate("orderId", "orderNumber")
+      .populate("productId", "name")
+      .lean();
+    if (!refund) continue;
+
+    escalated++;
+    try {
+      await auditLog(null, "REFUND_AUTO_ESCALATED", `Refund ${_id} escalated to admin after seller review deadline`, {
+        refundId: _id,
+        reviewHours: SELLER_REVIEW_HOURS,
+      });
+      const { customer, seller, sellerUser } = await loadParticipants(refund);
+      await handleRefundEscalated({
+        refund,
+        order: refund.orderId,
+        product: refund.productId,
+        customer,
+        seller,
+        sellerUser,
+        reviewHours: SELLER_REVIEW_HOURS,
+      });
+    } catch (error) {
+      logger.error(`[REFUND_ESCALATION] Notifications failed for refund ${_id}:`, error?.message || error);
+    }
+  }
+  return escalated;
+};
+
+/**
+ * Enforces SELLER_REVIEW_HOURS: reminds sellers halfway through the window and escalates
+ * refunds still in SELLER_REVIEW afterwards.
+ */
+export const processRefundEscalations = async () => {
+  const now = new Date();
+  const reminded = await sendHalfwayReminders(now);
+  const escalated = await escalateOverdueRefunds(now);
+
+  if (reminded > 0 || escalated > 0) {
+    logger.info("[REFUND_ESCALATION] Processed seller review deadlines", { reminded, escalated });
+  }
+  return { reminded, escalated };
+};
+
+export const refundEscalationWorker = new Worker(
+  QUEUE_NAME,
+  async () => {
+    return await processRefundEscalations();
+  },
+  { connection, concurrency: 1 }
+);
+
+refundEscalationWorker.on("failed", (job, err) => {
+  logger.error(`[REFUND_ESCALATION] Job ${job?.id} failed:`, err?.message || err);
+});
+
+/** Schedules the seller review deadline check every 15 minutes. */
+export const scheduleRefundEscalation = () => {
+  refundEscalationQueue.add(
+    "process-refund-escalations",
+    {},
+    {
+      repeat: { pattern: "*/15 * * * *" },
+      attempts: 2,
+      backoff: { type: "exponential", delay: 5000 },
+    }
+  );
+  logger.info("[REFUND_ESCALATION] Deadline check scheduled");
+};
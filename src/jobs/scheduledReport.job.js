@@ -0,0 +1,77 @@
+import { Queue, Worker } from "bullmq";
+import { connection } from "./payout.job.js";
+import { ScheduledReport } from "../models/scheduledReport.model.js";
+import { getNextRunAt, runScheduledReport } from "../services/analyticsReport.service.js";
+import { logger } from "../utils/logger.js";
+
+const QUEUE_NAME = "scheduled-reports";
+const BATCH_SIZE = 20;
+
+export const scheduledReportQueue = new Queue(QUEUE_NAME, { connection });
+
+/**
+ * Runs every active report whose nextRunAt has passed. Each report is claimed by moving
+ * nextRunAt forward before it runs, so overlapping ticks never send the same report twice.
+ */
+export const runDueScheduledReports = async () => {
+  const now = new Date();
+  const due = await ScheduledReport.find({ status: "active", nextRunAt: { $lte: now } })
+    .sort({ nextRunAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let ran = 0;
+  for (const report of due) {
+    let nextRunAt;
+    try {
+      nextRunAt = getNextRunAt(report.cron, report.timezone, now);
+    } catch (error) {
+      logger.error(`[SCHEDULED_REPORT] Pausing report ${report._id}, schedule is no longer valid:`, error.message);
+      await ScheduledReport.updateOne({ _id: report._id }, { $set: { status: "paused", pausedAt: now } });
+      continue;
+    }
+
+    const claimed = await ScheduledReport.findOneAndUpdate(
+      { _id: report._id, status: "active", nextRunAt: report.nextRunAt },
+      { $set: { nextRunAt } },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    const run = await runScheduledReport(claimed, now);
+    logger.info(`[SCHEDULED_REPORT] ${claimed.name} (${claimed._id}) ${run.status}`, {
+      rowCount: run.rowCount,
+      failedRecipients: run.failedRecipients.length,
+      nextRunAt: nextRunAt.toISOString(),
+    });
+    ran++;
+  }
+
+  return { due: due.length, ran };
+};
+
+export const scheduledReportWorker = new Worker(
+  QUEUE_NAME,
+  async () => {
+    return await runDueScheduledReports();
+  },
+  { connection, concurrency: 1 }
+);
+
+scheduledReportWorker.on("failed", (job, err) => {
+  logger.error(`[SCHEDULED_REPORT] Job ${job?.id} failed:`, err?.message || err);
+});
+
+/** Checks for due reports every minute; each report's own cron decides when it actually runs. */
+export const scheduleScheduledReports = () => {
+  scheduledReportQueue.add(
+    "run-due-reports",
+    {},
+    {
+      repeat: { pattern: "* * * * *" },
+      attempts: 1,
+      removeOnComplete: { count: 100 },
+      removeOnFail: { age: 7 * 24 * 3600 },
+    }
+  );
+  logger.info("[SCHEDULED_REPORT] Due-report check scheduled every minute");
+};
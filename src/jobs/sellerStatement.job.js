@@ -0,0 +1,34 @@
+import { Queue, Worker } from "bullmq";
+import { connection } from "./payout.job.js";
+import { generateMonthlyStatements } from "../services/sellerStatement.service.js";
+import { logger } from "../utils/logger.js";
+
+const QUEUE_NAME = "seller-statement";
+
+export const sellerStatementQueue = new Queue(QUEUE_NAME, { connection });
+
+export const sellerStatementWorker = new Worker(
+  QUEUE_NAME,
+  async () => {
+    return await generateMonthlyStatements();
+  },
+  { connection, concurrency: 1 }
+);
+
+sellerStatementWorker.on("failed", (job, err) => {
+  logger.error(`[SELLER_STATEMENT] Job ${job?.id} failed:`, err?.message || err);
+});
+
+/** Issues the previous month's statements and commission invoices on the 1st of each month. */
+export const scheduleSellerStatements = () => {
+  sellerStatementQueue.add(
+    "issue-seller-statements",
+    {},
+    {
+      repeat: { pattern: "0 4 1 * *" },
+      attempts: 2,
+      backoff: { type: "exponential", delay: 5000 },
+    }
+  );
+  logger.info("[SELLER_STATEMENT] Monthly statement run scheduled");
+};
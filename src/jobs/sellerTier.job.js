@@ -0,0 +1,34 @@
+import { Queue, Worker } from "bullmq";
+import { connection } from "./payout.job.js";
+import { refreshSellerTiers } from "../services/sellerTier.service.js";
+import { logger } from "../utils/logger.js";
+
+const QUEUE_NAME = "seller-tier";
+
+export const sellerTierQueue = new Queue(QUEUE_NAME, { connection });
+
+export const sellerTierWorker = new Worker(
+  QUEUE_NAME,
+  async () => {
+    return await refreshSellerTiers();
+  },
+  { connection, concurrency: 1 }
+);
+
+sellerTierWorker.on("failed", (job, err) => {
+  logger.error(`[SELLER_TIER] Job ${job?.id} failed:`, err?.message || err);
+});
+
+/** Schedules the nightly seller tier refresh. */
+export const scheduleSellerTierRefresh = () => {
+  sellerTierQueue.add(
+    "refresh-seller-tiers",
+    {},
+    {
+      repeat: { pattern: "30 1 * * *" },
+      attempts: 2,
+      backoff: { type: "exponential", delay: 5000 },
+    }
+  );
+  logger.info("[SELLER_TIER] Nightly tier refresh scheduled");
+};
@@ -0,0 +1,34 @@
+import { Queue, Worker } from "bullmq";
+import { connection } from "./payout.job.js";
+import { detectWishlistAlerts } from "../services/wishlistAlert.service.js";
+import { logger } from "../utils/logger.js";
+
+const QUEUE_NAME = "wishlist-alerts";
+
+export const wishlistAlertQueue = new Queue(QUEUE_NAME, { connection });
+
+export const wishlistAlertWorker = new Worker(
+  QUEUE_NAME,
+  async () => {
+    return await detectWishlistAlerts();
+  },
+  { connection, concurrency: 1 }
+);
+
+wishlistAlertWorker.on("failed", (job, err) => {
+  logger.error(`[WISHLIST_ALERTS] Job ${job?.id} failed:`, err?.message || err);
+});
+
+/** Schedules the wishlist price-drop and back-in-stock check every 15 minutes. */
+export const scheduleWishlistAlerts = () => {
+  wishlistAlertQueue.add(
+    "detect-wishlist-alerts",
+    {},
+    {
+      repeat: { pattern: "*/15 * * * *" },
+      attempts: 2,
+      backoff: { type: "exponential", delay: 5000 },
+    }
+  );
+  logger.info("[WISHLIST_ALERTS] Wishlist alert check scheduled every 15 minutes");
+};
@@ -3,6 +3,8 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { User } from "../models/user.model.js";
 import { getRedisClient } from "../config/redis.js";
+import { isSessionActive } from "../services/session.service.js";
+import { isTwoFactorRequiredForRole } from "../services/twoFactor.service.js";
 
 const USER_CACHE_TTL = 300; // 5 minutes
 
@@ -51,6 +53,11 @@ const verifyJWT = asyncHandler(async (req, _, next) => {
       throw new ApiError(401, "Invalid Token");
     }
 
+    // The session list is the source of truth: revoked sessions lose access immediately
+    if (!(await isSessionActive(decodedToken.sid))) {
+      throw new ApiError(401, "Session expired or revoked");
+    }
+
     // Try Redis cache first — avoids DB hit on 95%+ of requests
     let user = await getCachedUser(decodedToken._id);
 
@@ -67,13 +74,17 @@ const verifyJWT = asyncHandler(async (req, _, next) => {
     }
 
     req.user = user;
+    req.sessionId = decodedToken.sid;
     next();
   } catch (error) {
     throw new ApiError(401, error.message || "You are not authorized to access this resource");
   }
 });
 
-/** Restricts access to given roles. Use after verifyJWT. */
+/**
+ * Restricts access to given roles. Use after verifyJWT. Routes open to admins also require
+ * accounts whose role mandates 2FA to have enrolled, so no admin route can skip it.
+ */
 const authorizeRoles = (...roles) => {
   return (req, _, next) => {
     const userRoles = Array.isArray(req.user.roles) ? req.user.roles : [req.user.role];
@@ -81,6 +92,9 @@ const authorizeRoles = (...roles) => {
     if (!hasPermission) {
       return next(new ApiError(403, "You are not allowed to access this resource"));
     }
+    if (roles.includes("admin") && isTwoFactorRequiredForRole(userRoles) && !req.user.twoFactorEnabled) {
+      return next(new ApiError(403, "Two-factor authentication must be enabled for this account"));
+    }
     next();
   };
 };
@@ -97,7 +111,7 @@ const optionalJWT = asyncHandler(async (req, _, next) => {
 
     const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
 
-    if (!decodedToken) {
+    if (!decodedToken || !(await isSessionActive(decodedToken.sid))) {
       req.user = null;
       return next();
     }
@@ -115,6 +129,7 @@ const optionalJWT = asyncHandler(async (req, _, next) => {
     }
 
     req.user = user || null;
+    req.sessionId = user ? decodedToken.sid : null;
     next();
   } catch (error) {
     req.user = null;
@@ -139,6 +154,7 @@ const verifyJWTForLogout = asyncHandler(async (req, _, next) => {
         const user = await User.findById(decodedToken._id).select("-password -refreshToken").lean();
         if (user) {
           req.user = user;
+          req.sessionId = decodedToken.sid;
           return next();
         }
       }
@@ -150,6 +166,7 @@ const verifyJWTForLogout = asyncHandler(async (req, _, next) => {
             const user = await User.findById(decodedToken._id).select("-password -refreshToken").lean();
             if (user) {
               req.user = user;
+              req.sessionId = decodedToken.sid;
               return next();
             }
           }
@@ -20,6 +20,9 @@ const memoryStorage = multer.memoryStorage();
 const REFUND_CHAT_ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
 const REFUND_CHAT_ALLOWED_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
 const REFUND_CHAT_MAX_FILES = 5;
+const SPREADSHEET_ALLOWED_EXTENSIONS = ['.csv', '.xlsx'];
+const SPREADSHEET_MAX_SIZE = 5 * 1024 * 1024;
+const KEY_FILE_ALLOWED_EXTENSIONS = ['.csv', '.txt'];
 
 const chatImageFilter = (req, file, cb) => {
   if (!CHAT_IMAGE_LIMITS.allowedTypes.includes(file.mimetype)) {
@@ -36,6 +39,14 @@ const refundChatImageFilter = (req, file, cb) => {
   cb(null, true);
 };
 
+const extensionFilter = (allowedExtensions, message) => (req, file, cb) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (!allowedExtensions.includes(extension)) {
+    return cb(new ApiError(400, message), false);
+  }
+  cb(null, true);
+};
+
 export const upload = multer({ storage });
 export const uploadChatImage = multer({
   storage: memoryStorage,
@@ -50,3 +61,13 @@ export const uploadRefundChatImages = multer({
   },
   fileFilter: refundChatImageFilter,
 }).array('images', REFUND_CHAT_MAX_FILES);
+export const uploadSpreadsheet = multer({
+  storage: memoryStorage,
+  limits: { fileSize: SPREADSHEET_MAX_SIZE, files: 1 },
+  fileFilter: extensionFilter(SPREADSHEET_ALLOWED_EXTENSIONS, 'Invalid file type. Only CSV and XLSX files are allowed'),
+}).single('file');
+export const uploadKeyFile = multer({
+  storage: memoryStorage,
+  limits: { fileSize: SPREADSHEET_MAX_SIZE, files: 1 },
+  fileFilter: extensionFilter(KEY_FILE_ALLOWED_EXTENSIONS, 'Invalid file type. Only CSV and TXT key files are allowed'),
+}).single('file');
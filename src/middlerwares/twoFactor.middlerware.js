@@ -0,0 +1,32 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { isTwoFactorRequiredForRole, verifySecondFactor } from "../services/twoFactor.service.js";
+import { logSecurityEvent } from "../services/audit.service.js";
+
+/**
+ * Step-up check for sensitive actions: users with 2FA enabled must send a fresh code
+ * (TOTP or recovery code) in the `X-2FA-Code` header. Use after verifyJWT.
+ */
+export const requireTwoFactorStepUp = asyncHandler(async (req, _, next) => {
+  if (!req.user.twoFactorEnabled) {
+    if (isTwoFactorRequiredForRole(req.user.roles)) {
+      throw new ApiError(403, "Two-factor authentication must be enabled for this account");
+    }
+    return next();
+  }
+
+  const code = req.headers["x-2fa-code"];
+  if (!code) {
+    throw new ApiError(401, "Two-factor verification required for this action");
+  }
+
+  const method = await verifySecondFactor(req.user._id, code);
+  if (!method) {
+    await logSecurityEvent("2fa_step_up_failed", req.user._id, req.ip, req.get("user-agent"), {
+      path: req.originalUrl,
+    });
+    throw new ApiError(401, "Invalid two-factor code");
+  }
+
+  next();
+});
@@ -87,8 +87,15 @@ export const createReviewValidation = [
   body('comment').trim().isLength({ min: 10, max: 1000 }).withMessage('Comment must be between 10 and 1000 characters'),
 ];
 
+const billingDetailsValidation = [
+  body('billingDetails').optional({ values: 'null' }).isObject().withMessage('billingDetails must be an object'),
+  body('billingDetails.companyName').optional({ values: 'null' }).isString().trim().isLength({ max: 160 }).withMessage('Company name must be at most 160 characters'),
+  body('billingDetails.vatId').optional({ values: 'falsy' }).isString().trim().isLength({ min: 4, max: 20 }).withMessage('Invalid VAT ID'),
+];
+
 export const createCheckoutValidation = [
   body('couponCode').optional().trim().isLength({ min: 3, max: 20 }).withMessage('Invalid coupon code format'),
+  ...billingDetailsValidation,
 ];
 
 export const createGuestCheckoutValidation = [
@@ -97,6 +104,7 @@ export const createGuestCheckoutValidation = [
   body('items.*.productId').isMongoId().withMessage('Invalid productId'),
   body('items.*.qty').optional().isInt({ min: 1 }).toInt().withMessage('Quantity must be at least 1'),
   body('couponCode').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid coupon code format'),
+  ...billingDetailsValidation,
 ];
 
 export const sendMessageValidation = [
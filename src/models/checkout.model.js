@@ -1,5 +1,19 @@
 import mongoose, { Schema } from "mongoose";
 
+/** Optional buyer billing details printed on the invoice (company purchases, VAT ID). */
+export const billingDetailsSchema = new Schema(
+  {
+    fullName: { type: String, default: null, trim: true },
+    companyName: { type: String, default: null, trim: true },
+    vatId: { type: String, default: null, trim: true },
+    address: { type: String, default: null, trim: true },
+    city: { type: String, default: null, trim: true },
+    postalCode: { type: String, default: null, trim: true },
+    country: { type: String, default: null, trim: true },
+  },
+  { _id: false }
+);
+
 const checkoutItemSchema = new Schema(
   {
     productId: { type: Schema.Types.ObjectId, ref: "Product", required: true },
@@ -13,6 +27,7 @@ const checkoutItemSchema = new Schema(
     discountPercentage: { type: Number, default: 0 },
     discountType: { type: String, enum: ['product_discount', 'flash_deal', 'trending_offer', null], default: null },
     lineTotal: { type: Number, required: true },
+    backorderQty: { type: Number, default: 0 },
     assignedKeyId: { type: Schema.Types.ObjectId, ref: "LicenseKey", default: null },
   },
   { _id: false }
@@ -37,6 +52,7 @@ const checkoutSchema = new Schema(
     cardAmount: { type: Number, default: 0 },
     couponId: { type: Schema.Types.ObjectId, ref: "Coupon", default: null },
     hasSubscription: { type: Boolean, default: false },
+    billingDetails: { type: billingDetailsSchema, default: null },
     paymentMethod: { type: String, enum: ["PayPal", "Card", "Wallet", "Wallet+Card"], default: "PayPal" },
     paypalOrderId: { type: String, default: null },
     paypalApprovalUrl: { type: String, default: null },
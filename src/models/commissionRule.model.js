@@ -0,0 +1,29 @@
+import mongoose, { Schema } from "mongoose";
+
+export const COMMISSION_RULE_SCOPES = ["global", "category", "seller", "seller_category"];
+
+/**
+ * A commission rate override. Scope follows from which of sellerId/categoryId are set;
+ * a rule with startsAt/endsAt is promotional and only applies inside that window.
+ */
+const commissionRuleSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    scope: { type: String, enum: COMMISSION_RULE_SCOPES, required: true, index: true },
+    sellerId: { type: Schema.Types.ObjectId, ref: "Seller", default: null, index: true },
+    categoryId: { type: Schema.Types.ObjectId, ref: "Category", default: null, index: true },
+    rate: { type: Number, required: true, min: 0, max: 1 },
+    startsAt: { type: Date, default: null },
+    endsAt: { type: Date, default: null },
+    priority: { type: Number, default: 0 },
+    isActive: { type: Boolean, default: true, index: true },
+    notes: { type: String, default: null },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+commissionRuleSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+export const CommissionRule = mongoose.model("CommissionRule", commissionRuleSchema);
@@ -0,0 +1,12 @@
+import mongoose, { Schema } from "mongoose";
+
+/** Named monotonic sequences, e.g. invoice numbers. `_id` is the sequence key. */
+const counterSchema = new Schema(
+  {
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+export const Counter = mongoose.model("Counter", counterSchema);
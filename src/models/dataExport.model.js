@@ -0,0 +1,25 @@
+import mongoose, { Schema } from "mongoose";
+
+export const DATA_EXPORT_STATUSES = ["pending", "processing", "ready", "failed", "expired"];
+
+/** A self-service personal data export; the zip archive itself lives in the "dataExports" GridFS bucket. */
+const dataExportSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    status: { type: String, enum: DATA_EXPORT_STATUSES, default: "pending", index: true },
+    fileId: { type: Schema.Types.ObjectId, default: null },
+    filename: { type: String, default: null },
+    sizeBytes: { type: Number, default: 0 },
+    error: { type: String, default: null },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null },
+    downloadCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+dataExportSchema.index({ userId: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+export const DataExport = mongoose.model("DataExport", dataExportSchema);
@@ -0,0 +1,75 @@
+import mongoose, { Schema } from "mongoose";
+
+export const DISPUTE_QUEUE_STATUSES = ["open", "in_review", "evidence_submitted", "resolved"];
+export const DISPUTE_RESOLUTIONS = ["buyer_favour", "seller_favour"];
+
+const disputeEventSchema = new Schema(
+  {
+    eventType: { type: String, required: true },
+    status: { type: String, default: null },
+    stage: { type: String, default: null },
+    receivedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const disputeEvidenceSchema = new Schema(
+  {
+    url: { type: String, required: true },
+    filename: { type: String, default: null },
+    notes: { type: String, default: null },
+    uploadedBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    uploadedAt: { type: Date, default: Date.now },
+  },
+  { _id: true }
+);
+
+const disputeSchema = new Schema(
+  {
+    paypalDisputeId: { type: String, required: true, unique: true },
+    orderId: { type: Schema.Types.ObjectId, ref: "Order", default: null, index: true },
+    userId: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    sellerIds: [{ type: Schema.Types.ObjectId, ref: "Seller" }],
+    captureId: { type: String, default: null, index: true },
+    reason: { type: String, default: null },
+    /** PayPal dispute status, e.g. OPEN, WAITING_FOR_SELLER_RESPONSE, UNDER_REVIEW, RESOLVED. */
+    status: { type: String, default: "OPEN", index: true },
+    lifeCycleStage: { type: String, default: null },
+    disputeAmount: { type: Number, default: 0 },
+    currency: { type: String, default: "USD" },
+    sellerResponseDueDate: { type: Date, default: null },
+    queueStatus: { type: String, enum: DISPUTE_QUEUE_STATUSES, default: "open", index: true },
+    assignedTo: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    adminNotes: { type: String, default: null },
+    evidence: [disputeEvidenceSchema],
+    /** Payouts frozen when the dispute opened, with the status to restore on release. */
+    blockedPayouts: [
+      {
+        _id: false,
+        payoutId: { type: Schema.Types.ObjectId, ref: "Payout" },
+        previousStatus: String,
+      },
+    ],
+    flaggedKeyIds: [{ type: Schema.Types.ObjectId, ref: "LicenseKey" }],
+    keysRevokedAt: { type: Date, default: null },
+    outcomeCode: { type: String, default: null },
+    resolution: { type: String, enum: [...DISPUTE_RESOLUTIONS, null], default: null },
+    refundedAmount: { type: Number, default: 0 },
+    sellerDebits: [
+      {
+        _id: false,
+        sellerId: { type: Schema.Types.ObjectId, ref: "Seller" },
+        amount: Number,
+        payoutId: { type: Schema.Types.ObjectId, ref: "Payout", default: null },
+      },
+    ],
+    resolvedAt: { type: Date, default: null },
+    outcomeAppliedAt: { type: Date, default: null },
+    events: [disputeEventSchema],
+  },
+  { timestamps: true }
+);
+
+disputeSchema.index({ queueStatus: 1, createdAt: -1 });
+
+export const Dispute = mongoose.model("Dispute", disputeSchema);
@@ -23,6 +23,11 @@ const emailLogSchema = new Schema(
         'refundRequestAdmin',
         'refundDecisionCustomer',
         'refundDecisionSeller',
+        'refundSellerReviewReminder',
+        'refundEscalated',
+        'scheduledReport',
+        'suspiciousLogin',
+        'wishlistAlert',
       ],
       required: true,
     },
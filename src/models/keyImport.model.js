@@ -0,0 +1,31 @@
+import mongoose, { Schema } from "mongoose";
+
+/** A key file upload: per-status counts plus the rejected rows, encrypted, for the rejection report. */
+const keyImportSchema = new Schema(
+  {
+    productId: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+    sellerId: { type: Schema.Types.ObjectId, ref: "Seller", required: true },
+    uploadedBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    filename: { type: String, required: true },
+    columnMap: {
+      key: { type: String, default: null },
+      keyType: { type: String, default: null },
+      metadata: [{ type: String }],
+    },
+    totalRows: { type: Number, default: 0 },
+    accepted: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 },
+    tooLong: { type: Number, default: 0 },
+    rejectionColumns: [{ type: String }],
+    // encryptKey(JSON.stringify(rows)); rejected rows still contain key material.
+    rejectedRows: { type: String, default: null },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+keyImportSchema.index({ productId: 1, createdAt: -1 });
+keyImportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const KeyImport = mongoose.model("KeyImport", keyImportSchema);
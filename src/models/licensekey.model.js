@@ -1,40 +1,46 @@
 import mongoose, { Schema } from "mongoose";
 
-const keyItemSchema = new Schema(
+// One document per key. Keys used to live in an embedded `keys[]` array on a single
+// per-product document (collection `licensekeys`); see scripts/migrate-license-keys.js.
+export const LICENSE_KEY_TYPES = ['steam', 'epic', 'origin', 'xbox', 'playstation', 'nintendo', 'account', 'other'];
+
+const licenseKeySchema = new Schema(
   {
+    productId: {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
     keyData: { type: String, required: true },
+    keyHash: { type: String, required: true },
     keyType: {
       type: String,
-      enum: ['steam', 'epic', 'origin', 'xbox', 'playstation', 'nintendo', 'account', 'other'],
+      enum: LICENSE_KEY_TYPES,
       default: 'other'
     },
     isUsed: { type: Boolean, default: false },
     isRefunded: { type: Boolean, default: false },
     refundedAt: Date,
+    /** Set while a PayPal dispute on the order is open; the buyer cannot reveal the key. */
+    disputeId: { type: Schema.Types.ObjectId, ref: "Dispute", default: null },
+    isRevoked: { type: Boolean, default: false },
+    revokedAt: Date,
     assignedTo: { type: Schema.Types.ObjectId, ref: "OrderItem", default: null },
     assignedToOrder: { type: Schema.Types.ObjectId, ref: "Order", default: null },
     assignedAt: Date,
+    reservedForCheckout: { type: Schema.Types.ObjectId, ref: "Checkout", default: null },
+    reservedUntil: { type: Date, default: null },
     encryptedAt: Date,
     emailSent: { type: Boolean, default: false },
     emailSentAt: Date,
     metadata: Schema.Types.Mixed,
   },
-  { _id: true }
-);
-
-const licenseKeySchema = new Schema(
-  {
-    productId: { 
-      type: Schema.Types.ObjectId, 
-      ref: "Product", 
-      required: true, 
-      unique: true
-    },
-    keys: [keyItemSchema],
-  },
-  { timestamps: true },
+  { timestamps: true, collection: "licensekeyitems" },
 );
 
-licenseKeySchema.index({ 'keys.isUsed': 1 });
+licenseKeySchema.index({ productId: 1, keyHash: 1 }, { unique: true });
+licenseKeySchema.index({ productId: 1, isUsed: 1, reservedUntil: 1, createdAt: 1 });
+licenseKeySchema.index({ assignedToOrder: 1 });
+licenseKeySchema.index({ reservedForCheckout: 1 });
 
 export const LicenseKey = mongoose.model("LicenseKey", licenseKeySchema);
@@ -3,7 +3,7 @@ import mongoose, { Schema } from "mongoose";
 const notificationSchema = new Schema(
   {
     userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
-    type: { type: String, enum: ["order", "payout", "refund", "system", "chat", "review"], required: true, index: true },
+    type: { type: String, enum: ["order", "payout", "refund", "system", "chat", "review", "wishlist"], required: true, index: true },
     title: { type: String, required: true },
     message: { type: String, required: true },
     data: Schema.Types.Mixed,
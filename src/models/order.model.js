@@ -1,5 +1,32 @@
 import mongoose, { Schema } from "mongoose";
 import { ORDER_STATUS, PAYMENT_STATUS } from "../constants.js";
+import { COMMISSION_RULE_SCOPES } from "./commissionRule.model.js";
+import { billingDetailsSchema } from "./checkout.model.js";
+
+/** Snapshot of the commission rule applied when the order was placed. */
+const appliedCommissionRuleSchema = new Schema(
+  {
+    ruleId: { type: Schema.Types.ObjectId, ref: "CommissionRule", default: null },
+    name: { type: String, default: null },
+    scope: { type: String, enum: ["default", ...COMMISSION_RULE_SCOPES], default: "default" },
+    rate: { type: Number, default: null },
+    promotional: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+/** Buyer invoice issued for the order; tax figures are frozen at issue time. */
+const orderInvoiceSchema = new Schema(
+  {
+    number: { type: String, default: null },
+    issuedAt: { type: Date, default: null },
+    taxLabel: { type: String, default: "VAT" },
+    taxRate: { type: Number, default: 0 },
+    taxAmount: { type: Number, default: 0 },
+    netAmount: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
 
 const orderItemSchema = new Schema(
   {
@@ -13,6 +40,7 @@ const orderItemSchema = new Schema(
     commissionAmount: { type: Number, default: 10 },
     normalCommissionAmount: { type: Number, default: 0 },
     featuredExtraCommissionAmount: { type: Number, default: 0 },
+    commissionRule: { type: appliedCommissionRuleSchema, default: null },
     keyDeliveredAt: Date,
     keyDeliveryEmail: String,
     keyDeliveryStatus: {
@@ -26,6 +54,9 @@ const orderItemSchema = new Schema(
     refundedKeysCount: { type: Number, default: 0 },
     refundedAmount: { type: Number, default: 0 },
     refundedSellerAmount: { type: Number, default: 0 },
+    backorderedQty: { type: Number, default: 0 },
+    backorderDeadline: { type: Date, default: null },
+    backorderRefundedQty: { type: Number, default: 0 },
   },
   { _id: false }
 );
@@ -41,6 +72,9 @@ const orderSchema = new Schema(
     currency: { type: String, default: "USD" },
     subtotal: { type: Number, required: true },
     discount: { type: Number, default: 0 },
+    couponDiscount: { type: Number, default: 0 },
+    bundleDiscount: { type: Number, default: 0 },
+    subscriptionDiscount: { type: Number, default: 0 },
     totalAmount: { type: Number, required: true },
     buyerHandlingFee: { type: Number, default: 0 },
     grandTotal: { type: Number, default: null },
@@ -66,6 +100,8 @@ const orderSchema = new Schema(
     paypalCaptureId: { type: String, default: null },
     paypalPayerId: { type: String, default: null },
     receiptUrl: { type: String, default: null },
+    billingDetails: { type: billingDetailsSchema, default: null },
+    invoice: { type: orderInvoiceSchema, default: null },
     orderStatus: { type: String, enum: ORDER_STATUS, default: "pending", index: true },
     orderCompletedAt: { type: Date, default: null },
     payoutScheduledAt: Date,
@@ -76,6 +112,14 @@ const orderSchema = new Schema(
 
 orderSchema.index({ userId: 1, paymentStatus: 1, orderStatus: 1 });
 orderSchema.index({ orderStatus: 1, paymentStatus: 1 });
+orderSchema.index(
+  { "invoice.number": 1 },
+  { unique: true, partialFilterExpression: { "invoice.number": { $type: "string" } } }
+);
+orderSchema.index(
+  { "items.productId": 1, createdAt: 1 },
+  { partialFilterExpression: { "items.backorderedQty": { $gt: 0 } } }
+);
 
 orderSchema.pre("save", function (next) {
   if (this.isGuest) {
@@ -1,6 +1,17 @@
 import mongoose, { Schema } from "mongoose";
 import { PAYOUT_STATUS } from "../constants.js";
 
+/** One refund deduction applied to a still-held payout, kept for seller statements. */
+const refundAdjustmentSchema = new Schema(
+  {
+    grossAmount: { type: Number, required: true },
+    commissionAmount: { type: Number, required: true },
+    netAmount: { type: Number, required: true },
+    adjustedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const payoutSchema = new Schema(
   {
     orderId: { type: Schema.Types.ObjectId, ref: "Order", default: null },
@@ -25,6 +36,11 @@ const payoutSchema = new Schema(
       index: true 
     },
     holdUntil: { type: Date, index: true },
+    /** Rolling reserve part of an order payout, released later than the main payout. */
+    isReserve: { type: Boolean, default: false },
+    /** Set while the payout is part of a consolidated PayPal batch. */
+    payoutBatchId: { type: Schema.Types.ObjectId, ref: "PayoutBatch", default: null, index: true },
+    sellerTier: { type: String, default: null },
     
     requestReason: { type: String, default: null },
     requestedAt: { type: Date, default: null },
@@ -42,6 +58,7 @@ const payoutSchema = new Schema(
     retryCount: { type: Number, default: 0 },
     maxRetries: { type: Number, default: 3 },
     lastRetryAt: { type: Date, default: null },
+    refundAdjustments: { type: [refundAdjustmentSchema], default: [] },
     metadata: {
       type: Schema.Types.Mixed,
       default: null,
@@ -53,6 +70,7 @@ const payoutSchema = new Schema(
 payoutSchema.index({ sellerId: 1, status: 1 });
 payoutSchema.index({ sellerId: 1, requestType: 1, createdAt: -1 });
 payoutSchema.index({ holdUntil: 1, status: 1 });
+payoutSchema.index({ sellerId: 1, "refundAdjustments.adjustedAt": 1 });
 payoutSchema.index({ orderId: 1 }, { sparse: true });
 
 export const Payout = mongoose.model("Payout", payoutSchema);
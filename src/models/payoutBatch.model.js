@@ -0,0 +1,54 @@
+import mongoose, { Schema } from "mongoose";
+
+export const PAYOUT_BATCH_STATUSES = ["created", "submitted", "completed", "partially_failed", "failed"];
+export const PAYOUT_BATCH_ITEM_STATUSES = ["pending", "sent", "succeeded", "failed"];
+
+/** One seller's share of a batch: a single PayPal payout item covering several order payouts. */
+const payoutBatchItemSchema = new Schema(
+  {
+    sellerId: { type: Schema.Types.ObjectId, ref: "Seller", required: true },
+    senderItemId: { type: String, required: true },
+    receiver: { type: String, required: true },
+    payoutIds: [{ type: Schema.Types.ObjectId, ref: "Payout" }],
+    orderIds: [{ type: Schema.Types.ObjectId, ref: "Order" }],
+    grossAmount: { type: Number, required: true },
+    commissionAmount: { type: Number, required: true },
+    netAmount: { type: Number, required: true },
+    status: { type: String, enum: PAYOUT_BATCH_ITEM_STATUSES, default: "pending" },
+    paypalItemId: { type: String, default: null },
+    paypalTransactionId: { type: String, default: null },
+    paypalTransactionStatus: { type: String, default: null },
+    failedReason: { type: String, default: null },
+    completedAt: { type: Date, default: null },
+  },
+  { _id: true }
+);
+
+/** A consolidated payout run: one PayPal batch with one item per seller whose cycle was due. */
+const payoutBatchSchema = new Schema(
+  {
+    senderBatchId: { type: String, required: true, unique: true },
+    paypalBatchId: { type: String, default: null, index: true },
+    status: {
+      type: String,
+      enum: PAYOUT_BATCH_STATUSES,
+      default: "created",
+      index: true,
+    },
+    items: [payoutBatchItemSchema],
+    itemCount: { type: Number, default: 0 },
+    totalAmount: { type: Number, default: 0 },
+    currency: { type: String, default: "USD" },
+    submittedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+    lastCheckedAt: { type: Date, default: null },
+    error: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+payoutBatchSchema.index({ "items.sellerId": 1, createdAt: -1 });
+payoutBatchSchema.index({ "items.senderItemId": 1 });
+payoutBatchSchema.index({ "items.paypalItemId": 1 }, { sparse: true });
+
+export const PayoutBatch = mongoose.model("PayoutBatch", payoutBatchSchema);
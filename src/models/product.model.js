@@ -42,6 +42,9 @@ const productSchema = new Schema(
       min: 0,
       max: 100,
     },
+    allowBackorder: { type: Boolean, default: false },
+    /** Last time stock went from zero to positive; drives wishlist back-in-stock alerts. */
+    restockedAt: { type: Date, default: null, index: true },
     status: {
       type: String,
       enum: ['draft', 'pending', 'approved', 'rejected', 'active'],
@@ -0,0 +1,45 @@
+import mongoose, { Schema } from "mongoose";
+
+export const PRODUCT_IMPORT_STATUSES = ["pending", "processing", "completed", "failed"];
+
+const productImportResultSchema = new Schema(
+  {
+    rowNumber: { type: Number, required: true },
+    name: { type: String, default: null },
+    productId: { type: Schema.Types.ObjectId, ref: "Product", default: null },
+    status: { type: String, default: null },
+    keysUploaded: { type: Number, default: 0 },
+    keyError: { type: String, default: null },
+    error: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+/** A committed product spreadsheet import, worked through row by row in the background. */
+const productImportSchema = new Schema(
+  {
+    sellerId: { type: Schema.Types.ObjectId, ref: "Seller", required: true },
+    uploadedBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    filename: { type: String, required: true },
+    status: { type: String, enum: PRODUCT_IMPORT_STATUSES, default: "pending", index: true },
+    totalRows: { type: Number, default: 0 },
+    queuedRows: { type: Number, default: 0 },
+    skippedRows: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    keysUploaded: { type: Number, default: 0 },
+    results: [productImportResultSchema],
+    // encryptKey(JSON.stringify(rows)) of the rows still to import; rows can carry license keys. Cleared once done.
+    pendingRows: { type: String, default: null },
+    error: { type: String, default: null },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+productImportSchema.index({ sellerId: 1, createdAt: -1 });
+productImportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const ProductImport = mongoose.model("ProductImport", productImportSchema);
@@ -0,0 +1,27 @@
+import mongoose, { Schema } from "mongoose";
+
+export const RECOMMENDATION_KINDS = ["also_bought", "similar", "for_user", "bestsellers"];
+
+/**
+ * Precomputed recommendation list, rebuilt by the recommendation job. `subjectId` is the
+ * product for `also_bought`/`similar`, the user for `for_user`, and null for `bestsellers`.
+ */
+const productRecommendationSchema = new Schema(
+  {
+    kind: { type: String, enum: RECOMMENDATION_KINDS, required: true },
+    subjectId: { type: Schema.Types.ObjectId, default: null },
+    items: [
+      {
+        _id: false,
+        productId: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+        score: { type: Number, default: 0 },
+      },
+    ],
+    generatedAt: { type: Date, default: Date.now, index: true },
+  },
+  { timestamps: true }
+);
+
+productRecommendationSchema.index({ kind: 1, subjectId: 1 }, { unique: true });
+
+export const ProductRecommendation = mongoose.model("ProductRecommendation", productRecommendationSchema);
@@ -0,0 +1,36 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * Recently viewed products for a signed-in user or a guest session (the `X-Session-Id`
+ * header), newest first. Guest histories expire after 30 days without a view.
+ */
+const recentlyViewedSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    guestSessionId: { type: String, default: null },
+    items: [
+      {
+        _id: false,
+        productId: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+        viewedAt: { type: Date, default: Date.now },
+      },
+    ],
+    lastViewedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+recentlyViewedSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { userId: { $type: "objectId" } } }
+);
+recentlyViewedSchema.index(
+  { guestSessionId: 1 },
+  { unique: true, partialFilterExpression: { guestSessionId: { $type: "string" } } }
+);
+recentlyViewedSchema.index(
+  { lastViewedAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { guestSessionId: { $type: "string" } } }
+);
+
+export const RecentlyViewed = mongoose.model("RecentlyViewed", recentlyViewedSchema);
@@ -74,6 +74,8 @@ const returnRefundSchema = new Schema(
     sellerDecisionAt: Date,
     sellerReviewStartedAt: { type: Date, default: null },
     sellerRespondedAt: { type: Date, default: null },
+    sellerReviewReminderSentAt: { type: Date, default: null },
+    sellerReviewEscalatedAt: { type: Date, default: null },
     sellerFeedback: { type: String, default: null },
     sellerFeedbackAt: { type: Date, default: null },
     refundHistory: [refundHistoryEntrySchema],
@@ -87,6 +89,7 @@ const returnRefundSchema = new Schema(
 
 returnRefundSchema.index({ orderId: 1, productId: 1, userId: 1 });
 returnRefundSchema.index({ status: 1 });
+returnRefundSchema.index({ status: 1, sellerReviewStartedAt: 1 });
 returnRefundSchema.index({ sellerId: 1, status: 1 });
 returnRefundSchema.index({ licenseKeyIds: 1 });
 
@@ -0,0 +1,35 @@
+import mongoose, { Schema } from "mongoose";
+
+export const SCHEDULED_REPORT_TYPES = ["orders", "products", "sales"];
+export const SCHEDULED_REPORT_WINDOWS = ["last_24_hours", "last_7_days", "last_30_days", "month_to_date", "previous_month"];
+
+/** Saved analytics report definition that is emailed as CSV on a cron schedule. */
+const scheduledReportSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 120 },
+    reportType: { type: String, enum: SCHEDULED_REPORT_TYPES, required: true },
+    filters: { type: Schema.Types.Mixed, default: {} },
+    dateWindow: { type: String, enum: SCHEDULED_REPORT_WINDOWS, default: "last_7_days" },
+
+    cron: { type: String, required: true, trim: true },
+    timezone: { type: String, default: "UTC" },
+    recipients: {
+      type: [{ type: String, trim: true, lowercase: true }],
+      validate: [(list) => list.length > 0 && list.length <= 20, "Between 1 and 20 recipients are required"],
+    },
+
+    status: { type: String, enum: ["active", "paused"], default: "active", index: true },
+    nextRunAt: { type: Date, default: null },
+    lastRunAt: { type: Date, default: null },
+    lastRunStatus: { type: String, enum: ["success", "failed", null], default: null },
+
+    createdBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    pausedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    pausedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+scheduledReportSchema.index({ status: 1, nextRunAt: 1 });
+
+export const ScheduledReport = mongoose.model("ScheduledReport", scheduledReportSchema);
@@ -0,0 +1,26 @@
+import mongoose, { Schema } from "mongoose";
+
+/** One execution of a scheduled report (history shown to admins). */
+const scheduledReportRunSchema = new Schema(
+  {
+    reportId: { type: Schema.Types.ObjectId, ref: "ScheduledReport", required: true },
+    reportName: { type: String, required: true },
+    reportType: { type: String, required: true },
+    status: { type: String, enum: ["running", "success", "failed"], default: "running", index: true },
+    rangeStart: { type: Date, default: null },
+    rangeEnd: { type: Date, default: null },
+    rowCount: { type: Number, default: 0 },
+    recipients: [{ type: String }],
+    failedRecipients: [{ type: String }],
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date, default: null },
+    error: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+scheduledReportRunSchema.index({ reportId: 1, startedAt: -1 });
+// History is kept for 180 days.
+scheduledReportRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 180 * 24 * 3600 });
+
+export const ScheduledReportRun = mongoose.model("ScheduledReportRun", scheduledReportRunSchema);
@@ -1,7 +1,45 @@
 import mongoose from "mongoose";
-import { SELLER_STATUS } from "../constants.js";
+import { SELLER_STATUS, KYC_DOCUMENT_TYPES, KYC_DOCUMENT_STATUS, KYC_STATUS, SELLER_TIERS, PAYOUT_SCHEDULES } from "../constants.js";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2"
 
+const kycDocumentSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: KYC_DOCUMENT_TYPES,
+        required: true
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    originalName: String,
+    status: {
+        type: String,
+        enum: KYC_DOCUMENT_STATUS,
+        default: 'pending'
+    },
+    /** Why the document was rejected or has to be uploaded again; shown to the seller. */
+    reviewReason: {
+        type: String,
+        default: null
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    reviewedAt: Date,
+    /** Document validity end (e.g. ID expiry); the seller must re-verify once it passes. */
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    submittedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: true });
+
 const sellerSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -37,7 +75,20 @@ const sellerSchema = new mongoose.Schema({
         type: String,
         default: 'inactive'
     },
+    /** Legacy untyped KYC uploads from before kycDocuments. */
     kycDocs: [String],
+    /** Every KYC upload, newest last; a re-upload marks the earlier document of that type "superseded". */
+    kycDocuments: [kycDocumentSchema],
+    kycStatus: {
+        type: String,
+        enum: KYC_STATUS,
+        default: 'not_submitted',
+        index: true
+    },
+    kycApprovedAt: {
+        type: Date,
+        default: null
+    },
     rating: {
         type: Number,
         default: 0
@@ -57,6 +108,16 @@ const sellerSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    /** per_order sends each order payout on its own; other values consolidate into one PayPal item per cycle. */
+    payoutSchedule: {
+        type: String,
+        enum: PAYOUT_SCHEDULES,
+        default: 'per_order'
+    },
+    lastConsolidatedPayoutAt: {
+        type: Date,
+        default: null
+    },
     // PayPal OAuth onboarding (no manual email)
     paypalMerchantId: { type: String, default: null },
     paypalEmail: { type: String, default: null },
@@ -69,6 +130,13 @@ const sellerSchema = new mongoose.Schema({
     availableBalance: { type: Number, default: 0 },
     pendingBalance: { type: Number, default: 0 },
     lastPayoutAttempt: { type: Date, default: null },
+    /** Risk tier driving payout hold and rolling reserve; refreshed daily by the seller tier job. */
+    tier: {
+        level: { type: String, enum: Object.keys(SELLER_TIERS), default: 'new', index: true },
+        reasons: { type: [String], default: [] },
+        metrics: { type: mongoose.Schema.Types.Mixed, default: null },
+        evaluatedAt: { type: Date, default: null }
+    },
 }, { timestamps: true });
 
 sellerSchema.plugin(mongooseAggregatePaginate)
@@ -0,0 +1,59 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * Closed monthly statement for one seller. Figures are frozen when the month is issued;
+ * the commission invoice number is assigned at the same time and never reused.
+ */
+const sellerStatementSchema = new Schema(
+  {
+    sellerId: { type: Schema.Types.ObjectId, ref: "Seller", required: true, index: true },
+    period: { type: String, required: true },
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+    currency: { type: String, default: "USD" },
+    openingBalance: { type: Number, default: 0 },
+    sales: {
+      orderCount: { type: Number, default: 0 },
+      unitCount: { type: Number, default: 0 },
+      grossSales: { type: Number, default: 0 },
+      normalCommission: { type: Number, default: 0 },
+      featuredExtraCommission: { type: Number, default: 0 },
+      totalCommission: { type: Number, default: 0 },
+      netEarnings: { type: Number, default: 0 },
+    },
+    refunds: {
+      count: { type: Number, default: 0 },
+      grossAmount: { type: Number, default: 0 },
+      commissionAmount: { type: Number, default: 0 },
+      netAmount: { type: Number, default: 0 },
+    },
+    payouts: {
+      count: { type: Number, default: 0 },
+      amount: { type: Number, default: 0 },
+    },
+    closingBalance: { type: Number, default: 0 },
+    commissionInvoice: {
+      number: { type: String, default: null },
+      issuedAt: { type: Date, default: null },
+      amount: { type: Number, default: 0 },
+    },
+    seller: {
+      shopName: String,
+      email: String,
+      country: String,
+      state: String,
+      city: String,
+    },
+    issuedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+sellerStatementSchema.index({ sellerId: 1, period: 1 }, { unique: true });
+sellerStatementSchema.index(
+  { "commissionInvoice.number": 1 },
+  { unique: true, partialFilterExpression: { "commissionInvoice.number": { $type: "string" } } }
+);
+sellerStatementSchema.index({ period: 1, createdAt: -1 });
+
+export const SellerStatement = mongoose.model("SellerStatement", sellerStatementSchema);
@@ -7,23 +7,36 @@ const sessionSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    /** SHA-256 of the session's current access token. */
     token: {
       type: String,
       required: true,
       unique: true,
       index: true,
     },
+    /** SHA-256 of the session's current refresh token; rotated on every refresh. */
     refreshToken: {
       type: String,
       required: true,
       index: true,
     },
+    /** Hashes of refresh tokens already rotated out; presenting one again revokes the session. */
+    previousRefreshTokens: {
+      type: [String],
+      select: false,
+    },
     deviceInfo: {
       userAgent: String,
       ipAddress: String,
       deviceType: String,
       browser: String,
       os: String,
+      country: String,
+    },
+    /** Why this sign-in triggered an alert, e.g. "new_device", "new_country". */
+    loginAlerts: {
+      type: [String],
+      default: undefined,
     },
     isActive: {
       type: Boolean,
@@ -39,6 +52,11 @@ const sessionSchema = new mongoose.Schema(
       type: Date,
       required: true,
     },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ["logout", "user_revoked", "revoke_all", "refresh_token_reuse", "password_reset", "account_deleted", "banned"],
+    },
   },
   { timestamps: true }
 );
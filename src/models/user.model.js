@@ -2,6 +2,7 @@ import mongoose from "mongoose";
 import { ROLE } from "../constants.js";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
 
 const userSchema = new mongoose.Schema({
     name: {
@@ -46,11 +47,25 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    /** Set when the account was erased on request; identity fields are anonymised from then on. */
+    erasedAt: Date,
     lastLogin: Date,
     loginCount: {
         type: Number,
         default: 0
     },
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lastFailedLoginAt: Date,
+    /** Sign-in is refused until this time; see accountSecurity.service. */
+    lockUntil: Date,
+    /** Consecutive lockouts since the last successful sign-in; each one doubles the lock length. */
+    lockoutLevel: {
+        type: Number,
+        default: 0
+    },
     roles: {
         type: [String],
         enum: ROLE,
@@ -61,6 +76,30 @@ const userSchema = new mongoose.Schema({
     },
     refreshToken: {
         type: String
+    },
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false
+    },
+    twoFactorEnabledAt: Date,
+    /** Encrypted TOTP secret; the pending one is awaiting its first code during enrollment. */
+    twoFactorSecret: {
+        type: String,
+        select: false
+    },
+    twoFactorPendingSecret: {
+        type: String,
+        select: false
+    },
+    /** bcrypt hashes of unused recovery codes. */
+    twoFactorBackupCodes: {
+        type: [String],
+        select: false
+    },
+    /** Last accepted TOTP time step, so a code cannot be replayed. */
+    twoFactorLastUsedStep: {
+        type: Number,
+        select: false
     }
 }, { timestamps: true });
 
@@ -76,13 +115,14 @@ userSchema.methods.isPasswordCorrect = async function (password) {
     return await bcrypt.compare(password, this.password);
 };
 
-userSchema.methods.generateAccessToken = function () {
+userSchema.methods.generateAccessToken = function (sessionId) {
 
     return jwt.sign({
         _id: this._id,
         email: this.email,
         name: this.name,
-        roles: this.roles
+        roles: this.roles,
+        sid: sessionId
     },
         process.env.ACCESS_TOKEN_SECRET,
         {
@@ -92,9 +132,11 @@ userSchema.methods.generateAccessToken = function () {
     )
 }
 
-userSchema.methods.generateRefreshToken = function () {
+userSchema.methods.generateRefreshToken = function (sessionId) {
     return jwt.sign({
-        _id: this._id
+        _id: this._id,
+        sid: sessionId,
+        jti: crypto.randomUUID()
     },
         process.env.REFRESH_TOKEN_SECRET,
         {
@@ -5,9 +5,21 @@ const wishlistSchema = new Schema({
   products: [
     {
       productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
-      addedAt: { type: Date, default: Date.now }
+      addedAt: { type: Date, default: Date.now },
+      /** Opt-in alerts; `baselinePrice` is the price the next drop is measured against. */
+      alerts: {
+        priceDrop: { type: Boolean, default: false },
+        backInStock: { type: Boolean, default: false },
+        baselinePrice: { type: Number, default: null },
+        subscribedAt: { type: Date, default: null },
+        priceAlertedAt: { type: Date, default: null },
+        stockAlertedAt: { type: Date, default: null },
+      }
     }
   ]
 });
 
+wishlistSchema.index({ "products.alerts.priceDrop": 1 }, { partialFilterExpression: { "products.alerts.priceDrop": true } });
+wishlistSchema.index({ "products.alerts.backInStock": 1 }, { partialFilterExpression: { "products.alerts.backInStock": true } });
+
 export const Wishlist = mongoose.model("Wishlist", wishlistSchema)
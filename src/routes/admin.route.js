@@ -15,12 +15,20 @@ import {
   getProductDetails,
   getAllPayouts,
   processPayout,
+  getPayoutBatches,
+  getPayoutBatchDetails,
   getAllUsers,
   banUser,
+  unlockUser,
+  getPendingKycReviews,
+  reviewSellerKycDocument,
+  requestSellerKycResubmission,
   getDashboardStats,
   moderateChat,
   getCommissionRate,
   updateCommissionRate,
+  getInvoiceTaxSetting,
+  updateInvoiceTaxSetting,
   getAutoApproveSetting,
   updateAutoApproveSetting,
   getHomePageSEO,
@@ -29,7 +37,30 @@ import {
   updateBuyerHandlingFeeSetting,
   getHandlingFeeStats,
   updateProductFeaturedSettings,
+  startLicenseKeyReencryption,
+  getLicenseKeyReencryptionStatus,
 } from "../controller/admin.controller.js";
+import {
+  getDisputes,
+  getDisputeById,
+  updateDispute,
+  uploadDisputeEvidence,
+  revokeDisputeKeys,
+} from "../controller/dispute.controller.js";
+import {
+  getCommissionRules,
+  createCommissionRule,
+  updateCommissionRule,
+  deleteCommissionRule,
+  previewCommissionRule,
+} from "../controller/commissionRule.controller.js";
+import {
+  getCommissionInvoices,
+  downloadSellerStatement,
+  downloadSellerCommissionInvoice,
+} from "../controller/sellerStatement.controller.js";
+import { upload } from "../middlerwares/multer.middlerware.js";
+import { requireTwoFactorStepUp } from "../middlerwares/twoFactor.middlerware.js";
 const router = Router();
  
 router.use(verifyJWT, authorizeRoles("admin"));
@@ -40,6 +71,9 @@ router.route("/seller/:sellerId/block").post(blockSeller);
 router.route("/seller/:sellerId").get(getSellerDetails);
 router.route("/sellers/pending").get(getPendingSellers);
 router.route("/sellers").get(getAllSellers);
+router.route("/kyc/pending").get(getPendingKycReviews);
+router.route("/seller/:sellerId/kyc/documents/:documentId").patch(reviewSellerKycDocument);
+router.route("/seller/:sellerId/kyc/request-resubmission").post(requestSellerKycResubmission);
 
 router.route("/product/:productId/approve").post(approveProduct);
 router.route("/product/:productId/reject").post(rejectProduct);
@@ -51,19 +85,39 @@ router.route("/products/:productId").delete(deleteProductByAdmin);
 
 router.route("/payouts").get(getAllPayouts);
 router.route("/payout/:payoutId/process").post(processPayout);
+router.route("/payout-batches").get(getPayoutBatches);
+router.route("/payout-batches/:batchId").get(getPayoutBatchDetails);
+router.route("/commission-invoices").get(getCommissionInvoices);
+router.route("/seller/:sellerId/statements/:period/download").get(downloadSellerStatement);
+router.route("/seller/:sellerId/statements/:period/invoice").get(downloadSellerCommissionInvoice);
+
+router.route("/disputes").get(getDisputes);
+router.route("/disputes/:disputeId").get(getDisputeById).patch(updateDispute);
+router.route("/disputes/:disputeId/evidence").post(upload.array("evidence", 5), uploadDisputeEvidence);
+router.route("/disputes/:disputeId/revoke-keys").post(revokeDisputeKeys);
 
 router.route("/users").get(getAllUsers);
 router.route("/user/:userId/ban").post(banUser);
+router.route("/user/:userId/unlock").post(unlockUser);
 
 router.route("/dashboard/stats").get(getDashboardStats);
 
 router.route("/chat/:conversationId/moderate").post(moderateChat);
 
-router.route("/settings/commission-rate").get(getCommissionRate).patch(updateCommissionRate);
+router.route("/settings/commission-rate").get(getCommissionRate).patch(requireTwoFactorStepUp, updateCommissionRate);
+router.route("/commission-rules").get(getCommissionRules).post(requireTwoFactorStepUp, createCommissionRule);
+router.route("/commission-rules/preview").get(previewCommissionRule);
+router.route("/commission-rules/:ruleId")
+  .patch(requireTwoFactorStepUp, updateCommissionRule)
+  .delete(requireTwoFactorStepUp, deleteCommissionRule);
+router.route("/settings/invoice-tax").get(getInvoiceTaxSetting).patch(requireTwoFactorStepUp, updateInvoiceTaxSetting);
 router.route("/settings/auto-approve-products").get(getAutoApproveSetting).patch(updateAutoApproveSetting);
 router.route("/settings/seo/home").get(getHomePageSEO).patch(updateHomePageSEO);
 router.route("/settings/buyer-handling-fee").get(getBuyerHandlingFeeSetting).patch(updateBuyerHandlingFeeSetting);
 router.route("/stats/handling-fees").get(getHandlingFeeStats);
 
+router.route("/security/license-keys/reencrypt").post(startLicenseKeyReencryption);
+router.route("/security/license-keys/reencrypt/status").get(getLicenseKeyReencryptionStatus);
+
 export default router;
 
@@ -10,33 +10,55 @@ import {
   createCustomReport,
   exportReportCSV,
   exportReportPDF,
+  exportSellerMonthlyAnalyticsPDF,
+  exportAdminMonthlyAnalyticsPDF,
   getRealTimeCounters,
   trackUserBehavior,
   getUserBehaviorAnalytics,
+  getSearchReport,
 } from "../controller/analytics.controller.js";
-import { verifyJWT } from "../middlerwares/authmiddlerware.js";
+import {
+  createScheduledReport,
+  getScheduledReports,
+  pauseScheduledReport,
+  resumeScheduledReport,
+  deleteScheduledReport,
+  getScheduledReportRuns,
+} from "../controller/scheduledReport.controller.js";
+import { verifyJWT, optionalJWT } from "../middlerwares/authmiddlerware.js";
 import { authorizeRoles } from "../middlerwares/authmiddlerware.js";
 
 const router = express.Router();
 
 router.get("/product/:productId", getProductAnalytics);
-router.post("/product/:productId/view", incrementProductViews);
+router.post("/product/:productId/view", optionalJWT, incrementProductViews);
 router.get("/category/:categoryId", getCategoryAnalytics);
 
 router.get("/seller/monthly", verifyJWT, authorizeRoles("seller"), getSellerMonthlyAnalytics);
+router.get("/seller/monthly/pdf", verifyJWT, authorizeRoles("seller"), exportSellerMonthlyAnalyticsPDF);
 
 router.get("/top-products", verifyJWT, authorizeRoles("admin"), getTopProducts);
 router.get("/dashboard", verifyJWT, authorizeRoles("admin"), getAnalyticsDashboard);
 router.get("/admin/monthly", verifyJWT, authorizeRoles("admin"), getAdminMonthlyAnalytics);
+router.get("/admin/monthly/pdf", verifyJWT, authorizeRoles("admin"), exportAdminMonthlyAnalyticsPDF);
 
 router.post("/custom-report", verifyJWT, authorizeRoles("admin"), createCustomReport);
 router.get("/export/csv", verifyJWT, authorizeRoles("admin"), exportReportCSV);
 router.get("/export/pdf", verifyJWT, authorizeRoles("admin"), exportReportPDF);
 
+router.post("/scheduled-reports", verifyJWT, authorizeRoles("admin"), createScheduledReport);
+router.get("/scheduled-reports", verifyJWT, authorizeRoles("admin"), getScheduledReports);
+router.get("/scheduled-reports/runs", verifyJWT, authorizeRoles("admin"), getScheduledReportRuns);
+router.patch("/scheduled-reports/:reportId/pause", verifyJWT, authorizeRoles("admin"), pauseScheduledReport);
+router.patch("/scheduled-reports/:reportId/resume", verifyJWT, authorizeRoles("admin"), resumeScheduledReport);
+router.delete("/scheduled-reports/:reportId", verifyJWT, authorizeRoles("admin"), deleteScheduledReport);
+router.get("/scheduled-reports/:reportId/runs", verifyJWT, authorizeRoles("admin"), getScheduledReportRuns);
+
 router.get("/realtime", verifyJWT, authorizeRoles("admin"), getRealTimeCounters);
 
 router.post("/track-behavior", trackUserBehavior);
 router.get("/user-behavior", verifyJWT, authorizeRoles("admin"), getUserBehaviorAnalytics);
+router.get("/searches", verifyJWT, authorizeRoles("admin"), getSearchReport);
 
 export default router;
 
@@ -1,10 +1,14 @@
 import { Router } from "express";
 import { getHomepageData } from "../controller/homepage.controller.js";
+import { getHomepageRecommendations } from "../controller/recommendation.controller.js";
 import { cacheResponse } from "../middlerwares/cache.middlerware.js";
+import { optionalJWT } from "../middlerwares/authmiddlerware.js";
 
 const router = Router();
 
 // Cache homepage data for 2 minutes — single request replaces 9+ frontend calls
 router.get("/", cacheResponse(120), getHomepageData);
+// Personalised, so never response-cached
+router.get("/recommendations", optionalJWT, getHomepageRecommendations);
 
 export default router;
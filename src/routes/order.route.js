@@ -10,6 +10,7 @@ import {
   reorder,
   getSellerOrders,
 } from "../controller/order.controller.js";
+import { getOrderInvoice } from "../controller/invoice.controller.js";
 
 
 const router = Router();
@@ -28,6 +29,10 @@ router
   .route("/:orderId/keys")
   .get(optionalJWT, getOrderKeys);
 
+router
+  .route("/:orderId/invoice")
+  .get(optionalJWT, getOrderInvoice);
+
 router
   .route("/:orderId/cancel")
   .post(verifyJWT, authorizeRoles("customer", "admin"), cancelOrder);
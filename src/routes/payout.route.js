@@ -8,6 +8,9 @@ import {
   getPayoutRequests,
   updateMinimumPayoutThreshold,
   getPayoutReports,
+  getPayoutSchedule,
+  updatePayoutSchedule,
+  getMyPayoutBatches,
 } from "../controller/payout.controller.js";
 
 
@@ -37,6 +40,15 @@ router
   .route("/reports")
   .get(verifyJWT, authorizeRoles("seller"), getPayoutReports);
 
+router
+  .route("/schedule")
+  .get(verifyJWT, authorizeRoles("seller"), getPayoutSchedule)
+  .patch(verifyJWT, authorizeRoles("seller"), updatePayoutSchedule);
+
+router
+  .route("/batches")
+  .get(verifyJWT, authorizeRoles("seller"), getMyPayoutBatches);
+
 router
   .route("/:payoutId")
   .get(verifyJWT, authorizeRoles("seller"), getPayoutDetails);
@@ -1,19 +1,33 @@
 import { Router } from "express";
 import { verifyJWT, authorizeRoles, optionalJWT } from "../middlerwares/authmiddlerware.js";
-import { upload } from "../middlerwares/multer.middlerware.js";
+import { upload, uploadSpreadsheet, uploadKeyFile } from "../middlerwares/multer.middlerware.js";
 import {
   createProduct,
+  importProducts,
+  getProductImport,
+  getProductImportTemplate,
   updateProductImages,
   deleteProduct,
   getProducts,
+  searchProducts,
+  suggestProducts,
   getProductById,
   updateProduct,
   uploadKeys,
   getProductKeys,
+  getKeyImports,
+  downloadKeyImportRejections,
   syncStock,
   duplicateProduct,
 } from "../controller/product.controller.js";
 import { getSoftwarePage } from "../controller/software.controller.js";
+import { getProductRecommendations } from "../controller/recommendation.controller.js";
+import {
+  getMyRecentlyViewed,
+  clearMyRecentlyViewed,
+  removeRecentlyViewedProduct,
+  mergeMyRecentlyViewed,
+} from "../controller/recentlyViewed.controller.js";
 
 
 const router = Router();
@@ -24,6 +38,22 @@ router.route("/create-product").post(
   upload.array("images", 5),
   createProduct
 );
+router.route("/import").post(
+  verifyJWT,
+  authorizeRoles("seller"),
+  uploadSpreadsheet,
+  importProducts
+);
+router.route("/import/template").get(
+  verifyJWT,
+  authorizeRoles("seller"),
+  getProductImportTemplate
+);
+router.route("/import/:importId").get(
+  verifyJWT,
+  authorizeRoles("seller"),
+  getProductImport
+);
 router.route("/update-product-images/:id").patch(
   verifyJWT,
   authorizeRoles("admin", "seller"),
@@ -42,17 +72,39 @@ router.route("/update-product/:id").patch(
 );
 
 router.route("/get-products").get(optionalJWT, getProducts);
+router.route("/search").get(optionalJWT, searchProducts);
+router.route("/suggest").get(optionalJWT, suggestProducts);
 
 router.route("/pages/software").get(getSoftwarePage);
 
-router.route("/:identifier").get(getProductById);
+router.route("/recently-viewed")
+  .get(optionalJWT, getMyRecentlyViewed)
+  .delete(optionalJWT, clearMyRecentlyViewed);
+router.route("/recently-viewed/merge").post(verifyJWT, mergeMyRecentlyViewed);
+router.route("/recently-viewed/:productId").delete(optionalJWT, removeRecentlyViewedProduct);
+
+router.route("/:identifier").get(optionalJWT, getProductById);
+router.route("/:identifier/recommendations").get(getProductRecommendations);
 
 router.route("/:id/upload-keys").post(
   verifyJWT,
   authorizeRoles("seller", "admin"),
+  uploadKeyFile,
   uploadKeys
 );
 
+router.route("/:id/key-imports").get(
+  verifyJWT,
+  authorizeRoles("seller"),
+  getKeyImports
+);
+
+router.route("/:id/key-imports/:importId/rejections").get(
+  verifyJWT,
+  authorizeRoles("seller"),
+  downloadKeyImportRejections
+);
+
 router.route("/:id/keys").get(
   verifyJWT,
   authorizeRoles("seller", "admin"),
@@ -11,6 +11,8 @@ import {
   getSellerWithdrawalHistory,
   getSellerPerformanceMetrics,
   getSellerVerificationBadge,
+  getMyKyc,
+  uploadKycDocument,
   getPublicSellerProfile,
   getSellerProducts,
   getSellerReviews,
@@ -20,8 +22,15 @@ import {
   deleteSellerLicenseKey,
   revealSellerLicenseKey,
 } from "../controller/licensekey.controller.js";
+import {
+  getMyStatements,
+  getMyStatement,
+  downloadMyStatement,
+  downloadMyCommissionInvoice,
+} from "../controller/sellerStatement.controller.js";
 import { verifyJWT, authorizeRoles } from "../middlerwares/authmiddlerware.js";
 import { upload } from "../middlerwares/multer.middlerware.js";
+import { requireTwoFactorStepUp } from "../middlerwares/twoFactor.middlerware.js";
 
 
 const router = Router()
@@ -32,6 +41,10 @@ router.route("/apply-seller").post(
     upload.fields([
         { name: "shopLogo", maxCount: 1 },
         { name: "shopBanner", maxCount: 1 },
+        { name: "idDocument", maxCount: 1 },
+        { name: "proofOfAddress", maxCount: 1 },
+        { name: "businessRegistration", maxCount: 1 },
+        // Legacy untyped field, still accepted from older clients
         { name: "kycDocs", maxCount: 3 }
     ]),
     applySeller
@@ -85,6 +98,30 @@ router
     .route("/verification-badge")
     .get(verifyJWT, authorizeRoles("seller"), getSellerVerificationBadge);
 
+router
+    .route("/kyc")
+    .get(verifyJWT, authorizeRoles("seller", "customer"), getMyKyc);
+
+router
+    .route("/kyc/documents")
+    .post(verifyJWT, authorizeRoles("seller", "customer"), upload.single("document"), uploadKycDocument);
+
+router
+    .route("/statements")
+    .get(verifyJWT, authorizeRoles("seller"), getMyStatements);
+
+router
+    .route("/statements/:period")
+    .get(verifyJWT, authorizeRoles("seller"), getMyStatement);
+
+router
+    .route("/statements/:period/download")
+    .get(verifyJWT, authorizeRoles("seller"), downloadMyStatement);
+
+router
+    .route("/statements/:period/invoice")
+    .get(verifyJWT, authorizeRoles("seller"), downloadMyCommissionInvoice);
+
 router
     .route("/public/:sellerId")
     .get(getPublicSellerProfile);
@@ -99,7 +136,7 @@ router
 
 router
     .route("/license-keys/:keyId/reveal")
-    .get(verifyJWT, authorizeRoles("seller"), revealSellerLicenseKey);
+    .get(verifyJWT, authorizeRoles("seller"), requireTwoFactorStepUp, revealSellerLicenseKey);
 
 router
     .route("/license-keys/:keyId")
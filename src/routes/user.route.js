@@ -3,6 +3,7 @@ import passport from "../config/passport.config.js";
 import { 
   registerUser, 
   loginUser, 
+  verifyTwoFactorLogin,
   refreshAccessToken, 
   logoutUser, 
   getProfile,
@@ -23,8 +24,19 @@ import {
   getActiveSessions,
   revokeSession,
   revokeAllSessions,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactorAuth,
+  regenerateTwoFactorBackupCodes,
 } from "../controller/user.controller.js";
+import {
+  requestDataExport,
+  getDataExports,
+  downloadDataExport,
+} from "../controller/privacy.controller.js";
 import { upload } from "../middlerwares/multer.middlerware.js";
+import { requireTwoFactorStepUp } from "../middlerwares/twoFactor.middlerware.js";
 import { verifyJWT, verifyJWTForLogout } from "../middlerwares/authmiddlerware.js";
 
 
@@ -44,6 +56,7 @@ router.route("/login").post(
   validate(loginValidation),
   loginUser
 )
+router.route("/login/2fa").post(authLimiter, verifyTwoFactorLogin)
 router.route("/logout").post(verifyJWTForLogout, logoutUser)
 router.route("/refresh-token").post(refreshAccessToken)
 router.route("/profile").get(verifyJWT, getProfile)
@@ -93,10 +106,19 @@ router.route("/reset-password").post(resetPassword)
 router.route("/change-email").post(verifyJWT, changeEmail)
 router.route("/verify-email-change").post(verifyEmailChange)
 
-router.route("/delete-account").post(verifyJWT, deleteAccount)
+router.route("/delete-account").post(verifyJWT, requireTwoFactorStepUp, deleteAccount)
+
+router.route("/data-export").post(verifyJWT, requestDataExport).get(verifyJWT, getDataExports)
+router.route("/data-export/:exportId/download").get(verifyJWT, downloadDataExport)
 
 router.route("/sessions").get(verifyJWT, getActiveSessions)
 router.route("/sessions/:sessionId/revoke").post(verifyJWT, revokeSession)
 router.route("/sessions/revoke-all").post(verifyJWT, revokeAllSessions)
 
+router.route("/2fa").get(verifyJWT, getTwoFactorStatus)
+router.route("/2fa/setup").post(verifyJWT, setupTwoFactor)
+router.route("/2fa/enable").post(verifyJWT, authLimiter, enableTwoFactor)
+router.route("/2fa/disable").post(verifyJWT, authLimiter, disableTwoFactorAuth)
+router.route("/2fa/backup-codes").post(verifyJWT, authLimiter, regenerateTwoFactorBackupCodes)
+
 export default router
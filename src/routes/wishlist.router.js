@@ -1,6 +1,6 @@
 import { Router } from "express";
 import { verifyJWT, authorizeRoles } from "../middlerwares/authmiddlerware.js";
-import { addToWishlist, getWishlist, removeFromWishlist, clearWishlist} from "../controller/wishlist.controller.js";
+import { addToWishlist, getWishlist, removeFromWishlist, clearWishlist, updateWishlistAlerts } from "../controller/wishlist.controller.js";
 
 
 const router = Router();
@@ -9,5 +9,6 @@ router.route("/create-wishlist").post(verifyJWT, authorizeRoles("customer", "adm
 router.route("/get-wishlist").get(verifyJWT, authorizeRoles("customer", "admin"), getWishlist);
 router.route("/remove-wishlist").patch(verifyJWT, authorizeRoles("customer", "admin"), removeFromWishlist);
 router.route("/clear-wishlist").patch(verifyJWT, authorizeRoles("customer", "admin"), clearWishlist);
+router.route("/alerts").patch(verifyJWT, authorizeRoles("customer", "admin"), updateWishlistAlerts);
 
 export default router;
@@ -0,0 +1,119 @@
+import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+import { logSecurityEvent } from "./audit.service.js";
+import { queueEmail } from "../jobs/email.job.js";
+import { ApiError } from "../utils/ApiError.js";
+import { logger } from "../utils/logger.js";
+
+const DEFAULT_MAX_FAILED_ATTEMPTS = 5;
+const DEFAULT_LOCKOUT_MINUTES = 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+const LOGIN_HISTORY_SIZE = 50;
+
+const readPositiveEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+/** Lock length doubles with each consecutive lockout (15m, 30m, 1h, ...), capped at 24 hours. */
+const getLockoutMinutes = (lockoutLevel) =>
+  Math.min(readPositiveEnv("LOGIN_LOCKOUT_MINUTES", DEFAULT_LOCKOUT_MINUTES) * 2 ** lockoutLevel, MAX_LOCKOUT_MINUTES);
+
+export const isAccountLocked = (user) => !!user.lockUntil && new Date(user.lockUntil) > new Date();
+
+/** Throws 423 while the account is locked. */
+export const assertAccountNotLocked = (user) => {
+  if (!isAccountLocked(user)) return;
+  const minutes = Math.ceil((new Date(user.lockUntil).getTime() - Date.now()) / 60000);
+  throw new ApiError(423, `Account temporarily locked after too many failed sign-in attempts. Try again in ${minutes} minute(s).`);
+};
+
+/**
+ * Counts a failed password or 2FA attempt. Reaching the limit locks the account and
+ * resets the counter; returns the new lock expiry in that case.
+ */
+export const recordFailedLogin = async (user, req, stage = "password") => {
+  const maxAttempts = readPositiveEnv("LOGIN_MAX_FAILED_ATTEMPTS", DEFAULT_MAX_FAILED_ATTEMPTS);
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true }
+  )
+    .select("failedLoginAttempts lockoutLevel")
+    .lean();
+  if (!updated) return null;
+
+  const ip = req?.ip;
+  const userAgent = req?.get?.("user-agent");
+
+  if (updated.failedLoginAttempts < maxAttempts) {
+    await logSecurityEvent("login_failed", user._id, ip, userAgent, { stage, attempts: updated.failedLoginAttempts });
+    return null;
+  }
+
+  const lockoutLevel = updated.lockoutLevel || 0;
+  const lockUntil = new Date(Date.now() + getLockoutMinutes(lockoutLevel) * 60000);
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { lockUntil, failedLoginAttempts: 0, lockoutLevel: lockoutLevel + 1 } }
+  );
+  await logSecurityEvent("account_locked", user._id, ip, userAgent, { stage, lockUntil, lockoutLevel: lockoutLevel + 1 });
+  return lockUntil;
+};
+
+/** Admin unlock; also resets the progressive lockout level. */
+export const unlockAccount = async (userId) => {
+  const result = await User.updateOne(
+    { _id: userId },
+    { $set: { failedLoginAttempts: 0, lockoutLevel: 0 }, $unset: { lockUntil: "" } }
+  );
+  return result.matchedCount > 0;
+};
+
+const deviceFingerprint = (deviceInfo = {}) => `${deviceInfo.deviceType}|${deviceInfo.browser}|${deviceInfo.os}`;
+
+/**
+ * Compares a new session with the user's earlier ones and emails an alert when it comes from
+ * an unseen device or country. The first session of an account never alerts.
+ */
+export const detectSuspiciousLogin = async (user, session) => {
+  const previous = await Session.find({ userId: user._id, _id: { $ne: session._id } })
+    .select("deviceInfo")
+    .sort({ createdAt: -1 })
+    .limit(LOGIN_HISTORY_SIZE)
+    .lean();
+  if (previous.length === 0) return [];
+
+  const reasons = [];
+  const fingerprint = deviceFingerprint(session.deviceInfo);
+  if (!previous.some((prior) => deviceFingerprint(prior.deviceInfo) === fingerprint)) {
+    reasons.push("new_device");
+  }
+
+  const country = session.deviceInfo?.country;
+  const knownCountries = previous.map((prior) => prior.deviceInfo?.country).filter(Boolean);
+  if (country && knownCountries.length > 0 && !knownCountries.includes(country)) {
+    reasons.push("new_country");
+  }
+  if (reasons.length === 0) return reasons;
+
+  await Session.updateOne({ _id: session._id }, { $set: { loginAlerts: reasons } });
+  await logSecurityEvent("suspicious_login", user._id, session.deviceInfo?.ipAddress, session.deviceInfo?.userAgent, {
+    sessionId: session._id,
+    reasons,
+    country: country || null,
+  });
+
+  try {
+    await queueEmail("suspicious_login", {
+      email: user.email,
+      userName: user.name,
+      reasons,
+      deviceInfo: session.deviceInfo,
+      loginAt: session.createdAt || new Date(),
+    });
+  } catch (error) {
+    logger.error(`[SECURITY] Failed to send login alert to user ${user._id} (non-critical):`, error?.message || error);
+  }
+  return reasons;
+};
@@ -0,0 +1,185 @@
+import mongoose from "mongoose";
+import cronParser from "cron-parser";
+import { Order } from "../models/order.model.js";
+import { Product } from "../models/product.model.js";
+import { ScheduledReport } from "../models/scheduledReport.model.js";
+import { ScheduledReportRun } from "../models/scheduledReportRun.model.js";
+import { sendScheduledReportEmail } from "./email.service.js";
+import { ApiError } from "../utils/ApiError.js";
+import { toCsv } from "../utils/spreadsheet.js";
+import { logger } from "../utils/logger.js";
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MIN_SCHEDULE_INTERVAL_MS = 60 * 60 * 1000;
+
+/** Resolves a saved date window ("last_7_days", "previous_month", ...) to concrete UTC bounds. */
+export const resolveDateWindow = (dateWindow, now = new Date()) => {
+  switch (dateWindow) {
+    case "last_24_hours":
+      return { startDate: new Date(now.getTime() - MS_PER_DAY), endDate: now };
+    case "last_7_days":
+      return { startDate: new Date(now.getTime() - 7 * MS_PER_DAY), endDate: now };
+    case "last_30_days":
+      return { startDate: new Date(now.getTime() - 30 * MS_PER_DAY), endDate: now };
+    case "month_to_date":
+      return { startDate: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)), endDate: now };
+    case "previous_month":
+      return {
+        startDate: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1)),
+        endDate: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1) - 1),
+      };
+    default:
+      throw new ApiError(400, `Unknown date window: ${dateWindow}`);
+  }
+};
+
+const toObjectId = (value, field) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new ApiError(400, `Invalid ${field} filter`);
+  }
+  return new mongoose.Types.ObjectId(value);
+};
+
+/** Whitelisted filters per report type, translated to a Mongo match. */
+const buildFilterMatch = (reportType, filters = {}) => {
+  const match = {};
+  if (reportType === "orders" || reportType === "sales") {
+    if (filters.orderStatus) match.orderStatus = String(filters.orderStatus);
+    if (filters.sellerId) match["items.sellerId"] = toObjectId(filters.sellerId, "sellerId");
+  }
+  if (reportType === "products") {
+    if (filters.status) match.status = String(filters.status);
+    if (filters.sellerId) match.sellerId = toObjectId(filters.sellerId, "sellerId");
+    if (filters.categoryId) match.categoryId = toObjectId(filters.categoryId, "categoryId");
+  }
+  return match;
+};
+
+/**
+ * Builds a CSV report. `match` carries the createdAt range; `filters` are the saved
+ * report filters. Returns the CSV text and the number of data rows.
+ */
+export const buildReportCSV = async (reportType, { match = {}, filters = {} } = {}) => {
+  const fullMatch = { ...match, ...buildFilterMatch(reportType, filters) };
+
+  switch (reportType) {
+    case "orders": {
+      const orders = await Order.find({ ...fullMatch, paymentStatus: "paid" })
+        .select("orderNumber userId totalAmount orderStatus createdAt")
+        .sort({ createdAt: 1 })
+        .lean();
+      const rows = orders.map((o) => [o.orderNumber || o._id, o.userId, o.totalAmount, o.orderStatus, o.createdAt]);
+      return { csv: toCsv(["Order ID", "User ID", "Total Amount", "Status", "Date"], rows), rowCount: rows.length };
+    }
+    case "products": {
+      const products = await Product.find(fullMatch)
+        .select("name price status stock createdAt")
+        .sort({ createdAt: 1 })
+        .lean();
+      const rows = products.map((p) => [p._id, p.name, p.price, p.status, p.stock, p.createdAt]);
+      return { csv: toCsv(["Product ID", "Name", "Price", "Status", "Stock", "Date"], rows), rowCount: rows.length };
+    }
+    case "sales": {
+      const days = await Order.aggregate([
+        { $match: { ...fullMatch, paymentStatus: "paid" } },
+        { $project: { createdAt: 1, totalAmount: 1, refundedTotal: { $sum: "$items.refundedAmount" } } },
+        {
+          $group: {
+            _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+            orders: { $sum: 1 },
+            grossRevenue: { $sum: "$totalAmount" },
+            refunded: { $sum: { $ifNull: ["$refundedTotal", 0] } },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]);
+      const rows = days.map((d) => [
+        d._id,
+        d.orders,
+        d.grossRevenue.toFixed(2),
+        d.refunded.toFixed(2),
+        (d.grossRevenue - d.refunded).toFixed(2),
+      ]);
+      return { csv: toCsv(["Date", "Orders", "Gross Revenue", "Refunded", "Net Revenue"], rows), rowCount: rows.length };
+    }
+    default:
+      throw new ApiError(400, "Invalid report type for CSV export");
+  }
+};
+
+/** Next fire time of a 5-field cron expression; throws 400 on invalid timezones or invalid/too-frequent schedules. */
+export const getNextRunAt = (cron, timezone = "UTC", from = new Date()) => {
+  try {
+    new Intl.DateTimeFormat(undefined, { timeZone: timezone });
+  } catch {
+    throw new ApiError(400, `Invalid timezone: ${timezone}`);
+  }
+
+  let next;
+  let following;
+  try {
+    const interval = cronParser.parseExpression(cron, { currentDate: from, tz: timezone });
+    next = interval.next().toDate();
+    following = interval.next().toDate();
+  } catch (error) {
+    throw new ApiError(400, `Invalid schedule: ${error.message}`);
+  }
+  if (cron.trim().split(/\s+/).length !== 5) {
+    throw new ApiError(400, "Invalid schedule: expected 5 cron fields (minute hour day month weekday)");
+  }
+
+  if (following.getTime() - next.getTime() < MIN_SCHEDULE_INTERVAL_MS) {
+    throw new ApiError(400, "Reports can be scheduled at most once per hour");
+  }
+  return next;
+};
+
+/** Generates a saved report's CSV for its date window, emails every recipient and records the run. */
+export const runScheduledReport = async (report, now = new Date()) => {
+  const { startDate, endDate } = resolveDateWindow(report.dateWindow, now);
+  const run = await ScheduledReportRun.create({
+    reportId: report._id,
+    reportName: report.name,
+    reportType: report.reportType,
+    rangeStart: startDate,
+    rangeEnd: endDate,
+    recipients: report.recipients,
+    startedAt: now,
+  });
+
+  try {
+    const { csv, rowCount } = await buildReportCSV(report.reportType, {
+      match: { createdAt: { $gte: startDate, $lte: endDate } },
+      filters: report.filters || {},
+    });
+    const filename = `${report.reportType}-report-${endDate.toISOString().slice(0, 10)}.csv`;
+
+    const failedRecipients = [];
+    for (const to of report.recipients) {
+      try {
+        await sendScheduledReportEmail({ to, report, rangeStart: startDate, rangeEnd: endDate, rowCount, csv, filename });
+      } catch {
+        failedRecipients.push(to);
+      }
+    }
+
+    const status = failedRecipients.length === report.recipients.length ? "failed" : "success";
+    run.set({
+      status,
+      rowCount,
+      failedRecipients,
+      finishedAt: new Date(),
+      error: failedRecipients.length > 0 ? `Delivery failed for ${failedRecipients.length} recipient(s)` : null,
+    });
+  } catch (error) {
+    logger.error(`[SCHEDULED_REPORT] Report ${report._id} failed:`, error);
+    run.set({ status: "failed", finishedAt: new Date(), error: error.message });
+  }
+
+  await run.save();
+  await ScheduledReport.updateOne(
+    { _id: report._id },
+    { $set: { lastRunAt: run.startedAt, lastRunStatus: run.status } }
+  );
+  return run;
+};
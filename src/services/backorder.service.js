@@ -0,0 +1,274 @@
+import mongoose from 'mongoose';
+import { Order } from '../models/order.model.js';
+import { Payout } from '../models/payout.model.js';
+import { assignKeyToOrder, countAvailableKeys } from './key.service.js';
+import { creditWallet } from './wallet.service.js';
+import { adjustPayoutForRefund, blockPayoutsForOrder } from './payout.service.js';
+import { notifyBackorderFulfilled, notifyBackorderRefunded } from './notification.service.js';
+import { logAction } from './audit.service.js';
+import { queueEmail } from '../jobs/email.job.js';
+import { ApiError } from '../utils/ApiError.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_BACKORDER_DEADLINE_HOURS = 72;
+const REFUND_BATCH_SIZE = 100;
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+const isOutOfKeys = (error) => error instanceof ApiError && error.statusCode === 400;
+
+/** Deadline for a backorder created now, from BACKORDER_DEADLINE_HOURS (default 72). */
+export const getBackorderDeadline = (from = new Date()) => {
+  const hours = Number(process.env.BACKORDER_DEADLINE_HOURS);
+  const deadlineHours = Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_BACKORDER_DEADLINE_HOURS;
+  return new Date(from.getTime() + deadlineHours * 60 * 60 * 1000);
+};
+
+/**
+ * Assigns up to `qty` keys inside the order transaction. With `allowBackorder` a shortfall is
+ * returned as `backorderedQty` instead of failing the order.
+ */
+export const assignKeysWithBackorder = async (productId, qty, session, checkoutId, { allowBackorder = false } = {}) => {
+  const assignedKeys = [];
+  for (let i = 0; i < qty; i++) {
+    try {
+      assignedKeys.push(await assignKeyToOrder(productId, null, session, checkoutId));
+    } catch (error) {
+      if (!allowBackorder || !isOutOfKeys(error)) {
+        throw error;
+      }
+      return { assignedKeys, backorderedQty: qty - i };
+    }
+  }
+  return { assignedKeys, backorderedQty: 0 };
+};
+
+const hasOpenBackorder = (item, productId, now) =>
+  item.productId.toString() === productId &&
+  item.backorderedQty > 0 &&
+  item.backorderDeadline > now;
+
+/** Fills one order's open backorders for the product. Returns the number of keys allocated. */
+const allocateToOrder = async (orderId, productId, now) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const order = await Order.findById(orderId).session(session);
+    if (!order || order.paymentStatus !== 'paid') {
+      await session.abortTransaction();
+      return { allocated: 0, order: null };
+    }
+
+    let allocated = 0;
+    for (const item of order.items.filter((i) => hasOpenBackorder(i, productId, now))) {
+      while (item.backorderedQty > 0) {
+        let key;
+        try {
+          key = await assignKeyToOrder(productId, order._id, session);
+        } catch (error) {
+          if (isOutOfKeys(error)) break;
+          throw error;
+        }
+        item.assignedKeyIds.push(key._id);
+        item.backorderedQty -= 1;
+        allocated++;
+      }
+    }
+
+    if (allocated === 0) {
+      await session.abortTransaction();
+      return { allocated: 0, order: null };
+    }
+
+    const fulfilled = order.items.every((item) => !(item.backorderedQty > 0));
+    if (fulfilled && order.orderStatus === 'partially_completed') {
+      order.orderStatus = 'completed';
+    }
+    await order.save({ session });
+    await session.commitTransaction();
+    return { allocated, order, fulfilled };
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Allocates available keys for the product to waiting backorders, oldest order first.
+ * Buyers whose order is now complete get the license key email.
+ */
+export const allocateBackorderedKeys = async (productId) => {
+  const now = new Date();
+  const productIdStr = productId.toString();
+  const waiting = await Order.find({
+    paymentStatus: 'paid',
+    items: {
+      $elemMatch: {
+        productId: new mongoose.Types.ObjectId(productId),
+        backorderedQty: { $gt: 0 },
+        backorderDeadline: { $gt: now },
+      },
+    },
+  })
+    .sort({ createdAt: 1 })
+    .select('_id')
+    .lean();
+
+  let allocated = 0;
+  let fulfilledOrders = 0;
+  for (const { _id } of waiting) {
+    if (await countAvailableKeys(productId) === 0) break;
+
+    let result;
+    try {
+      result = await allocateToOrder(_id, productIdStr, now);
+    } catch (error) {
+      logger.error(`[BACKORDER] Allocation failed for order ${_id}:`, error?.message || error);
+      continue;
+    }
+    if (result.allocated === 0) continue;
+
+    allocated += result.allocated;
+    if (!result.fulfilled) continue;
+
+    fulfilledOrders++;
+    try {
+      await queueEmail('license_key', { orderId: result.order._id, userId: result.order.userId });
+      await notifyBackorderFulfilled(result.order.userId, result.order);
+    } catch (error) {
+      logger.error(`[BACKORDER] Failed to notify buyer for order ${_id} (non-critical):`, error?.message || error);
+    }
+  }
+
+  if (allocated > 0) {
+    logger.info('[BACKORDER] Allocated keys to backorders', { productId: productIdStr, allocated, fulfilledOrders });
+  }
+  return { allocated, fulfilledOrders };
+};
+
+/** Refunds one order's expired backorders to the buyer's wallet and deducts them from seller payouts. */
+const refundOrderBackorders = async (orderId, now) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const order = await Order.findById(orderId).session(session);
+    const expired = (order?.items || []).filter((item) => item.backorderedQty > 0 && item.backorderDeadline <= now);
+    if (!order || !order.userId || expired.length === 0) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    let refundTotal = 0;
+    let refundedQty = 0;
+    for (const item of expired) {
+      const qty = item.backorderedQty;
+      const amount = round2(item.unitPrice * qty);
+      const sellerAmount = round2((item.sellerEarning / item.qty) * qty);
+      const commission = round2(((item.lineTotal - item.sellerEarning) / item.qty) * qty);
+
+      const payout = await adjustPayoutForRefund(order._id, item.sellerId, amount, commission, sellerAmount, [], session);
+      if (!payout) {
+        await Payout.create([{
+          sellerId: item.sellerId,
+          orderId: order._id,
+          requestType: 'scheduled',
+          grossAmount: -amount,
+          commissionAmount: -commission,
+          netAmount: -sellerAmount,
+          currency: 'USD',
+          status: 'blocked',
+          notes: `Backorder refund deduction for order ${order._id}, product ${item.productId}`,
+        }], { session });
+      }
+
+      item.backorderedQty = 0;
+      item.backorderRefundedQty = (item.backorderRefundedQty || 0) + qty;
+      item.refundedAmount = round2((item.refundedAmount || 0) + amount);
+      item.refundedSellerAmount = round2((item.refundedSellerAmount || 0) + sellerAmount);
+      if (item.assignedKeyIds.length === 0) {
+        item.refunded = true;
+        item.refundedAt = now;
+      }
+      refundTotal += amount;
+      refundedQty += qty;
+    }
+
+    refundTotal = round2(refundTotal);
+    if (refundTotal > 0) {
+      await creditWallet(
+        order.userId,
+        refundTotal,
+        `Refund for undelivered backorder keys on order ${order.orderNumber || order._id}`,
+        { orderId: order._id },
+        session
+      );
+    }
+
+    if (order.items.every((item) => item.refunded)) {
+      order.paymentStatus = 'refunded';
+      order.orderStatus = 'REFUNDED';
+      await blockPayoutsForOrder(order._id, 'Backorder expired undelivered – payout cancelled', session);
+    } else {
+      order.orderStatus = 'PARTIALLY_REFUNDED';
+    }
+    await order.save({ session });
+    await session.commitTransaction();
+    return { order, refundTotal, refundedQty };
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/** Refunds every backorder past its deadline. Run periodically by the backorder job. */
+export const refundExpiredBackorders = async () => {
+  const now = new Date();
+  const expired = await Order.find({
+    paymentStatus: 'paid',
+    items: { $elemMatch: { backorderedQty: { $gt: 0 }, backorderDeadline: { $lte: now } } },
+  })
+    .sort({ createdAt: 1 })
+    .limit(REFUND_BATCH_SIZE)
+    .select('_id')
+    .lean();
+
+  let refundedOrders = 0;
+  let refundedAmount = 0;
+  for (const { _id } of expired) {
+    let result;
+    try {
+      result = await refundOrderBackorders(_id, now);
+    } catch (error) {
+      logger.error(`[BACKORDER] Refund failed for order ${_id}:`, error?.message || error);
+      continue;
+    }
+    if (!result) continue;
+
+    refundedOrders++;
+    refundedAmount = round2(refundedAmount + result.refundTotal);
+    try {
+      await logAction('backorder_refunded', result.order.userId, 'Order', result.order._id, {
+        amount: result.refundTotal,
+        keys: result.refundedQty,
+      });
+      await notifyBackorderRefunded(result.order.userId, result.order, result.refundTotal);
+    } catch (error) {
+      logger.error(`[BACKORDER] Failed to notify buyer for order ${_id} (non-critical):`, error?.message || error);
+    }
+  }
+
+  if (refundedOrders > 0) {
+    logger.info('[BACKORDER] Refunded expired backorders', { refundedOrders, refundedAmount });
+  }
+  return { refundedOrders, refundedAmount };
+};
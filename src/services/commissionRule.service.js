@@ -0,0 +1,132 @@
+import mongoose from "mongoose";
+import { CommissionRule } from "../models/commissionRule.model.js";
+import { getCommissionRate } from "./payout.service.js";
+import { ApiError } from "../utils/ApiError.js";
+
+const SCOPE_SPECIFICITY = {
+  seller_category: 3,
+  seller: 2,
+  category: 1,
+  global: 0,
+};
+
+const idOf = (value) => (value?._id ?? value)?.toString?.() || null;
+
+export const isPromotionalRule = (rule) => !!(rule.startsAt || rule.endsAt);
+
+export const deriveCommissionRuleScope = ({ sellerId, categoryId }) => {
+  if (sellerId && categoryId) return "seller_category";
+  if (sellerId) return "seller";
+  if (categoryId) return "category";
+  return "global";
+};
+
+/** Active rules whose time window contains `at`; load once per order and resolve per item. */
+export const loadActiveCommissionRules = async (at = new Date()) => {
+  return await CommissionRule.find({
+    isActive: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: at } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gt: at } }] },
+    ],
+  }).lean();
+};
+
+/** Rules plus the platform default rate, as needed by resolveCommissionRule. */
+export const getCommissionContext = async (at = new Date()) => {
+  const [rules, defaultRate] = await Promise.all([loadActiveCommissionRules(at), getCommissionRate()]);
+  return { rules, defaultRate };
+};
+
+const matchesItem = (rule, sellerId, categoryId) => {
+  if (rule.sellerId && idOf(rule.sellerId) !== sellerId) return false;
+  if (rule.categoryId && idOf(rule.categoryId) !== categoryId) return false;
+  return true;
+};
+
+const compareRules = (a, b) =>
+  SCOPE_SPECIFICITY[b.scope] - SCOPE_SPECIFICITY[a.scope] ||
+  Number(isPromotionalRule(b)) - Number(isPromotionalRule(a)) ||
+  (b.priority || 0) - (a.priority || 0) ||
+  new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0);
+
+/**
+ * Picks the rate for one order item. The most specific matching rule wins
+ * (seller+category, seller, category, global); within a scope a promotional rule beats a
+ * permanent one, then higher priority, then the most recently edited. Falls back to the
+ * platform commission_rate setting.
+ */
+export const resolveCommissionRule = ({ rules = [], defaultRate }, { sellerId, categoryId }) => {
+  const sellerKey = idOf(sellerId);
+  const categoryKey = idOf(categoryId);
+  const [rule] = rules.filter((candidate) => matchesItem(candidate, sellerKey, categoryKey)).sort(compareRules);
+
+  if (!rule) {
+    return { ruleId: null, name: "Platform default", scope: "default", rate: defaultRate, promotional: false };
+  }
+  return {
+    ruleId: rule._id,
+    name: rule.name,
+    scope: rule.scope,
+    rate: rule.rate,
+    promotional: isPromotionalRule(rule),
+  };
+};
+
+/** Validates admin input and returns the fields to store; `existing` is set on update. */
+export const buildCommissionRuleFields = (body, existing = null) => {
+  const fields = {};
+  const pick = (key) => (body[key] !== undefined ? body[key] : existing?.[key] ?? null);
+
+  const name = pick("name");
+  if (!name || !String(name).trim()) {
+    throw new ApiError(400, "Rule name is required");
+  }
+  fields.name = String(name).trim();
+
+  const rate = Number(pick("rate"));
+  if (!Number.isFinite(rate) || rate < 0 || rate > 1) {
+    throw new ApiError(400, "Rate must be a number between 0 and 1 (0% to 100%)");
+  }
+  fields.rate = rate;
+
+  for (const key of ["sellerId", "categoryId"]) {
+    const value = pick(key);
+    if (value && !mongoose.Types.ObjectId.isValid(value)) {
+      throw new ApiError(400, `Invalid ${key}`);
+    }
+    fields[key] = value || null;
+  }
+  fields.scope = deriveCommissionRuleScope(fields);
+
+  for (const key of ["startsAt", "endsAt"]) {
+    const value = pick(key);
+    if (value == null || value === "") {
+      fields[key] = null;
+      continue;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new ApiError(400, `Invalid ${key}`);
+    }
+    fields[key] = date;
+  }
+  if (fields.startsAt && fields.endsAt && fields.endsAt <= fields.startsAt) {
+    throw new ApiError(400, "endsAt must be after startsAt");
+  }
+
+  if (body.priority !== undefined) {
+    const priority = Number(body.priority);
+    if (!Number.isInteger(priority)) {
+      throw new ApiError(400, "Priority must be an integer");
+    }
+    fields.priority = priority;
+  }
+  if (body.isActive !== undefined) {
+    fields.isActive = body.isActive === true || body.isActive === "true";
+  }
+  if (body.notes !== undefined) {
+    fields.notes = body.notes ? String(body.notes).trim() : null;
+  }
+  return fields;
+};
@@ -0,0 +1,297 @@
+import mongoose from "mongoose";
+import { Dispute } from "../models/dispute.model.js";
+import { Order } from "../models/order.model.js";
+import { Payout } from "../models/payout.model.js";
+import { LicenseKey } from "../models/licensekey.model.js";
+import { Transaction } from "../models/transaction.model.js";
+import { adjustPayoutForRefund, blockPayoutsForOrder } from "./payout.service.js";
+import { auditLog } from "./audit.service.js";
+import { handleDisputeOpened, handleDisputeResolved } from "./marketplaceEvents.service.js";
+import { logger } from "../utils/logger.js";
+
+/** PayPal outcome codes where the buyer keeps the money and the seller is debited. */
+const BUYER_FAVOUR_OUTCOMES = ["RESOLVED_BUYER_FAVOUR", "ACCEPTED"];
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+const disputeBlockReason = (dispute) => `PayPal dispute ${dispute.paypalDisputeId} open – payout frozen`;
+
+const getCaptureIds = (resource) =>
+  (resource.disputed_transactions || [])
+    .map((transaction) => transaction.seller_transaction_id)
+    .filter(Boolean);
+
+const applyResourceFields = (dispute, resource) => {
+  if (resource.status) dispute.status = resource.status;
+  if (resource.reason) dispute.reason = resource.reason;
+  if (resource.dispute_life_cycle_stage) dispute.lifeCycleStage = resource.dispute_life_cycle_stage;
+  if (resource.dispute_amount?.value) {
+    dispute.disputeAmount = round2(resource.dispute_amount.value);
+    dispute.currency = resource.dispute_amount.currency_code || dispute.currency;
+  }
+  if (resource.seller_response_due_date) {
+    dispute.sellerResponseDueDate = new Date(resource.seller_response_due_date);
+  }
+};
+
+/** Freezes the order's pending seller payouts and flags its delivered keys. */
+const freezeOrderForDispute = async (dispute, order) => {
+  const payouts = await Payout.find({
+    orderId: order._id,
+    requestType: "scheduled",
+    status: { $in: ["pending", "hold"] },
+  })
+    .select("_id status")
+    .lean();
+  await blockPayoutsForOrder(order._id, disputeBlockReason(dispute));
+
+  const keyIds = order.items.flatMap((item) => item.assignedKeyIds || []);
+  if (keyIds.length > 0) {
+    await LicenseKey.updateMany(
+      { _id: { $in: keyIds }, isRefunded: { $ne: true } },
+      { $set: { disputeId: dispute._id } }
+    );
+  }
+
+  dispute.blockedPayouts = payouts.map((payout) => ({ payoutId: payout._id, previousStatus: payout.status }));
+  dispute.flaggedKeyIds = keyIds;
+  await dispute.save();
+};
+
+/** Puts payouts frozen by this dispute back to their previous status, unless something else blocked them since. */
+const restoreFrozenPayouts = async (dispute, session = null) => {
+  for (const { payoutId, previousStatus } of dispute.blockedPayouts) {
+    await Payout.updateOne(
+      { _id: payoutId, status: "blocked", blockReason: disputeBlockReason(dispute) },
+      { $set: { status: previousStatus, blockReason: null } },
+      { session }
+    );
+  }
+};
+
+/** Seller shares of the refunded amount, proportional to each seller's part of the order. */
+const computeSellerDebits = (order, refundedAmount) => {
+  const orderTotal = Number(order.totalPaid || order.grandTotal || order.totalAmount || 0);
+  const ratio = orderTotal > 0 ? Math.min(1, refundedAmount / orderTotal) : 1;
+  const bySeller = new Map();
+  for (const item of order.items) {
+    const sellerId = item.sellerId.toString();
+    const entry = bySeller.get(sellerId) || { sellerId: item.sellerId, gross: 0, net: 0 };
+    entry.gross += Number(item.lineTotal || 0) * ratio;
+    entry.net += Number(item.sellerEarning || 0) * ratio;
+    bySeller.set(sellerId, entry);
+  }
+  return {
+    ratio,
+    debits: [...bySeller.values()].map((entry) => ({
+      sellerId: entry.sellerId,
+      gross: round2(entry.gross),
+      net: round2(entry.net),
+      commission: round2(entry.gross - entry.net),
+    })),
+  };
+};
+
+/** Buyer won: deduct each seller's share from the frozen payout (or debit the seller if it was already paid). */
+const settleBuyerFavour = async (dispute, order, refundedAmount) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const now = new Date();
+    await restoreFrozenPayouts(dispute, session);
+
+    const { ratio, debits } = computeSellerDebits(order, refundedAmount);
+    dispute.sellerDebits = [];
+    for (const debit of debits) {
+      let payout = await adjustPayoutForRefund(order._id, debit.sellerId, debit.gross, debit.commission, debit.net, [], session);
+      if (!payout) {
+        [payout] = await Payout.create([{
+          sellerId: debit.sellerId,
+          orderId: order._id,
+          requestType: "scheduled",
+          grossAmount: -debit.gross,
+          commissionAmount: -debit.commission,
+          netAmount: -debit.net,
+          currency: order.currency || "USD",
+          status: "blocked",
+          notes: `PayPal dispute ${dispute.paypalDisputeId} lost – seller debit for order ${order._id}`,
+          metadata: { disputeId: dispute._id },
+        }], { session });
+      }
+      dispute.sellerDebits.push({ sellerId: debit.sellerId, amount: debit.net, payoutId: payout._id });
+    }
+
+    const fullyRefunded = ratio >= 1;
+    if (fullyRefunded && dispute.flaggedKeyIds.length > 0) {
+      await LicenseKey.updateMany(
+        { _id: { $in: dispute.flaggedKeyIds } },
+        { $set: { isRevoked: true, revokedAt: now } },
+        { session }
+      );
+      dispute.keysRevokedAt = dispute.keysRevokedAt || now;
+    } else {
+      await LicenseKey.updateMany({ disputeId: dispute._id, isRevoked: { $ne: true } }, { $set: { disputeId: null } }, { session });
+    }
+
+    await Order.updateOne(
+      { _id: order._id },
+      fullyRefunded
+        ? { $set: { paymentStatus: "refunded", orderStatus: "REFUNDED" } }
+        : { $set: { orderStatus: "PARTIALLY_REFUNDED" } },
+      { session }
+    );
+
+    if (order.userId) {
+      await Transaction.create([{
+        userId: order.userId,
+        orderId: order._id,
+        type: "refund",
+        amount: refundedAmount,
+        currency: dispute.currency || "USD",
+        status: "completed",
+        paymentMethod: "PayPal",
+        paypalCaptureId: dispute.captureId,
+        description: `PayPal dispute ${dispute.paypalDisputeId} resolved in buyer's favour`,
+        metadata: { disputeId: dispute._id },
+      }], { session });
+    }
+
+    dispute.resolution = "buyer_favour";
+    dispute.refundedAmount = refundedAmount;
+    dispute.outcomeAppliedAt = now;
+    await dispute.save({ session });
+    await session.commitTransaction();
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/** Seller won (or the buyer withdrew): release frozen payouts and clear the key flags. */
+const releaseSellerFavour = async (dispute) => {
+  await restoreFrozenPayouts(dispute);
+  await LicenseKey.updateMany(
+    { disputeId: dispute._id, isRevoked: { $ne: true } },
+    { $set: { disputeId: null } }
+  );
+  dispute.resolution = "seller_favour";
+  dispute.outcomeAppliedAt = new Date();
+  await dispute.save();
+};
+
+const applyDisputeOutcome = async (dispute, resource) => {
+  if (dispute.outcomeAppliedAt) return;
+
+  const outcome = resource.dispute_outcome || {};
+  dispute.outcomeCode = outcome.outcome_code || dispute.outcomeCode;
+  dispute.resolvedAt = dispute.resolvedAt || new Date();
+  dispute.queueStatus = "resolved";
+
+  const order = dispute.orderId ? await Order.findById(dispute.orderId) : null;
+  if (!order) {
+    dispute.outcomeAppliedAt = new Date();
+    await dispute.save();
+    return;
+  }
+
+  if (BUYER_FAVOUR_OUTCOMES.includes(dispute.outcomeCode)) {
+    const refundedAmount = round2(outcome.amount_refunded?.value || dispute.disputeAmount || 0);
+    await settleBuyerFavour(dispute, order, refundedAmount);
+  } else {
+    await releaseSellerFavour(dispute);
+  }
+
+  await auditLog(order.userId, "DISPUTE_RESOLVED", `PayPal dispute ${dispute.paypalDisputeId} resolved (${dispute.outcomeCode || "no outcome"})`, {
+    disputeId: dispute._id,
+    orderId: order._id,
+    resolution: dispute.resolution,
+    refundedAmount: dispute.refundedAmount,
+  });
+  await handleDisputeResolved({ dispute, order });
+};
+
+/**
+ * Records a CUSTOMER.DISPUTE.* webhook. The first event seen for a dispute links it to the
+ * order by capture id and freezes payouts; a resolved dispute has its outcome applied once.
+ */
+export const recordDisputeEvent = async (eventType, resource) => {
+  const paypalDisputeId = resource?.dispute_id || resource?.id;
+  if (!paypalDisputeId) {
+    logger.warn(`[DISPUTE] ${eventType} resource has no dispute id`);
+    return null;
+  }
+
+  let dispute = await Dispute.findOne({ paypalDisputeId });
+  let order = null;
+  const isNew = !dispute;
+
+  if (isNew) {
+    const captureIds = getCaptureIds(resource);
+    order = captureIds.length > 0 ? await Order.findOne({ paypalCaptureId: { $in: captureIds } }) : null;
+    if (!order) {
+      logger.warn("[DISPUTE] No order found for disputed capture", { paypalDisputeId, captureIds });
+    }
+    dispute = new Dispute({
+      paypalDisputeId,
+      captureId: captureIds[0] || null,
+      orderId: order?._id || null,
+      userId: order?.userId || null,
+      sellerIds: order ? [...new Set(order.items.map((item) => item.sellerId.toString()))] : [],
+    });
+  }
+
+  applyResourceFields(dispute, resource);
+  dispute.events.push({
+    eventType,
+    status: resource.status || null,
+    stage: resource.dispute_life_cycle_stage || null,
+  });
+
+  try {
+    await dispute.save();
+  } catch (error) {
+    // Two webhooks for a new dispute raced; the other one created it.
+    if (error.code === 11000 && isNew) {
+      return recordDisputeEvent(eventType, resource);
+    }
+    throw error;
+  }
+
+  const resolved = eventType === "CUSTOMER.DISPUTE.RESOLVED" || dispute.status === "RESOLVED";
+
+  if (isNew && order) {
+    await freezeOrderForDispute(dispute, order);
+    await auditLog(order.userId, "DISPUTE_OPENED", `PayPal dispute ${paypalDisputeId} opened for order ${order._id}`, {
+      disputeId: dispute._id,
+      orderId: order._id,
+      amount: dispute.disputeAmount,
+      reason: dispute.reason,
+    });
+    if (!resolved) {
+      await handleDisputeOpened({ dispute, order });
+    }
+  }
+
+  if (resolved) {
+    await applyDisputeOutcome(dispute, resource);
+  }
+  return dispute;
+};
+
+/** Revokes every key flagged by the dispute (admin action from the dispute queue). */
+export const revokeDisputedKeys = async (dispute) => {
+  if (dispute.flaggedKeyIds.length === 0) return 0;
+  const now = new Date();
+  const result = await LicenseKey.updateMany(
+    { _id: { $in: dispute.flaggedKeyIds }, isRevoked: { $ne: true } },
+    { $set: { isRevoked: true, revokedAt: now } }
+  );
+  dispute.keysRevokedAt = dispute.keysRevokedAt || now;
+  await dispute.save();
+  return result.modifiedCount;
+};
@@ -6,16 +6,21 @@ import {
   payoutNotificationEmailTemplate,
   refundDecisionCustomerEmailTemplate,
   refundDecisionSellerEmailTemplate,
+  refundEscalatedEmailTemplate,
   refundRequestAdminEmailTemplate,
   refundIssuedSellerEmailTemplate,
   refundRequestedSellerEmailTemplate,
   refundSellerInputRequestEmailTemplate,
+  refundSellerReviewReminderEmailTemplate,
   sellerProfileApprovedEmailTemplate,
   sellerProfileRejectedEmailTemplate,
   sellerProfileSubmissionAdminEmailTemplate,
   sellerProfileSubmissionSellerEmailTemplate,
   sellerNewOrderEmailTemplate,
+  scheduledReportEmailTemplate,
   supportTicketCreatedAdminEmailTemplate,
+  suspiciousLoginEmailTemplate,
+  wishlistAlertEmailTemplate,
 } from "../utils/emailTemplates.js";
 import { EmailLog } from "../models/emailLog.model.js";
 import { decryptKey } from "../utils/encryption.js";
@@ -46,7 +51,7 @@ const createTransporter = () => {
   });
 };
 
-const sendAndLogEmail = async ({ to, subject, html, template }) => {
+const sendAndLogEmail = async ({ to, subject, html, template, attachments }) => {
   const transporter = createTransporter();
   await transporter.sendMail({
     from: {
@@ -56,6 +61,7 @@ const sendAndLogEmail = async ({ to, subject, html, template }) => {
     to,
     subject,
     html,
+    ...(attachments ? { attachments } : {}),
   });
 
   await EmailLog.create({
@@ -143,9 +149,13 @@ export const sendLicenseKeyEmail = async (order, user) => {
       throw new Error("No valid product ObjectIds found");
     }
 
-    const licenseKeyDocs = await LicenseKey.find({
+    const licenseKeys = await LicenseKey.find({
+      _id: { $in: keyIds },
       productId: { $in: validObjectIds },
-    });
+    }).select("keyData");
+    const licenseKeyById = new Map(
+      licenseKeys.map((key) => [key._id.toString(), key]),
+    );
 
     const keyToItemMap = new Map();
     for (const item of order.items) {
@@ -160,30 +170,19 @@ export const sendLicenseKeyEmail = async (order, user) => {
     for (const item of order.items) {
       if (item.assignedKeyIds && item.assignedKeyIds.length > 0) {
         for (const keyId of item.assignedKeyIds) {
-          let found = false;
-          for (const doc of licenseKeyDocs) {
-            const key = doc.keys.find(
-              (k) => k._id.toString() === keyId.toString(),
-            );
-            if (key) {
-              try {
-                const decrypted = decryptKey(key.keyData);
-                decryptedKeys.push(decrypted);
-                found = true;
-                break;
-              } catch (error) {
-                logger.error(`Failed to decrypt key ${key._id}`, error);
-                decryptedKeys.push("[Decryption Error]");
-                found = true;
-                break;
-              }
-            }
-          }
-          if (!found) {
+          const key = licenseKeyById.get(keyId.toString());
+          if (!key) {
             logger.warn(
-              `Key ${keyId} not found in license key documents for order ${order._id}`,
+              `Key ${keyId} not found in license keys for order ${order._id}`,
             );
             decryptedKeys.push("[Key Not Found]");
+            continue;
+          }
+          try {
+            decryptedKeys.push(decryptKey(key.keyData));
+          } catch (error) {
+            logger.error(`Failed to decrypt key ${key._id}`, error);
+            decryptedKeys.push("[Decryption Error]");
           }
         }
       }
@@ -240,27 +239,11 @@ export const sendLicenseKeyEmail = async (order, user) => {
       }
     }
 
-    for (const doc of licenseKeyDocs) {
-      const docKeyIds = doc.keys
-        .filter((key) =>
-          keyIds.some((id) => id.toString() === key._id.toString()),
-        )
-        .map((key) => key._id);
-
-      if (docKeyIds.length > 0) {
-        await LicenseKey.updateOne(
-          { _id: doc._id },
-          {
-            $set: {
-              "keys.$[key].emailSent": true,
-              "keys.$[key].emailSentAt": new Date(),
-            },
-          },
-          {
-            arrayFilters: [{ "key._id": { $in: docKeyIds } }],
-          },
-        );
-      }
+    if (licenseKeys.length > 0) {
+      await LicenseKey.updateMany(
+        { _id: { $in: licenseKeys.map((key) => key._id) } },
+        { $set: { emailSent: true, emailSentAt: new Date() } },
+      );
     }
 
     await order.save();
@@ -338,9 +321,13 @@ export const sendLicenseKeyEmailToGuest = async (order, guestEmail) => {
       .filter((id) => id !== null);
     if (validObjectIds.length === 0)
       throw new Error("No valid product ObjectIds found");
-    const licenseKeyDocs = await LicenseKey.find({
+    const licenseKeys = await LicenseKey.find({
+      _id: { $in: keyIds },
       productId: { $in: validObjectIds },
-    });
+    }).select("keyData");
+    const licenseKeyById = new Map(
+      licenseKeys.map((key) => [key._id.toString(), key]),
+    );
     const keyToItemMap = new Map();
     for (const item of order.items) {
       if (item.assignedKeyIds && item.assignedKeyIds.length > 0) {
@@ -353,23 +340,17 @@ export const sendLicenseKeyEmailToGuest = async (order, guestEmail) => {
     for (const item of order.items) {
       if (item.assignedKeyIds && item.assignedKeyIds.length > 0) {
         for (const keyId of item.assignedKeyIds) {
-          let found = false;
-          for (const doc of licenseKeyDocs) {
-            const key = doc.keys.find(
-              (k) => k._id.toString() === keyId.toString(),
-            );
-            if (key) {
-              try {
-                decryptedKeys.push(decryptKey(key.keyData));
-              } catch (error) {
-                logger.error(`Failed to decrypt key ${key._id}`, error);
-                decryptedKeys.push("[Decryption Error]");
-              }
-              found = true;
-              break;
-            }
+          const key = licenseKeyById.get(keyId.toString());
+          if (!key) {
+            decryptedKeys.push("[Key Not Found]");
+            continue;
+          }
+          try {
+            decryptedKeys.push(decryptKey(key.keyData));
+          } catch (error) {
+            logger.error(`Failed to decrypt key ${key._id}`, error);
+            decryptedKeys.push("[Decryption Error]");
           }
-          if (!found) decryptedKeys.push("[Key Not Found]");
         }
       }
     }
@@ -417,24 +398,11 @@ export const sendLicenseKeyEmailToGuest = async (order, guestEmail) => {
         order.items[i].keyDeliveredAt = new Date();
       }
     }
-    for (const doc of licenseKeyDocs) {
-      const docKeyIds = doc.keys
-        .filter((key) =>
-          keyIds.some((id) => id.toString() === key._id.toString()),
-        )
-        .map((key) => key._id);
-      if (docKeyIds.length > 0) {
-        await LicenseKey.updateOne(
-          { _id: doc._id },
-          {
-            $set: {
-              "keys.$[key].emailSent": true,
-              "keys.$[key].emailSentAt": new Date(),
-            },
-          },
-          { arrayFilters: [{ "key._id": { $in: docKeyIds } }] },
-        );
-      }
+    if (licenseKeys.length > 0) {
+      await LicenseKey.updateMany(
+        { _id: { $in: licenseKeys.map((key) => key._id) } },
+        { $set: { emailSent: true, emailSentAt: new Date() } },
+      );
     }
     await order.save();
     return { success: true, messageId: info.messageId };
@@ -1085,6 +1053,151 @@ export const sendRefundDecisionSellerEmail = async ({
   }
 };
 
+export const sendRefundSellerReviewReminderEmail = async ({
+  sellerEmail,
+  sellerName,
+  refundId,
+  orderNumber,
+  productName,
+  deadline,
+}) => {
+  try {
+    const html = refundSellerReviewReminderEmailTemplate({
+      sellerName,
+      refundId,
+      orderNumber,
+      productName,
+      deadline,
+      dashboardUrl: `${process.env.FRONTEND_URL || ""}/seller/return-refunds`,
+    });
+
+    await sendAndLogEmail({
+      to: sellerEmail,
+      subject: `Reminder: Refund Request #${refundId} Awaits Your Review`,
+      html,
+      template: "refundSellerReviewReminder",
+    });
+    return { success: true };
+  } catch (error) {
+    logger.error("Failed to send refund review reminder email to seller", error);
+    throw error;
+  }
+};
+
+export const sendRefundEscalatedEmail = async ({
+  email,
+  audience,
+  recipientName,
+  refundId,
+  orderNumber,
+  productName,
+  reviewHours,
+}) => {
+  try {
+    const html = refundEscalatedEmailTemplate({
+      audience,
+      recipientName,
+      refundId,
+      orderNumber,
+      productName,
+      reviewHours,
+    });
+
+    await sendAndLogEmail({
+      to: email,
+      subject: `Refund Request #${refundId} Escalated to Admin Review`,
+      html,
+      template: "refundEscalated",
+    });
+    return { success: true };
+  } catch (error) {
+    logger.error(`Failed to send refund escalation email (${audience})`, error);
+    throw error;
+  }
+};
+
+export const sendSuspiciousLoginEmail = async ({ email, userName, reasons, deviceInfo, loginAt }) => {
+  try {
+    const html = suspiciousLoginEmailTemplate({
+      userName,
+      reasons,
+      browser: deviceInfo?.browser || "Unknown browser",
+      os: deviceInfo?.os || "unknown OS",
+      ipAddress: deviceInfo?.ipAddress,
+      country: deviceInfo?.country,
+      loginAt,
+      sessionsUrl: `${process.env.FRONTEND_URL}/account/security`,
+    });
+
+    await sendAndLogEmail({
+      to: email,
+      subject: "New sign-in to your account",
+      html,
+      template: "suspiciousLogin",
+    });
+    return { success: true };
+  } catch (error) {
+    logger.error("Failed to send suspicious login email", error);
+    throw error;
+  }
+};
+
+/** One email per user and alert run, listing every wishlist price drop and restock found. */
+export const sendWishlistAlertEmail = async ({ email, userName, alerts }) => {
+  try {
+    const html = wishlistAlertEmailTemplate({
+      userName,
+      alerts,
+      wishlistUrl: `${process.env.FRONTEND_URL}/wishlist`,
+    });
+
+    await sendAndLogEmail({
+      to: email,
+      subject: alerts.length === 1
+        ? `${alerts[0].productName} ${alerts[0].kind === "price_drop" ? "just got cheaper" : "is back in stock"}`
+        : `${alerts.length} wishlist items just got cheaper or are back in stock`,
+      html,
+      template: "wishlistAlert",
+    });
+    return { success: true };
+  } catch (error) {
+    logger.error("Failed to send wishlist alert email", error);
+    throw error;
+  }
+};
+
+/** Sends a scheduled analytics report with the CSV attached; failures are logged per recipient. */
+export const sendScheduledReportEmail = async ({ to, report, rangeStart, rangeEnd, rowCount, csv, filename }) => {
+  const subject = `Scheduled report: ${report.name}`;
+  try {
+    const html = scheduledReportEmailTemplate({
+      reportName: report.name,
+      reportType: report.reportType,
+      rangeStart,
+      rangeEnd,
+      rowCount,
+    });
+    await sendAndLogEmail({
+      to,
+      subject,
+      html,
+      template: "scheduledReport",
+      attachments: [{ filename, content: csv, contentType: "text/csv" }],
+    });
+    return { success: true };
+  } catch (error) {
+    logger.error("Failed to send scheduled report email", { to, reportId: report._id, err: error.message });
+    await EmailLog.create({
+      recipient: to,
+      subject,
+      template: "scheduledReport",
+      status: "failed",
+      error: error.message,
+    }).catch(() => {});
+    throw error;
+  }
+};
+
 export const sendPasswordResetEmail = async (user, resetToken) => {
   try {
     const transporter = createTransporter();
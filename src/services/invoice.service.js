@@ -0,0 +1,172 @@
+import mongoose from "mongoose";
+import { Order } from "../models/order.model.js";
+import { Checkout } from "../models/checkout.model.js";
+import { PlatformSettings } from "../models/platform.model.js";
+import { nextDocumentNumber } from "./sequence.service.js";
+import { ApiError } from "../utils/ApiError.js";
+import { logger } from "../utils/logger.js";
+
+const INVOICE_PREFIX = "INV";
+const INVOICE_TAX_SETTING = "invoice_tax";
+const DEFAULT_INVOICE_TAX = { rate: 0, label: "VAT" };
+const INVOICEABLE_PAYMENT_STATUSES = ["paid", "refunded"];
+
+const BILLING_FIELD_LIMITS = {
+  fullName: 120,
+  companyName: 160,
+  vatId: 20,
+  address: 240,
+  city: 80,
+  postalCode: 20,
+  country: 80,
+};
+const VAT_ID_PATTERN = /^[A-Z]{2}[A-Z0-9]{2,18}$/;
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+/** Tax shown on buyer invoices: `rate` (0–1) is treated as included in the prices paid. */
+export const getInvoiceTaxSettings = async () => {
+  try {
+    const setting = await PlatformSettings.findOne({ key: INVOICE_TAX_SETTING }).lean();
+    const rate = Number(setting?.value?.rate);
+    if (Number.isFinite(rate) && rate >= 0 && rate <= 1) {
+      return { rate, label: setting.value.label || DEFAULT_INVOICE_TAX.label };
+    }
+  } catch (error) {
+    logger.error("Failed to get invoice tax settings", error);
+  }
+  return { ...DEFAULT_INVOICE_TAX };
+};
+
+export const validateInvoiceTaxSettings = ({ rate, label }) => {
+  const numericRate = Number(rate);
+  if (!Number.isFinite(numericRate) || numericRate < 0 || numericRate > 1) {
+    throw new ApiError(400, "Tax rate must be a number between 0 and 1 (0% to 100%)");
+  }
+  const taxLabel = label === undefined || label === null ? DEFAULT_INVOICE_TAX.label : String(label).trim();
+  if (!taxLabel || taxLabel.length > 20) {
+    throw new ApiError(400, "Tax label must be 1 to 20 characters");
+  }
+  return { rate: numericRate, label: taxLabel };
+};
+
+/** Trims checkout billing input; returns null when nothing was provided. */
+export const normalizeBillingDetails = (input) => {
+  if (!input || typeof input !== "object") return null;
+
+  const details = {};
+  for (const [field, maxLength] of Object.entries(BILLING_FIELD_LIMITS)) {
+    const value = input[field] === undefined || input[field] === null ? "" : String(input[field]).trim();
+    if (value.length > maxLength) {
+      throw new ApiError(400, `billingDetails.${field} must be at most ${maxLength} characters`);
+    }
+    details[field] = value || null;
+  }
+
+  if (details.vatId) {
+    details.vatId = details.vatId.replace(/[\s.-]/g, "").toUpperCase();
+    if (!VAT_ID_PATTERN.test(details.vatId)) {
+      throw new ApiError(400, "billingDetails.vatId must start with a two-letter country code, e.g. DE123456789");
+    }
+  }
+  if (details.vatId && !details.companyName) {
+    throw new ApiError(400, "billingDetails.companyName is required when a VAT ID is given");
+  }
+
+  return Object.values(details).some(Boolean) ? details : null;
+};
+
+export const getOrderInvoiceUrl = (orderId) =>
+  `${process.env.BACKEND_URL || process.env.BASE_URL || ""}/api/v1/order/${orderId}/invoice`;
+
+/**
+ * Assigns the next buyer invoice number to a paid order and freezes its tax lines.
+ * The number and the order update share a transaction, so numbers are never skipped.
+ */
+export const issueOrderInvoice = async (orderId) => {
+  const order = await Order.findById(orderId).select("invoice paymentStatus grandTotal totalAmount buyerHandlingFee").lean();
+  if (!order) {
+    throw new ApiError(404, "Order not found");
+  }
+  if (order.invoice?.number) return order.invoice;
+  if (!INVOICEABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    throw new ApiError(400, "An invoice is available once the order has been paid");
+  }
+
+  const tax = await getInvoiceTaxSettings();
+  const gross = round2(order.grandTotal ?? (order.totalAmount + (order.buyerHandlingFee || 0)));
+  const netAmount = round2(gross / (1 + tax.rate));
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const issuedAt = new Date();
+    const invoice = {
+      number: await nextDocumentNumber(INVOICE_PREFIX, issuedAt, session),
+      issuedAt,
+      taxLabel: tax.label,
+      taxRate: tax.rate,
+      taxAmount: round2(gross - netAmount),
+      netAmount,
+    };
+
+    const result = await Order.updateOne(
+      { _id: order._id, "invoice.number": { $not: { $type: "string" } } },
+      { $set: { invoice, receiptUrl: getOrderInvoiceUrl(order._id) } },
+      { session }
+    );
+    if (result.modifiedCount === 0) {
+      await session.abortTransaction();
+      const current = await Order.findById(order._id).select("invoice").lean();
+      return current.invoice;
+    }
+
+    await session.commitTransaction();
+    return invoice;
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Everything printed on the buyer invoice. Orders placed before discounts were broken down
+ * on the order fall back to their checkout for coupon/bundle/subscription amounts.
+ */
+export const getOrderInvoiceData = async (orderId) => {
+  const invoice = await issueOrderInvoice(orderId);
+
+  const order = await Order.findById(orderId)
+    .populate("items.productId", "name")
+    .populate("items.sellerId", "shopName country state city")
+    .populate("userId", "name email")
+    .populate("couponId", "code")
+    .lean();
+
+  let discounts = {
+    coupon: order.couponDiscount || 0,
+    bundle: order.bundleDiscount || 0,
+    subscription: order.subscriptionDiscount || 0,
+  };
+  if (order.discount > 0 && discounts.coupon + discounts.bundle + discounts.subscription === 0 && order.checkoutId) {
+    const checkout = await Checkout.findById(order.checkoutId).select("couponDiscount bundleDiscount subscriptionDiscount").lean();
+    if (checkout) {
+      discounts = {
+        coupon: checkout.couponDiscount || 0,
+        bundle: checkout.bundleDiscount || 0,
+        subscription: checkout.subscriptionDiscount || 0,
+      };
+    }
+  }
+
+  const sellers = new Map();
+  for (const item of order.items) {
+    if (item.sellerId?._id) sellers.set(item.sellerId._id.toString(), item.sellerId);
+  }
+
+  return { order, invoice, discounts, sellers: [...sellers.values()] };
+};
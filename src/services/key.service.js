@@ -1,11 +1,28 @@
-import { LicenseKey } from '../models/licensekey.model.js';
+import { LicenseKey, LICENSE_KEY_TYPES } from '../models/licensekey.model.js';
 import { Product } from '../models/product.model.js';
 import { encryptKey, decryptKey, hashKey } from '../utils/encryption.js';
 import { ApiError } from '../utils/ApiError.js';
 import { logger } from '../utils/logger.js';
 import mongoose from 'mongoose';
 
-export const assignKeyToOrder = async (productId, orderId, existingSession = null) => {
+/** Keys that can be sold: unused and not held by an unexpired checkout reservation. */
+export const availableKeyFilter = (productId, now = new Date()) => ({
+  productId: new mongoose.Types.ObjectId(productId),
+  isUsed: false,
+  $or: [{ reservedUntil: null }, { reservedUntil: { $lte: now } }],
+});
+
+export const countAvailableKeys = async (productId, session = null) => {
+  return LicenseKey.countDocuments(availableKeyFilter(productId)).session(session);
+};
+
+/** Stamps `restockedAt` when stock goes from zero to positive, inside the caller's transaction. */
+const markRestocked = async (productId, previousStock, newStock, session = null) => {
+  if (previousStock > 0 || !(newStock > 0)) return;
+  await Product.updateOne({ _id: productId }, { $set: { restockedAt: new Date() } }, { session });
+};
+
+export const assignKeyToOrder = async (productId, orderId, existingSession = null, checkoutId = null) => {
   const useExistingSession = existingSession !== null;
   const session = existingSession || await mongoose.startSession();
   
@@ -14,36 +31,42 @@ export const assignKeyToOrder = async (productId, orderId, existingSession = nul
   }
 
   try {
-    const licenseKeyDoc = await LicenseKey.findOne({
-      productId: new mongoose.Types.ObjectId(productId),
-    }).session(session);
+    const now = new Date();
+    const assignment = {
+      $set: {
+        isUsed: true,
+        assignedToOrder: orderId,
+        assignedAt: now,
+        reservedForCheckout: null,
+        reservedUntil: null,
+      },
+    };
 
-    if (!licenseKeyDoc) {
-      throw new ApiError(400, 'No license keys found for this product');
+    let availableKey = null;
+    if (checkoutId) {
+      availableKey = await LicenseKey.findOneAndUpdate(
+        {
+          productId: new mongoose.Types.ObjectId(productId),
+          isUsed: false,
+          reservedForCheckout: new mongoose.Types.ObjectId(checkoutId),
+        },
+        assignment,
+        { new: true, sort: { createdAt: 1 }, session }
+      );
+    }
+    if (!availableKey) {
+      availableKey = await LicenseKey.findOneAndUpdate(
+        availableKeyFilter(productId, now),
+        assignment,
+        { new: true, sort: { createdAt: 1 }, session }
+      );
     }
-
-    const availableKey = licenseKeyDoc.keys.find(key => !key.isUsed);
     
     if (!availableKey) {
       throw new ApiError(400, 'No available keys for this product');
     }
 
-    availableKey.isUsed = true;
-    availableKey.assignedToOrder = orderId;
-    availableKey.assignedAt = new Date();
-
-    await licenseKeyDoc.save({ session });
-
-    await Product.findByIdAndUpdate(
-      productId,
-      {
-        $inc: { 
-          availableKeysCount: -1,
-          stock: -1,
-        },
-      },
-      { session }
-    );
+    await syncProductStock(productId, session);
 
     if (!useExistingSession) {
       await session.commitTransaction();
@@ -74,6 +97,73 @@ export const assignKeyToOrder = async (productId, orderId, existingSession = nul
   }
 };
 
+/**
+ * Soft-reserves keys for every checkout item until `reservedUntil`, so concurrent checkouts
+ * cannot sell the same last key. Must run inside the transaction that creates the checkout.
+ */
+export const reserveKeysForCheckout = async (checkoutId, items, reservedUntil, session) => {
+  const requested = new Map();
+
+  for (const item of items) {
+    const productId = (item.productId?._id || item.productId).toString();
+    const entry = requested.get(productId) || { qty: 0, name: item.name };
+    entry.qty += item.qty - (item.backorderQty || 0);
+    requested.set(productId, entry);
+  }
+
+  for (const [productId, { qty, name }] of requested) {
+    const now = new Date();
+    for (let i = 0; i < qty; i++) {
+      const reserved = await LicenseKey.findOneAndUpdate(
+        availableKeyFilter(productId, now),
+        { $set: { reservedForCheckout: checkoutId, reservedUntil } },
+        { sort: { createdAt: 1 }, session }
+      );
+
+      if (!reserved) {
+        throw new ApiError(400, `Insufficient stock for ${name || 'product'}. Available: ${i}, Requested: ${qty}`);
+      }
+    }
+
+    await syncProductStock(productId, session);
+  }
+};
+
+/** Pushes the checkout's key reservations out to `reservedUntil`. Returns the number of keys still held. */
+export const extendCheckoutReservations = async (checkoutId, reservedUntil, session = null) => {
+  const result = await LicenseKey.updateMany(
+    { reservedForCheckout: new mongoose.Types.ObjectId(checkoutId), isUsed: false },
+    { $set: { reservedUntil } },
+    { session }
+  );
+  return result.matchedCount;
+};
+
+/** Releases every unused key still reserved by the checkout. Returns the number of keys released. */
+export const releaseCheckoutReservations = async (checkoutId, session = null) => {
+  const filter = {
+    reservedForCheckout: new mongoose.Types.ObjectId(checkoutId),
+    isUsed: false,
+  };
+  const productIds = await LicenseKey.distinct('productId', filter).session(session);
+
+  if (productIds.length === 0) {
+    return 0;
+  }
+
+  const result = await LicenseKey.updateMany(
+    filter,
+    { $set: { reservedForCheckout: null, reservedUntil: null } },
+    { session }
+  );
+
+  for (const productId of productIds) {
+    await syncProductStock(productId, session);
+  }
+
+  return result.modifiedCount;
+};
+
 export const bulkUploadKeys = async (productId, keys, sellerId) => {
   const product = await Product.findById(productId);
   if (!product) {
@@ -84,178 +174,188 @@ export const bulkUploadKeys = async (productId, keys, sellerId) => {
     throw new ApiError(403, 'Cannot upload keys for a rejected product.');
   }
 
-  const session = await mongoose.startSession();
-  session.startTransaction();
+  const newKeys = [];
+  const keyHashes = new Set();
 
-  try {
-    let licenseKeyDoc = await LicenseKey.findOne({
-      productId: new mongoose.Types.ObjectId(productId),
-    }).session(session);
-
-    if (!licenseKeyDoc) {
-      licenseKeyDoc = await LicenseKey.create([{
-        productId: new mongoose.Types.ObjectId(productId),
-        keys: [],
-      }], { session });
-      licenseKeyDoc = licenseKeyDoc[0];
+  for (const keyData of keys) {
+    if (!keyData || (typeof keyData !== 'string' && typeof keyData !== 'object')) {
+      continue;
     }
 
-    const newKeys = [];
-    const keyHashes = new Set();
-    const existingHashes = new Set();
-    
-    for (const existingKey of licenseKeyDoc.keys) {
-      try {
-        const decrypted = decryptKey(existingKey.keyData);
-        existingHashes.add(hashKey(decrypted));
-      } catch (error) {
-        logger.error('Error decrypting existing key for duplicate check', error);
-      }
-    }
+    let keyString;
+    let keyType = 'other';
+    let metadata = null;
 
-    for (const keyData of keys) {
-      if (!keyData || (typeof keyData !== 'string' && typeof keyData !== 'object')) {
+    if (typeof keyData === 'string') {
+      keyString = keyData.trim();
+      if (keyString === '') {
         continue;
       }
-
-      let keyString;
-      let keyType = 'other';
-      let metadata = null;
-
-      if (typeof keyData === 'string') {
-        keyString = keyData.trim();
-        if (keyString === '') {
-          continue;
+    } else if (typeof keyData === 'object') {
+      const {
+        key,
+        keyType: requestedKeyType,
+        email,
+        password,
+        username,
+        emailPassword,
+        usernameId,
+        usernamePassword,
+        ...rest
+      } = keyData;
+
+      if (key) {
+        keyString = String(key).trim();
+        if (LICENSE_KEY_TYPES.includes(requestedKeyType) && requestedKeyType !== 'account') {
+          keyType = requestedKeyType;
         }
-      } else if (typeof keyData === 'object') {
-        const {
-          key,
-          email,
-          password,
-          username,
-          emailPassword,
-          usernameId,
-          usernamePassword,
-          ...rest
-        } = keyData;
-
-        if (key) {
-          keyString = String(key).trim();
+      } else {
+        const normalizedEmail = typeof email === 'string' && email.trim() ? email.trim() : null;
+        const normalizedUsernameId =
+          (typeof usernameId === 'string' && usernameId.trim()
+            ? usernameId.trim()
+            : null) ||
+          (typeof username === 'string' && username.trim()
+            ? username.trim()
+            : null);
+
+        const finalEmailPassword =
+          typeof emailPassword === 'string' && emailPassword.trim()
+            ? emailPassword.trim()
+            : normalizedEmail && !normalizedUsernameId && typeof password === 'string' && password.trim()
+            ? password.trim()
+            : null;
+
+        const finalUsernamePassword =
+          typeof usernamePassword === 'string' && usernamePassword.trim()
+            ? usernamePassword.trim()
+            : normalizedUsernameId && typeof password === 'string' && password.trim()
+            ? password.trim()
+            : null;
+
+        if (normalizedEmail || normalizedUsernameId || finalEmailPassword || finalUsernamePassword) {
+          const accountPayload = {
+            email: normalizedEmail || undefined,
+            emailPassword: finalEmailPassword || undefined,
+            usernameId: normalizedUsernameId || undefined,
+            usernamePassword: finalUsernamePassword || undefined,
+          };
+          keyString = JSON.stringify(accountPayload);
+          keyType = 'account';
+        } else if (normalizedEmail && password) {
+          keyString = JSON.stringify({
+            email: normalizedEmail,
+            emailPassword: String(password).trim() || undefined,
+          });
+          keyType = 'account';
         } else {
-          const normalizedEmail = typeof email === 'string' && email.trim() ? email.trim() : null;
-          const normalizedUsernameId =
-            (typeof usernameId === 'string' && usernameId.trim()
-              ? usernameId.trim()
-              : null) ||
-            (typeof username === 'string' && username.trim()
-              ? username.trim()
-              : null);
-
-          const finalEmailPassword =
-            typeof emailPassword === 'string' && emailPassword.trim()
-              ? emailPassword.trim()
-              : normalizedEmail && !normalizedUsernameId && typeof password === 'string' && password.trim()
-              ? password.trim()
-              : null;
-
-          const finalUsernamePassword =
-            typeof usernamePassword === 'string' && usernamePassword.trim()
-              ? usernamePassword.trim()
-              : normalizedUsernameId && typeof password === 'string' && password.trim()
-              ? password.trim()
-              : null;
-
-          if (normalizedEmail || normalizedUsernameId || finalEmailPassword || finalUsernamePassword) {
-            const accountPayload = {
-              email: normalizedEmail || undefined,
-              emailPassword: finalEmailPassword || undefined,
-              usernameId: normalizedUsernameId || undefined,
-              usernamePassword: finalUsernamePassword || undefined,
-            };
-            keyString = JSON.stringify(accountPayload);
-            keyType = 'account';
-          } else if (normalizedEmail && password) {
-            keyString = JSON.stringify({
-              email: normalizedEmail,
-              emailPassword: String(password).trim() || undefined,
-            });
-            keyType = 'account';
-          } else {
-            keyString = JSON.stringify(keyData);
-            keyType = 'account';
-          }
+          keyString = JSON.stringify(keyData);
+          keyType = 'account';
         }
+      }
 
-        if (Object.keys(rest).length > 0) {
-          metadata = rest;
-        }
-      } else {
-        continue;
+      if (Object.keys(rest).length > 0) {
+        metadata = rest;
       }
+    } else {
+      continue;
+    }
 
-      const keyHash = hashKey(keyString);
+    const keyHash = hashKey(keyString);
 
-      if (keyHashes.has(keyHash) || existingHashes.has(keyHash)) {
-        continue;
-      }
+    if (keyHashes.has(keyHash)) {
+      continue;
+    }
 
-      keyHashes.add(keyHash);
+    keyHashes.add(keyHash);
 
-      const encryptedKey = encryptKey(keyString);
+    newKeys.push({
+      keyString,
+      keyHash,
+      keyType: keyType,
+      metadata: metadata || undefined,
+    });
+  }
 
-      newKeys.push({
-        keyData: encryptedKey,
-        keyType: keyType,
-        isUsed: false,
-        encryptedAt: new Date(),
-        metadata: metadata || undefined,
-      });
-    }
+  const existing = await LicenseKey.find({
+    productId: new mongoose.Types.ObjectId(productId),
+    keyHash: { $in: [...keyHashes] },
+  }).select('keyHash').lean();
+  const existingHashes = new Set(existing.map(key => key.keyHash));
 
-    if (newKeys.length === 0) {
-      await session.abortTransaction();
-      throw new ApiError(400, 'No valid keys to upload');
-    }
+  const keysToInsert = newKeys
+    .filter(key => !existingHashes.has(key.keyHash))
+    .map(key => ({
+      productId: new mongoose.Types.ObjectId(productId),
+      keyData: encryptKey(key.keyString),
+      keyHash: key.keyHash,
+      keyType: key.keyType,
+      isUsed: false,
+      encryptedAt: new Date(),
+      metadata: key.metadata,
+    }));
+
+  if (keysToInsert.length === 0) {
+    throw new ApiError(400, 'No valid keys to upload');
+  }
 
-    licenseKeyDoc.keys.push(...newKeys);
-    await licenseKeyDoc.save({ session });
+  const session = await mongoose.startSession();
+  session.startTransaction();
 
-    await Product.findByIdAndUpdate(
+  let total;
+  try {
+    await LicenseKey.insertMany(keysToInsert, { session });
+
+    const previous = await Product.findByIdAndUpdate(
       productId,
       {
         $inc: {
-          totalKeysCount: newKeys.length,
-          availableKeysCount: newKeys.length,
-          stock: newKeys.length,
+          totalKeysCount: keysToInsert.length,
+          availableKeysCount: keysToInsert.length,
+          stock: keysToInsert.length,
         },
       },
       { session }
-    );
+    ).select('stock');
+    if (previous) {
+      await markRestocked(productId, previous.stock, previous.stock + keysToInsert.length, session);
+    }
+
+    total = await LicenseKey.countDocuments({
+      productId: new mongoose.Types.ObjectId(productId),
+    }).session(session);
 
     await session.commitTransaction();
-    return {
-      success: true,
-      uploaded: newKeys.length,
-      total: licenseKeyDoc.keys.length,
-    };
   } catch (error) {
-    await session.abortTransaction();
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    if (error.code === 11000) {
+      throw new ApiError(409, 'Some keys were uploaded concurrently. Please retry the upload.');
+    }
     throw error;
   } finally {
     session.endSession();
   }
-};
-
-export const getDecryptedKey = async (keyId) => {
-  const licenseKeyDoc = await LicenseKey.findOne({
-    'keys._id': new mongoose.Types.ObjectId(keyId),
-  });
 
-  if (!licenseKeyDoc) {
-    throw new ApiError(404, 'License key not found');
+  let backordersFilled = 0;
+  try {
+    const { allocateBackorderedKeys } = await import('./backorder.service.js');
+    backordersFilled = (await allocateBackorderedKeys(productId)).allocated;
+  } catch (error) {
+    logger.error(`[BACKORDER] Allocation after upload failed for product ${productId}:`, error?.message || error);
   }
 
-  const key = licenseKeyDoc.keys.id(keyId);
+  return {
+    success: true,
+    uploaded: keysToInsert.length,
+    total,
+    backordersFilled,
+  };
+};
+
+export const getDecryptedKey = async (keyId) => {
+  const key = await LicenseKey.findById(keyId).select('keyData');
   if (!key) {
     throw new ApiError(404, 'License key not found');
   }
@@ -294,43 +394,27 @@ export const getDecryptedKey = async (keyId) => {
   }
 };
 
-export const syncProductStock = async (productId) => {
-  const licenseKeyDoc = await LicenseKey.findOne({
-    productId: new mongoose.Types.ObjectId(productId),
-  });
-
-  if (!licenseKeyDoc) {
-    await Product.findByIdAndUpdate(productId, {
-      stock: 0,
-      availableKeysCount: 0,
-    });
-    return 0;
-  }
+export const syncProductStock = async (productId, session = null) => {
+  const availableCount = await countAvailableKeys(productId, session);
 
-  const availableCount = licenseKeyDoc.keys.filter(key => !key.isUsed).length;
+  const previous = await Product.findByIdAndUpdate(
+    productId,
+    {
+      stock: availableCount,
+      availableKeysCount: availableCount,
+    },
+    { session }
+  ).select('stock');
 
-  await Product.findByIdAndUpdate(productId, {
-    stock: availableCount,
-    availableKeysCount: availableCount,
-  });
+  if (previous) {
+    await markRestocked(productId, previous.stock, availableCount, session);
+  }
 
   return availableCount;
 };
 
 export const checkKeyAvailability = async (productId, requestedQty = 1) => {
-  const licenseKeyDoc = await LicenseKey.findOne({
-    productId: new mongoose.Types.ObjectId(productId),
-  });
-
-  if (!licenseKeyDoc) {
-    return {
-      available: false,
-      availableCount: 0,
-      message: 'No license keys found for this product',
-    };
-  }
-
-  const availableCount = licenseKeyDoc.keys.filter(key => !key.isUsed).length;
+  const availableCount = await countAvailableKeys(productId);
 
   if (availableCount < requestedQty) {
     return {
@@ -389,32 +473,27 @@ export const getProductKeys = async (productId, sellerId, page = 1, limit = 50)
     throw new ApiError(403, 'Access denied');
   }
 
-  const licenseKeyDoc = await LicenseKey.findOne({ productId });
-
-  if (!licenseKeyDoc) {
-    return {
-      keys: [],
-      pagination: {
-        page,
-        limit,
-        total: 0,
-        pages: 0,
-      },
-    };
-  }
+  const filter = { productId: new mongoose.Types.ObjectId(productId) };
+  const skip = (page - 1) * limit;
 
-  const allKeys = licenseKeyDoc.keys.map(key => ({
+  const [docs, total] = await Promise.all([
+    LicenseKey.find(filter)
+      .select('keyType isUsed assignedAt encryptedAt createdAt metadata')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    LicenseKey.countDocuments(filter),
+  ]);
+
+  const keys = docs.map(key => ({
     _id: key._id,
     keyType: key.keyType,
     isUsed: key.isUsed,
     assignedAt: key.assignedAt,
-    createdAt: key.encryptedAt || licenseKeyDoc.createdAt,
+    createdAt: key.encryptedAt || key.createdAt,
     metadata: key.metadata,
-  })).sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
-
-  const skip = (page - 1) * limit;
-  const keys = allKeys.slice(skip, skip + limit);
-  const total = allKeys.length;
+  }));
 
   return {
     keys,
@@ -426,4 +505,3 @@ export const getProductKeys = async (productId, sellerId, page = 1, limit = 50)
     },
   };
 };
-
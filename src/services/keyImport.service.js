@@ -0,0 +1,175 @@
+import mongoose from "mongoose";
+import { LicenseKey, LICENSE_KEY_TYPES } from "../models/licensekey.model.js";
+import { KeyImport } from "../models/keyImport.model.js";
+import { bulkUploadKeys, validateKeyFormat } from "./key.service.js";
+import { encryptKey, decryptKey, hashKey } from "../utils/encryption.js";
+import { normalizeHeader } from "../utils/spreadsheet.js";
+import { ApiError } from "../utils/ApiError.js";
+
+const KEY_COLUMN_CANDIDATES = ["key", "licensekey", "serial", "serialkey", "activationkey", "cdkey", "code"];
+const KEY_TYPE_COLUMN_CANDIDATES = ["keytype", "type", "platform"];
+// Added by the rejection report; ignored when a fixed report is uploaded again.
+const REPORT_COLUMNS = ["row", "rejectionreason"];
+const REPORT_RETENTION_DAYS = 7;
+
+const escapeCsvValue = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const maskKey = (key) => (key.length <= 4 ? "****" : `****${key.slice(-4)}`);
+
+/**
+ * Resolves which columns hold the key, its type and extra metadata. `columnMap` may name
+ * columns by their header text ({ key: "Serial", keyType: "Platform", metadata: ["Region"] });
+ * anything not given is guessed from common header names.
+ */
+export const resolveKeyColumns = (columns, columnMap = {}) => {
+  const available = new Set(columns.map((column) => column.key));
+  const pick = (requested, candidates, field) => {
+    if (requested) {
+      const key = normalizeHeader(requested);
+      if (!available.has(key)) {
+        throw new ApiError(400, `Column "${requested}" (${field}) not found in the file`);
+      }
+      return key;
+    }
+    return candidates.find((candidate) => available.has(candidate)) || null;
+  };
+
+  const key = pick(columnMap.key, KEY_COLUMN_CANDIDATES, "key")
+    || columns.find((column) => !REPORT_COLUMNS.includes(column.key))?.key;
+  const keyType = pick(columnMap.keyType, KEY_TYPE_COLUMN_CANDIDATES, "keyType");
+  const metadata = Array.isArray(columnMap.metadata)
+    ? columnMap.metadata.map((column) => pick(column, [], "metadata"))
+    : columns
+      .map((column) => column.key)
+      .filter((column) => column !== key && column !== keyType && !REPORT_COLUMNS.includes(column));
+
+  return { key, keyType, metadata };
+};
+
+const normalizeKeyType = (value, fallback) => {
+  const type = String(value || "").trim().toLowerCase();
+  return LICENSE_KEY_TYPES.includes(type) && type !== "account" ? type : fallback;
+};
+
+/**
+ * Classifies every row as accepted, duplicate, invalid_format or too_long, and (unless
+ * `dryRun`) uploads the accepted keys. Rejected rows are stored encrypted for the report.
+ */
+export const importKeyRows = async ({ product, seller, userId, filename, parsed, columnMap, defaultKeyType = "other", dryRun = false }) => {
+  if (product.productType !== "LICENSE_KEY") {
+    throw new ApiError(400, "File import supports license key products only. Upload account credentials as JSON.");
+  }
+
+  const columns = resolveKeyColumns(parsed.columns, columnMap);
+  const fallbackType = normalizeKeyType(defaultKeyType, "other");
+  const labels = new Map(parsed.columns.map((column) => [column.key, column.label || column.key]));
+
+  const seen = new Map();
+  const rows = parsed.rows.map(({ rowNumber, data }) => {
+    const key = String(data[columns.key] || "").trim();
+    const keyType = columns.keyType ? normalizeKeyType(data[columns.keyType], fallbackType) : fallbackType;
+    const row = { rowNumber, data, key, keyType, hash: key ? hashKey(key) : null };
+
+    const format = validateKeyFormat(key, keyType);
+    if (!format.valid) {
+      return { ...row, status: format.error === "Key is too long" ? "too_long" : "invalid_format", reason: format.error };
+    }
+    if (seen.has(row.hash)) {
+      return { ...row, status: "duplicate", reason: `Duplicate of row ${seen.get(row.hash)}` };
+    }
+    seen.set(row.hash, rowNumber);
+    return { ...row, status: "accepted" };
+  });
+
+  const candidateHashes = rows.filter((row) => row.status === "accepted").map((row) => row.hash);
+  const stored = await LicenseKey.find({
+    productId: new mongoose.Types.ObjectId(product._id),
+    keyHash: { $in: candidateHashes },
+  }).select("keyHash").lean();
+  const storedHashes = new Set(stored.map((key) => key.keyHash));
+  for (const row of rows) {
+    if (row.status === "accepted" && storedHashes.has(row.hash)) {
+      row.status = "duplicate";
+      row.reason = "Already uploaded for this product";
+    }
+  }
+
+  const accepted = rows.filter((row) => row.status === "accepted");
+  const rejected = rows.filter((row) => row.status !== "accepted");
+  const summary = {
+    totalRows: rows.length,
+    accepted: accepted.length,
+    duplicates: rows.filter((row) => row.status === "duplicate").length,
+    invalid: rows.filter((row) => row.status === "invalid_format").length,
+    tooLong: rows.filter((row) => row.status === "too_long").length,
+  };
+  const results = rows.map((row) => ({
+    rowNumber: row.rowNumber,
+    status: row.status,
+    reason: row.reason || null,
+    keyPreview: row.key ? maskKey(row.key) : null,
+    keyType: row.keyType,
+  }));
+
+  if (dryRun) {
+    return { dryRun: true, columnMap: columns, summary, results, importId: null };
+  }
+
+  let uploaded = 0;
+  if (accepted.length > 0) {
+    const keys = accepted.map((row) => {
+      const metadata = {};
+      for (const column of columns.metadata) {
+        if (row.data[column]) metadata[column] = row.data[column];
+      }
+      return { key: row.key, keyType: row.keyType, ...metadata };
+    });
+    const result = await bulkUploadKeys(product._id, keys, seller._id);
+    uploaded = result.uploaded;
+  }
+
+  const fileColumns = parsed.columns.filter((column) => !REPORT_COLUMNS.includes(column.key));
+  const rejectionColumns = ["row", ...fileColumns.map((column) => labels.get(column.key)), "rejection_reason"];
+  const keyImport = await KeyImport.create({
+    productId: product._id,
+    sellerId: seller._id,
+    uploadedBy: userId,
+    filename,
+    columnMap: columns,
+    ...summary,
+    accepted: uploaded,
+    rejectionColumns,
+    rejectedRows: rejected.length > 0
+      ? encryptKey(JSON.stringify(rejected.map((row) => [
+        row.rowNumber,
+        ...fileColumns.map((column) => row.data[column.key] ?? ""),
+        row.reason,
+      ])))
+      : null,
+    expiresAt: new Date(Date.now() + REPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  return {
+    dryRun: false,
+    importId: keyImport._id,
+    columnMap: columns,
+    summary: { ...summary, accepted: uploaded },
+    results,
+    rejectionReportAvailable: rejected.length > 0,
+    rejectionReportExpiresAt: rejected.length > 0 ? keyImport.expiresAt : null,
+  };
+};
+
+/**
+ * Rejected rows as CSV in the uploaded file's column layout (plus row number and reason),
+ * so sellers can fix the listed rows and re-upload just this file.
+ */
+export const buildRejectionReportCSV = (keyImport) => {
+  const rows = keyImport.rejectedRows ? JSON.parse(decryptKey(keyImport.rejectedRows)) : [];
+  return [keyImport.rejectionColumns, ...rows]
+    .map((row) => row.map(escapeCsvValue).join(","))
+    .join("\n");
+};
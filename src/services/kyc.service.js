@@ -0,0 +1,272 @@
+import { Seller } from "../models/seller.model.js";
+import { createNotification } from "./notification.service.js";
+import { auditLog } from "./audit.service.js";
+import { KYC_DOCUMENT_TYPES, KYC_REQUIRED_DOCUMENT_TYPES } from "../constants.js";
+import { ApiError } from "../utils/ApiError.js";
+import { logger } from "../utils/logger.js";
+
+const EXPIRY_BATCH_SIZE = 200;
+
+const KYC_DOCUMENT_LABELS = {
+  id_document: "ID document",
+  proof_of_address: "Proof of address",
+  business_registration: "Business registration",
+};
+
+export const getKycDocumentLabel = (type) => KYC_DOCUMENT_LABELS[type] || type;
+
+/** Latest non-superseded document per type; older uploads are kept for the audit trail only. */
+export const getCurrentKycDocuments = (seller) => {
+  const current = {};
+  for (const doc of seller.kycDocuments || []) {
+    if (doc.status === "superseded") continue;
+    const existing = current[doc.type];
+    if (!existing || new Date(doc.submittedAt) >= new Date(existing.submittedAt)) {
+      current[doc.type] = doc;
+    }
+  }
+  return current;
+};
+
+/**
+ * Derives the seller-level KYC status from the current documents. Anything the admin sent
+ * back wins over expiry, which wins over pending review.
+ */
+export const computeKycStatus = (seller) => {
+  const current = Object.values(getCurrentKycDocuments(seller));
+  if (current.length === 0) return "not_submitted";
+  if (current.some((doc) => doc.status === "rejected" || doc.status === "resubmission_requested")) {
+    return "resubmission_required";
+  }
+  const submittedTypes = new Set(current.map((doc) => doc.type));
+  if (!KYC_REQUIRED_DOCUMENT_TYPES.every((type) => submittedTypes.has(type))) return "incomplete";
+  if (current.some((doc) => doc.status === "expired")) return "expired";
+  if (current.some((doc) => doc.status === "pending")) return "pending";
+  return "approved";
+};
+
+/** Recomputes kycStatus on an unsaved seller document; returns the previous status. */
+export const applyKycStatus = (seller) => {
+  const previous = seller.kycStatus;
+  seller.kycStatus = computeKycStatus(seller);
+  if (seller.kycStatus === "approved" && previous !== "approved") {
+    seller.kycApprovedAt = new Date();
+  } else if (seller.kycStatus !== "approved") {
+    seller.kycApprovedAt = null;
+  }
+  return previous;
+};
+
+const parseExpiry = (value) => {
+  if (value == null || value === "") return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(400, "Invalid document expiry date");
+  }
+  if (date <= new Date()) {
+    throw new ApiError(400, "Document has already expired");
+  }
+  return date;
+};
+
+/** Adds an uploaded document and supersedes the earlier one of the same type. Does not save. */
+export const addKycDocument = (seller, { type, url, originalName, expiresAt }) => {
+  if (!KYC_DOCUMENT_TYPES.includes(type)) {
+    throw new ApiError(400, `Document type must be one of: ${KYC_DOCUMENT_TYPES.join(", ")}`);
+  }
+  const current = getCurrentKycDocuments(seller)[type];
+  if (current) {
+    current.status = "superseded";
+  }
+  seller.kycDocuments.push({
+    type,
+    url,
+    originalName: originalName || null,
+    status: "pending",
+    expiresAt: parseExpiry(expiresAt),
+    submittedAt: new Date(),
+  });
+  applyKycStatus(seller);
+  return seller.kycDocuments[seller.kycDocuments.length - 1];
+};
+
+const notifySellerKyc = async (seller, title, message, priority = "high") => {
+  try {
+    await createNotification(
+      seller.userId,
+      "system",
+      title,
+      message,
+      { sellerId: seller._id, kycStatus: seller.kycStatus },
+      "/seller/kyc",
+      priority
+    );
+  } catch (error) {
+    logger.error(`[KYC] Failed to notify seller ${seller._id} (non-critical):`, error?.message || error);
+  }
+};
+
+/** Admin decision on one document: approved (optionally with an expiry date) or rejected with a reason. */
+export const reviewKycDocument = async (sellerId, documentId, { status, reason, expiresAt }, adminId) => {
+  if (!["approved", "rejected"].includes(status)) {
+    throw new ApiError(400, "Status must be approved or rejected");
+  }
+  if (status === "rejected" && !reason?.trim()) {
+    throw new ApiError(400, "A reason is required when rejecting a document");
+  }
+
+  const seller = await Seller.findById(sellerId);
+  if (!seller) throw new ApiError(404, "Seller not found");
+
+  const document = seller.kycDocuments.id(documentId);
+  if (!document) throw new ApiError(404, "KYC document not found");
+  if (document.status === "superseded") {
+    throw new ApiError(409, "This document has been replaced by a newer upload");
+  }
+
+  document.status = status;
+  document.reviewReason = status === "rejected" ? reason.trim() : reason?.trim() || null;
+  document.reviewedBy = adminId;
+  document.reviewedAt = new Date();
+  if (status === "approved" && expiresAt !== undefined) {
+    document.expiresAt = parseExpiry(expiresAt);
+  }
+
+  const previous = applyKycStatus(seller);
+  await seller.save();
+
+  await auditLog(adminId, "KYC_DOCUMENT_REVIEWED", `KYC ${document.type} ${status} for seller ${seller._id}`, {
+    sellerId: seller._id,
+    documentId: document._id,
+    type: document.type,
+    status,
+    reason: document.reviewReason,
+    kycStatus: seller.kycStatus,
+  });
+
+  if (status === "rejected") {
+    await notifySellerKyc(
+      seller,
+      "KYC Document Rejected",
+      `Your ${getKycDocumentLabel(document.type).toLowerCase()} was rejected: ${document.reviewReason}. Please upload a new one.`
+    );
+  } else if (seller.kycStatus === "approved" && previous !== "approved") {
+    await notifySellerKyc(seller, "Verification Approved", "Your identity verification is complete. Payouts are now enabled.", "medium");
+  }
+
+  return { seller, document };
+};
+
+/** Sends current documents back to the seller; payouts stay blocked until new uploads are approved. */
+export const requestKycResubmission = async (sellerId, { types, reason }, adminId) => {
+  if (!reason?.trim()) {
+    throw new ApiError(400, "A reason is required");
+  }
+  const requestedTypes = Array.isArray(types) && types.length > 0 ? types : KYC_REQUIRED_DOCUMENT_TYPES;
+  const invalid = requestedTypes.filter((type) => !KYC_DOCUMENT_TYPES.includes(type));
+  if (invalid.length > 0) {
+    throw new ApiError(400, `Invalid document type(s): ${invalid.join(", ")}`);
+  }
+
+  const seller = await Seller.findById(sellerId);
+  if (!seller) throw new ApiError(404, "Seller not found");
+
+  const current = getCurrentKycDocuments(seller);
+  const missing = requestedTypes.filter((type) => !current[type]);
+  if (missing.length > 0) {
+    throw new ApiError(400, `Seller has not submitted: ${missing.map(getKycDocumentLabel).join(", ")}`);
+  }
+
+  const now = new Date();
+  for (const type of requestedTypes) {
+    const document = current[type];
+    document.status = "resubmission_requested";
+    document.reviewReason = reason.trim();
+    document.reviewedBy = adminId;
+    document.reviewedAt = now;
+  }
+
+  applyKycStatus(seller);
+  await seller.save();
+
+  await auditLog(adminId, "KYC_RESUBMISSION_REQUESTED", `KYC re-submission requested for seller ${seller._id}`, {
+    sellerId: seller._id,
+    types: requestedTypes,
+    reason: reason.trim(),
+  });
+
+  await notifySellerKyc(
+    seller,
+    "KYC Re-submission Required",
+    `Please upload a new ${requestedTypes.map((type) => getKycDocumentLabel(type).toLowerCase()).join(" and ")}: ${reason.trim()}. Payouts are on hold until verification is complete.`
+  );
+
+  return seller;
+};
+
+/**
+ * Marks approved documents past their expiry date as expired and asks the seller to
+ * re-verify. Run daily.
+ */
+export const expireKycDocuments = async () => {
+  const now = new Date();
+  const sellers = await Seller.find({
+    kycDocuments: { $elemMatch: { status: "approved", expiresAt: { $ne: null, $lte: now } } },
+  }).limit(EXPIRY_BATCH_SIZE);
+
+  let expiredDocuments = 0;
+  for (const seller of sellers) {
+    const expiredTypes = [];
+    for (const document of seller.kycDocuments) {
+      if (document.status === "approved" && document.expiresAt && document.expiresAt <= now) {
+        document.status = "expired";
+        expiredTypes.push(document.type);
+      }
+    }
+    if (expiredTypes.length === 0) continue;
+
+    applyKycStatus(seller);
+    await seller.save();
+    expiredDocuments += expiredTypes.length;
+
+    await notifySellerKyc(
+      seller,
+      "Verification Expired",
+      `Your ${expiredTypes.map((type) => getKycDocumentLabel(type).toLowerCase()).join(" and ")} has expired. Upload a valid document to keep receiving payouts.`
+    );
+  }
+
+  if (expiredDocuments > 0) {
+    logger.info("[KYC] Expired documents", { sellers: sellers.length, expiredDocuments });
+  }
+  return { sellers: sellers.length, expiredDocuments };
+};
+
+/** Seller-facing KYC summary: overall status plus the current document for each type. */
+export const getKycSummary = (seller) => {
+  const current = getCurrentKycDocuments(seller);
+  return {
+    kycStatus: seller.kycStatus,
+    kycApprovedAt: seller.kycApprovedAt,
+    requiredTypes: KYC_REQUIRED_DOCUMENT_TYPES,
+    documents: KYC_DOCUMENT_TYPES.map((type) => {
+      const document = current[type];
+      return {
+        type,
+        label: getKycDocumentLabel(type),
+        required: KYC_REQUIRED_DOCUMENT_TYPES.includes(type),
+        document: document
+          ? {
+              _id: document._id,
+              status: document.status,
+              originalName: document.originalName,
+              reviewReason: document.reviewReason,
+              reviewedAt: document.reviewedAt,
+              expiresAt: document.expiresAt,
+              submittedAt: document.submittedAt,
+            }
+          : null,
+      };
+    }),
+  };
+};
@@ -48,7 +48,7 @@ export const handleSellerProfileSubmitted = async ({ seller, sellerUser }) => {
     sellerFullName: sellerUser.name || "Seller",
     sellerEmail: sellerUser.email,
     storeName: seller.shopName || "N/A",
-    submittedDocuments: Array.isArray(seller.kycDocs) ? seller.kycDocs : [],
+    submittedDocuments: (seller.kycDocuments || []).map((doc) => doc.url),
     submittedAt,
   };
 
@@ -331,3 +331,183 @@ export const handleRefundDecision = async ({
   }
 };
 
+
+export const handleRefundSellerReviewReminder = async ({ refund, order, product, seller, sellerUser, deadline }) => {
+  if (!refund || !sellerUser) return;
+
+  const refundIdDisplay = formatRefundIdForDisplay(refund);
+  const orderIdDisplay = formatOrderIdForDisplay(order);
+  const deadlineDisplay = toUtcString(deadline);
+
+  if (sellerUser.email) {
+    await safeQueueEmail(
+      "refund_seller_review_reminder",
+      {
+        sellerEmail: sellerUser.email,
+        sellerName: seller?.shopName || sellerUser.name || "Seller",
+        refundId: refundIdDisplay,
+        orderNumber: orderIdDisplay,
+        productName: product?.name || "Product",
+        deadline: deadlineDisplay,
+      },
+      `refund_seller_review_reminder:${refund._id}`
+    );
+  }
+
+  await safeCreateNotification(
+    sellerUser._id,
+    "refund",
+    "Refund Review Reminder",
+    `Refund request ${refundIdDisplay} for order ${orderIdDisplay} needs your review before ${deadlineDisplay}, or it will be escalated to admin.`,
+    { refundId: refund._id, orderId: order?._id ?? refund.orderId, deadline },
+    "/seller/return-refunds",
+    "high"
+  );
+};
+
+export const handleRefundEscalated = async ({ refund, order, product, customer, seller, sellerUser, reviewHours }) => {
+  if (!refund) return;
+
+  const admins = await getAdminRecipients();
+  const refundIdDisplay = formatRefundIdForDisplay(refund);
+  const orderIdDisplay = formatOrderIdForDisplay(order);
+  const emailBase = {
+    refundId: refundIdDisplay,
+    orderNumber: orderIdDisplay,
+    productName: product?.name || "Product",
+    reviewHours,
+  };
+  const notificationData = { refundId: refund._id, orderId: order?._id ?? refund.orderId, escalated: true };
+
+  const tasks = admins.map(async (admin) => {
+    await safeQueueEmail(
+      "refund_escalated",
+      { ...emailBase, email: admin.email, audience: "admin", recipientName: admin.name || "Admin" },
+      `refund_escalated:${refund._id}:${admin._id}`
+    );
+    await safeCreateNotification(
+      admin._id,
+      "refund",
+      "Refund Escalated",
+      `Refund request ${refundIdDisplay} for order ${orderIdDisplay} was escalated after the seller review window expired.`,
+      notificationData,
+      "/admin/return-refund",
+      "high"
+    );
+  });
+
+  if (customer) {
+    tasks.push((async () => {
+      if (customer.email) {
+        await safeQueueEmail(
+          "refund_escalated",
+          { ...emailBase, email: customer.email, audience: "customer", recipientName: customer.name || "Customer" },
+          `refund_escalated:${refund._id}:${customer._id}`
+        );
+      }
+      await safeCreateNotification(
+        customer._id,
+        "refund",
+        "Refund Escalated",
+        `Your refund request ${refundIdDisplay} is now being reviewed by our admin team.`,
+        notificationData,
+        "/user/refunds",
+        "medium"
+      );
+    })());
+  }
+
+  if (sellerUser) {
+    tasks.push((async () => {
+      if (sellerUser.email) {
+        await safeQueueEmail(
+          "refund_escalated",
+          {
+            ...emailBase,
+            email: sellerUser.email,
+            audience: "seller",
+            recipientName: seller?.shopName || sellerUser.name || "Seller",
+          },
+          `refund_escalated:${refund._id}:${sellerUser._id}`
+        );
+      }
+      await safeCreateNotification(
+        sellerUser._id,
+        "refund",
+        "Refund Escalated",
+        `Refund request ${refundIdDisplay} was escalated to admin because it was not reviewed within ${reviewHours} hours.`,
+        notificationData,
+        "/seller/return-refunds",
+        "high"
+      );
+    })());
+  }
+
+  await Promise.allSettled(tasks);
+};
+
+const getSellerUsers = async (sellerIds = []) => {
+  if (!sellerIds.length) return [];
+  const sellers = await Seller.find({ _id: { $in: sellerIds } }).select("userId shopName").lean();
+  return sellers.filter((seller) => seller.userId);
+};
+
+export const handleDisputeOpened = async ({ dispute, order }) => {
+  if (!dispute) return;
+
+  const admins = await getAdminRecipients();
+  const sellers = await getSellerUsers(dispute.sellerIds);
+  const orderIdDisplay = formatOrderIdForDisplay(order);
+  const amount = Number(dispute.disputeAmount || 0).toFixed(2);
+  const data = { disputeId: dispute._id, orderId: order?._id ?? dispute.orderId };
+
+  await Promise.allSettled([
+    ...admins.map((admin) =>
+      safeCreateNotification(
+        admin._id,
+        "system",
+        "PayPal Dispute Opened",
+        `A $${amount} PayPal dispute (${dispute.reason || "no reason given"}) was opened for order ${orderIdDisplay}. Seller payouts are frozen.`,
+        data,
+        "/admin/disputes",
+        "high"
+      )
+    ),
+    ...sellers.map((seller) =>
+      safeCreateNotification(
+        seller.userId,
+        "payout",
+        "Payout Frozen: PayPal Dispute",
+        `The buyer opened a PayPal dispute for order ${orderIdDisplay}. Your payout for this order is on hold until it is resolved.`,
+        data,
+        "/seller/payouts",
+        "high"
+      )
+    ),
+  ]);
+};
+
+export const handleDisputeResolved = async ({ dispute, order }) => {
+  if (!dispute) return;
+
+  const sellers = await getSellerUsers(dispute.sellerIds);
+  const orderIdDisplay = formatOrderIdForDisplay(order);
+  const buyerWon = dispute.resolution === "buyer_favour";
+  const data = { disputeId: dispute._id, orderId: order?._id ?? dispute.orderId, resolution: dispute.resolution };
+
+  await Promise.allSettled(
+    sellers.map((seller) =>
+      safeCreateNotification(
+        seller.userId,
+        "payout",
+        buyerWon ? "PayPal Dispute Lost" : "PayPal Dispute Closed",
+        buyerWon
+          ? `The PayPal dispute for order ${orderIdDisplay} was resolved in the buyer's favour. The refunded amount has been deducted from your payout.`
+          : `The PayPal dispute for order ${orderIdDisplay} was closed in your favour. Your payout has been released.`,
+        data,
+        "/seller/payouts",
+        "high"
+      )
+    )
+  );
+};
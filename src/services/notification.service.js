@@ -135,6 +135,54 @@ export const notifyOrderCreated = async (userId, order) => {
   );
 };
 
+export const notifyBackorderFulfilled = async (userId, order) => {
+  return await createNotification(
+    userId,
+    'order',
+    'Backorder Fulfilled',
+    `All remaining license keys for order #${getOrderDisplayId(order)} have been delivered.`,
+    { orderId: order._id },
+    `/orders/${order._id}`,
+    'high'
+  );
+};
+
+export const notifyBackorderRefunded = async (userId, order, amount) => {
+  return await createNotification(
+    userId,
+    'refund',
+    'Backorder Refunded',
+    `$${amount.toFixed(2)} for undelivered keys on order #${getOrderDisplayId(order)} has been refunded to your wallet.`,
+    { orderId: order._id, amount },
+    `/orders/${order._id}`,
+    'high'
+  );
+};
+
+export const notifyDataExportReady = async (userId, dataExport) => {
+  return await createNotification(
+    userId,
+    'system',
+    'Your Data Export Is Ready',
+    `Your personal data archive is ready to download until ${dataExport.expiresAt.toISOString().slice(0, 10)}.`,
+    { exportId: dataExport._id },
+    `/account/privacy`,
+    'medium'
+  );
+};
+
+export const notifyProductImportFinished = async (userId, productImport) => {
+  return await createNotification(
+    userId,
+    'system',
+    'Product Import Finished',
+    `${productImport.created} of ${productImport.queuedRows} products from ${productImport.filename} were imported${productImport.failed > 0 ? `, ${productImport.failed} failed` : ''}.`,
+    { importId: productImport._id, created: productImport.created, failed: productImport.failed },
+    `/seller/products`,
+    productImport.failed > 0 ? 'high' : 'medium'
+  );
+};
+
 export const notifyPayoutProcessed = async (userId, payout) => {
   return await createNotification(
     userId,
@@ -29,9 +29,14 @@ export const computeOrderRevenue = (productSubtotal, handlingFee, commissionRate
   };
 };
 
-export const computeItemRevenue = (lineTotal, commissionRate, extraCommissionRate = 0) => {
+/**
+ * `commission` is either a plain rate or a rule resolved by resolveCommissionRule; the rule
+ * is echoed back as `commissionRule` so it can be stored on the order item.
+ */
+export const computeItemRevenue = (lineTotal, commission, extraCommissionRate = 0) => {
   const line = round2(Math.max(0, Number(lineTotal)));
-  const baseRate = normalizeCommissionRate(commissionRate);
+  const isRule = commission !== null && typeof commission === 'object';
+  const baseRate = normalizeCommissionRate(isRule ? commission.rate : commission);
   const extraRate = normalizeCommissionRate(extraCommissionRate);
   const normalCommissionAmount = round2(line * baseRate);
   const featuredExtraCommissionAmount = round2(line * extraRate);
@@ -43,6 +48,15 @@ export const computeItemRevenue = (lineTotal, commissionRate, extraCommissionRat
     sellerEarning: Math.max(0, sellerEarning),
     normalCommissionAmount,
     featuredExtraCommissionAmount,
+    commissionRule: isRule
+      ? {
+          ruleId: commission.ruleId || null,
+          name: commission.name || null,
+          scope: commission.scope || 'default',
+          rate: baseRate,
+          promotional: commission.promotional === true,
+        }
+      : { ruleId: null, name: 'Platform default', scope: 'default', rate: baseRate, promotional: false },
   };
 };
 
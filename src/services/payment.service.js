@@ -770,6 +770,91 @@ export const createPayPalPayout = async (recipient, amount, currency = 'USD', op
   }
 };
 
+/**
+ * Sends one PayPal payout batch with several items (one per seller). Items are paid
+ * asynchronously; poll getPayPalPayoutBatch or rely on PAYOUTS-ITEM webhooks for outcomes.
+ */
+export const createPayPalBatchPayout = async (senderBatchId, items, currency = 'USD') => {
+  try {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('PayPal batch payout requires at least one item');
+    }
+    const accessToken = await getPayPalAccessToken();
+
+    const payoutData = {
+      sender_batch_header: {
+        sender_batch_id: senderBatchId,
+        email_subject: 'You have a payout from DGMARQ',
+        email_message: 'You have received a payout from DGMARQ marketplace.',
+      },
+      items: items.map((item) => ({
+        recipient_type: 'PAYPAL_ID',
+        receiver: item.receiver,
+        amount: {
+          value: Number(item.amount).toFixed(2),
+          currency,
+        },
+        note: item.note || 'Payout from DGMARQ marketplace',
+        sender_item_id: item.senderItemId,
+      })),
+    };
+
+    const response = await fetch(`${getPayPalBaseUrl()}/v1/payments/payouts`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${accessToken}`,
+      },
+      body: JSON.stringify(payoutData),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const msg = errorData.message || errorData.details?.[0]?.issue || JSON.stringify(errorData);
+      throw new Error(`PayPal payout failed: ${msg}`);
+    }
+
+    const payout = await response.json();
+    return {
+      batchId: payout.batch_header.payout_batch_id,
+      status: payout.batch_header.batch_status,
+      links: payout.links,
+    };
+  } catch (error) {
+    logger.error('PayPal batch payout creation failed', error);
+    throw new Error(`PayPal batch payout creation failed: ${error.message}`);
+  }
+};
+
+/** Batch status plus per-item transaction status, keyed by our sender_item_id. */
+export const getPayPalPayoutBatch = async (payoutBatchId) => {
+  const accessToken = await getPayPalAccessToken();
+  const response = await fetch(`${getPayPalBaseUrl()}/v1/payments/payouts/${encodeURIComponent(payoutBatchId)}?page_size=1000`, {
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${accessToken}`,
+    },
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(`PayPal payout batch lookup failed: ${errorData.message || response.status}`);
+  }
+
+  const batch = await response.json();
+  return {
+    batchId: batch.batch_header?.payout_batch_id,
+    status: batch.batch_header?.batch_status,
+    items: (batch.items || []).map((item) => ({
+      payoutItemId: item.payout_item_id,
+      senderItemId: item.payout_item?.sender_item_id,
+      transactionId: item.transaction_id || null,
+      transactionStatus: item.transaction_status,
+      error: item.errors?.message || item.errors?.name || null,
+    })),
+  };
+};
+
 export async function generateAccessToken() {
   try {
     validatePayPalEnvironment();
@@ -1,6 +1,7 @@
 import { Payout } from '../models/payout.model.js';
 import { Order } from '../models/order.model.js';
 import { ReturnRefund } from '../models/returnrefund.model.js';
+import { Dispute } from '../models/dispute.model.js';
 import { Seller } from '../models/seller.model.js';
 import { User } from '../models/user.model.js';
 import { SellerPayoutAccount } from '../models/sellerPayoutAccount.model.js';
@@ -9,7 +10,9 @@ import { sendPayoutNotification } from './email.service.js';
 import { createNotification } from './notification.service.js';
 import { auditLog } from './audit.service.js';
 import { PlatformSettings } from '../models/platform.model.js';
-import { PAYOUT_HOLD_DAYS } from '../constants.js';
+import { SELLER_TIERS } from '../constants.js';
+import { getSellerTier } from './sellerTier.service.js';
+import { reconcilePendingPayoutBatches, sendConsolidatedPayouts } from './payoutBatch.service.js';
 import { logger } from '../utils/logger.js';
 import mongoose from 'mongoose';
 
@@ -22,7 +25,8 @@ export const isPayoutEligible = (seller) => {
     seller.paypalVerified === true &&
     (seller.paypalMerchantId != null && seller.paypalMerchantId !== '') &&
     seller.paymentsReceivable === true &&
-    seller.accountBlocked !== true
+    seller.accountBlocked !== true &&
+    seller.kycStatus === 'approved'
   );
 };
 
@@ -56,33 +60,63 @@ export const calculateCommission = async (totalAmount, commissionRateOverride =
   return totalAmount * commissionRate;
 };
 
-/** Schedules seller payout. Call only after payment captured and order completed. */
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+/**
+ * Schedules seller payout. Call only after payment captured and order completed.
+ * The seller tier sets the hold; tiers with a rolling reserve split off a second payout
+ * that is released after the reserve period.
+ */
 export const schedulePayout = async (payoutData, session = null) => {
   const { orderId, sellerId, amount, orderCompletedAt, commissionRateOverride = null } = payoutData;
 
+  const tier = await getSellerTier(sellerId);
+  const terms = SELLER_TIERS[tier.level] || SELLER_TIERS.standard;
   const completionDate = orderCompletedAt ? new Date(orderCompletedAt) : new Date();
-  const holdDays = (typeof PAYOUT_HOLD_DAYS === 'number' && PAYOUT_HOLD_DAYS >= 0) ? PAYOUT_HOLD_DAYS : 15;
-  const holdUntil = new Date(completionDate.getTime() + holdDays * 24 * 60 * 60 * 1000);
+  const dayMs = 24 * 60 * 60 * 1000;
+  const holdUntil = new Date(completionDate.getTime() + terms.holdDays * dayMs);
   const grossAmount = amount;
   const commissionAmount = await calculateCommission(grossAmount, commissionRateOverride);
   const netAmount = grossAmount - commissionAmount;
 
-  const payoutDataToSave = {
+  const base = {
     orderId: new mongoose.Types.ObjectId(orderId),
     sellerId: new mongoose.Types.ObjectId(sellerId),
     requestType: 'scheduled',
+    currency: 'USD',
+    status: 'pending',
+    sellerTier: tier.level,
+  };
+  const payoutsToSave = [{
+    ...base,
     grossAmount: grossAmount,
     commissionAmount: commissionAmount,
     netAmount: netAmount,
-    currency: 'USD',
-    status: 'pending',
     holdUntil: holdUntil,
-  };
+  }];
+
+  const reserveShare = terms.reservePercent > 0 && netAmount > 0 ? terms.reservePercent / 100 : 0;
+  if (reserveShare > 0) {
+    const main = payoutsToSave[0];
+    const reserve = {
+      ...base,
+      grossAmount: round2(grossAmount * reserveShare),
+      commissionAmount: round2(commissionAmount * reserveShare),
+      netAmount: round2(netAmount * reserveShare),
+      holdUntil: new Date(completionDate.getTime() + Math.max(terms.reserveDays, terms.holdDays) * dayMs),
+      isReserve: true,
+      notes: `Rolling reserve (${terms.reservePercent}%, ${terms.label} tier)`,
+    };
+    main.grossAmount = round2(grossAmount - reserve.grossAmount);
+    main.commissionAmount = round2(commissionAmount - reserve.commissionAmount);
+    main.netAmount = round2(netAmount - reserve.netAmount);
+    payoutsToSave.push(reserve);
+  }
 
   if (session) {
-    return await Payout.create([payoutDataToSave], { session });
+    return await Payout.create(payoutsToSave, { session, ordered: true });
   }
-  return await Payout.create(payoutDataToSave);
+  return await Payout.create(payoutsToSave);
 };
 
 export const adjustPayoutForRefund = async (orderId, sellerId, deductGross, deductCommission, deductNet, refundedLicenseKeyIds = [], session = null) => {
@@ -93,37 +127,57 @@ export const adjustPayoutForRefund = async (orderId, sellerId, deductGross, dedu
     sellerId: sellerIdObj,
     requestType: 'scheduled',
     status: { $in: ['pending', 'hold'] },
-  }).session(session || null);
+  }).sort({ isReserve: 1, createdAt: 1 }).session(session || null);
 
   if (!payouts || payouts.length === 0) return null;
-  const payout = payouts[0];
-  const existingMeta = payout.metadata && typeof payout.metadata === 'object' ? payout.metadata : {};
-  const existingKeyIds = Array.isArray(existingMeta.refundedLicenseKeyIds) ? existingMeta.refundedLicenseKeyIds : [];
   const keyIds = refundedLicenseKeyIds.map(id => (id && id.toString ? id.toString() : id));
-  const mergedKeyIds = [...new Set([...existingKeyIds, ...keyIds])];
-
-  payout.grossAmount = Math.round((payout.grossAmount - deductGross) * 100) / 100;
-  payout.commissionAmount = Math.round((payout.commissionAmount - deductCommission) * 100) / 100;
-  payout.netAmount = Math.round((payout.netAmount - deductNet) * 100) / 100;
-  payout.metadata = {
-    ...existingMeta,
-    adjustedForRefund: true,
-    refundedLicenseKeyIds: mergedKeyIds,
-  };
-  payout.notes = (payout.notes || '') ? `${payout.notes}; Adjusted for refund.` : 'Adjusted for partial refund.';
-  if (payout.netAmount <= 0) {
-    payout.status = 'blocked';
-    payout.blockReason = payout.netAmount === 0
-      ? 'Fully adjusted for refund(s) – payout cancelled'
-      : 'Invalid payout amount after refund adjustment';
-    payout.notes = (payout.notes || '') + (payout.netAmount === 0 ? ' Payout cancelled (zero net).' : '');
-  }
-  if (session) {
-    await payout.save({ session });
-  } else {
-    await payout.save();
+
+  // Main payout first, then its rolling reserve; whatever is left lands on the last one.
+  let remainingGross = deductGross;
+  let remainingCommission = deductCommission;
+  let remainingNet = deductNet;
+  for (let i = 0; i < payouts.length; i++) {
+    if (i > 0 && remainingNet <= 0) break;
+    const payout = payouts[i];
+    const isLast = i === payouts.length - 1;
+    const share = isLast || deductNet <= 0 ? 1 : Math.min(1, Math.max(0, payout.netAmount) / remainingNet);
+    const gross = isLast ? remainingGross : round2(remainingGross * share);
+    const commission = isLast ? remainingCommission : round2(remainingCommission * share);
+    const net = isLast ? remainingNet : round2(remainingNet * share);
+    remainingGross = round2(remainingGross - gross);
+    remainingCommission = round2(remainingCommission - commission);
+    remainingNet = round2(remainingNet - net);
+
+    const existingMeta = payout.metadata && typeof payout.metadata === 'object' ? payout.metadata : {};
+    const existingKeyIds = Array.isArray(existingMeta.refundedLicenseKeyIds) ? existingMeta.refundedLicenseKeyIds : [];
+    const mergedKeyIds = [...new Set([...existingKeyIds, ...keyIds])];
+
+    if (gross !== 0 || commission !== 0 || net !== 0) {
+      payout.refundAdjustments.push({ grossAmount: gross, commissionAmount: commission, netAmount: net, adjustedAt: new Date() });
+    }
+    payout.grossAmount = Math.round((payout.grossAmount - gross) * 100) / 100;
+    payout.commissionAmount = Math.round((payout.commissionAmount - commission) * 100) / 100;
+    payout.netAmount = Math.round((payout.netAmount - net) * 100) / 100;
+    payout.metadata = {
+      ...existingMeta,
+      adjustedForRefund: true,
+      refundedLicenseKeyIds: mergedKeyIds,
+    };
+    payout.notes = (payout.notes || '') ? `${payout.notes}; Adjusted for refund.` : 'Adjusted for partial refund.';
+    if (payout.netAmount <= 0) {
+      payout.status = 'blocked';
+      payout.blockReason = payout.netAmount === 0
+        ? 'Fully adjusted for refund(s) – payout cancelled'
+        : 'Invalid payout amount after refund adjustment';
+      payout.notes = (payout.notes || '') + (payout.netAmount === 0 ? ' Payout cancelled (zero net).' : '');
+    }
+    if (session) {
+      await payout.save({ session });
+    } else {
+      await payout.save();
+    }
   }
-  return payout;
+  return payouts[0];
 };
 
 export const blockPayoutsForOrder = async (orderId, reason = 'Order fully refunded – payout cancelled', session = null) => {
@@ -149,10 +203,20 @@ export const blockPayoutsForOrder = async (orderId, reason = 'Order fully refund
   return result;
 };
 
-/** Processes scheduled payouts. Order must be paid+completed; no open dispute or refund. */
+/**
+ * Processes scheduled payouts. Order must be paid+completed; no open dispute or refund.
+ * Sellers on a daily/weekly/monthly schedule get their eligible payouts grouped into one
+ * PayPal batch item instead of one payout per order.
+ */
 export const processScheduledPayouts = async () => {
   const now = new Date();
 
+  try {
+    await reconcilePendingPayoutBatches();
+  } catch (error) {
+    logger.error('Failed to reconcile consolidated payout batches', error);
+  }
+
   const pendingPayouts = await Payout.find({
     status: { $in: ['pending', 'blocked'] },
     requestType: 'scheduled',
@@ -164,6 +228,7 @@ export const processScheduledPayouts = async () => {
     failed: 0,
     errors: [],
   };
+  const consolidatedGroups = new Map();
 
   for (const payout of pendingPayouts) {
     const payoutAmount = parseFloat(payout.netAmount.toFixed(2));
@@ -193,6 +258,21 @@ export const processScheduledPayouts = async () => {
         results.failed++;
         continue;
       }
+      // Payouts frozen by a dispute are released only when the dispute outcome is applied.
+      const openDispute = await Dispute.exists({ orderId, outcomeAppliedAt: null });
+      if (openDispute) {
+        const blockReason = 'Order has open PayPal dispute – payout frozen';
+        logPayoutAttempt(payout.sellerId?.toString?.(), payoutAmount, 'blocked', blockReason);
+        if (payout.status !== 'blocked') {
+          payout.status = 'blocked';
+          payout.blockReason = blockReason;
+          payout.notes = blockReason;
+          await payout.save();
+        }
+        results.errors.push({ payoutId: payout._id, error: payout.blockReason || blockReason });
+        results.failed++;
+        continue;
+      }
       const openRefund = await ReturnRefund.findOne({
         orderId,
         status: { $in: ['PENDING', 'SELLER_REVIEW', 'SELLER_APPROVED', 'ADMIN_REVIEW', 'ADMIN_APPROVED', 'ON_HOLD_INSUFFICIENT_FUNDS', 'WAITING_FOR_MANUAL_REFUND'] },
@@ -238,7 +318,9 @@ export const processScheduledPayouts = async () => {
                 ? 'PayPal account cannot receive payments'
                 : seller.accountBlocked
                   ? 'Account blocked'
-                  : 'Seller not eligible for payout';
+                  : seller.kycStatus !== 'approved'
+                    ? `KYC verification not approved (${seller.kycStatus || 'not_submitted'})`
+                    : 'Seller not eligible for payout';
         logPayoutAttempt(seller._id, payoutAmount, 'blocked', reason);
         payout.status = 'blocked';
         payout.blockReason = reason;
@@ -250,9 +332,9 @@ export const processScheduledPayouts = async () => {
             sellerUser._id,
             'payout',
             'Payout On Hold',
-            `Your payout of $${payout.netAmount} is on hold: ${reason}. Connect and verify PayPal or contact support.`,
+            `Your payout of $${payout.netAmount} is on hold: ${reason}. ${seller.kycStatus !== 'approved' ? 'Complete identity verification' : 'Connect and verify PayPal'} or contact support.`,
             { payoutId: payout._id },
-            '/seller/payout-account'
+            seller.kycStatus !== 'approved' ? '/seller/kyc' : '/seller/payout-account'
           );
         }
         results.errors.push({ payoutId: payout._id, error: reason });
@@ -326,6 +408,14 @@ export const processScheduledPayouts = async () => {
         continue;
       }
 
+      if (seller.payoutSchedule && seller.payoutSchedule !== 'per_order') {
+        const key = seller._id.toString();
+        const group = consolidatedGroups.get(key) || { seller, payouts: [] };
+        group.payouts.push(payout);
+        consolidatedGroups.set(key, group);
+        continue;
+      }
+
       seller.lastPayoutAttempt = new Date();
       await seller.save();
 
@@ -480,6 +570,17 @@ export const processScheduledPayouts = async () => {
     }
   }
 
+  if (consolidatedGroups.size > 0) {
+    try {
+      results.consolidated = await sendConsolidatedPayouts(consolidatedGroups, now);
+      results.processed += results.consolidated.payouts;
+      results.failed += results.consolidated.failed;
+    } catch (error) {
+      logger.error('Consolidated payout run failed', error);
+      results.errors.push({ consolidated: true, error: error.message });
+    }
+  }
+
   return results;
 };
 
@@ -521,6 +622,7 @@ export const getSellerBalance = async (sellerId) => {
       $group: {
         _id: null,
         totalPending: { $sum: '$netAmount' },
+        totalReserve: { $sum: { $cond: [{ $eq: ['$isReserve', true] }, '$netAmount', 0] } },
         totalCommission: { $sum: '$commissionAmount' },
         count: { $sum: 1 },
         earliestReleaseDate: { $min: '$holdUntil' },
@@ -544,6 +646,23 @@ export const getSellerBalance = async (sellerId) => {
     },
   ]);
 
+  const inBatchPayouts = await Payout.aggregate([
+    {
+      $match: {
+        sellerId: new mongoose.Types.ObjectId(sellerId),
+        status: 'processing',
+        payoutBatchId: { $ne: null },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        totalInBatch: { $sum: '$netAmount' },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
   const refundDeductions = await Payout.aggregate([
     {
       $match: {
@@ -573,13 +692,14 @@ export const getSellerBalance = async (sellerId) => {
     daysUntilAvailable = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
   }
 
-  const seller = await Seller.findById(sellerId).select('paypalVerified accountBlocked paypalOAuthConnected paypalMerchantId');
+  const seller = await Seller.findById(sellerId).select('paypalVerified accountBlocked paypalOAuthConnected paypalMerchantId paymentsReceivable kycStatus');
   const payoutEligible = isPayoutEligible(seller);
   let holdReason = null;
   if (!payoutEligible && (available > 0 || pendingAmount > 0)) {
     if (!seller?.paypalOAuthConnected) holdReason = 'Connect your PayPal account to withdraw.';
     else if (!seller?.paypalVerified) holdReason = 'Your PayPal account must be verified to receive payouts.';
     else if (seller?.accountBlocked) holdReason = 'Payouts are on hold. Contact support.';
+    else if (seller?.kycStatus !== 'approved') holdReason = 'Complete identity verification (KYC) to receive payouts.';
     else holdReason = 'Payout is not available at this time.';
   }
 
@@ -589,6 +709,7 @@ export const getSellerBalance = async (sellerId) => {
       amount: pendingAmount,
       commission: pendingPayouts[0]?.totalCommission || 0,
       count: pendingPayouts[0]?.count || 0,
+      reserveAmount: pendingPayouts[0]?.totalReserve || 0,
       earliestReleaseDate: earliestReleaseDate || null,
       daysUntilAvailable: daysUntilAvailable || 0,
     },
@@ -596,7 +717,11 @@ export const getSellerBalance = async (sellerId) => {
       amount: releasedPayouts[0]?.totalReleased || 0,
       count: releasedPayouts[0]?.count || 0,
     },
-    totalEarnings: available + pendingAmount + (releasedPayouts[0]?.totalReleased || 0),
+    inConsolidatedPayout: {
+      amount: inBatchPayouts[0]?.totalInBatch || 0,
+      count: inBatchPayouts[0]?.count || 0,
+    },
+    totalEarnings: available + pendingAmount + (inBatchPayouts[0]?.totalInBatch || 0) + (releasedPayouts[0]?.totalReleased || 0),
     payoutEligible,
     holdReason,
   };
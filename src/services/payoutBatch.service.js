@@ -0,0 +1,385 @@
+import mongoose from 'mongoose';
+import { Payout } from '../models/payout.model.js';
+import { PayoutBatch } from '../models/payoutBatch.model.js';
+import { Seller } from '../models/seller.model.js';
+import { User } from '../models/user.model.js';
+import { Transaction } from '../models/transaction.model.js';
+import { createPayPalBatchPayout, getPayPalPayoutBatch } from './payment.service.js';
+import { sendPayoutNotification } from './email.service.js';
+import { createNotification } from './notification.service.js';
+import { auditLog } from './audit.service.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECONCILE_AFTER_MS = 15 * 60 * 1000;
+
+const PAYPAL_ITEM_SUCCESS = ['SUCCESS'];
+const PAYPAL_ITEM_FAILURE = ['FAILED', 'RETURNED', 'BLOCKED', 'REFUNDED', 'REVERSED', 'DENIED'];
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+const startOfUtcDay = (date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+/** Daily: once per UTC day; weekly: 7 days since the last batch; monthly: once per UTC calendar month. */
+export const isConsolidationDue = (seller, now = new Date()) => {
+  const last = seller.lastConsolidatedPayoutAt ? new Date(seller.lastConsolidatedPayoutAt) : null;
+  if (!last) return true;
+  switch (seller.payoutSchedule) {
+    case 'daily':
+      return startOfUtcDay(now) > startOfUtcDay(last);
+    case 'weekly':
+      return startOfUtcDay(now) - startOfUtcDay(last) >= 7 * DAY_MS;
+    case 'monthly':
+      return now.getUTCFullYear() * 12 + now.getUTCMonth() > last.getUTCFullYear() * 12 + last.getUTCMonth();
+    default:
+      return true;
+  }
+};
+
+const notifySeller = async (seller, title, message, data) => {
+  try {
+    await createNotification(seller.userId, 'payout', title, message, data, '/seller/payouts');
+  } catch (error) {
+    logger.error(`[PAYOUT_BATCH] Failed to notify seller ${seller._id} (non-critical):`, error?.message || error);
+  }
+};
+
+const settleBatchStatus = (batch) => {
+  const statuses = batch.items.map((item) => item.status);
+  if (statuses.some((status) => status === 'pending' || status === 'sent')) return;
+  const failed = statuses.filter((status) => status === 'failed').length;
+  batch.status = failed === 0 ? 'completed' : failed === statuses.length ? 'failed' : 'partially_failed';
+  batch.completedAt = new Date();
+};
+
+/**
+ * Applies PayPal's final outcome for one seller item. Success releases every linked order
+ * payout; failure puts them back in the queue for the next cycle until retries run out.
+ * `batchRejected` marks failures of the whole request (rejection, outage), which are retried
+ * without spending the payouts' own attempts.
+ */
+export const applyBatchItemOutcome = async (batch, item, { succeeded, paypalItemId, transactionId, transactionStatus, error, batchRejected = false }) => {
+  if (item.status === 'succeeded' || item.status === 'failed') return false;
+
+  const now = new Date();
+  item.paypalItemId = paypalItemId || item.paypalItemId;
+  item.paypalTransactionId = transactionId || item.paypalTransactionId;
+  item.paypalTransactionStatus = transactionStatus || item.paypalTransactionStatus;
+  item.completedAt = now;
+  const seller = await Seller.findById(item.sellerId).select('userId shopName');
+
+  if (succeeded) {
+    item.status = 'succeeded';
+    await Payout.updateMany(
+      { _id: { $in: item.payoutIds }, payoutBatchId: batch._id },
+      {
+        $set: {
+          status: 'released',
+          processedAt: now,
+          paypalBatchId: batch.paypalBatchId,
+          paypalItemId: item.paypalItemId,
+          paypalTransactionId: item.paypalTransactionId,
+          notes: `Released in consolidated payout ${batch.senderBatchId}`,
+        },
+      }
+    );
+    const payouts = await Payout.find({ _id: { $in: item.payoutIds } }).select('orderId netAmount currency').lean();
+    await Transaction.insertMany(payouts.map((payout) => ({
+      sellerId: item.sellerId,
+      payoutId: payout._id,
+      orderId: payout.orderId,
+      type: 'payout',
+      amount: payout.netAmount,
+      currency: payout.currency,
+      status: 'completed',
+      paymentMethod: 'PayPal',
+      paypalTransactionId: item.paypalTransactionId,
+      description: `Consolidated payout ${batch.senderBatchId} for order ${payout.orderId}`,
+      metadata: { payoutBatchId: batch._id, batchItemId: item._id },
+    })));
+    await auditLog(seller?.userId || null, 'PAYOUT_RELEASED', `Consolidated payout of $${item.netAmount.toFixed(2)} released to seller`, {
+      payoutBatchId: batch._id,
+      batchItemId: item._id,
+      sellerId: item.sellerId,
+      payoutIds: item.payoutIds,
+      orderIds: item.orderIds,
+      paypalBatchId: batch.paypalBatchId,
+      amount: item.netAmount,
+    });
+
+    if (seller) {
+      await notifySeller(
+        seller,
+        'Payout Released',
+        `Your consolidated payout of $${item.netAmount.toFixed(2)} for ${item.orderIds.length} order(s) has been released.`,
+        { payoutBatchId: batch._id, amount: item.netAmount }
+      );
+      const sellerUser = await User.findById(seller.userId).select('email');
+      if (sellerUser?.email) {
+        await sendPayoutNotification(
+          {
+            netAmount: item.netAmount,
+            adminCommission: item.commissionAmount,
+            status: 'released',
+            paypalTransactionId: item.paypalTransactionId,
+          },
+          seller,
+          sellerUser
+        ).catch((emailError) => logger.error('Failed to send payout notification email', emailError));
+      }
+    }
+  } else {
+    item.status = 'failed';
+    item.failedReason = error || `PayPal item status ${transactionStatus || 'FAILED'}`;
+    const payouts = await Payout.find({ _id: { $in: item.payoutIds }, payoutBatchId: batch._id });
+    for (const payout of payouts) {
+      payout.lastRetryAt = now;
+      payout.payoutBatchId = null;
+      payout.failedReason = item.failedReason;
+      if (batchRejected) {
+        payout.status = 'pending';
+        payout.notes = `Consolidated payout batch not accepted by PayPal: ${item.failedReason}. Will retry next cycle.`;
+        await payout.save();
+        continue;
+      }
+      payout.retryCount = (payout.retryCount || 0) + 1;
+      const exhausted = payout.retryCount >= (payout.maxRetries || 3);
+      payout.status = exhausted ? 'failed' : 'pending';
+      payout.notes = exhausted
+        ? `Consolidated payout failed after ${payout.retryCount} attempts: ${item.failedReason}`
+        : `Consolidated payout failed (attempt ${payout.retryCount}/${payout.maxRetries || 3}): ${item.failedReason}. Will retry next cycle.`;
+      if (exhausted) payout.processedAt = now;
+      await payout.save();
+    }
+    await auditLog(seller?.userId || null, 'PAYOUT_FAILED', `Consolidated payout of $${item.netAmount.toFixed(2)} failed: ${item.failedReason}`, {
+      payoutBatchId: batch._id,
+      batchItemId: item._id,
+      sellerId: item.sellerId,
+      payoutIds: item.payoutIds,
+      error: item.failedReason,
+      batchRejected,
+    });
+    if (seller && !batchRejected) {
+      await notifySeller(
+        seller,
+        'Payout Failed',
+        `Your consolidated payout of $${item.netAmount.toFixed(2)} could not be sent: ${item.failedReason}. It will be retried in your next payout cycle.`,
+        { payoutBatchId: batch._id, amount: item.netAmount }
+      );
+    }
+  }
+
+  settleBatchStatus(batch);
+  return true;
+};
+
+/** Pulls item statuses from PayPal and settles any that reached a final state. */
+export const reconcilePayoutBatch = async (batch) => {
+  if (!batch.paypalBatchId) return batch;
+  const remote = await getPayPalPayoutBatch(batch.paypalBatchId);
+  const remoteBySenderId = new Map(remote.items.map((item) => [item.senderItemId, item]));
+
+  for (const item of batch.items) {
+    const remoteItem = remoteBySenderId.get(item.senderItemId);
+    if (!remoteItem) continue;
+    item.paypalItemId = remoteItem.payoutItemId || item.paypalItemId;
+    const status = remoteItem.transactionStatus;
+    if (PAYPAL_ITEM_SUCCESS.includes(status) || PAYPAL_ITEM_FAILURE.includes(status)) {
+      await applyBatchItemOutcome(batch, item, {
+        succeeded: PAYPAL_ITEM_SUCCESS.includes(status),
+        paypalItemId: remoteItem.payoutItemId,
+        transactionId: remoteItem.transactionId,
+        transactionStatus: status,
+        error: remoteItem.error,
+      });
+    } else {
+      item.paypalTransactionStatus = status || item.paypalTransactionStatus;
+    }
+  }
+  batch.lastCheckedAt = new Date();
+  await batch.save();
+  return batch;
+};
+
+/** Polls submitted batches that have not heard back from webhooks for a while. */
+export const reconcilePendingPayoutBatches = async () => {
+  const batches = await PayoutBatch.find({
+    status: 'submitted',
+    $or: [{ lastCheckedAt: null }, { lastCheckedAt: { $lte: new Date(Date.now() - RECONCILE_AFTER_MS) } }],
+  }).limit(50);
+
+  let reconciled = 0;
+  for (const batch of batches) {
+    try {
+      await reconcilePayoutBatch(batch);
+      reconciled++;
+    } catch (error) {
+      logger.error(`[PAYOUT_BATCH] Reconcile failed for batch ${batch._id}:`, error?.message || error);
+    }
+  }
+  return reconciled;
+};
+
+/**
+ * Sends one PayPal batch for all sellers whose cycle is due. `groups` maps sellerId to
+ * { seller, payouts } of payouts that already passed the per-payout eligibility checks.
+ */
+export const sendConsolidatedPayouts = async (groups, now = new Date()) => {
+  const summary = { batchId: null, sellers: 0, payouts: 0, deferred: 0, failed: 0 };
+  const due = [...groups.values()].filter(({ seller, payouts }) => {
+    const netAmount = round2(payouts.reduce((sum, payout) => sum + payout.netAmount, 0));
+    const ready = isConsolidationDue(seller, now) && netAmount > 0 && netAmount >= (seller.minPayoutAmount || 0);
+    if (!ready) summary.deferred += payouts.length;
+    return ready;
+  });
+  if (due.length === 0) return summary;
+
+  const batch = new PayoutBatch({
+    senderBatchId: `CPAYOUT-${now.getTime()}-${Math.random().toString(36).substring(2, 8)}`,
+  });
+  for (const [index, { seller, payouts }] of due.entries()) {
+    batch.items.push({
+      sellerId: seller._id,
+      senderItemId: `${batch.senderBatchId}-${index + 1}`,
+      receiver: seller.paypalMerchantId,
+      payoutIds: payouts.map((payout) => payout._id),
+      orderIds: [...new Set(payouts.map((payout) => (payout.orderId?._id || payout.orderId)?.toString()).filter(Boolean))],
+      grossAmount: round2(payouts.reduce((sum, payout) => sum + payout.grossAmount, 0)),
+      commissionAmount: round2(payouts.reduce((sum, payout) => sum + payout.commissionAmount, 0)),
+      netAmount: round2(payouts.reduce((sum, payout) => sum + payout.netAmount, 0)),
+    });
+  }
+  batch.itemCount = batch.items.length;
+  batch.totalAmount = round2(batch.items.reduce((sum, item) => sum + item.netAmount, 0));
+  await batch.save();
+  summary.batchId = batch._id;
+
+  const payoutIds = batch.items.flatMap((item) => item.payoutIds);
+  await Payout.updateMany(
+    { _id: { $in: payoutIds }, status: 'pending' },
+    { $set: { status: 'processing', payoutBatchId: batch._id } }
+  );
+
+  try {
+    const paypalBatch = await createPayPalBatchPayout(
+      batch.senderBatchId,
+      batch.items.map((item) => ({
+        receiver: item.receiver,
+        amount: item.netAmount,
+        senderItemId: item.senderItemId,
+        note: `Consolidated payout for ${item.orderIds.length} order(s)`,
+      })),
+      batch.currency
+    );
+    batch.paypalBatchId = paypalBatch.batchId;
+    batch.status = 'submitted';
+    batch.submittedAt = new Date();
+    batch.items.forEach((item) => { item.status = 'sent'; });
+    await batch.save();
+
+    await Payout.updateMany({ payoutBatchId: batch._id }, { $set: { paypalBatchId: paypalBatch.batchId } });
+    await Seller.updateMany({ _id: { $in: batch.items.map((item) => item.sellerId) } }, { $set: { lastConsolidatedPayoutAt: now, lastPayoutAttempt: now } });
+    summary.sellers = batch.items.length;
+    summary.payouts = payoutIds.length;
+  } catch (error) {
+    logger.error(`[PAYOUT_BATCH] Batch ${batch.senderBatchId} was not accepted by PayPal`, error);
+    batch.error = error.message;
+    for (const item of batch.items) {
+      await applyBatchItemOutcome(batch, item, { succeeded: false, error: error.message, batchRejected: true });
+    }
+    await batch.save();
+    summary.failed = payoutIds.length;
+    return summary;
+  }
+
+  try {
+    await reconcilePayoutBatch(batch);
+  } catch (error) {
+    logger.warn(`[PAYOUT_BATCH] Initial status check failed for batch ${batch._id} (will retry):`, error?.message || error);
+  }
+  return summary;
+};
+
+/**
+ * Routes PAYOUTS-ITEM webhooks for consolidated payouts. Returns false when the item is not
+ * part of a batch so the caller can fall back to per-order payout handling.
+ */
+export const handlePayoutBatchItemWebhook = async (resource, succeeded) => {
+  const senderItemId = resource.payout_item?.sender_item_id || resource.sender_item_id;
+  const payoutItemId = resource.payout_item_id || resource.payout_item?.payout_item_id;
+  const filters = [];
+  if (senderItemId) filters.push({ 'items.senderItemId': senderItemId });
+  if (payoutItemId) filters.push({ 'items.paypalItemId': payoutItemId });
+  if (filters.length === 0) return false;
+
+  const batch = await PayoutBatch.findOne({ $or: filters });
+  if (!batch) return false;
+
+  const item = batch.items.find((candidate) =>
+    (senderItemId && candidate.senderItemId === senderItemId) || (payoutItemId && candidate.paypalItemId === payoutItemId)
+  );
+  if (!item) return false;
+
+  await applyBatchItemOutcome(batch, item, {
+    succeeded,
+    paypalItemId: payoutItemId,
+    transactionId: resource.transaction_id,
+    transactionStatus: resource.transaction_status,
+    error: resource.errors?.message || resource.errors?.name || null,
+  });
+  await batch.save();
+  return true;
+};
+
+/** Batch-level PAYOUTS webhooks for a consolidated run trigger a reconcile instead of touching a single payout. */
+export const handlePayoutBatchWebhook = async (payoutBatchId) => {
+  if (!payoutBatchId) return false;
+  const batch = await PayoutBatch.findOne({ paypalBatchId: payoutBatchId });
+  if (!batch) return false;
+  await reconcilePayoutBatch(batch);
+  return true;
+};
+
+/** Seller view of their consolidated payouts, newest first. */
+export const getSellerPayoutBatches = async (sellerId, page = 1, limit = 10) => {
+  const sellerObjectId = new mongoose.Types.ObjectId(sellerId);
+  const [result] = await PayoutBatch.aggregate([
+    { $match: { 'items.sellerId': sellerObjectId } },
+    { $unwind: '$items' },
+    { $match: { 'items.sellerId': sellerObjectId } },
+    { $sort: { createdAt: -1 } },
+    {
+      $facet: {
+        items: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $project: {
+              _id: '$items._id',
+              payoutBatchId: '$_id',
+              senderBatchId: 1,
+              paypalBatchId: 1,
+              createdAt: 1,
+              status: '$items.status',
+              grossAmount: '$items.grossAmount',
+              commissionAmount: '$items.commissionAmount',
+              netAmount: '$items.netAmount',
+              payoutIds: '$items.payoutIds',
+              orderIds: '$items.orderIds',
+              paypalTransactionId: '$items.paypalTransactionId',
+              failedReason: '$items.failedReason',
+              completedAt: '$items.completedAt',
+            },
+          },
+        ],
+        total: [{ $count: 'count' }],
+      },
+    },
+  ]);
+
+  const total = result?.total?.[0]?.count || 0;
+  return {
+    batches: result?.items || [],
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+};
@@ -0,0 +1,347 @@
+import crypto from "crypto";
+import { Readable } from "stream";
+import archiver from "archiver";
+import bcrypt from "bcrypt";
+import mongoose from "mongoose";
+import { User } from "../models/user.model.js";
+import { Seller } from "../models/seller.model.js";
+import { Order } from "../models/order.model.js";
+import { Checkout } from "../models/checkout.model.js";
+import { LicenseKey } from "../models/licensekey.model.js";
+import { Review } from "../models/review.model.js";
+import { ReviewPhoto } from "../models/reviewPhoto.model.js";
+import { Wallet } from "../models/wallet.model.js";
+import { Transaction } from "../models/transaction.model.js";
+import { ReturnRefund } from "../models/returnrefund.model.js";
+import { SupportChat } from "../models/support.model.js";
+import { SupportMessage } from "../models/supportMessage.model.js";
+import { Conversation } from "../models/conversation.model.js";
+import { Message } from "../models/message.model.js";
+import { UserBehavior } from "../models/userBehavior.model.js";
+import { ProductRecommendation } from "../models/productRecommendation.model.js";
+import { RecentlyViewed } from "../models/recentlyViewed.model.js";
+import { Notification } from "../models/notification.model.js";
+import { Cart } from "../models/cart.model.js";
+import { Wishlist } from "../models/wishlist.model.js";
+import { Session } from "../models/session.model.js";
+import { AuditLog } from "../models/auditLog.model.js";
+import { EmailLog } from "../models/emailLog.model.js";
+import { DataExport } from "../models/dataExport.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { logger } from "../utils/logger.js";
+
+const EXPORT_BUCKET = "dataExports";
+const EXPORT_RETENTION_DAYS = 7;
+const CLOSED_REFUND_STATUSES = ["COMPLETED", "ADMIN_REJECTED"];
+const ERASED_NAME = "Deleted User";
+const ERASED_TEXT = "[deleted]";
+
+const getExportBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: EXPORT_BUCKET });
+
+const toJson = (value) => JSON.stringify(value, null, 2);
+
+/** Streams the user's behaviour events as NDJSON so large histories are never held in memory. */
+const behaviorEventStream = (userId) => {
+  const cursor = UserBehavior.find({ userId }).select("-__v").sort({ timestamp: 1 }).lean().cursor();
+  return Readable.from(
+    (async function* () {
+      for await (const event of cursor) {
+        yield `${JSON.stringify(event)}\n`;
+      }
+    })()
+  );
+};
+
+/** Everything held about the user except behaviour events, one entry per archive file. */
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId)
+    .select("name email oauthProvider emailVerified roles profileImage lastLogin loginCount twoFactorEnabled createdAt updatedAt")
+    .lean();
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  const orders = await Order.find({ userId })
+    .select("-adminEarnings -adminEarning -payoutStatus -payoutAmount -payoutId -payoutScheduledAt")
+    .populate("items.productId", "name")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const keyIds = orders.flatMap((order) => order.items.flatMap((item) => item.assignedKeyIds || []));
+  const licenseKeys = await LicenseKey.find({ _id: { $in: keyIds } })
+    .select("productId assignedToOrder keyType assignedAt emailSent emailSentAt isRefunded refundedAt isRevoked revokedAt")
+    .lean();
+
+  const reviews = await Review.find({ userId }).sort({ createdAt: 1 }).lean();
+  const wallet = await Wallet.findOne({ userId }).lean();
+  const transactions = await Transaction.find({ userId }).sort({ createdAt: 1 }).lean();
+  const refunds = await ReturnRefund.find({ userId }).sort({ createdAt: 1 }).lean();
+
+  const supportChats = await SupportChat.find({ userId }).sort({ createdAt: 1 }).lean();
+  const supportMessages = await SupportMessage.find({ supportChatId: { $in: supportChats.map((chat) => chat._id) } })
+    .select("supportChatId senderType senderName messageText messageType attachment sentAt")
+    .sort({ sentAt: 1 })
+    .lean();
+
+  const conversations = await Conversation.find({ buyerId: userId }).lean();
+  const messages = await Message.find({ $or: [{ senderId: userId }, { receiverId: userId }] })
+    .select("conversationId senderId receiverId messageText messageType attachment isDeleted sentAt")
+    .sort({ sentAt: 1 })
+    .lean();
+
+  const sessions = await Session.find({ userId }).select("deviceInfo isActive lastActivity createdAt revokedAt").lean();
+  const [cart, wishlist, recentlyViewed] = await Promise.all([
+    Cart.findOne({ userId }).lean(),
+    Wishlist.findOne({ userId }).lean(),
+    RecentlyViewed.findOne({ userId }).lean(),
+  ]);
+
+  return {
+    "profile.json": user,
+    "orders.json": orders,
+    "license-keys.json": licenseKeys,
+    "reviews.json": reviews,
+    "wallet.json": { balance: wallet?.balance || 0, currency: wallet?.currency || "USD", transactions: wallet?.transactions || [] },
+    "payments.json": transactions,
+    "refunds.json": refunds,
+    "support-chats.json": supportChats.map((chat) => ({
+      ...chat,
+      messages: supportMessages.filter((message) => message.supportChatId.toString() === chat._id.toString()),
+    })),
+    "seller-chats.json": conversations.map((conversation) => ({
+      ...conversation,
+      messages: messages.filter((message) => message.conversationId.toString() === conversation._id.toString()),
+    })),
+    "sessions.json": sessions,
+    "cart-and-wishlist.json": { cart: cart?.items || [], wishlist: wishlist?.products || [] },
+    "recently-viewed.json": recentlyViewed?.items || [],
+  };
+};
+
+const README = `This archive contains the personal data held for your account.
+
+profile.json              Account details
+orders.json               Orders and their items (license key values are not included)
+license-keys.json         Metadata of license keys delivered to you
+reviews.json              Product reviews you wrote
+wallet.json               Wallet balance and wallet transactions
+payments.json             Payment and refund transactions
+refunds.json              Refund requests
+support-chats.json        Support conversations
+seller-chats.json         Conversations with sellers
+sessions.json             Signed-in devices
+cart-and-wishlist.json    Current cart and wishlist
+recently-viewed.json      Products you viewed recently
+behavior-events.ndjson    Browsing and shopping events, one JSON object per line
+`;
+
+/** Builds the archive for an export request and stores it in GridFS. Called by the data export job. */
+export const runDataExport = async (exportId) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: { $in: ["pending", "processing", "failed"] } },
+    { $set: { status: "processing", startedAt: new Date(), error: null } },
+    { new: true }
+  );
+  if (!dataExport) return null;
+
+  try {
+    const files = await collectUserData(dataExport.userId);
+    const filename = `data-export-${dataExport.userId}-${new Date().toISOString().slice(0, 10)}.zip`;
+
+    const upload = getExportBucket().openUploadStream(filename, {
+      contentType: "application/zip",
+      metadata: { userId: dataExport.userId, exportId: dataExport._id },
+    });
+    const archive = archiver("zip", { zlib: { level: 9 } });
+    const stored = new Promise((resolve, reject) => {
+      upload.on("finish", resolve);
+      upload.on("error", reject);
+      archive.on("error", reject);
+    });
+    archive.pipe(upload);
+
+    archive.append(README, { name: "README.txt" });
+    for (const [name, content] of Object.entries(files)) {
+      archive.append(toJson(content), { name });
+    }
+    archive.append(behaviorEventStream(dataExport.userId), { name: "behavior-events.ndjson" });
+    await archive.finalize();
+    await stored;
+
+    const now = new Date();
+    dataExport.status = "ready";
+    dataExport.fileId = upload.id;
+    dataExport.filename = filename;
+    dataExport.sizeBytes = archive.pointer();
+    dataExport.completedAt = now;
+    dataExport.expiresAt = new Date(now.getTime() + EXPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    await dataExport.save();
+    return dataExport;
+  } catch (error) {
+    dataExport.status = "failed";
+    dataExport.error = error.message;
+    await dataExport.save();
+    throw error;
+  }
+};
+
+/** Read stream for a ready export's archive. */
+export const openDataExportStream = (dataExport) => getExportBucket().openDownloadStream(dataExport.fileId);
+
+const deleteExportFile = async (fileId) => {
+  try {
+    await getExportBucket().delete(fileId);
+  } catch (error) {
+    // Already gone (e.g. deleted by an earlier cleanup run).
+    logger.warn(`[PRIVACY] Could not delete export file ${fileId}: ${error.message}`);
+  }
+};
+
+/** Deletes archives past their download window. Run daily by the data export job. */
+export const purgeExpiredDataExports = async () => {
+  const expired = await DataExport.find({ status: "ready", expiresAt: { $lte: new Date() } }).select("_id fileId").lean();
+  for (const dataExport of expired) {
+    if (dataExport.fileId) {
+      await deleteExportFile(dataExport.fileId);
+    }
+    await DataExport.updateOne({ _id: dataExport._id }, { $set: { status: "expired", fileId: null } });
+  }
+  return expired.length;
+};
+
+/** Reasons the account cannot be erased yet: money or open cases that still need the real identity. */
+export const getErasureBlockers = async (userId) => {
+  const blockers = [];
+
+  const wallet = await Wallet.findOne({ userId }).select("balance").lean();
+  if (wallet?.balance > 0) {
+    blockers.push(`Wallet balance of ${wallet.balance.toFixed(2)} must be spent or withdrawn first`);
+  }
+
+  const seller = await Seller.findOne({ userId }).select("status").lean();
+  if (seller && seller.status !== "banned") {
+    blockers.push("Seller accounts must be closed by support before the user account can be erased");
+  }
+
+  const openRefunds = await ReturnRefund.countDocuments({ userId, status: { $nin: CLOSED_REFUND_STATUSES } });
+  if (openRefunds > 0) {
+    blockers.push("Open refund requests must be resolved first");
+  }
+
+  const pendingOrders = await Order.countDocuments({ userId, paymentStatus: "pending", orderStatus: { $in: ["pending", "processing"] } });
+  if (pendingOrders > 0) {
+    blockers.push("Orders awaiting payment must be completed or cancelled first");
+  }
+
+  return blockers;
+};
+
+/**
+ * Erases the account: anonymises the user's identity and authored content and deletes data
+ * kept only for the user's convenience (cart, wishlist, sessions, behaviour events, exports).
+ * Orders, payments, wallet ledger and refund records are kept, linked to the anonymised
+ * account, because they are needed for accounting.
+ */
+export const eraseUserData = async (userId) => {
+  const user = await User.findById(userId).select("email");
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+  const originalEmail = user.email;
+  const now = new Date();
+  const exportFiles = await DataExport.find({ userId, fileId: { $ne: null } }).select("fileId").lean();
+  const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          name: ERASED_NAME,
+          email: `erased-${userId}@erased.invalid`,
+          password: unusablePassword,
+          oauthProvider: "local",
+          isActive: false,
+          emailVerified: false,
+          twoFactorEnabled: false,
+          erasedAt: now,
+        },
+        $unset: {
+          oauthId: "",
+          profileImage: "",
+          pendingEmail: "",
+          refreshToken: "",
+          emailVerificationToken: "",
+          emailVerificationExpires: "",
+          emailVerificationOTP: "",
+          emailVerificationOTPExpires: "",
+          passwordResetToken: "",
+          passwordResetExpires: "",
+          twoFactorSecret: "",
+          twoFactorPendingSecret: "",
+          twoFactorBackupCodes: "",
+          twoFactorLastUsedStep: "",
+        },
+      },
+      { session }
+    );
+
+    await Order.updateMany({ userId }, { $set: { "items.$[].keyDeliveryEmail": null } }, { session });
+    await Checkout.updateMany({ userId }, { $set: { guestEmail: null } }, { session });
+    await ReturnRefund.updateMany(
+      { userId },
+      { $set: { guestPurchaseEmail: null, customerPayPalEmail: null } },
+      { session }
+    );
+
+    const reviewIds = (await Review.find({ userId }).select("_id").session(session).lean()).map((review) => review._id);
+    await ReviewPhoto.deleteMany({ reviewId: { $in: reviewIds } }, { session });
+
+    await Message.updateMany(
+      { senderId: userId },
+      { $set: { messageText: ERASED_TEXT, attachment: null, attachmentMetadata: null, isDeleted: true, deletedAt: now } },
+      { session }
+    );
+    const supportChatIds = (await SupportChat.find({ userId }).select("_id").session(session).lean()).map((chat) => chat._id);
+    await SupportChat.updateMany(
+      { _id: { $in: supportChatIds } },
+      { $set: { guestEmail: null, guestName: null, lastMessage: null } },
+      { session }
+    );
+    await SupportMessage.updateMany(
+      { supportChatId: { $in: supportChatIds }, senderType: { $in: ["user", "guest"] } },
+      { $set: { senderName: ERASED_NAME, senderEmail: null, messageText: ERASED_TEXT, attachment: null, isDeleted: true } },
+      { session }
+    );
+
+    await Notification.deleteMany({ userId }, { session });
+    await Cart.deleteMany({ userId }, { session });
+    await Wishlist.deleteMany({ userId }, { session });
+    await RecentlyViewed.deleteMany({ userId }, { session });
+    await Session.deleteMany({ userId }, { session });
+    await DataExport.deleteMany({ userId }, { session });
+
+    await AuditLog.updateMany({ userId }, { $unset: { ipAddress: "", userAgent: "" } }, { session });
+    await EmailLog.updateMany({ recipient: originalEmail }, { $set: { recipient: `erased-${userId}` } }, { session });
+
+    await session.commitTransaction();
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  // Behaviour events can be numerous, so they are removed outside the transaction.
+  await UserBehavior.deleteMany({ userId });
+  await ProductRecommendation.deleteMany({ kind: "for_user", subjectId: userId });
+  for (const { fileId } of exportFiles) {
+    await deleteExportFile(fileId);
+  }
+  return { erasedAt: now };
+};
@@ -211,6 +211,10 @@ export const prepareQueryFilters = async (query, user = null) => {
     match.stock = { $gt: 0 };
   }
 
+  if (query.minRating && Number.isFinite(Number(query.minRating))) {
+    match.averageRating = { $gte: Number(query.minRating) };
+  }
+
   if (!user || !user.roles?.includes('seller') && !user.roles?.includes('admin')) {
     if (!match.status) {
       match.status = { $in: ['active', 'approved'] };
@@ -267,12 +271,10 @@ export const lookupStages = [
   },
 }));
 
-export const fetchProducts = async (query, user = null) => {
-  const match = await prepareQueryFilters(query, user);
-
+export const getProductSortStage = (sort) => {
   let sortStage = { createdAt: -1 };
-  if (query.sort) {
-    const sortValue = String(query.sort).toLowerCase();
+  if (sort) {
+    const sortValue = String(sort).toLowerCase();
     switch (sortValue) {
       case 'price_asc':
         sortStage = { price: 1 };
@@ -300,142 +302,176 @@ export const fetchProducts = async (query, user = null) => {
     }
   }
 
-  const pipeline = [
-    { $match: match },
-    { $sort: sortStage },
-    ...lookupStages,
-    {
-      $unwind: {
-        path: "$category",
-        preserveNullAndEmptyArrays: true
-      }
-    },
-    {
-      $unwind: {
-        path: "$subCategory",
-        preserveNullAndEmptyArrays: true
-      }
-    },
-    {
-      $unwind: {
-        path: "$platform",
-        preserveNullAndEmptyArrays: true
-      }
-    },
-    {
-      $unwind: {
-        path: "$region",
-        preserveNullAndEmptyArrays: true
-      }
-    },
-    {
-      $unwind: {
-        path: "$type",
-        preserveNullAndEmptyArrays: true
-      }
-    },
-    {
-      $unwind: {
-        path: "$genre",
-        preserveNullAndEmptyArrays: true
-      }
-    },
-    {
-      $unwind: {
-        path: "$mode",
-        preserveNullAndEmptyArrays: true
-      }
-    },
-    {
-      $unwind: {
-        path: "$device",
-        preserveNullAndEmptyArrays: true
-      }
-    },
-    {
-      $unwind: {
-        path: "$theme",
-        preserveNullAndEmptyArrays: true
-      }
-    },
-    {
-      $unwind: {
-        path: "$seller",
-        preserveNullAndEmptyArrays: true
-      }
-    },
-    {
-      $project: {
-        _id: 1,
-        name: 1,
-        slug: 1,
-        description: 1,
-        price: 1,
-        originalPrice: "$price",
-        stock: 1,
-        images: 1,
-        discount: 1,
-        status: 1,
-        sellerId: 1,
-        featuredExtraCommission: 1,
-        category: {
-          _id: "$category._id",
-          name: "$category.name",
-          slug: "$category.slug"
-        },
-        subCategory: {
-          _id: "$subCategory._id",
-          name: "$subCategory.name",
-          slug: "$subCategory.slug"
-        },
-        seller: {
-          _id: "$seller._id",
-          shopName: "$seller.shopName",
-          shopLogo: "$seller.shopLogo"
-        },
-        platform: {
-          _id: "$platform._id",
-          name: "$platform.name"
-        },
-        region: {
-          _id: "$region._id",
-          name: "$region.name"
-        },
-        type: {
-          _id: "$type._id",
-          name: "$type.name"
-        },
-        genre: {
-          _id: "$genre._id",
-          name: "$genre.name"
-        },
-        mode: {
-          _id: "$mode._id",
-          name: "$mode.name"
-        },
-        device: {
-          _id: "$device._id",
-          name: "$device.name"
-        },
-        theme: {
-          _id: "$theme._id",
-          name: "$theme.name"
-        },
-        reviews: 1,
-        isFeatured: 1,
-        averageRating: 1,
-        reviewCount: 1,
-        metaTitle: 1,
-        metaDescription: 1,
-        availableKeysCount: 1,
-        totalKeysCount: 1,
-        productType: 1,
-        createdAt: 1,
-        updatedAt: 1,
+  return sortStage;
+};
+
+export const productListStages = [
+  ...lookupStages,
+  {
+    $unwind: {
+      path: "$category",
+      preserveNullAndEmptyArrays: true
+    }
+  },
+  {
+    $unwind: {
+      path: "$subCategory",
+      preserveNullAndEmptyArrays: true
+    }
+  },
+  {
+    $unwind: {
+      path: "$platform",
+      preserveNullAndEmptyArrays: true
+    }
+  },
+  {
+    $unwind: {
+      path: "$region",
+      preserveNullAndEmptyArrays: true
+    }
+  },
+  {
+    $unwind: {
+      path: "$type",
+      preserveNullAndEmptyArrays: true
+    }
+  },
+  {
+    $unwind: {
+      path: "$genre",
+      preserveNullAndEmptyArrays: true
+    }
+  },
+  {
+    $unwind: {
+      path: "$mode",
+      preserveNullAndEmptyArrays: true
+    }
+  },
+  {
+    $unwind: {
+      path: "$device",
+      preserveNullAndEmptyArrays: true
+    }
+  },
+  {
+    $unwind: {
+      path: "$theme",
+      preserveNullAndEmptyArrays: true
+    }
+  },
+  {
+    $unwind: {
+      path: "$seller",
+      preserveNullAndEmptyArrays: true
+    }
+  },
+  {
+    $project: {
+      _id: 1,
+      name: 1,
+      slug: 1,
+      description: 1,
+      price: 1,
+      originalPrice: "$price",
+      stock: 1,
+      images: 1,
+      discount: 1,
+      status: 1,
+      sellerId: 1,
+      featuredExtraCommission: 1,
+      category: {
+        _id: "$category._id",
+        name: "$category.name",
+        slug: "$category.slug"
+      },
+      subCategory: {
+        _id: "$subCategory._id",
+        name: "$subCategory.name",
+        slug: "$subCategory.slug"
+      },
+      seller: {
+        _id: "$seller._id",
+        shopName: "$seller.shopName",
+        shopLogo: "$seller.shopLogo"
+      },
+      platform: {
+        _id: "$platform._id",
+        name: "$platform.name"
       },
+      region: {
+        _id: "$region._id",
+        name: "$region.name"
+      },
+      type: {
+        _id: "$type._id",
+        name: "$type.name"
+      },
+      genre: {
+        _id: "$genre._id",
+        name: "$genre.name"
+      },
+      mode: {
+        _id: "$mode._id",
+        name: "$mode.name"
+      },
+      device: {
+        _id: "$device._id",
+        name: "$device.name"
+      },
+      theme: {
+        _id: "$theme._id",
+        name: "$theme.name"
+      },
+      reviews: 1,
+      isFeatured: 1,
+      averageRating: 1,
+      reviewCount: 1,
+      metaTitle: 1,
+      metaDescription: 1,
+      availableKeysCount: 1,
+      totalKeysCount: 1,
+      productType: 1,
+      createdAt: 1,
+      updatedAt: 1,
     },
-  ];
+  },
+];
+
+export const attachTrendingOffers = async (docs) => {
+  if (!docs || docs.length === 0) return docs;
+
+  const { getTrendingOfferForProduct, calculateTrendingOfferDiscount } = await import('./trendingoffer.service.js');
+
+  return Promise.all(
+    docs.map(async (product) => {
+      const offer = await getTrendingOfferForProduct(product._id);
+      if (offer) {
+        const pricing = await calculateTrendingOfferDiscount(product._id, product.price);
+        return {
+          ...product,
+          trendingOffer: {
+            discountPercent: offer.discountPercent,
+            offerId: offer._id,
+          },
+          discountedPrice: pricing.discountedPrice,
+          hasTrendingOffer: true,
+        };
+      }
+      return product;
+    })
+  );
+};
 
+export const fetchProducts = async (query, user = null) => {
+  const match = await prepareQueryFilters(query, user);
+
+  const pipeline = [
+    { $match: match },
+    { $sort: getProductSortStage(query.sort) },
+    ...productListStages,
+  ];
 
   const result = await Product.aggregatePaginate(Product.aggregate(pipeline), {
     page: Number(query.page) || 1,
@@ -443,31 +479,9 @@ export const fetchProducts = async (query, user = null) => {
   });
 
   if (result.docs && result.docs.length > 0) {
-    const { getTrendingOfferForProduct, calculateTrendingOfferDiscount } = await import('./trendingoffer.service.js');
-    
-    const enrichedDocs = await Promise.all(
-      result.docs.map(async (product) => {
-        const offer = await getTrendingOfferForProduct(product._id);
-        if (offer) {
-          const pricing = await calculateTrendingOfferDiscount(product._id, product.price);
-          return {
-            ...product,
-            trendingOffer: {
-              discountPercent: offer.discountPercent,
-              offerId: offer._id,
-            },
-            discountedPrice: pricing.discountedPrice,
-            hasTrendingOffer: true,
-          };
-        }
-        return product;
-      })
-    );
-    
-    result.docs = enrichedDocs;
+    result.docs = await attachTrendingOffers(result.docs);
   }
 
-
   return result;
 };
 
@@ -493,7 +507,7 @@ export const deleteProductWithRelatedCleanup = async (productId) => {
       { "products.productId": id },
       { $pull: { products: { productId: id } } }
     ),
-    LicenseKey.deleteOne({ productId: id }),
+    LicenseKey.deleteMany({ productId: id }),
     Review.deleteMany({ productId: id }),
     FlashDeal.deleteMany({ productId: id }),
     TrendingOffer.updateMany(
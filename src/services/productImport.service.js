@@ -0,0 +1,324 @@
+import { Product } from "../models/product.model.js";
+import { Category } from "../models/category.model.js";
+import { SubCategory } from "../models/subcategory.model.js";
+import { Platform, PlatformSettings } from "../models/platform.model.js";
+import { Region } from "../models/region.model.js";
+import { Type } from "../models/type.model.js";
+import { Genre } from "../models/genre.model.js";
+import { Mode } from "../models/mode.model.js";
+import { Device } from "../models/device.model.js";
+import { Theme } from "../models/theme.model.js";
+import { ProductImport } from "../models/productImport.model.js";
+import { bulkUploadKeys } from "./key.service.js";
+import { uploadImageFromUrl } from "../utils/cloudinary.js";
+import { fileDelete } from "../utils/deletecloudinary.js";
+import { encryptKey, decryptKey } from "../utils/encryption.js";
+import { validateMetaTitle, validateMetaDescription } from "../utils/sanitize.js";
+import { logger } from "../utils/logger.js";
+
+export const PRODUCT_IMPORT_COLUMNS = [
+  "name",
+  "slug",
+  "description",
+  "price",
+  "discount",
+  "productType",
+  "category",
+  "subCategory",
+  "platform",
+  "region",
+  "type",
+  "genre",
+  "mode",
+  "device",
+  "theme",
+  "images",
+  "keys",
+  "metaTitle",
+  "metaDescription",
+];
+
+/** Reference columns: [column, product field, model, required]. Category is resolved separately. */
+const REFERENCE_COLUMNS = [
+  ["platform", "platform", Platform, true],
+  ["region", "region", Region, true],
+  ["type", "type", Type, true],
+  ["genre", "genre", Genre, true],
+  ["mode", "mode", Mode, true],
+  ["device", "device", Device, false],
+  ["theme", "theme", Theme, false],
+];
+
+const MAX_IMAGES = 5;
+const MAX_KEYS_PER_ROW = 5000;
+const IMPORT_RETENTION_DAYS = 30;
+
+export const slugify = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+/** Lookup keyed by _id, lower-cased name and slug (explicit or derived from the name). */
+const buildLookup = (docs) => {
+  const lookup = new Map();
+  for (const doc of docs) {
+    lookup.set(doc._id.toString(), doc);
+    lookup.set(String(doc.name).trim().toLowerCase(), doc);
+    lookup.set(doc.slug || slugify(doc.name), doc);
+  }
+  return lookup;
+};
+
+const resolveFrom = (lookup, value) => {
+  const text = String(value || "").trim();
+  if (!text) return null;
+  return lookup.get(text) || lookup.get(text.toLowerCase()) || lookup.get(slugify(text)) || null;
+};
+
+const loadReferenceLookups = async () => {
+  const [categories, subCategories, ...others] = await Promise.all([
+    Category.find({}).select("name slug isActive").lean(),
+    SubCategory.find({}).select("name slug parentCategory isActive").lean(),
+    ...REFERENCE_COLUMNS.map(([, , model]) => model.find({}).select("name").lean()),
+  ]);
+
+  const subCategoriesByParent = new Map();
+  for (const sub of subCategories) {
+    const key = sub.parentCategory?.toString();
+    if (!subCategoriesByParent.has(key)) subCategoriesByParent.set(key, []);
+    subCategoriesByParent.get(key).push(sub);
+  }
+
+  return {
+    categories: buildLookup(categories),
+    subCategoriesByParent: new Map(
+      [...subCategoriesByParent].map(([parentId, subs]) => [parentId, buildLookup(subs)])
+    ),
+    references: Object.fromEntries(
+      REFERENCE_COLUMNS.map(([column], i) => [column, buildLookup(others[i])])
+    ),
+  };
+};
+
+const splitList = (value, pattern) =>
+  String(value || "")
+    .split(pattern)
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Validates parsed spreadsheet rows without writing anything. Every row gets a list of
+ * errors; rows without errors carry the resolved product payload and keys to import.
+ */
+export const validateProductImportRows = async (rows) => {
+  const lookups = await loadReferenceLookups();
+
+  const names = rows.map(({ data }) => data.name).filter(Boolean);
+  const slugs = rows.map(({ data }) => slugify(data.slug || data.name)).filter(Boolean);
+  const existing = await Product.find({ $or: [{ name: { $in: names } }, { slug: { $in: slugs } }] })
+    .select("name slug")
+    .lean();
+  const takenNames = new Set(existing.map((p) => p.name));
+  const takenSlugs = new Set(existing.map((p) => p.slug));
+  const seenNames = new Map();
+  const seenSlugs = new Map();
+
+  return rows.map(({ rowNumber, data }) => {
+    const errors = [];
+    const name = data.name;
+    const slug = slugify(data.slug || name);
+    const description = data.description;
+    const price = Number(data.price);
+    const discount = data.discount === undefined || data.discount === "" ? 0 : Number(data.discount);
+    const productType = (data.producttype || "LICENSE_KEY").toUpperCase().replace(/[\s-]/g, "_");
+
+    if (!name) errors.push("name is required");
+    if (!description) errors.push("description is required");
+    if (!slug) errors.push("slug could not be derived from name");
+    if (!data.price || !Number.isFinite(price) || price <= 0) errors.push("price must be a number greater than 0");
+    if (!Number.isFinite(discount) || discount < 0 || discount > 100) errors.push("discount must be between 0 and 100");
+    if (!["LICENSE_KEY", "ACCOUNT_BASED"].includes(productType)) {
+      errors.push("productType must be LICENSE_KEY or ACCOUNT_BASED");
+    }
+
+    if (name && takenNames.has(name)) errors.push(`a product named "${name}" already exists`);
+    if (slug && takenSlugs.has(slug)) errors.push(`slug "${slug}" is already in use`);
+    if (name && seenNames.has(name)) errors.push(`duplicate name, also on row ${seenNames.get(name)}`);
+    if (slug && seenSlugs.has(slug)) errors.push(`duplicate slug, also on row ${seenSlugs.get(slug)}`);
+    if (name) seenNames.set(name, seenNames.get(name) || rowNumber);
+    if (slug) seenSlugs.set(slug, seenSlugs.get(slug) || rowNumber);
+
+    const product = { name, slug, description, price, discount, productType };
+
+    const category = resolveFrom(lookups.categories, data.category);
+    if (!data.category) {
+      errors.push("category is required");
+    } else if (!category) {
+      errors.push(`category "${data.category}" not found`);
+    } else {
+      product.categoryId = category._id;
+    }
+
+    if (data.subcategory && category) {
+      const subCategory = resolveFrom(lookups.subCategoriesByParent.get(category._id.toString()) || new Map(), data.subcategory);
+      if (!subCategory) {
+        errors.push(`subCategory "${data.subcategory}" not found in category "${category.name}"`);
+      } else {
+        product.subCategoryId = subCategory._id;
+      }
+    }
+
+    for (const [column, field, , required] of REFERENCE_COLUMNS) {
+      const value = data[column];
+      if (!value) {
+        if (required) errors.push(`${column} is required`);
+        continue;
+      }
+      const doc = resolveFrom(lookups.references[column], value);
+      if (!doc) {
+        errors.push(`${column} "${value}" not found`);
+      } else {
+        product[field] = doc._id;
+      }
+    }
+
+    const imageUrls = splitList(data.images, /[|\s]+/);
+    if (imageUrls.length === 0) errors.push("at least one image URL is required");
+    if (imageUrls.length > MAX_IMAGES) errors.push(`at most ${MAX_IMAGES} images are allowed`);
+    const invalidUrls = imageUrls.filter((url) => !/^https?:\/\/\S+$/i.test(url));
+    if (invalidUrls.length > 0) errors.push(`invalid image URL: ${invalidUrls[0]}`);
+
+    const keys = splitList(data.keys, /[|\r\n]+/);
+    if (keys.length > 0 && productType === "ACCOUNT_BASED") {
+      errors.push("keys can only be imported for LICENSE_KEY products; upload account credentials separately");
+    }
+    if (keys.length > MAX_KEYS_PER_ROW) errors.push(`at most ${MAX_KEYS_PER_ROW} keys per row`);
+
+    const metaTitle = validateMetaTitle(data.metatitle);
+    const metaDescription = validateMetaDescription(data.metadescription);
+    if (!metaTitle.valid) errors.push(metaTitle.error);
+    if (!metaDescription.valid) errors.push(metaDescription.error);
+    product.metaTitle = metaTitle.value ?? null;
+    product.metaDescription = metaDescription.value ?? null;
+
+    return {
+      rowNumber,
+      name: name || null,
+      valid: errors.length === 0,
+      errors,
+      product: errors.length === 0 ? product : null,
+      imageUrls,
+      keys: errors.length === 0 ? [...new Set(keys)] : [],
+    };
+  });
+};
+
+/** Stores the valid rows of a committed import so the import job can create them. */
+export const createProductImport = async ({ validatedRows, seller, userId, filename }) => {
+  const rows = validatedRows
+    .filter((row) => row.valid)
+    .map(({ rowNumber, product, imageUrls, keys }) => ({ rowNumber, product, imageUrls, keys }));
+
+  return await ProductImport.create({
+    sellerId: seller._id,
+    uploadedBy: userId,
+    filename,
+    totalRows: validatedRows.length,
+    queuedRows: rows.length,
+    skippedRows: validatedRows.length - rows.length,
+    pendingRows: encryptKey(JSON.stringify(rows)),
+    expiresAt: new Date(Date.now() + IMPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+  });
+};
+
+/**
+ * Creates the product for one row. A row's images are uploaded together, and a row whose
+ * images fail creates nothing. Keys are attached after creation; a key failure leaves the
+ * product in place and is reported.
+ */
+const commitProductImportRow = async (row, sellerId, autoApprove) => {
+  const uploads = await Promise.allSettled(row.imageUrls.map((url) => uploadImageFromUrl(url)));
+  const uploaded = uploads.filter((u) => u.status === "fulfilled").map((u) => u.value);
+
+  try {
+    const failedUpload = uploads.find((u) => u.status === "rejected");
+    if (failedUpload) throw failedUpload.reason;
+
+    const product = await Product.create({
+      ...row.product,
+      sellerId,
+      images: uploaded.map((i) => i.url),
+      publicId: uploaded.map((i) => i.public_id),
+      stock: 0,
+      status: autoApprove ? "active" : "pending",
+      approvedAt: autoApprove ? new Date() : null,
+    });
+
+    const result = { rowNumber: row.rowNumber, name: row.product.name, productId: product._id, status: product.status, keysUploaded: 0 };
+    if (row.keys.length > 0) {
+      try {
+        const keyResult = await bulkUploadKeys(product._id, row.keys, sellerId);
+        result.keysUploaded = keyResult.uploaded;
+      } catch (error) {
+        result.keyError = error.message;
+      }
+    }
+    return result;
+  } catch (error) {
+    logger.error(`[PRODUCT_IMPORT] Row ${row.rowNumber} failed:`, error);
+    await Promise.all(uploaded.map((i) => fileDelete(i.public_id).catch(() => {})));
+    return {
+      rowNumber: row.rowNumber,
+      name: row.product.name,
+      error: error.code === 11000 ? "a product with this name or slug was created meanwhile" : error.message,
+    };
+  }
+};
+
+/**
+ * Works through a queued import one row at a time, saving each row's result as it goes.
+ * Rows that already have a result are skipped, so a retried job picks up where it stopped.
+ */
+export const runProductImport = async (importId) => {
+  const productImport = await ProductImport.findOneAndUpdate(
+    { _id: importId, status: { $in: ["pending", "processing", "failed"] } },
+    { $set: { status: "processing", startedAt: new Date(), error: null } },
+    { new: true }
+  );
+  if (!productImport) return null;
+
+  try {
+    const autoApproveSetting = await PlatformSettings.findOne({ key: "auto_approve_products" });
+    const autoApprove = autoApproveSetting ? autoApproveSetting.value === true : false;
+
+    const done = new Set(productImport.results.map((r) => r.rowNumber));
+    const rows = productImport.pendingRows ? JSON.parse(decryptKey(productImport.pendingRows)) : [];
+
+    for (const row of rows.filter((r) => !done.has(r.rowNumber))) {
+      const result = await commitProductImportRow(row, productImport.sellerId, autoApprove);
+      await ProductImport.updateOne(
+        { _id: productImport._id },
+        {
+          $push: { results: result },
+          $inc: {
+            created: result.productId ? 1 : 0,
+            failed: result.error ? 1 : 0,
+            keysUploaded: result.keysUploaded || 0,
+          },
+        }
+      );
+    }
+
+    return await ProductImport.findByIdAndUpdate(
+      productImport._id,
+      { $set: { status: "completed", pendingRows: null, completedAt: new Date() } },
+      { new: true }
+    );
+  } catch (error) {
+    await ProductImport.updateOne({ _id: productImport._id }, { $set: { status: "failed", error: error.message } });
+    throw error;
+  }
+};
@@ -0,0 +1,324 @@
+import { Product } from "../models/product.model.js";
+import {
+  prepareQueryFilters,
+  getProductSortStage,
+  productListStages,
+  attachTrendingOffers,
+} from "./product.service.js";
+import cache from "../utils/cache.js";
+import { logger } from "../utils/logger.js";
+
+const ATTRIBUTE_FACETS = [
+  { field: "platform", from: "platforms" },
+  { field: "region", from: "regions" },
+  { field: "genre", from: "genres" },
+  { field: "mode", from: "modes" },
+  { field: "device", from: "devices" },
+  { field: "theme", from: "themes" },
+  { field: "type", from: "types" },
+];
+const FACET_FILTER_FIELDS = [...ATTRIBUTE_FACETS.map((facet) => facet.field), "price", "averageRating"];
+const FACET_VALUE_LIMIT = 50;
+const PRICE_BUCKET_BOUNDARIES = [0, 5, 10, 20, 50, 100];
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 60;
+const MAX_SEARCH_TERMS = 8;
+const MIN_FUZZY_TERM_LENGTH = 3;
+const MAX_PREFIX_EXPANSIONS = 3;
+
+const VOCABULARY_CACHE_KEY = "product_search:vocabulary";
+const VOCABULARY_TTL_MS = 15 * 60 * 1000;
+let vocabularyBuild = null;
+
+export const tokenizeSearchText = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+/** Words used in live product names with how many products use them, bucketed by length. */
+const buildVocabulary = async () => {
+  const rows = await Product.aggregate([
+    { $match: { status: { $in: ["active", "approved"] } } },
+    { $project: { words: { $split: [{ $toLower: "$name" }, " "] } } },
+    { $unwind: "$words" },
+    { $group: { _id: "$words", count: { $sum: 1 } } },
+  ]).allowDiskUse(true);
+
+  const counts = new Map();
+  for (const row of rows) {
+    for (const word of tokenizeSearchText(row._id)) {
+      counts.set(word, (counts.get(word) || 0) + row.count);
+    }
+  }
+
+  const byLength = new Map();
+  for (const word of counts.keys()) {
+    if (!byLength.has(word.length)) byLength.set(word.length, []);
+    byLength.get(word.length).push(word);
+  }
+
+  return { counts, byLength };
+};
+
+const getVocabulary = async () => {
+  const cached = cache.get(VOCABULARY_CACHE_KEY);
+  if (cached) return cached;
+
+  if (!vocabularyBuild) {
+    vocabularyBuild = buildVocabulary()
+      .then((vocabulary) => {
+        cache.set(VOCABULARY_CACHE_KEY, vocabulary, VOCABULARY_TTL_MS);
+        return vocabulary;
+      })
+      .finally(() => {
+        vocabularyBuild = null;
+      });
+  }
+  return vocabularyBuild;
+};
+
+/** Optimal string alignment distance; gives up as soon as it exceeds `max`. */
+export const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, beforePrevious[j - 2] + 1);
+      }
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const findClosestWord = (term, vocabulary) => {
+  const maxEdits = term.length <= 4 ? 1 : 2;
+  let best = null;
+
+  for (let length = term.length - maxEdits; length <= term.length + maxEdits; length++) {
+    for (const word of vocabulary.byLength.get(length) || []) {
+      const distance = editDistance(term, word, maxEdits);
+      if (distance > maxEdits) continue;
+      const count = vocabulary.counts.get(word);
+      if (!best || distance < best.distance || (distance === best.distance && count > best.count)) {
+        best = { word, distance, count };
+      }
+    }
+  }
+  return best?.word || null;
+};
+
+const findCompletions = (term, vocabulary, limit = MAX_PREFIX_EXPANSIONS) => {
+  const completions = [];
+  for (const [word, count] of vocabulary.counts) {
+    if (word.length > term.length && word.startsWith(term)) completions.push({ word, count });
+  }
+  return completions
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit)
+    .map((completion) => completion.word);
+};
+
+/**
+ * Words from live product names that start with `term`, most used first. The vocabulary covers
+ * every live product name, so an empty result means no product has a word with that prefix.
+ */
+export const getWordCompletions = async (term, limit) => {
+  const vocabulary = await getVocabulary();
+  return vocabulary.counts.has(term)
+    ? [term, ...findCompletions(term, vocabulary, limit - 1)]
+    : findCompletions(term, vocabulary, limit);
+};
+
+/**
+ * Expands the query for the text index: words no product name uses are matched to the
+ * closest known word (typos) and to the most common words they start with (partial words).
+ */
+export const resolveSearchTerms = async (q) => {
+  const terms = [...new Set(tokenizeSearchText(q))].slice(0, MAX_SEARCH_TERMS);
+  const expanded = new Set(terms);
+  const corrections = {};
+
+  let vocabulary = null;
+  try {
+    vocabulary = await getVocabulary();
+  } catch (error) {
+    logger.error("Failed to build product search vocabulary", error);
+  }
+
+  if (vocabulary) {
+    for (const term of terms) {
+      if (term.length < MIN_FUZZY_TERM_LENGTH || vocabulary.counts.has(term)) continue;
+
+      const completions = findCompletions(term, vocabulary);
+      completions.forEach((word) => expanded.add(word));
+      const closest = findClosestWord(term, vocabulary);
+      if (closest) {
+        expanded.add(closest);
+        if (!completions.length) corrections[term] = closest;
+      }
+    }
+  }
+
+  return {
+    terms,
+    text: [...expanded].join(" "),
+    didYouMean: Object.keys(corrections).length
+      ? terms.map((term) => corrections[term] || term).join(" ")
+      : null,
+  };
+};
+
+const matchFacetFilters = (facetFilters, excludedField = null) => {
+  const match = {};
+  for (const [field, condition] of Object.entries(facetFilters)) {
+    if (field !== excludedField) match[field] = condition;
+  }
+  return match;
+};
+
+const buildAttributeFacet = ({ field, from }, facetFilters) => [
+  { $match: { ...matchFacetFilters(facetFilters, field), [field]: { $ne: null } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1 } },
+  { $limit: FACET_VALUE_LIMIT },
+  { $lookup: { from, localField: "_id", foreignField: "_id", as: "ref" } },
+  { $project: { _id: 1, count: 1, name: { $arrayElemAt: ["$ref.name", 0] } } },
+];
+
+const buildRatingFacet = (facetFilters) => [
+  { $match: matchFacetFilters(facetFilters, "averageRating") },
+  {
+    $group: RATING_THRESHOLDS.reduce((group, threshold) => {
+      group[`atLeast${threshold}`] = { $sum: { $cond: [{ $gte: ["$averageRating", threshold] }, 1, 0] } };
+      return group;
+    }, { _id: null }),
+  },
+];
+
+const formatPriceBuckets = (rows) => {
+  const counts = new Map(rows.map((row) => [row._id, row.count]));
+  return PRICE_BUCKET_BOUNDARIES.map((min, index) => ({
+    min,
+    max: PRICE_BUCKET_BOUNDARIES[index + 1] ?? null,
+    count: counts.get(min) || 0,
+  }));
+};
+
+const formatRatingBuckets = ([row]) =>
+  RATING_THRESHOLDS.map((minRating) => ({ minRating, count: row?.[`atLeast${minRating}`] || 0 }));
+
+/**
+ * Catalog search with facet counts. The text index narrows the catalog before the `$facet`
+ * stage, and every facet is counted with all other active filters but not its own, so
+ * choosing one platform still shows how many results the other platforms would give.
+ */
+export const searchProducts = async (query, user = null) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const q = String(query.q ?? query.search ?? "").trim();
+
+  const match = await prepareQueryFilters({ ...query, search: undefined }, user);
+  const facetFilters = {};
+  for (const field of FACET_FILTER_FIELDS) {
+    if (match[field] !== undefined) {
+      facetFilters[field] = match[field];
+      delete match[field];
+    }
+  }
+
+  const search = q ? await resolveSearchTerms(q) : null;
+  const textSearch = Boolean(search?.text);
+  if (textSearch) {
+    match.$text = { $search: search.text };
+  }
+
+  const sortStage = textSearch && (!query.sort || query.sort === "relevance")
+    ? { score: -1, viewCount: -1, _id: 1 }
+    : { ...getProductSortStage(query.sort), _id: 1 };
+
+  const projection = { name: 1, price: 1, averageRating: 1, reviewCount: 1, viewCount: 1, createdAt: 1 };
+  ATTRIBUTE_FACETS.forEach(({ field }) => { projection[field] = 1; });
+  if (textSearch) projection.score = { $meta: "textScore" };
+
+  const allFilters = matchFacetFilters(facetFilters);
+  const facets = {
+    results: [
+      { $match: allFilters },
+      { $sort: sortStage },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      { $project: { _id: 1, score: 1 } },
+    ],
+    total: [{ $match: allFilters }, { $count: "count" }],
+    price: [
+      { $match: matchFacetFilters(facetFilters, "price") },
+      {
+        $bucket: {
+          groupBy: "$price",
+          boundaries: PRICE_BUCKET_BOUNDARIES,
+          default: PRICE_BUCKET_BOUNDARIES[PRICE_BUCKET_BOUNDARIES.length - 1],
+          output: { count: { $sum: 1 } },
+        },
+      },
+    ],
+    rating: buildRatingFacet(facetFilters),
+  };
+  ATTRIBUTE_FACETS.forEach((facet) => {
+    facets[facet.field] = buildAttributeFacet(facet, facetFilters);
+  });
+
+  const [result] = await Product.aggregate([
+    { $match: match },
+    { $project: projection },
+    { $facet: facets },
+  ]).allowDiskUse(true);
+
+  const ids = result.results.map((row) => row._id);
+  const scores = new Map(result.results.map((row) => [row._id.toString(), row.score]));
+  const products = ids.length
+    ? await Product.aggregate([{ $match: { _id: { $in: ids } } }, ...productListStages])
+    : [];
+  const byId = new Map(products.map((product) => [product._id.toString(), product]));
+  const docs = await attachTrendingOffers(
+    ids
+      .map((id) => byId.get(id.toString()))
+      .filter(Boolean)
+      .map((product) => (textSearch ? { ...product, relevance: scores.get(product._id.toString()) } : product))
+  );
+
+  const totalDocs = result.total[0]?.count || 0;
+  const totalPages = Math.ceil(totalDocs / limit);
+
+  return {
+    docs,
+    totalDocs,
+    limit,
+    page,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+    facets: {
+      ...Object.fromEntries(ATTRIBUTE_FACETS.map(({ field }) => [field, result[field]])),
+      price: formatPriceBuckets(result.price),
+      rating: formatRatingBuckets(result.rating),
+    },
+    search: search
+      ? { query: q, terms: search.terms, didYouMean: totalDocs > 0 ? search.didYouMean : null }
+      : null,
+  };
+};
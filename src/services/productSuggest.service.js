@@ -0,0 +1,262 @@
+import { Product } from "../models/product.model.js";
+import { Category } from "../models/category.model.js";
+import { SubCategory } from "../models/subcategory.model.js";
+import { Platform } from "../models/platform.model.js";
+import { Seller } from "../models/seller.model.js";
+import { Order } from "../models/order.model.js";
+import { UserBehavior } from "../models/userBehavior.model.js";
+import { tokenizeSearchText, getWordCompletions } from "./productSearch.service.js";
+import { getRedisClient } from "../config/redis.js";
+import cache from "../utils/cache.js";
+import { escapeRegex } from "../utils/sanitize.js";
+import { logger } from "../utils/logger.js";
+
+export const MIN_SUGGEST_PREFIX_LENGTH = 2;
+const MAX_SUGGEST_PREFIX_LENGTH = 64;
+const SUGGEST_CACHE_TTL = 300; // 5 minutes
+const PRODUCT_SUGGESTIONS = 6;
+const PRODUCT_CANDIDATES = 30;
+const PREFIX_COMPLETIONS = 20;
+const GROUP_SUGGESTIONS = 4;
+const GROUP_CANDIDATES = 20;
+
+const SALES_WINDOW_DAYS = 90;
+const SALES_WEIGHT = 25;
+const RECENT_SALES_CACHE_KEY = "product_suggest:recent_sales";
+const RECENT_SALES_TTL_MS = 60 * 60 * 1000;
+let recentSalesBuild = null;
+
+const LIVE_PRODUCT_STATUSES = ["active", "approved"];
+
+const suggestCacheKey = (prefix) => `product_suggest:${prefix}`;
+
+/** Lower-cased, single-spaced prefix, or null when too short to suggest on. */
+export const normalizeSuggestPrefix = (q) => {
+  const prefix = String(q || "").toLowerCase().replace(/\s+/g, " ").trim().slice(0, MAX_SUGGEST_PREFIX_LENGTH);
+  return prefix.length >= MIN_SUGGEST_PREFIX_LENGTH ? prefix : null;
+};
+
+/** Matches the prefix at the start of any word, so "duty" finds "Call of Duty". */
+const wordPrefixRegex = (prefix) => new RegExp(`(^|\\s)${escapeRegex(prefix)}`, "i");
+
+/** Units sold per product over the last 90 days, rebuilt at most once an hour. */
+const getRecentSales = async () => {
+  const cached = cache.get(RECENT_SALES_CACHE_KEY);
+  if (cached) return cached;
+
+  if (!recentSalesBuild) {
+    const since = new Date(Date.now() - SALES_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    recentSalesBuild = Order.aggregate([
+      { $match: { paymentStatus: "paid", createdAt: { $gte: since } } },
+      { $unwind: "$items" },
+      { $group: { _id: "$items.productId", units: { $sum: "$items.qty" } } },
+    ])
+      .allowDiskUse(true)
+      .then((rows) => {
+        const sales = new Map(rows.map((row) => [row._id.toString(), row.units]));
+        cache.set(RECENT_SALES_CACHE_KEY, sales, RECENT_SALES_TTL_MS);
+        return sales;
+      })
+      .finally(() => {
+        recentSalesBuild = null;
+      });
+  }
+  return recentSalesBuild;
+};
+
+/**
+ * Narrows products through the text index first: the complete words of the prefix plus the
+ * most common vocabulary words the last, partial word completes to. The word-prefix regex
+ * then only runs on those matches instead of on the whole catalog.
+ */
+const suggestProductsByName = async (prefix, regex) => {
+  const words = tokenizeSearchText(prefix);
+  if (words.length === 0) return [];
+
+  const partial = /[\p{L}\p{N}]$/u.test(prefix) ? words.pop() : null;
+  const completions = partial ? await getWordCompletions(partial, PREFIX_COMPLETIONS) : [];
+  if (partial && completions.length === 0) return [];
+
+  const [candidates, sales] = await Promise.all([
+    Product.find({
+      $text: { $search: [...words, ...completions].join(" ") },
+      status: { $in: LIVE_PRODUCT_STATUSES },
+      name: regex,
+    })
+      .select("name slug images price viewCount")
+      .sort({ viewCount: -1 })
+      .limit(PRODUCT_CANDIDATES)
+      .lean(),
+    getRecentSales(),
+  ]);
+
+  return candidates
+    .map((product) => {
+      const unitsSold = sales.get(product._id.toString()) || 0;
+      return {
+        _id: product._id,
+        name: product.name,
+        slug: product.slug,
+        image: product.images?.[0] || null,
+        price: product.price,
+        popularity: (product.viewCount || 0) + unitsSold * SALES_WEIGHT,
+      };
+    })
+    .sort((a, b) => b.popularity - a.popularity)
+    .slice(0, PRODUCT_SUGGESTIONS);
+};
+
+/** Orders matching categories, platforms, etc. by the total views of their live products. */
+const rankByProductViews = async (docs, productField) => {
+  if (docs.length === 0) return [];
+
+  const views = await Product.aggregate([
+    { $match: { status: { $in: LIVE_PRODUCT_STATUSES }, [productField]: { $in: docs.map((doc) => doc._id) } } },
+    { $group: { _id: `$${productField}`, views: { $sum: "$viewCount" }, products: { $sum: 1 } } },
+  ]);
+  const byId = new Map(views.map((row) => [row._id.toString(), row]));
+
+  return docs
+    .map((doc) => ({
+      ...doc,
+      productCount: byId.get(doc._id.toString())?.products || 0,
+      popularity: byId.get(doc._id.toString())?.views || 0,
+    }))
+    .filter((doc) => doc.productCount > 0)
+    .sort((a, b) => b.popularity - a.popularity)
+    .slice(0, GROUP_SUGGESTIONS);
+};
+
+const buildSuggestions = async (prefix) => {
+  const regex = wordPrefixRegex(prefix);
+
+  const [products, categories, subcategories, platforms, sellers] = await Promise.all([
+    suggestProductsByName(prefix, regex),
+    Category.find({ isActive: true, name: regex }).select("name slug").limit(GROUP_CANDIDATES).lean()
+      .then((docs) => rankByProductViews(docs, "categoryId")),
+    SubCategory.find({ isActive: true, name: regex }).select("name slug parentCategory").limit(GROUP_CANDIDATES).lean()
+      .then((docs) => rankByProductViews(docs, "subCategoryId")),
+    Platform.find({ isActive: true, name: regex }).select("name").limit(GROUP_CANDIDATES).lean()
+      .then((docs) => rankByProductViews(docs, "platform")),
+    Seller.find({ status: "active", shopName: regex }).select("shopName shopLogo rating").limit(GROUP_CANDIDATES).lean()
+      .then((docs) => rankByProductViews(docs, "sellerId")),
+  ]);
+
+  return { query: prefix, products, categories, subcategories, platforms, sellers };
+};
+
+export const countSuggestions = (suggestions) =>
+  ["products", "categories", "subcategories", "platforms", "sellers"]
+    .reduce((total, key) => total + (suggestions[key]?.length || 0), 0);
+
+/** Typeahead suggestions for a normalized prefix, served from Redis when cached. */
+export const getSearchSuggestions = async (prefix) => {
+  const redis = getRedisClient();
+  if (redis) {
+    try {
+      const cached = await redis.get(suggestCacheKey(prefix));
+      if (cached) return JSON.parse(cached);
+    } catch {
+      // Redis failure is non-fatal — fall through to DB
+    }
+  }
+
+  const suggestions = await buildSuggestions(prefix);
+
+  if (redis) {
+    try {
+      await redis.setex(suggestCacheKey(prefix), SUGGEST_CACHE_TTL, JSON.stringify(suggestions));
+    } catch {
+      // Redis failure is non-fatal
+    }
+  }
+  return suggestions;
+};
+
+/** Records a storefront search as a `product_search` behavior event; never throws. */
+export const logProductSearch = async (req, { query, resultCount, source }) => {
+  try {
+    await UserBehavior.create({
+      userId: req.user?._id || null,
+      sessionId: req.headers["x-session-id"] || null,
+      eventType: "product_search",
+      metadata: { query, resultCount, source },
+      deviceInfo: {
+        userAgent: req.get("user-agent"),
+        ipAddress: req.ip,
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to log product search", error);
+  }
+};
+
+/**
+ * Most frequent search queries and the most frequent ones that found nothing. Typeahead
+ * prefixes (source "suggest") are only included when asked for, since every keystroke is one.
+ */
+export const getSearchQueryReport = async ({ startDate, endDate, source, limit = 20 }) => {
+  const match = {
+    eventType: "product_search",
+    timestamp: { $gte: startDate, $lte: endDate },
+    "metadata.query": { $type: "string" },
+    "metadata.source": source || { $ne: "suggest" },
+  };
+
+  const groupByQuery = {
+    $group: {
+      _id: "$metadata.query",
+      searches: { $sum: 1 },
+      users: { $addToSet: { $ifNull: ["$userId", "$sessionId"] } },
+      averageResults: { $avg: "$metadata.resultCount" },
+      lastSearchedAt: { $max: "$timestamp" },
+    },
+  };
+  const shapeRow = {
+    $project: {
+      _id: 0,
+      query: "$_id",
+      searches: 1,
+      uniqueSearchers: { $size: { $setDifference: ["$users", [null]] } },
+      averageResults: { $round: ["$averageResults", 1] },
+      lastSearchedAt: 1,
+    },
+  };
+
+  const [report] = await UserBehavior.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              searches: { $sum: 1 },
+              zeroResultSearches: { $sum: { $cond: [{ $eq: ["$metadata.resultCount", 0] }, 1, 0] } },
+            },
+          },
+        ],
+        popular: [groupByQuery, { $sort: { searches: -1, lastSearchedAt: -1 } }, { $limit: limit }, shapeRow],
+        zeroResults: [
+          { $match: { "metadata.resultCount": 0 } },
+          groupByQuery,
+          { $sort: { searches: -1, lastSearchedAt: -1 } },
+          { $limit: limit },
+          shapeRow,
+        ],
+      },
+    },
+  ]).allowDiskUse(true);
+
+  const totals = report.totals[0] || { searches: 0, zeroResultSearches: 0 };
+  return {
+    period: { startDate, endDate },
+    totals: {
+      searches: totals.searches,
+      zeroResultSearches: totals.zeroResultSearches,
+      zeroResultRate: totals.searches ? Math.round((totals.zeroResultSearches / totals.searches) * 1000) / 10 : 0,
+    },
+    popular: report.popular,
+    zeroResults: report.zeroResults,
+  };
+};
@@ -0,0 +1,136 @@
+import mongoose from "mongoose";
+import { RecentlyViewed } from "../models/recentlyViewed.model.js";
+import { Product } from "../models/product.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { logger } from "../utils/logger.js";
+
+const MAX_RECENTLY_VIEWED = 50;
+const GUEST_SESSION_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+const LIVE_PRODUCT_STATUSES = ["active", "approved"];
+
+/** Guest browsing session from the `X-Session-Id` header, the same one behaviour tracking uses. */
+export const getGuestSessionId = (req) => {
+  const value = req.headers["x-session-id"];
+  return typeof value === "string" && GUEST_SESSION_PATTERN.test(value) ? value : null;
+};
+
+const resolveHistoryOwner = (req) => {
+  if (req.user?._id) return { userId: new mongoose.Types.ObjectId(req.user._id) };
+  const guestSessionId = getGuestSessionId(req);
+  return guestSessionId ? { guestSessionId } : null;
+};
+
+export const getHistoryOwner = (req) => {
+  const owner = resolveHistoryOwner(req);
+  if (!owner) {
+    throw new ApiError(400, "Sign in or send an X-Session-Id header to use recently viewed products");
+  }
+  return owner;
+};
+
+/** Moves the product to the front of the viewer's history; never throws. */
+export const recordProductView = async (req, productId) => {
+  const owner = resolveHistoryOwner(req);
+  if (!owner || !mongoose.Types.ObjectId.isValid(productId)) return;
+
+  const id = new mongoose.Types.ObjectId(productId);
+  const update = [
+    {
+      $set: {
+        items: {
+          $slice: [
+            {
+              $concatArrays: [
+                [{ productId: id, viewedAt: "$$NOW" }],
+                { $filter: { input: { $ifNull: ["$items", []] }, cond: { $ne: ["$$this.productId", id] } } },
+              ],
+            },
+            MAX_RECENTLY_VIEWED,
+          ],
+        },
+        lastViewedAt: "$$NOW",
+      },
+    },
+  ];
+
+  try {
+    await RecentlyViewed.updateOne(owner, update, { upsert: true });
+  } catch (error) {
+    // Two first views racing on the upsert: the history exists now, so update it.
+    if (error?.code === 11000) {
+      await RecentlyViewed.updateOne(owner, update).catch(() => {});
+      return;
+    }
+    logger.error("Failed to record recently viewed product", error);
+  }
+};
+
+/** Folds a guest session's history into the user's, keeping the latest view of each product. */
+export const mergeGuestHistory = async (userId, guestSessionId) => {
+  if (!guestSessionId) return 0;
+
+  const guest = await RecentlyViewed.findOneAndDelete({ guestSessionId }).lean();
+  if (!guest?.items?.length) return 0;
+
+  const owner = { userId: new mongoose.Types.ObjectId(userId) };
+  const existing = await RecentlyViewed.findOne(owner).lean();
+
+  const latest = new Map();
+  for (const item of [...(existing?.items || []), ...guest.items]) {
+    const key = item.productId.toString();
+    const current = latest.get(key);
+    if (!current || new Date(item.viewedAt) > new Date(current.viewedAt)) latest.set(key, item);
+  }
+  const items = [...latest.values()]
+    .sort((a, b) => new Date(b.viewedAt) - new Date(a.viewedAt))
+    .slice(0, MAX_RECENTLY_VIEWED);
+
+  await RecentlyViewed.updateOne(
+    owner,
+    { $set: { items, lastViewedAt: items[0].viewedAt } },
+    { upsert: true }
+  );
+  return guest.items.length;
+};
+
+/** Merge on sign-in; a failure here must not block the login. */
+export const mergeGuestHistoryOnLogin = async (req, userId) => {
+  try {
+    await mergeGuestHistory(userId, getGuestSessionId(req));
+  } catch (error) {
+    logger.error("Failed to merge guest recently viewed history", error);
+  }
+};
+
+export const getRecentlyViewed = async (owner, { limit = 20, excludeOutOfStock = false, excludeInactive = false } = {}) => {
+  const history = await RecentlyViewed.findOne(owner).lean();
+  if (!history?.items?.length) return [];
+
+  const products = await Product.find({ _id: { $in: history.items.map((item) => item.productId) } })
+    .select("name slug price discount images stock allowBackorder status platform region type averageRating reviewCount")
+    .populate("platform", "name")
+    .populate("region", "name")
+    .populate("type", "name")
+    .lean();
+  const byId = new Map(products.map((product) => [product._id.toString(), product]));
+
+  return history.items
+    .map((item) => {
+      const product = byId.get(item.productId.toString());
+      if (!product) return null;
+      const isActive = LIVE_PRODUCT_STATUSES.includes(product.status);
+      const inStock = product.stock > 0 || Boolean(product.allowBackorder);
+      return { product, viewedAt: item.viewedAt, isActive, inStock };
+    })
+    .filter((entry) => entry && !(excludeInactive && !entry.isActive) && !(excludeOutOfStock && !entry.inStock))
+    .slice(0, limit);
+};
+
+/** Clears the whole history, or just one product when `productId` is given. */
+export const clearRecentlyViewed = async (owner, productId = null) => {
+  if (productId) {
+    await RecentlyViewed.updateOne(owner, { $pull: { items: { productId: new mongoose.Types.ObjectId(productId) } } });
+    return;
+  }
+  await RecentlyViewed.deleteOne(owner);
+};
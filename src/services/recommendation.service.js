@@ -0,0 +1,404 @@
+import mongoose from "mongoose";
+import { Product } from "../models/product.model.js";
+import { Order } from "../models/order.model.js";
+import { UserBehavior } from "../models/userBehavior.model.js";
+import { BestSeller } from "../models/bestseller.model.js";
+import { ProductRecommendation } from "../models/productRecommendation.model.js";
+import { logger } from "../utils/logger.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BEHAVIOR_WINDOW_DAYS = 90;
+const PURCHASE_WINDOW_DAYS = 180;
+const BESTSELLER_WINDOW_DAYS = 30;
+const INTEREST_HALF_LIFE_DAYS = 30;
+
+const PRODUCT_LIST_SIZE = 12;
+const USER_LIST_SIZE = 24;
+const MAX_BASKET_PRODUCTS = 50;
+const MAX_USER_INTERESTS = 20;
+const SIMILAR_BUCKET_SIZE = 50;
+const SALES_POPULARITY_WEIGHT = 25;
+const WRITE_BATCH_SIZE = 500;
+
+const LIVE_PRODUCT_STATUSES = ["active", "approved"];
+const EVENT_WEIGHTS = { product_view: 1, add_to_wishlist: 3, add_to_cart: 4, purchase: 8 };
+const SIMILARITY_WEIGHTS = { genre: 3, theme: 2, platform: 1 };
+const MAX_SIMILARITY = Object.values(SIMILARITY_WEIGHTS).reduce((sum, weight) => sum + weight, 0) + 1;
+const PRODUCT_CARD_FIELDS = "name slug price discount images platform region type stock isFeatured averageRating reviewCount";
+
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+const topItems = (scores, size) =>
+  [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, size)
+    .map(([productId, score]) => ({ productId, score: round4(score) }));
+
+const loadLiveProducts = async () => {
+  const products = new Map();
+  const cursor = Product.find({ status: { $in: LIVE_PRODUCT_STATUSES } })
+    .select("genre platform theme viewCount")
+    .lean()
+    .cursor();
+  for await (const product of cursor) {
+    products.set(product._id.toString(), {
+      genre: product.genre?.toString() || null,
+      platform: product.platform?.toString() || null,
+      theme: product.theme?.toString() || null,
+      viewCount: product.viewCount || 0,
+    });
+  }
+  return products;
+};
+
+/** Units sold per live product over the last 30 days, refunded keys excluded. */
+const getRecentUnitsSold = async (liveProducts) => {
+  const rows = await Order.aggregate([
+    { $match: { paymentStatus: "paid", createdAt: { $gte: new Date(Date.now() - BESTSELLER_WINDOW_DAYS * DAY_MS) } } },
+    { $unwind: "$items" },
+    {
+      $group: {
+        _id: "$items.productId",
+        units: { $sum: { $subtract: ["$items.qty", { $ifNull: ["$items.refundedKeysCount", 0] }] } },
+      },
+    },
+  ]).allowDiskUse(true);
+
+  return new Map(
+    rows
+      .filter((row) => row.units > 0 && liveProducts.has(row._id.toString()))
+      .map((row) => [row._id.toString(), row.units])
+  );
+};
+
+/**
+ * Co-purchase counts across buyers (registered or guest) over the last 180 days, plus
+ * what each registered user bought so it can feed and be excluded from their own list.
+ */
+const collectPurchases = async (liveProducts) => {
+  const pairCounts = new Map();
+  const buyerCounts = new Map();
+  const purchasesByUser = new Map();
+
+  const cursor = Order.aggregate([
+    { $match: { paymentStatus: "paid", createdAt: { $gte: new Date(Date.now() - PURCHASE_WINDOW_DAYS * DAY_MS) } } },
+    { $unwind: "$items" },
+    {
+      $group: {
+        _id: { $ifNull: ["$userId", "$guestEmail"] },
+        products: { $addToSet: "$items.productId" },
+        lastPurchasedAt: { $max: "$createdAt" },
+      },
+    },
+  ]).allowDiskUse(true).cursor();
+
+  for await (const buyer of cursor) {
+    const productIds = [...new Set(buyer.products.map((id) => id.toString()))]
+      .filter((id) => liveProducts.has(id))
+      .slice(0, MAX_BASKET_PRODUCTS);
+
+    if (buyer._id instanceof mongoose.Types.ObjectId) {
+      purchasesByUser.set(buyer._id.toString(), { productIds, lastPurchasedAt: buyer.lastPurchasedAt });
+    }
+
+    for (const productId of productIds) {
+      buyerCounts.set(productId, (buyerCounts.get(productId) || 0) + 1);
+      if (productIds.length < 2) continue;
+      if (!pairCounts.has(productId)) pairCounts.set(productId, new Map());
+      const pairs = pairCounts.get(productId);
+      for (const otherId of productIds) {
+        if (otherId !== productId) pairs.set(otherId, (pairs.get(otherId) || 0) + 1);
+      }
+    }
+  }
+
+  const alsoBought = new Map();
+  for (const [productId, pairs] of pairCounts) {
+    const scores = new Map();
+    for (const [otherId, count] of pairs) {
+      scores.set(otherId, count / Math.sqrt(buyerCounts.get(productId) * buyerCounts.get(otherId)));
+    }
+    alsoBought.set(productId, topItems(scores, PRODUCT_LIST_SIZE));
+  }
+
+  return { alsoBought, purchasesByUser };
+};
+
+const similarityBucketKeys = ({ genre, platform, theme }) => {
+  const keys = [];
+  if (genre) keys.push(`g:${genre}`);
+  if (theme) keys.push(`t:${theme}`);
+  if (platform) keys.push(`p:${platform}`);
+  if (genre && platform) keys.push(`gp:${genre}:${platform}`);
+  if (genre && theme) keys.push(`gt:${genre}:${theme}`);
+  if (genre && theme && platform) keys.push(`gtp:${genre}:${theme}:${platform}`);
+  return keys;
+};
+
+/**
+ * Candidates for "similar products" are the most popular products sharing the genre,
+ * theme, platform or a combination of them; they are ranked by how many of those they
+ * share, then by popularity. Returns a lookup so lists can be built one product at a time.
+ */
+const buildSimilarityIndex = (liveProducts, unitsSold) => {
+  const popularity = new Map();
+  let maxPopularity = 1;
+  for (const [productId, product] of liveProducts) {
+    const value = product.viewCount + (unitsSold.get(productId) || 0) * SALES_POPULARITY_WEIGHT;
+    popularity.set(productId, value);
+    maxPopularity = Math.max(maxPopularity, value);
+  }
+
+  const buckets = new Map();
+  for (const [productId, product] of liveProducts) {
+    for (const key of similarityBucketKeys(product)) {
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(productId);
+    }
+  }
+  for (const [key, productIds] of buckets) {
+    buckets.set(key, productIds
+      .sort((a, b) => popularity.get(b) - popularity.get(a))
+      .slice(0, SIMILAR_BUCKET_SIZE + 1));
+  }
+
+  return (productId) => {
+    const product = liveProducts.get(productId);
+    if (!product) return [];
+
+    const scores = new Map();
+    for (const key of similarityBucketKeys(product)) {
+      for (const candidateId of buckets.get(key)) {
+        if (candidateId === productId || scores.has(candidateId)) continue;
+        const candidate = liveProducts.get(candidateId);
+        let shared = 0;
+        for (const [field, weight] of Object.entries(SIMILARITY_WEIGHTS)) {
+          if (product[field] && product[field] === candidate[field]) shared += weight;
+        }
+        scores.set(candidateId, shared + popularity.get(candidateId) / maxPopularity);
+      }
+    }
+    return topItems(scores, PRODUCT_LIST_SIZE);
+  };
+};
+
+/** Behaviour-weighted interest per user and product, halving every 30 days since the last event. */
+const collectInterests = async (liveProducts, purchasesByUser) => {
+  const interests = new Map();
+  const addInterest = (userId, productId, weight, lastAt) => {
+    if (!liveProducts.has(productId)) return;
+    const ageDays = Math.max(0, (Date.now() - new Date(lastAt).getTime()) / DAY_MS);
+    const decayed = weight * Math.pow(0.5, ageDays / INTEREST_HALF_LIFE_DAYS);
+    if (!interests.has(userId)) interests.set(userId, new Map());
+    const products = interests.get(userId);
+    products.set(productId, (products.get(productId) || 0) + decayed);
+  };
+
+  const cursor = UserBehavior.aggregate([
+    {
+      $match: {
+        userId: { $ne: null },
+        entityId: { $ne: null },
+        eventType: { $in: Object.keys(EVENT_WEIGHTS) },
+        timestamp: { $gte: new Date(Date.now() - BEHAVIOR_WINDOW_DAYS * DAY_MS) },
+      },
+    },
+    {
+      $group: {
+        _id: { userId: "$userId", productId: "$entityId" },
+        weight: {
+          $sum: {
+            $switch: {
+              branches: Object.entries(EVENT_WEIGHTS).map(([eventType, weight]) => ({
+                case: { $eq: ["$eventType", eventType] },
+                then: weight,
+              })),
+              default: 0,
+            },
+          },
+        },
+        lastAt: { $max: "$timestamp" },
+      },
+    },
+  ]).allowDiskUse(true).cursor();
+
+  for await (const row of cursor) {
+    addInterest(row._id.userId.toString(), row._id.productId.toString(), row.weight, row.lastAt);
+  }
+  for (const [userId, { productIds, lastPurchasedAt }] of purchasesByUser) {
+    productIds.forEach((productId) => addInterest(userId, productId, EVENT_WEIGHTS.purchase, lastPurchasedAt));
+  }
+
+  return interests;
+};
+
+const recommendForUser = (interests, purchased, alsoBought, findSimilar) => {
+  const strongest = [...interests.entries()].sort((a, b) => b[1] - a[1]).slice(0, MAX_USER_INTERESTS);
+  const scores = new Map();
+  const add = (productId, value) => {
+    if (purchased.has(productId)) return;
+    scores.set(productId, (scores.get(productId) || 0) + value);
+  };
+
+  for (const [productId, weight] of strongest) {
+    (alsoBought.get(productId) || []).forEach((item) => add(item.productId, weight * item.score));
+    findSimilar(productId).forEach((item) => add(item.productId, weight * 0.5 * (item.score / MAX_SIMILARITY)));
+  }
+  return topItems(scores, USER_LIST_SIZE);
+};
+
+const createRecommendationWriter = (generatedAt) => {
+  let ops = [];
+  let written = 0;
+
+  const flush = async () => {
+    if (ops.length === 0) return;
+    const batch = ops;
+    ops = [];
+    await ProductRecommendation.bulkWrite(batch, { ordered: false });
+    written += batch.length;
+  };
+
+  return {
+    async write(kind, subjectId, items) {
+      if (items.length === 0) return;
+      ops.push({
+        updateOne: {
+          filter: { kind, subjectId: subjectId ? new mongoose.Types.ObjectId(subjectId) : null },
+          update: {
+            $set: {
+              items: items.map((item) => ({ productId: new mongoose.Types.ObjectId(item.productId), score: item.score })),
+              generatedAt,
+            },
+          },
+          upsert: true,
+        },
+      });
+      if (ops.length >= WRITE_BATCH_SIZE) await flush();
+    },
+    async finish() {
+      await flush();
+      return written;
+    },
+  };
+};
+
+/**
+ * Rebuilds every recommendation list from orders and `UserBehavior` events. Lists that were
+ * not regenerated (products gone, users inactive) are removed at the end of the run.
+ */
+export const refreshRecommendations = async () => {
+  const generatedAt = new Date();
+  const liveProducts = await loadLiveProducts();
+  const unitsSold = await getRecentUnitsSold(liveProducts);
+  const { alsoBought, purchasesByUser } = await collectPurchases(liveProducts);
+  const findSimilar = buildSimilarityIndex(liveProducts, unitsSold);
+  const writer = createRecommendationWriter(generatedAt);
+  const counts = { alsoBought: 0, similar: 0, forUser: 0 };
+
+  await writer.write("bestsellers", null, topItems(unitsSold, USER_LIST_SIZE));
+
+  for (const [productId, items] of alsoBought) {
+    await writer.write("also_bought", productId, items);
+    counts.alsoBought++;
+  }
+
+  for (const productId of liveProducts.keys()) {
+    const items = findSimilar(productId);
+    await writer.write("similar", productId, items);
+    if (items.length) counts.similar++;
+  }
+
+  const interests = await collectInterests(liveProducts, purchasesByUser);
+  for (const [userId, products] of interests) {
+    const purchased = new Set(purchasesByUser.get(userId)?.productIds || []);
+    const items = recommendForUser(products, purchased, alsoBought, findSimilar);
+    await writer.write("for_user", userId, items);
+    if (items.length) counts.forUser++;
+  }
+
+  const written = await writer.finish();
+  const { deletedCount } = await ProductRecommendation.deleteMany({ generatedAt: { $lt: generatedAt } });
+
+  logger.info("[RECOMMENDATIONS] Lists refreshed", { ...counts, written, removed: deletedCount });
+  return { ...counts, written, removed: deletedCount };
+};
+
+/** Live products in the order given, with the fields product cards need. */
+const loadProductCards = async (productIds, excludeIds = []) => {
+  const excluded = new Set(excludeIds.map((id) => id.toString()));
+  const ids = productIds.filter((id) => !excluded.has(id.toString()));
+  if (ids.length === 0) return [];
+
+  const products = await Product.find({ _id: { $in: ids }, status: { $in: LIVE_PRODUCT_STATUSES } })
+    .select(PRODUCT_CARD_FIELDS)
+    .populate("platform", "name")
+    .populate("region", "name")
+    .populate("type", "name")
+    .lean();
+  const byId = new Map(products.map((product) => [product._id.toString(), product]));
+  return ids.map((id) => byId.get(id.toString())).filter(Boolean);
+};
+
+/** Same genre, platform or theme by popularity, for products the job has not covered yet. */
+const findSimilarProductsLive = async (product, limit) => {
+  const shared = ["genre", "platform", "theme"]
+    .filter((field) => product[field])
+    .map((field) => ({ [field]: product[field] }));
+  if (shared.length === 0) return [];
+
+  const products = await Product.find({
+    _id: { $ne: product._id },
+    status: { $in: LIVE_PRODUCT_STATUSES },
+    $or: shared,
+  })
+    .select("_id")
+    .sort({ viewCount: -1 })
+    .limit(limit)
+    .lean();
+  return products.map((item) => item._id);
+};
+
+export const getProductRecommendations = async (product, limit = PRODUCT_LIST_SIZE) => {
+  const records = await ProductRecommendation.find({
+    kind: { $in: ["also_bought", "similar"] },
+    subjectId: product._id,
+  }).lean();
+  const itemsOf = (kind) =>
+    (records.find((record) => record.kind === kind)?.items || []).map((item) => item.productId).slice(0, limit);
+
+  const alsoBoughtIds = itemsOf("also_bought");
+  const similarIds = records.some((record) => record.kind === "similar")
+    ? itemsOf("similar")
+    : await findSimilarProductsLive(product, limit);
+
+  const [alsoBought, similar] = await Promise.all([
+    loadProductCards(alsoBoughtIds),
+    loadProductCards(similarIds, alsoBoughtIds),
+  ]);
+  return { alsoBought, similar };
+};
+
+/** Falls back to the curated best sellers when nothing has sold in the last 30 days. */
+export const getBestsellerRecommendations = async (limit = USER_LIST_SIZE) => {
+  const record = await ProductRecommendation.findOne({ kind: "bestsellers", subjectId: null }).lean();
+  let productIds = (record?.items || []).map((item) => item.productId);
+
+  if (productIds.length === 0) {
+    const bestsellers = await BestSeller.find().sort({ calculatedRating: -1 }).select("productId").limit(limit).lean();
+    productIds = bestsellers.map((item) => item.productId);
+  }
+  return loadProductCards(productIds.slice(0, limit));
+};
+
+/** Personal list for signed-in users with enough history; best sellers for everyone else. */
+export const getRecommendationsForUser = async (userId, limit = USER_LIST_SIZE) => {
+  if (userId) {
+    const record = await ProductRecommendation.findOne({ kind: "for_user", subjectId: userId }).lean();
+    if (record?.items?.length) {
+      const products = await loadProductCards(record.items.map((item) => item.productId).slice(0, limit));
+      if (products.length) return { source: "personal", products };
+    }
+  }
+  return { source: "bestsellers", products: await getBestsellerRecommendations(limit) };
+};
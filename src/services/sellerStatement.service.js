@@ -0,0 +1,407 @@
+import mongoose from "mongoose";
+import { Order } from "../models/order.model.js";
+import { Payout } from "../models/payout.model.js";
+import { Seller } from "../models/seller.model.js";
+import { SellerStatement } from "../models/sellerStatement.model.js";
+import { nextDocumentNumber } from "./sequence.service.js";
+import { createNotification } from "./notification.service.js";
+import { ApiError } from "../utils/ApiError.js";
+import { getOrderDisplayId } from "../utils/orderDisplay.js";
+import { logger } from "../utils/logger.js";
+
+const COMMISSION_INVOICE_PREFIX = "CINV";
+const SALE_PAYMENT_STATUSES = ["paid", "refunded"];
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id);
+
+const dateRange = (start, end) => {
+  const range = {};
+  if (start) range.$gte = start;
+  if (end) range.$lt = end;
+  return range;
+};
+
+/** "2026-09" → the UTC month it covers. Months that have not started yet are rejected. */
+export const parseStatementPeriod = (period, now = new Date()) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(String(period || ""));
+  const month = match ? Number(match[2]) : 0;
+  if (!match || month < 1 || month > 12) {
+    throw new ApiError(400, "Period must be in YYYY-MM format");
+  }
+  const start = new Date(Date.UTC(Number(match[1]), month - 1, 1));
+  const end = new Date(Date.UTC(Number(match[1]), month, 1));
+  if (start > now) {
+    throw new ApiError(400, "Statements are not available for future months");
+  }
+  return { period: match[0], start, end, closed: end <= now };
+};
+
+/** The calendar month before `now`, as a period string. */
+export const getPreviousStatementPeriod = (now = new Date()) => {
+  const previous = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+  return previous.toISOString().slice(0, 7);
+};
+
+const getSalesTotals = async (sellerId, start, end) => {
+  const createdAt = dateRange(start, end);
+  const [result] = await Order.aggregate([
+    {
+      $match: {
+        "items.sellerId": sellerId,
+        paymentStatus: { $in: SALE_PAYMENT_STATUSES },
+        ...(Object.keys(createdAt).length ? { createdAt } : {}),
+      },
+    },
+    { $unwind: "$items" },
+    { $match: { "items.sellerId": sellerId } },
+    {
+      $group: {
+        _id: null,
+        orderIds: { $addToSet: "$_id" },
+        unitCount: { $sum: "$items.qty" },
+        grossSales: { $sum: "$items.lineTotal" },
+        totalCommission: { $sum: "$items.commissionAmount" },
+        featuredExtraCommission: { $sum: { $ifNull: ["$items.featuredExtraCommissionAmount", 0] } },
+        netEarnings: { $sum: "$items.sellerEarning" },
+      },
+    },
+  ]);
+
+  const totalCommission = round2(result?.totalCommission || 0);
+  const featuredExtraCommission = round2(result?.featuredExtraCommission || 0);
+  return {
+    orderCount: result?.orderIds?.length || 0,
+    unitCount: result?.unitCount || 0,
+    grossSales: round2(result?.grossSales || 0),
+    normalCommission: round2(totalCommission - featuredExtraCommission),
+    featuredExtraCommission,
+    totalCommission,
+    netEarnings: round2(result?.netEarnings || 0),
+  };
+};
+
+/**
+ * Refunds reach the seller either as adjustments on a payout that was still held
+ * (adjustPayoutForRefund) or, once paid out, as a negative deduction payout.
+ */
+const getRefundTotals = async (sellerId, start, end) => {
+  const adjustedAt = dateRange(start, end);
+  const createdAt = dateRange(start, end);
+
+  const [[adjusted], [deducted]] = await Promise.all([
+    Payout.aggregate([
+      {
+        $match: {
+          sellerId,
+          ...(Object.keys(adjustedAt).length ? { "refundAdjustments.adjustedAt": adjustedAt } : { "refundAdjustments.0": { $exists: true } }),
+        },
+      },
+      { $unwind: "$refundAdjustments" },
+      ...(Object.keys(adjustedAt).length ? [{ $match: { "refundAdjustments.adjustedAt": adjustedAt } }] : []),
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          grossAmount: { $sum: "$refundAdjustments.grossAmount" },
+          commissionAmount: { $sum: "$refundAdjustments.commissionAmount" },
+          netAmount: { $sum: "$refundAdjustments.netAmount" },
+        },
+      },
+    ]),
+    Payout.aggregate([
+      { $match: { sellerId, netAmount: { $lt: 0 }, ...(Object.keys(createdAt).length ? { createdAt } : {}) } },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          grossAmount: { $sum: { $multiply: ["$grossAmount", -1] } },
+          commissionAmount: { $sum: { $multiply: ["$commissionAmount", -1] } },
+          netAmount: { $sum: { $multiply: ["$netAmount", -1] } },
+        },
+      },
+    ]),
+  ]);
+
+  return {
+    count: (adjusted?.count || 0) + (deducted?.count || 0),
+    grossAmount: round2((adjusted?.grossAmount || 0) + (deducted?.grossAmount || 0)),
+    commissionAmount: round2((adjusted?.commissionAmount || 0) + (deducted?.commissionAmount || 0)),
+    netAmount: round2((adjusted?.netAmount || 0) + (deducted?.netAmount || 0)),
+  };
+};
+
+const getPayoutTotals = async (sellerId, start, end) => {
+  const processedAt = dateRange(start, end);
+  const [result] = await Payout.aggregate([
+    {
+      $match: {
+        sellerId,
+        status: "released",
+        netAmount: { $gt: 0 },
+        processedAt: Object.keys(processedAt).length ? processedAt : { $ne: null },
+      },
+    },
+    { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: "$netAmount" } } },
+  ]);
+  return { count: result?.count || 0, amount: round2(result?.amount || 0) };
+};
+
+/** Earnings less refund deductions less payouts sent, for activity before `until`. */
+const getBalanceBefore = async (sellerId, until) => {
+  const [sales, refunds, payouts] = await Promise.all([
+    getSalesTotals(sellerId, null, until),
+    getRefundTotals(sellerId, null, until),
+    getPayoutTotals(sellerId, null, until),
+  ]);
+  return round2(sales.netEarnings - refunds.netAmount - payouts.amount);
+};
+
+/** Live statement figures for one seller and month; nothing is stored. */
+export const computeSellerStatement = async (sellerId, period) => {
+  const { start, end } = parseStatementPeriod(period);
+  const id = toObjectId(sellerId);
+
+  const [openingBalance, sales, refunds, payouts] = await Promise.all([
+    getBalanceBefore(id, start),
+    getSalesTotals(id, start, end),
+    getRefundTotals(id, start, end),
+    getPayoutTotals(id, start, end),
+  ]);
+
+  return {
+    sellerId: id,
+    period,
+    periodStart: start,
+    periodEnd: end,
+    currency: "USD",
+    openingBalance,
+    sales,
+    refunds,
+    payouts,
+    closingBalance: round2(openingBalance + sales.netEarnings - refunds.netAmount - payouts.amount),
+  };
+};
+
+/** Commission the marketplace charged for the month, net of commission given back on refunds. */
+export const getInvoiceableCommission = (statement) =>
+  round2(statement.sales.totalCommission - statement.refunds.commissionAmount);
+
+/**
+ * Freezes a closed month into a SellerStatement and, when commission is owed, assigns the
+ * next commission invoice number in the same transaction. Idempotent per seller and month.
+ */
+export const issueSellerStatement = async (sellerId, period) => {
+  const { closed } = parseStatementPeriod(period);
+  if (!closed) {
+    throw new ApiError(400, "Statements can only be issued once the month has ended");
+  }
+
+  const existing = await SellerStatement.findOne({ sellerId, period });
+  if (existing) return { statement: existing, created: false };
+
+  const seller = await Seller.findById(sellerId).select("shopName country state city userId").populate("userId", "email").lean();
+  if (!seller) {
+    throw new ApiError(404, "Seller not found");
+  }
+
+  const figures = await computeSellerStatement(sellerId, period);
+  const invoiceAmount = getInvoiceableCommission(figures);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const now = new Date();
+    const commissionInvoice = invoiceAmount > 0
+      ? { number: await nextDocumentNumber(COMMISSION_INVOICE_PREFIX, now, session), issuedAt: now, amount: invoiceAmount }
+      : { number: null, issuedAt: null, amount: 0 };
+
+    const [statement] = await SellerStatement.create([{
+      ...figures,
+      commissionInvoice,
+      seller: {
+        shopName: seller.shopName,
+        email: seller.userId?.email || null,
+        country: seller.country,
+        state: seller.state,
+        city: seller.city,
+      },
+      issuedAt: now,
+    }], { session });
+
+    await session.commitTransaction();
+    return { statement, created: true };
+  } catch (error) {
+    await session.abortTransaction();
+    if (error?.code === 11000) {
+      const statement = await SellerStatement.findOne({ sellerId, period });
+      if (statement) return { statement, created: false };
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/** Stored statement for closed months (issued on first request); a live preview for the current month. */
+export const getSellerStatement = async (sellerId, period) => {
+  const { closed } = parseStatementPeriod(period);
+  if (closed) {
+    const { statement } = await issueSellerStatement(sellerId, period);
+    return { ...statement.toObject(), final: true };
+  }
+  const figures = await computeSellerStatement(sellerId, period);
+  return { ...figures, commissionInvoice: null, final: false };
+};
+
+/** Line-level detail behind a statement: sales, refund deductions and payouts, oldest first. */
+export const getSellerStatementLines = async (sellerId, periodStart, periodEnd) => {
+  const id = toObjectId(sellerId);
+  const range = dateRange(periodStart, periodEnd);
+
+  const [sales, adjustments, deductions, payouts] = await Promise.all([
+    Order.aggregate([
+      { $match: { "items.sellerId": id, paymentStatus: { $in: SALE_PAYMENT_STATUSES }, createdAt: range } },
+      { $unwind: "$items" },
+      { $match: { "items.sellerId": id } },
+      { $lookup: { from: "products", localField: "items.productId", foreignField: "_id", as: "product", pipeline: [{ $project: { name: 1 } }] } },
+      { $sort: { createdAt: 1 } },
+      {
+        $project: {
+          date: "$createdAt",
+          orderNumber: 1,
+          productName: { $ifNull: [{ $arrayElemAt: ["$product.name", 0] }, "Product"] },
+          qty: "$items.qty",
+          grossAmount: "$items.lineTotal",
+          commissionAmount: "$items.commissionAmount",
+          featuredExtraCommissionAmount: { $ifNull: ["$items.featuredExtraCommissionAmount", 0] },
+          netAmount: "$items.sellerEarning",
+        },
+      },
+    ]),
+    Payout.aggregate([
+      { $match: { sellerId: id, "refundAdjustments.adjustedAt": range } },
+      { $unwind: "$refundAdjustments" },
+      { $match: { "refundAdjustments.adjustedAt": range } },
+      { $lookup: { from: "orders", localField: "orderId", foreignField: "_id", as: "order", pipeline: [{ $project: { orderNumber: 1 } }] } },
+      {
+        $project: {
+          date: "$refundAdjustments.adjustedAt",
+          orderId: 1,
+          orderNumber: { $arrayElemAt: ["$order.orderNumber", 0] },
+          grossAmount: "$refundAdjustments.grossAmount",
+          commissionAmount: "$refundAdjustments.commissionAmount",
+          netAmount: "$refundAdjustments.netAmount",
+        },
+      },
+    ]),
+    Payout.find({ sellerId: id, netAmount: { $lt: 0 }, createdAt: range })
+      .select("orderId grossAmount commissionAmount netAmount notes createdAt")
+      .populate("orderId", "orderNumber")
+      .lean(),
+    Payout.find({ sellerId: id, status: "released", netAmount: { $gt: 0 }, processedAt: range })
+      .select("orderId netAmount processedAt paypalTransactionId paypalBatchId payoutBatchId isReserve")
+      .populate("orderId", "orderNumber")
+      .sort({ processedAt: 1 })
+      .lean(),
+  ]);
+
+  const refunds = [
+    ...adjustments.map((row) => ({
+      date: row.date,
+      order: getOrderDisplayId({ orderNumber: row.orderNumber, _id: row.orderId }),
+      description: "Refund deducted from held payout",
+      grossAmount: round2(row.grossAmount),
+      commissionAmount: round2(row.commissionAmount),
+      netAmount: round2(row.netAmount),
+    })),
+    ...deductions.map((payout) => ({
+      date: payout.createdAt,
+      order: getOrderDisplayId(payout.orderId),
+      description: "Refund deducted after payout",
+      grossAmount: round2(-payout.grossAmount),
+      commissionAmount: round2(-payout.commissionAmount),
+      netAmount: round2(-payout.netAmount),
+    })),
+  ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  return {
+    sales: sales.map((row) => ({
+      date: row.date,
+      order: getOrderDisplayId({ orderNumber: row.orderNumber, _id: row._id }),
+      description: row.productName,
+      qty: row.qty,
+      grossAmount: round2(row.grossAmount),
+      normalCommissionAmount: round2(row.commissionAmount - row.featuredExtraCommissionAmount),
+      featuredExtraCommissionAmount: round2(row.featuredExtraCommissionAmount),
+      netAmount: round2(row.netAmount),
+    })),
+    refunds,
+    payouts: payouts.map((payout) => ({
+      date: payout.processedAt,
+      order: getOrderDisplayId(payout.orderId),
+      description: payout.payoutBatchId ? "Consolidated payout" : payout.isReserve ? "Rolling reserve release" : "Payout",
+      netAmount: round2(payout.netAmount),
+      reference: payout.paypalTransactionId || payout.paypalBatchId || "",
+    })),
+  };
+};
+
+/** Statements issued so far for a seller, newest first. */
+export const listSellerStatements = async (sellerId, page = 1, limit = 12) => {
+  const match = { sellerId };
+  const [statements, total] = await Promise.all([
+    SellerStatement.find(match).select("-seller").sort({ period: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+    SellerStatement.countDocuments(match),
+  ]);
+  return {
+    statements,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+};
+
+const getActiveSellerIds = async (start, end) => {
+  const range = dateRange(start, end);
+  const lists = await Promise.all([
+    Order.distinct("items.sellerId", { paymentStatus: { $in: SALE_PAYMENT_STATUSES }, createdAt: range }),
+    Payout.distinct("sellerId", { status: "released", processedAt: range }),
+    Payout.distinct("sellerId", { "refundAdjustments.adjustedAt": range }),
+    Payout.distinct("sellerId", { netAmount: { $lt: 0 }, createdAt: range }),
+  ]);
+  return [...new Set(lists.flat().map((id) => id.toString()))];
+};
+
+/** Issues last month's statement for every seller with activity in it and tells them it is ready. */
+export const generateMonthlyStatements = async (now = new Date()) => {
+  const period = getPreviousStatementPeriod(now);
+  const { start, end } = parseStatementPeriod(period, now);
+  const sellerIds = await getActiveSellerIds(start, end);
+  let issued = 0;
+  let failed = 0;
+
+  for (const sellerId of sellerIds) {
+    try {
+      const { statement, created } = await issueSellerStatement(sellerId, period);
+      if (!created) continue;
+      issued++;
+
+      const seller = await Seller.findById(sellerId).select("userId").lean();
+      if (!seller) continue;
+      await createNotification(
+        seller.userId,
+        "payout",
+        "Monthly Statement Ready",
+        `Your statement for ${period} is ready${statement.commissionInvoice?.number ? ` along with commission invoice ${statement.commissionInvoice.number}` : ""}.`,
+        { statementId: statement._id, period },
+        `/seller/statements/${period}`
+      );
+    } catch (error) {
+      failed++;
+      logger.error(`[SELLER_STATEMENT] Failed to issue ${period} statement for seller ${sellerId}:`, error?.message || error);
+    }
+  }
+
+  logger.info("[SELLER_STATEMENT] Monthly statements issued", { period, sellers: sellerIds.length, issued, failed });
+  return { period, sellers: sellerIds.length, issued, failed };
+};
@@ -0,0 +1,175 @@
+import mongoose from "mongoose";
+import { Seller } from "../models/seller.model.js";
+import { Order } from "../models/order.model.js";
+import { ReturnRefund } from "../models/returnrefund.model.js";
+import { createNotification } from "./notification.service.js";
+import { SELLER_TIERS } from "../constants.js";
+import { logger } from "../utils/logger.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIER_MAX_AGE_MS = DAY_MS;
+const REFUND_WINDOW_DAYS = 90;
+
+const NEW_SELLER_MAX_AGE_DAYS = 30;
+const NEW_SELLER_MIN_ORDERS = 10;
+const HIGH_RISK_REFUND_RATE = 0.1;
+const HIGH_RISK_MIN_RECENT_ORDERS = 5;
+const TRUSTED_MIN_AGE_DAYS = 180;
+const TRUSTED_MIN_ORDERS = 100;
+const TRUSTED_MIN_SALES = 5000;
+const TRUSTED_MAX_REFUND_RATE = 0.02;
+
+const REFUNDED_STATUSES = ["SELLER_APPROVED", "ADMIN_APPROVED", "COMPLETED", "approved", "completed"];
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+const percent = (rate) => `${(rate * 100).toFixed(1)}%`;
+
+const getSalesMetrics = async (sellerId, since = null) => {
+  const match = { paymentStatus: "paid", "items.sellerId": sellerId };
+  if (since) match.createdAt = { $gte: since };
+
+  const [result] = await Order.aggregate([
+    { $match: match },
+    { $unwind: "$items" },
+    { $match: { "items.sellerId": sellerId } },
+    {
+      $group: {
+        _id: "$_id",
+        sales: { $sum: { $subtract: ["$items.lineTotal", { $ifNull: ["$items.refundedAmount", 0] }] } },
+      },
+    },
+    { $group: { _id: null, orderCount: { $sum: 1 }, grossSales: { $sum: "$sales" } } },
+  ]);
+  return { orderCount: result?.orderCount || 0, grossSales: round2(result?.grossSales || 0) };
+};
+
+/** Gathers the inputs of the tier decision: account age, lifetime sales and the recent refund rate. */
+export const getSellerTierMetrics = async (seller) => {
+  const sellerId = new mongoose.Types.ObjectId(seller._id);
+  const since = new Date(Date.now() - REFUND_WINDOW_DAYS * DAY_MS);
+
+  const [lifetime, recent, recentRefundCount] = await Promise.all([
+    getSalesMetrics(sellerId),
+    getSalesMetrics(sellerId, since),
+    ReturnRefund.countDocuments({ sellerId, status: { $in: REFUNDED_STATUSES }, createdAt: { $gte: since } }),
+  ]);
+
+  return {
+    accountAgeDays: Math.floor((Date.now() - new Date(seller.createdAt).getTime()) / DAY_MS),
+    orderCount: lifetime.orderCount,
+    grossSales: lifetime.grossSales,
+    recentOrderCount: recent.orderCount,
+    recentRefundCount,
+    refundRate: recent.orderCount > 0 ? round2(recentRefundCount / recent.orderCount) : 0,
+  };
+};
+
+/**
+ * High refund rates win over everything else, then new accounts; trusted needs age, volume
+ * and a low refund rate together. Returns the level and human-readable reasons.
+ */
+export const classifySellerTier = (metrics) => {
+  const reasons = [];
+
+  if (metrics.recentOrderCount >= HIGH_RISK_MIN_RECENT_ORDERS && metrics.refundRate >= HIGH_RISK_REFUND_RATE) {
+    reasons.push(`Refund rate of ${percent(metrics.refundRate)} over the last ${REFUND_WINDOW_DAYS} days is at or above ${percent(HIGH_RISK_REFUND_RATE)}`);
+    return { level: "high_risk", reasons };
+  }
+
+  if (metrics.accountAgeDays < NEW_SELLER_MAX_AGE_DAYS) {
+    reasons.push(`Seller account is ${metrics.accountAgeDays} day(s) old; accounts younger than ${NEW_SELLER_MAX_AGE_DAYS} days are new`);
+  }
+  if (metrics.orderCount < NEW_SELLER_MIN_ORDERS) {
+    reasons.push(`${metrics.orderCount} paid order(s) so far; fewer than ${NEW_SELLER_MIN_ORDERS} counts as new`);
+  }
+  if (reasons.length > 0) {
+    return { level: "new", reasons };
+  }
+
+  const trustedGaps = [];
+  if (metrics.accountAgeDays < TRUSTED_MIN_AGE_DAYS) trustedGaps.push(`account age ${metrics.accountAgeDays}/${TRUSTED_MIN_AGE_DAYS} days`);
+  if (metrics.orderCount < TRUSTED_MIN_ORDERS) trustedGaps.push(`${metrics.orderCount}/${TRUSTED_MIN_ORDERS} paid orders`);
+  if (metrics.grossSales < TRUSTED_MIN_SALES) trustedGaps.push(`$${metrics.grossSales.toFixed(2)}/$${TRUSTED_MIN_SALES} in sales`);
+  if (metrics.refundRate > TRUSTED_MAX_REFUND_RATE) trustedGaps.push(`refund rate ${percent(metrics.refundRate)} above ${percent(TRUSTED_MAX_REFUND_RATE)}`);
+
+  if (trustedGaps.length === 0) {
+    reasons.push(
+      `Account older than ${TRUSTED_MIN_AGE_DAYS} days with ${metrics.orderCount} paid orders, $${metrics.grossSales.toFixed(2)} in sales and a ${percent(metrics.refundRate)} refund rate`
+    );
+    return { level: "trusted", reasons };
+  }
+
+  reasons.push(`Trusted tier not yet reached: ${trustedGaps.join(", ")}`);
+  return { level: "standard", reasons };
+};
+
+/** Re-evaluates and stores a seller's tier; returns the stored tier and the previous level. */
+export const evaluateSellerTier = async (seller) => {
+  const metrics = await getSellerTierMetrics(seller);
+  const { level, reasons } = classifySellerTier(metrics);
+  const tier = { level, reasons, metrics, evaluatedAt: new Date() };
+  const previousLevel = seller.tier?.evaluatedAt ? seller.tier.level : null;
+
+  await Seller.updateOne({ _id: seller._id }, { $set: { tier } });
+  return { tier, previousLevel };
+};
+
+/** Stored tier when it is less than a day old, otherwise a fresh evaluation. */
+export const getSellerTier = async (sellerId) => {
+  const seller = await Seller.findById(sellerId).select("createdAt tier").lean();
+  if (!seller) return { level: "new", reasons: ["Seller not found"], metrics: null, evaluatedAt: null };
+
+  const evaluatedAt = seller.tier?.evaluatedAt ? new Date(seller.tier.evaluatedAt).getTime() : 0;
+  if (Date.now() - evaluatedAt < TIER_MAX_AGE_MS) {
+    return seller.tier;
+  }
+  const { tier } = await evaluateSellerTier(seller);
+  return tier;
+};
+
+/** Tier plus the hold/reserve terms it carries, as shown to the seller. */
+export const describeSellerTier = (tier) => {
+  const terms = SELLER_TIERS[tier?.level] || SELLER_TIERS.standard;
+  return {
+    level: tier?.level || "standard",
+    label: terms.label,
+    holdDays: terms.holdDays,
+    reservePercent: terms.reservePercent,
+    reserveDays: terms.reserveDays,
+    reasons: tier?.reasons || [],
+    metrics: tier?.metrics || null,
+    evaluatedAt: tier?.evaluatedAt || null,
+  };
+};
+
+/** Daily refresh of every non-banned seller; sellers are told when their tier changes. */
+export const refreshSellerTiers = async () => {
+  const cursor = Seller.find({ status: { $ne: "banned" } }).select("userId createdAt tier").lean().cursor();
+  let evaluated = 0;
+  let changed = 0;
+
+  for await (const seller of cursor) {
+    try {
+      const { tier, previousLevel } = await evaluateSellerTier(seller);
+      evaluated++;
+      if (!previousLevel || previousLevel === tier.level) continue;
+      changed++;
+
+      const terms = describeSellerTier(tier);
+      await createNotification(
+        seller.userId,
+        "payout",
+        "Seller Tier Updated",
+        `Your seller tier is now ${terms.label}: payouts are held ${terms.holdDays} days${terms.reservePercent > 0 ? ` with a ${terms.reservePercent}% rolling reserve for ${terms.reserveDays} days` : ""}.`,
+        { sellerId: seller._id, previousLevel, level: tier.level },
+        "/seller/performance-metrics",
+        "medium"
+      );
+    } catch (error) {
+      logger.error(`[SELLER_TIER] Failed to evaluate seller ${seller._id}:`, error?.message || error);
+    }
+  }
+
+  logger.info("[SELLER_TIER] Tiers refreshed", { evaluated, changed });
+  return { evaluated, changed };
+};
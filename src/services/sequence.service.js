@@ -0,0 +1,21 @@
+import { Counter } from "../models/counter.model.js";
+
+/**
+ * Next value of a named sequence. Pass the caller's session so a rolled-back
+ * transaction also rolls back the increment and numbering stays gapless.
+ */
+export const nextSequenceValue = async (key, session = null) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session: session || undefined }
+  );
+  return counter.seq;
+};
+
+/** "CINV-2026-000042": prefix, year and a zero-padded sequence restarting each year. */
+export const nextDocumentNumber = async (prefix, date = new Date(), session = null) => {
+  const year = date.getUTCFullYear();
+  const seq = await nextSequenceValue(`${prefix}:${year}`, session);
+  return `${prefix}-${year}-${String(seq).padStart(6, "0")}`;
+};
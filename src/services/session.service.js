@@ -0,0 +1,200 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import { Session } from "../models/session.model.js";
+import { User } from "../models/user.model.js";
+import { getRedisClient } from "../config/redis.js";
+import { logSecurityEvent } from "./audit.service.js";
+import { detectSuspiciousLogin } from "./accountSecurity.service.js";
+import { ApiError } from "../utils/ApiError.js";
+import { logger } from "../utils/logger.js";
+
+const SESSION_CACHE_TTL = 300; // 5 minutes
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const sessionCacheKey = (sessionId) => `session:${sessionId}`;
+
+const detectBrowser = (ua) =>
+  (/edg\//i.test(ua) && "Edge") ||
+  (/opr\/|opera/i.test(ua) && "Opera") ||
+  (/chrome\//i.test(ua) && "Chrome") ||
+  (/firefox\//i.test(ua) && "Firefox") ||
+  (/safari\//i.test(ua) && "Safari") ||
+  "Unknown";
+
+const detectOs = (ua) =>
+  (/windows/i.test(ua) && "Windows") ||
+  (/android/i.test(ua) && "Android") ||
+  (/iphone|ipad|ipod/i.test(ua) && "iOS") ||
+  (/mac os/i.test(ua) && "macOS") ||
+  (/linux/i.test(ua) && "Linux") ||
+  "Unknown";
+
+/** Two-letter country set by the CDN/proxy in front of the API (Cloudflare's header by default). */
+const getCountry = (req) => {
+  const country = req?.get?.(process.env.GEO_COUNTRY_HEADER || "cf-ipcountry");
+  return /^[A-Z]{2}$/i.test(country || "") && !/^(XX|T1)$/i.test(country) ? country.toUpperCase() : undefined;
+};
+
+const getDeviceInfo = (req) => {
+  const userAgent = req?.get?.("user-agent") || "";
+  return {
+    userAgent,
+    ipAddress: req?.ip,
+    deviceType: /mobile|iphone|android/i.test(userAgent) ? "mobile" : /ipad|tablet/i.test(userAgent) ? "tablet" : "desktop",
+    browser: detectBrowser(userAgent),
+    os: detectOs(userAgent),
+    country: getCountry(req),
+  };
+};
+
+const signTokenPair = (user, sessionId) => {
+  const accessToken = user.generateAccessToken(sessionId);
+  const refreshToken = user.generateRefreshToken(sessionId);
+  const { exp } = jwt.decode(refreshToken);
+  return { accessToken, refreshToken, expiresAt: new Date(exp * 1000) };
+};
+
+const cacheSessionState = async (sessionId, active) => {
+  const redis = getRedisClient();
+  if (!redis) return;
+  try {
+    await redis.setex(sessionCacheKey(sessionId), SESSION_CACHE_TTL, active ? "1" : "0");
+  } catch {
+    // Redis failure is non-fatal
+  }
+};
+
+const clearSessionCache = async (sessionIds) => {
+  const redis = getRedisClient();
+  if (!redis || sessionIds.length === 0) return;
+  try {
+    await redis.del(...sessionIds.map((id) => sessionCacheKey(id)));
+  } catch {
+    // Redis failure is non-fatal
+  }
+};
+
+/** Starts a new device session and returns its first token pair. */
+export const createSession = async (userId, req = null) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  const session = new Session({ userId: user._id, deviceInfo: getDeviceInfo(req) });
+  const { accessToken, refreshToken, expiresAt } = signTokenPair(user, session._id);
+  session.token = hashToken(accessToken);
+  session.refreshToken = hashToken(refreshToken);
+  session.expiresAt = expiresAt;
+  await session.save();
+
+  user.lastLogin = new Date();
+  user.loginCount = (user.loginCount || 0) + 1;
+  user.failedLoginAttempts = 0;
+  user.lockoutLevel = 0;
+  user.lockUntil = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await detectSuspiciousLogin(user, session);
+  } catch (error) {
+    logger.error(`[SESSION] Suspicious login check failed for user ${user._id} (non-critical):`, error?.message || error);
+  }
+
+  return { accessToken, refreshToken, sessionId: session._id };
+};
+
+/** Revokes sessions matching the filter and drops their cached state so verifyJWT sees it at once. */
+export const revokeSessions = async (filter, reason) => {
+  const sessions = await Session.find({ ...filter, isActive: true }).select("_id").lean();
+  if (sessions.length === 0) return 0;
+
+  const ids = sessions.map((session) => session._id);
+  await Session.updateMany(
+    { _id: { $in: ids } },
+    { $set: { isActive: false, revokedAt: new Date(), revokedReason: reason } }
+  );
+  await clearSessionCache(ids.map(String));
+  return ids.length;
+};
+
+/**
+ * Exchanges a refresh token for a new pair. The presented token must be the session's
+ * current one; a token that was already rotated out means it leaked, so the session is revoked.
+ */
+export const rotateSession = async (incomingRefreshToken, req = null) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(incomingRefreshToken, process.env.REFRESH_TOKEN_SECRET);
+  } catch {
+    throw new ApiError(401, "unauthorize");
+  }
+  if (!decoded.sid || !mongoose.isValidObjectId(decoded.sid)) {
+    throw new ApiError(401, "unauthorize");
+  }
+
+  const incomingHash = hashToken(incomingRefreshToken);
+  const session = await Session.findById(decoded.sid).select("+previousRefreshTokens");
+  if (!session || !session.isActive || session.userId.toString() !== decoded._id) {
+    throw new ApiError(401, "unauthorize");
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || user.isActive === false) {
+    throw new ApiError(401, "unauthorize");
+  }
+
+  if (session.refreshToken === incomingHash) {
+    const { accessToken, refreshToken, expiresAt } = signTokenPair(user, session._id);
+    const rotated = await Session.updateOne(
+      { _id: session._id, isActive: true, refreshToken: incomingHash },
+      {
+        $set: {
+          token: hashToken(accessToken),
+          refreshToken: hashToken(refreshToken),
+          expiresAt,
+          lastActivity: new Date(),
+          "deviceInfo.ipAddress": req?.ip || session.deviceInfo?.ipAddress,
+        },
+        $push: { previousRefreshTokens: { $each: [incomingHash], $slice: -50 } },
+      }
+    );
+    if (rotated.modifiedCount === 1) {
+      return { accessToken, refreshToken };
+    }
+    // Lost a race with another refresh using the same token – treat it as reuse.
+  } else if (!(session.previousRefreshTokens || []).includes(incomingHash)) {
+    throw new ApiError(401, "unauthorize");
+  }
+
+  await revokeSessions({ _id: session._id }, "refresh_token_reuse");
+  logger.warn("[SESSION] Refresh token reuse detected, session revoked", { sessionId: session._id, userId: user._id });
+  await logSecurityEvent("refresh_token_reuse", user._id, req?.ip, req?.get?.("user-agent"), { sessionId: session._id });
+  throw new ApiError(401, "Session revoked, please sign in again");
+};
+
+/** True when the session behind an access token is still active. Cached in Redis for a few minutes. */
+export const isSessionActive = async (sessionId) => {
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) return false;
+
+  const redis = getRedisClient();
+  if (redis) {
+    try {
+      const cached = await redis.get(sessionCacheKey(sessionId));
+      if (cached !== null) return cached === "1";
+    } catch {
+      // Redis failure is non-fatal — fall through to DB
+    }
+  }
+
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, isActive: true, expiresAt: { $gt: new Date() } },
+    { $set: { lastActivity: new Date() } }
+  )
+    .select("_id")
+    .lean();
+  await cacheSessionState(sessionId, !!session);
+  return !!session;
+};
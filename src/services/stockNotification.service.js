@@ -2,10 +2,9 @@ import { Product } from '../models/product.model.js';
 import { Seller } from '../models/seller.model.js';
 import { User } from '../models/user.model.js';
 import { createNotification } from './notification.service.js';
-import { LicenseKey } from '../models/licensekey.model.js';
+import { countAvailableKeys } from './key.service.js';
 import { EmailLog } from '../models/emailLog.model.js';
 import { logger } from '../utils/logger.js';
-import mongoose from 'mongoose';
 import nodemailer from 'nodemailer';
 
 const LOW_STOCK_THRESHOLD = 10;
@@ -39,13 +38,7 @@ export const checkAndNotifyLowStock = async (productId) => {
     return;
   }
 
-  const licenseKeyDoc = await LicenseKey.findOne({
-    productId: new mongoose.Types.ObjectId(productId),
-  });
-
-  const availableKeys = licenseKeyDoc 
-    ? licenseKeyDoc.keys.filter(key => !key.isUsed).length 
-    : 0;
+  const availableKeys = await countAvailableKeys(productId);
 
   product.availableKeysCount = availableKeys;
   product.stock = availableKeys;
@@ -0,0 +1,140 @@
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import jwt from "jsonwebtoken";
+import { User } from "../models/user.model.js";
+import { encryptKey, decryptKey } from "../utils/encryption.js";
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from "../utils/totp.js";
+
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = "2fa_login";
+
+const getIssuer = () => process.env.TWO_FACTOR_ISSUER || process.env.APP_NAME || "Marketplace";
+
+/** Challenge tokens are signed with a key derived from the access secret so they never pass verifyJWT. */
+const getChallengeSecret = () => `${process.env.ACCESS_TOKEN_SECRET}:${CHALLENGE_PURPOSE}`;
+
+export const isTwoFactorRequiredForRole = (roles = []) => roles.includes("admin");
+
+/** Starts enrollment: stores a pending secret and returns it with its otpauth:// URI for the QR code. */
+export const startEnrollment = async (user) => {
+  const secret = generateTotpSecret();
+  await User.updateOne({ _id: user._id }, { $set: { twoFactorPendingSecret: encryptKey(secret) } });
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUri(secret, user.email, getIssuer()),
+  };
+};
+
+const generateBackupCodes = async () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  const hashes = await Promise.all(codes.map((code) => bcrypt.hash(code, 10)));
+  return { codes, hashes };
+};
+
+/** Confirms enrollment with a code from the pending secret. Returns the recovery codes, shown once. */
+export const confirmEnrollment = async (userId, code) => {
+  const user = await User.findById(userId).select("+twoFactorPendingSecret");
+  if (!user?.twoFactorPendingSecret) return null;
+
+  const step = verifyTotp(decryptKey(user.twoFactorPendingSecret), code);
+  if (step === null) return null;
+
+  const { codes, hashes } = await generateBackupCodes();
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorSecret: user.twoFactorPendingSecret,
+        twoFactorBackupCodes: hashes,
+        twoFactorLastUsedStep: step,
+      },
+      $unset: { twoFactorPendingSecret: "" },
+    }
+  );
+  return codes;
+};
+
+/**
+ * Checks a TOTP code or an unused recovery code. TOTP steps are accepted once and
+ * recovery codes are consumed. Returns "totp", "backup_code" or null.
+ */
+export const verifySecondFactor = async (userId, code) => {
+  const input = String(code || "").trim();
+  if (!input) return null;
+
+  const user = await User.findById(userId).select("+twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep");
+  if (!user?.twoFactorEnabled || !user.twoFactorSecret) return null;
+
+  const step = verifyTotp(decryptKey(user.twoFactorSecret), input);
+  if (step !== null) {
+    const claimed = await User.updateOne(
+      {
+        _id: userId,
+        $or: [{ twoFactorLastUsedStep: { $lt: step } }, { twoFactorLastUsedStep: null }],
+      },
+      { $set: { twoFactorLastUsedStep: step } }
+    );
+    return claimed.modifiedCount === 1 ? "totp" : null;
+  }
+
+  const normalized = input.toLowerCase();
+  for (const hash of user.twoFactorBackupCodes || []) {
+    if (await bcrypt.compare(normalized, hash)) {
+      const consumed = await User.updateOne(
+        { _id: userId, twoFactorBackupCodes: hash },
+        { $pull: { twoFactorBackupCodes: hash } }
+      );
+      return consumed.modifiedCount === 1 ? "backup_code" : null;
+    }
+  }
+  return null;
+};
+
+/** Replaces the recovery codes; the old ones stop working. */
+export const regenerateBackupCodes = async (userId) => {
+  const { codes, hashes } = await generateBackupCodes();
+  await User.updateOne({ _id: userId }, { $set: { twoFactorBackupCodes: hashes } });
+  return codes;
+};
+
+export const disableTwoFactor = async (userId) => {
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { twoFactorEnabled: false },
+      $unset: {
+        twoFactorEnabledAt: "",
+        twoFactorSecret: "",
+        twoFactorPendingSecret: "",
+        twoFactorBackupCodes: "",
+        twoFactorLastUsedStep: "",
+      },
+    }
+  );
+};
+
+export const getBackupCodesRemaining = async (userId) => {
+  const user = await User.findById(userId).select("+twoFactorBackupCodes").lean();
+  return user?.twoFactorBackupCodes?.length || 0;
+};
+
+/** Short-lived token issued after the password check, exchanged for session tokens with a code. */
+export const issueLoginChallenge = (userId) =>
+  jwt.sign({ _id: userId, purpose: CHALLENGE_PURPOSE }, getChallengeSecret(), {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || "5m",
+  });
+
+/** Returns the user id of a valid challenge token, or null. */
+export const verifyLoginChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, getChallengeSecret());
+    return decoded.purpose === CHALLENGE_PURPOSE ? decoded._id : null;
+  } catch {
+    return null;
+  }
+};
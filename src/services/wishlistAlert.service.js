@@ -0,0 +1,262 @@
+import mongoose from "mongoose";
+import { Wishlist } from "../models/wishlist.model.js";
+import { Product } from "../models/product.model.js";
+import { User } from "../models/user.model.js";
+import { calculateProductPrice } from "../utils/priceCalculator.js";
+import { createNotification } from "./notification.service.js";
+import { queueEmail } from "../jobs/email.job.js";
+import { ApiError } from "../utils/ApiError.js";
+import { logger } from "../utils/logger.js";
+
+const LIVE_PRODUCT_STATUSES = ["active", "approved"];
+/** Drops under 1% are rounding noise from percentage discounts, not a sale. */
+const MIN_PRICE_DROP_RATIO = 0.01;
+const MAX_EMAIL_ALERTS = 20;
+const ALERT_CURRENCY = "USD";
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+const DEAL_LABELS = {
+  flash_deal: "flash deal",
+  trending_offer: "trending offer",
+  product_discount: "sale",
+};
+
+/** Turns a wishlist item's alerts on or off; switching price drops on resets the baseline to today's price. */
+export const updateWishlistAlerts = async (userId, productId, { priceDrop, backInStock }) => {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    throw new ApiError(400, "Invalid productId");
+  }
+  if (priceDrop === undefined && backInStock === undefined) {
+    throw new ApiError(400, "Provide priceDrop or backInStock");
+  }
+  if ([priceDrop, backInStock].some((value) => value !== undefined && typeof value !== "boolean")) {
+    throw new ApiError(400, "priceDrop and backInStock must be true or false");
+  }
+
+  const wishlist = await Wishlist.findOne({ userId, "products.productId": productId });
+  const item = wishlist?.products.find((entry) => entry.productId?.toString() === productId.toString());
+  if (!item) {
+    throw new ApiError(404, "Product not found in wishlist");
+  }
+
+  const now = new Date();
+  const wasSubscribed = item.alerts?.priceDrop || item.alerts?.backInStock;
+  const set = {};
+
+  if (priceDrop !== undefined) {
+    set["products.$[item].alerts.priceDrop"] = Boolean(priceDrop);
+    if (priceDrop && !item.alerts?.priceDrop) {
+      const product = await Product.findById(productId).select("price discount").lean();
+      if (!product) throw new ApiError(404, "Product not found");
+      const pricing = await calculateProductPrice(product);
+      set["products.$[item].alerts.baselinePrice"] = roundPrice(pricing.discountedPrice);
+      set["products.$[item].alerts.priceAlertedAt"] = null;
+    }
+  }
+  if (backInStock !== undefined) {
+    set["products.$[item].alerts.backInStock"] = Boolean(backInStock);
+    // Only restocks after this point count, even if price alerts were on earlier.
+    if (backInStock && !item.alerts?.backInStock) {
+      set["products.$[item].alerts.stockAlertedAt"] = now;
+    }
+  }
+  if (!wasSubscribed && (priceDrop || backInStock)) {
+    set["products.$[item].alerts.subscribedAt"] = now;
+  }
+
+  const updated = await Wishlist.findOneAndUpdate(
+    { _id: wishlist._id },
+    { $set: set },
+    { new: true, arrayFilters: [{ "item.productId": new mongoose.Types.ObjectId(productId) }] }
+  ).lean();
+
+  return updated.products.find((entry) => entry.productId?.toString() === productId.toString());
+};
+
+/** Live status, stock and current price of each product, loaded once per run. */
+const createProductStateLoader = () => {
+  const states = new Map();
+
+  return (productId) => {
+    const key = productId.toString();
+    if (!states.has(key)) {
+      states.set(key, (async () => {
+        const product = await Product.findById(productId)
+          .select("name slug price discount stock allowBackorder status restockedAt")
+          .lean();
+        if (!product) return null;
+        const pricing = await calculateProductPrice(product);
+        return {
+          product,
+          pricing,
+          isLive: LIVE_PRODUCT_STATUSES.includes(product.status),
+          inStock: product.stock > 0,
+        };
+      })());
+    }
+    return states.get(key);
+  };
+};
+
+const checkWishlistItem = (item, state, now) => {
+  const alerts = item.alerts;
+  const set = {};
+  const found = [];
+  if (!state?.isLive) return { set, found };
+
+  const { product, pricing } = state;
+  const currentPrice = roundPrice(pricing.discountedPrice);
+
+  if (alerts.priceDrop) {
+    const baseline = alerts.baselinePrice;
+    if (baseline === null || baseline === undefined) {
+      set["alerts.baselinePrice"] = currentPrice;
+    } else if (currentPrice <= baseline * (1 - MIN_PRICE_DROP_RATIO)) {
+      // Key-only products can't be bought while out of stock; keep the baseline so the drop is still reported later.
+      if (state.inStock || product.allowBackorder) {
+        found.push({
+          kind: "price_drop",
+          productId: product._id,
+          productName: product.name,
+          slug: product.slug,
+          price: currentPrice,
+          previousPrice: baseline,
+          discountType: pricing.discountType,
+          dealLabel: pricing.discountType ? DEAL_LABELS[pricing.discountType] : null,
+        });
+        set["alerts.baselinePrice"] = currentPrice;
+        set["alerts.priceAlertedAt"] = now;
+      }
+    } else if (currentPrice > baseline) {
+      // Follow prices back up so the next sale is measured from the new price.
+      set["alerts.baselinePrice"] = currentPrice;
+    }
+  }
+
+  if (alerts.backInStock && state.inStock && product.restockedAt) {
+    const since = Math.max(
+      new Date(alerts.subscribedAt || 0).getTime(),
+      new Date(alerts.stockAlertedAt || 0).getTime()
+    );
+    if (new Date(product.restockedAt).getTime() > since) {
+      found.push({
+        kind: "back_in_stock",
+        productId: product._id,
+        productName: product.name,
+        slug: product.slug,
+        price: currentPrice,
+      });
+      set["alerts.stockAlertedAt"] = now;
+    }
+  }
+
+  return { set, found };
+};
+
+const notifyWishlistAlert = async (userId, alert) => {
+  const title = alert.kind === "price_drop" ? "Price drop on your wishlist" : "Back in stock";
+  const message = alert.kind === "price_drop"
+    ? `${alert.productName} is now ${ALERT_CURRENCY} ${alert.price.toFixed(2)} (was ${ALERT_CURRENCY} ${alert.previousPrice.toFixed(2)})`
+    : `${alert.productName} is back in stock`;
+
+  await createNotification(
+    userId,
+    "wishlist",
+    title,
+    message,
+    {
+      kind: alert.kind,
+      productId: alert.productId,
+      price: alert.price,
+      previousPrice: alert.previousPrice ?? null,
+      discountType: alert.discountType ?? null,
+    },
+    `/product/${alert.slug}`,
+    alert.kind === "price_drop" ? "medium" : "low"
+  );
+};
+
+const emailWishlistAlerts = async (userId, alerts) => {
+  const user = await User.findById(userId).select("name email").lean();
+  if (!user?.email) return;
+
+  await queueEmail("wishlist_alerts", {
+    email: user.email,
+    userName: user.name,
+    alerts: alerts.slice(0, MAX_EMAIL_ALERTS).map((alert) => ({
+      kind: alert.kind,
+      productName: alert.productName,
+      productUrl: `${process.env.FRONTEND_URL}/product/${alert.slug}`,
+      price: alert.price,
+      previousPrice: alert.previousPrice ?? null,
+      dealLabel: alert.dealLabel ?? null,
+      currency: ALERT_CURRENCY,
+    })),
+  });
+};
+
+/**
+ * Checks every wishlist item with alerts switched on. A price drop is measured against the
+ * item's baseline (which includes flash deals and trending offers), a restock against the
+ * product's `restockedAt`, so each sale or restock is reported once. Each user gets one
+ * notification per alert and a single email per run.
+ */
+export const detectWishlistAlerts = async () => {
+  const loadProductState = createProductStateLoader();
+  const now = new Date();
+  const stats = { wishlists: 0, priceDrops: 0, backInStock: 0, emails: 0, failed: 0 };
+
+  const cursor = Wishlist.find({
+    $or: [{ "products.alerts.priceDrop": true }, { "products.alerts.backInStock": true }],
+  })
+    .select("userId products")
+    .lean()
+    .cursor();
+
+  for await (const wishlist of cursor) {
+    stats.wishlists++;
+    try {
+      const alerts = [];
+      const set = {};
+      const arrayFilters = [];
+
+      for (const item of wishlist.products) {
+        if (!item.productId || !(item.alerts?.priceDrop || item.alerts?.backInStock)) continue;
+
+        const state = await loadProductState(item.productId);
+        const result = checkWishlistItem(item, state, now);
+        if (Object.keys(result.set).length === 0) continue;
+
+        const filter = `i${arrayFilters.length}`;
+        arrayFilters.push({ [`${filter}._id`]: item._id });
+        for (const [path, value] of Object.entries(result.set)) {
+          set[`products.$[${filter}].${path}`] = value;
+        }
+        alerts.push(...result.found);
+      }
+
+      if (arrayFilters.length === 0) continue;
+      // Record first so a failed notification never leads to the same alert twice.
+      await Wishlist.updateOne({ _id: wishlist._id }, { $set: set }, { arrayFilters });
+      if (alerts.length === 0) continue;
+
+      for (const alert of alerts) {
+        await notifyWishlistAlert(wishlist.userId, alert);
+        if (alert.kind === "price_drop") stats.priceDrops++;
+        else stats.backInStock++;
+      }
+      await emailWishlistAlerts(wishlist.userId, alerts);
+      stats.emails++;
+    } catch (error) {
+      stats.failed++;
+      logger.error(`[WISHLIST_ALERTS] Failed to process wishlist ${wishlist._id}`, error);
+    }
+  }
+
+  logger.info(
+    `[WISHLIST_ALERTS] Checked ${stats.wishlists} wishlists: ${stats.priceDrops} price drops, ` +
+    `${stats.backInStock} restocks, ${stats.emails} emails queued, ${stats.failed} failed`
+  );
+  return stats;
+};
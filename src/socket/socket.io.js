@@ -11,6 +11,7 @@ import { Seller } from '../models/seller.model.js';
 import { sendSupportMessage, markMessagesAsRead } from '../services/support.service.js';
 import { isRedisEnabled, createRedisConnection } from '../config/redis.js';
 import { logger } from '../utils/logger.js';
+import { isSessionActive } from '../services/session.service.js';
 
 // ─── LRU Cache ───
 class LRUCache {
@@ -180,6 +181,9 @@ export const initializeSocketIO = (server) => {
       if (!token) return next(new Error('Authentication error: No token provided'));
 
       const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+      if (!(await isSessionActive(decoded.sid))) {
+        return next(new Error('Authentication error: Session revoked'));
+      }
       const user = await getCachedUser(decoded._id);
       if (!user) return next(new Error('Authentication error: User not found'));
 
@@ -67,6 +67,16 @@ const fileUploader = async (localfilepath) => {
 
 }
 
+/** Uploads an image Cloudinary fetches from a remote URL (used by bulk imports). */
+const uploadImageFromUrl = async (url) => {
+  getCloudinaryConfig();
+  const response = await cloudinary.uploader.upload(url, { resource_type: "image" });
+  return {
+    url: response.secure_url || response.url?.replace?.('http://', 'https://'),
+    public_id: response.public_id,
+  };
+}
+
 export const normalizeToHttps = (url) => {
   if (!url || typeof url !== 'string') return url;
   if (url.startsWith('http://')) {
@@ -75,4 +85,4 @@ export const normalizeToHttps = (url) => {
   return url;
 }
 
-export { fileUploader, uploadChatImageFromBuffer, CHAT_IMAGE_LIMITS };
\ No newline at end of file
+export { fileUploader, uploadChatImageFromBuffer, uploadImageFromUrl, CHAT_IMAGE_LIMITS };
\ No newline at end of file
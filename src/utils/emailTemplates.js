@@ -1,4 +1,5 @@
 import { getOrderDisplayId } from "./orderDisplay.js";
+import { escapeHtml } from "./sanitize.js";
 
 export const licenseKeyEmailTemplate = (order, keys, user, keyToItemMap = null) => {
   let keyIndex = 0;
@@ -560,3 +561,107 @@ export const refundSellerInputRequestEmailTemplate = ({
   </html>
 `;
 
+export const refundSellerReviewReminderEmailTemplate = ({ sellerName, refundId, orderNumber, productName, deadline, dashboardUrl }) => `
+  <!DOCTYPE html>
+  <html>
+  <head><meta charset="utf-8"></head>
+  <body style="font-family: Arial, sans-serif; color:#333;">
+    <div style="max-width:640px;margin:0 auto;padding:20px;">
+      <h2>Reminder: A Refund Request Awaits Your Review</h2>
+      <p>Hello ${escapeHtml(sellerName)},</p>
+      <p>Refund request <strong>${refundId}</strong> for order <strong>${escapeHtml(orderNumber)}</strong> (${escapeHtml(productName)}) is still waiting for your review.</p>
+      <p>If you do not respond by <strong>${deadline}</strong>, it will be escalated to our admin team for a decision.</p>
+      <p>Please review it in your <a href="${dashboardUrl}">seller dashboard</a>.</p>
+    </div>
+  </body>
+  </html>
+`;
+
+const REFUND_ESCALATED_MESSAGES = {
+  customer: "The seller did not review your refund request in time, so our admin team will now make the decision. No action is needed from you.",
+  seller: "You did not review this refund request within the review window, so it has been escalated to the admin team for a final decision.",
+  admin: "The seller did not review this refund request within the review window. It is now waiting in the admin review queue.",
+};
+
+export const refundEscalatedEmailTemplate = ({ audience, recipientName, refundId, orderNumber, productName, reviewHours }) => `
+  <!DOCTYPE html>
+  <html>
+  <head><meta charset="utf-8"></head>
+  <body style="font-family: Arial, sans-serif; color:#333;">
+    <div style="max-width:640px;margin:0 auto;padding:20px;">
+      <h2>Refund Request Escalated to Admin Review</h2>
+      <p>Hello ${escapeHtml(recipientName)},</p>
+      <p>${REFUND_ESCALATED_MESSAGES[audience] || REFUND_ESCALATED_MESSAGES.admin}</p>
+      <p><strong>Refund ID:</strong> ${refundId}</p>
+      <p><strong>Order:</strong> ${escapeHtml(orderNumber)}</p>
+      <p><strong>Product:</strong> ${escapeHtml(productName)}</p>
+      <p><strong>Seller review window:</strong> ${reviewHours} hours</p>
+    </div>
+  </body>
+  </html>
+`;
+
+export const scheduledReportEmailTemplate = ({ reportName, reportType, rangeStart, rangeEnd, rowCount }) => `
+  <!DOCTYPE html>
+  <html>
+  <head><meta charset="utf-8"></head>
+  <body style="font-family: Arial, sans-serif; color:#333;">
+    <div style="max-width:640px;margin:0 auto;padding:20px;">
+      <h2>${escapeHtml(reportName)}</h2>
+      <p>Your scheduled <strong>${escapeHtml(reportType)}</strong> report is attached as a CSV file.</p>
+      <p><strong>Period:</strong> ${new Date(rangeStart).toISOString().slice(0, 10)} – ${new Date(rangeEnd).toISOString().slice(0, 10)}</p>
+      <p><strong>Rows:</strong> ${rowCount}</p>
+      <p style="font-size:12px;color:#777;">You receive this email because an administrator added you to this report's recipients.</p>
+    </div>
+  </body>
+  </html>
+`;
+
+const SUSPICIOUS_LOGIN_REASONS = {
+  new_device: "a device or browser we have not seen on your account before",
+  new_country: "a country you have not signed in from before",
+};
+
+export const suspiciousLoginEmailTemplate = ({ userName, reasons, browser, os, ipAddress, country, loginAt, sessionsUrl }) => `
+  <!DOCTYPE html>
+  <html>
+  <head><meta charset="utf-8"></head>
+  <body style="font-family: Arial, sans-serif; color:#333;">
+    <div style="max-width:640px;margin:0 auto;padding:20px;">
+      <h2>New Sign-in to Your Account</h2>
+      <p>Hello ${userName},</p>
+      <p>Your account was just signed in to from ${reasons.map((reason) => SUSPICIOUS_LOGIN_REASONS[reason]).filter(Boolean).join(" and from ")}.</p>
+      <p><strong>When:</strong> ${new Date(loginAt).toUTCString()}</p>
+      <p><strong>Device:</strong> ${browser} on ${os}</p>
+      <p><strong>IP address:</strong> ${ipAddress || "Unknown"}</p>
+      ${country ? `<p><strong>Country:</strong> ${country}</p>` : ""}
+      <p>If this was you, no action is needed. If not, <a href="${sessionsUrl}">revoke the session</a> and change your password right away.</p>
+    </div>
+  </body>
+  </html>
+`;
+
+export const wishlistAlertEmailTemplate = ({ userName, alerts, wishlistUrl }) => `
+  <!DOCTYPE html>
+  <html>
+  <head><meta charset="utf-8"></head>
+  <body style="font-family: Arial, sans-serif; color:#333;">
+    <div style="max-width:640px;margin:0 auto;padding:20px;">
+      <h2>Good News From Your Wishlist</h2>
+      <p>Hello ${escapeHtml(userName)},</p>
+      <p>${alerts.length === 1 ? "A product" : `${alerts.length} products`} on your wishlist ${alerts.length === 1 ? "has" : "have"} changed:</p>
+      <ul>
+        ${alerts.map((alert) => `
+        <li style="margin-bottom:8px;">
+          <a href="${escapeHtml(alert.productUrl)}">${escapeHtml(alert.productName)}</a> –
+          ${alert.kind === "price_drop"
+            ? `now <strong>${alert.currency} ${Number(alert.price).toFixed(2)}</strong> (was ${alert.currency} ${Number(alert.previousPrice).toFixed(2)})${alert.dealLabel ? `, ${alert.dealLabel}` : ""}`
+            : "back in stock"}
+        </li>`).join("")}
+      </ul>
+      <p><a href="${wishlistUrl}">View your wishlist</a></p>
+      <p style="font-size:12px;color:#777;">You receive this email because you turned on alerts for these wishlist items. You can turn them off on your wishlist.</p>
+    </div>
+  </body>
+  </html>
+`;
@@ -1,13 +1,90 @@
 import crypto from 'crypto';
+import { logger } from './logger.js';
 
 const algorithm = 'aes-256-gcm';
-const secretKey = process.env.ENCRYPTION_KEY || crypto.randomBytes(32).toString('hex');
+const LEGACY_KEY_ID = 'legacy';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
 
-const getKey = () => {
-  if (secretKey.length === 64) {
-    return Buffer.from(secretKey, 'hex');
+let keyring = null;
+
+const deriveKey = (secret) => {
+  if (/^[0-9a-f]{64}$/i.test(secret)) {
+    return Buffer.from(secret, 'hex');
   }
-  return crypto.scryptSync(secretKey, 'salt', 32);
+  return crypto.scryptSync(secret, 'salt', 32);
+};
+
+/**
+ * Builds the keyring from the environment:
+ *   ENCRYPTION_KEYS="2026q1:<secret>,2025q4:<secret>"  all keys that may decrypt
+ *   ENCRYPTION_KEY_ID=2026q1                            key used to encrypt (default: first entry)
+ *   ENCRYPTION_KEY=<secret>                             pre-rotation key, stored as id "legacy";
+ *                                                       decrypts ciphertext written without a key id
+ */
+const loadKeyring = () => {
+  const keys = new Map();
+
+  const entries = (process.env.ENCRYPTION_KEYS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  for (const entry of entries) {
+    const separator = entry.indexOf(':');
+    const id = separator > 0 ? entry.slice(0, separator).trim() : '';
+    const secret = separator > 0 ? entry.slice(separator + 1).trim() : '';
+    if (!KEY_ID_PATTERN.test(id) || !secret) {
+      throw new Error('Invalid ENCRYPTION_KEYS entry. Expected comma-separated "keyId:secret" pairs (keyId: letters, digits, _ or -).');
+    }
+    if (keys.has(id)) {
+      throw new Error(`Duplicate key id "${id}" in ENCRYPTION_KEYS`);
+    }
+    keys.set(id, deriveKey(secret));
+  }
+
+  const legacySecret = process.env.ENCRYPTION_KEY;
+  if (legacySecret && legacySecret.trim() && !keys.has(LEGACY_KEY_ID)) {
+    keys.set(LEGACY_KEY_ID, deriveKey(legacySecret.trim()));
+  }
+
+  if (keys.size === 0) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('No encryption key configured. Set ENCRYPTION_KEYS (or ENCRYPTION_KEY) before starting in production.');
+    }
+    logger.warn('[ENCRYPTION] No ENCRYPTION_KEYS/ENCRYPTION_KEY set - using a random key. Data encrypted now will be unreadable after a restart.');
+    keys.set(LEGACY_KEY_ID, crypto.randomBytes(32));
+  }
+
+  const currentKeyId = process.env.ENCRYPTION_KEY_ID?.trim() || keys.keys().next().value;
+  if (!keys.has(currentKeyId)) {
+    throw new Error(`ENCRYPTION_KEY_ID "${currentKeyId}" is not present in ENCRYPTION_KEYS`);
+  }
+
+  return { keys, currentKeyId };
+};
+
+const getKeyring = () => {
+  if (!keyring) {
+    keyring = loadKeyring();
+  }
+  return keyring;
+};
+
+/** Validates encryption config at startup. Throws in production when no key is configured. */
+export const assertEncryptionConfigured = () => {
+  const { keys, currentKeyId } = getKeyring();
+  return { currentKeyId, keyIds: [...keys.keys()] };
+};
+
+export const getCurrentKeyId = () => getKeyring().currentKeyId;
+
+/** Returns the key id embedded in ciphertext; legacy `iv:encrypted:authTag` values report "legacy". */
+export const getCiphertextKeyId = (encryptedData) => {
+  if (typeof encryptedData !== 'string') return null;
+  const parts = encryptedData.split(':');
+  if (parts.length === 4) return parts[0];
+  if (parts.length === 3) return LEGACY_KEY_ID;
+  return null;
 };
 
 export const encryptKey = (text) => {
@@ -15,7 +92,8 @@ export const encryptKey = (text) => {
     throw new Error('Key data is required for encryption');
   }
 
-  const key = getKey();
+  const { keys, currentKeyId } = getKeyring();
+  const key = keys.get(currentKeyId);
   const iv = crypto.randomBytes(16);
   const cipher = crypto.createCipheriv(algorithm, key, iv);
 
@@ -23,7 +101,7 @@ export const encryptKey = (text) => {
   encrypted += cipher.final('hex');
   const authTag = cipher.getAuthTag();
 
-  return `${iv.toString('hex')}:${encrypted}:${authTag.toString('hex')}`;
+  return `${currentKeyId}:${iv.toString('hex')}:${encrypted}:${authTag.toString('hex')}`;
 };
 
 export const decryptKey = (encryptedData) => {
@@ -35,19 +113,27 @@ export const decryptKey = (encryptedData) => {
     throw new Error('Encrypted data must be a string');
   }
 
+  let keyId = null;
   try {
     const parts = encryptedData.split(':');
-    if (parts.length !== 3) {
-      throw new Error(`Invalid encrypted data format. Expected format: iv:encrypted:authTag, got ${parts.length} parts`);
+    if (parts.length === 4) {
+      keyId = parts.shift();
+    } else if (parts.length === 3) {
+      keyId = LEGACY_KEY_ID;
+    } else {
+      throw new Error(`Invalid encrypted data format. Expected format: keyId:iv:encrypted:authTag, got ${parts.length} parts`);
     }
 
     const [ivHex, encryptedHex, authTagHex] = parts;
-    
+
     if (!/^[0-9a-f]+$/i.test(ivHex) || !/^[0-9a-f]+$/i.test(encryptedHex) || !/^[0-9a-f]+$/i.test(authTagHex)) {
       throw new Error('Invalid hex format in encrypted data');
     }
-    
-    const key = getKey();
+
+    const key = getKeyring().keys.get(keyId);
+    if (!key) {
+      throw new Error(`Invalid encrypted data format. Unknown encryption key id "${keyId}"`);
+    }
     const iv = Buffer.from(ivHex, 'hex');
     const authTag = Buffer.from(authTagHex, 'hex');
 
@@ -62,18 +148,25 @@ export const decryptKey = (encryptedData) => {
     if (error.message.includes('Invalid encrypted data format')) {
       throw error;
     }
-    
-    if (error.message.includes('Unsupported state') || 
+
+    if (error.message.includes('Unsupported state') ||
         error.message.includes('unable to authenticate') ||
         error.message.includes('bad decrypt')) {
-      throw new Error(`Decryption failed: The encryption key may have changed or the data was encrypted with a different key. Please verify ENCRYPTION_KEY in your environment variables matches the key used to encrypt this data. Original error: ${error.message}`);
+      throw new Error(`Decryption failed: The encryption key may have changed or the data was encrypted with a different key. Please verify the "${keyId}" entry of ENCRYPTION_KEYS/ENCRYPTION_KEY matches the key used to encrypt this data. Original error: ${error.message}`);
     }
-    
+
     throw new Error(`Decryption failed: ${error.message}`);
   }
 };
 
+/** Re-encrypts under the current key. Returns the input unchanged when it already uses it. */
+export const reencryptKey = (encryptedData) => {
+  if (getCiphertextKeyId(encryptedData) === getCurrentKeyId()) {
+    return encryptedData;
+  }
+  return encryptKey(decryptKey(encryptedData));
+};
+
 export const hashKey = (keyData) => {
   return crypto.createHash('sha256').update(keyData).digest('hex');
 };
-
@@ -0,0 +1,240 @@
+import PDFDocument from "pdfkit";
+import { logger } from "./logger.js";
+
+const BRAND_NAME = process.env.EMAIL_FROM_NAME || "DG Marq";
+const BRAND_COLOR = "#1f2a44";
+const ACCENT_COLOR = "#f5a623";
+const MUTED_COLOR = "#6b7280";
+const ROW_STRIPE_COLOR = "#f3f4f6";
+const CELL_PADDING = 4;
+
+export const formatMoney = (amount, currency = "EUR") => {
+  const value = Number(amount) || 0;
+  return `${currency === "EUR" ? "€" : `${currency} `}${value.toFixed(2)}`;
+};
+
+export const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : "-");
+
+/** "2026-01-01 – 2026-01-31", "from 2026-01-01", "until …" or "All time". */
+export const formatDateRange = (startDate, endDate) => {
+  if (startDate && endDate) return `${formatDate(startDate)} – ${formatDate(endDate)}`;
+  if (startDate) return `From ${formatDate(startDate)}`;
+  if (endDate) return `Until ${formatDate(endDate)}`;
+  return "All time";
+};
+
+const contentWidth = (doc) => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+const pageBottom = (doc) => doc.page.height - doc.page.margins.bottom;
+
+const drawBrandBar = (doc, title) => {
+  const { left } = doc.page.margins;
+  doc.save();
+  doc.rect(0, 0, doc.page.width, 28).fill(BRAND_COLOR);
+  doc.fillColor("#ffffff").font("Helvetica-Bold").fontSize(10).text(BRAND_NAME, left, 9, { lineBreak: false });
+  doc.font("Helvetica").fontSize(9).text(title, left, 10, { width: contentWidth(doc), align: "right", lineBreak: false });
+  doc.restore();
+  doc.x = left;
+  doc.y = doc.page.margins.top;
+  doc.fillColor("#000000").font("Helvetica").fontSize(9);
+};
+
+const drawTitle = (doc, title, caption) => {
+  doc.font("Helvetica-Bold").fontSize(18).fillColor(BRAND_COLOR).text(title);
+  doc.moveTo(doc.page.margins.left, doc.y + 2).lineTo(doc.page.margins.left + 60, doc.y + 2).lineWidth(2).stroke(ACCENT_COLOR);
+  doc.moveDown(0.6);
+  if (caption) {
+    doc.font("Helvetica").fontSize(10).fillColor("#111827").text(caption);
+  }
+  doc.font("Helvetica").fontSize(8).fillColor(MUTED_COLOR).text(`Generated ${new Date().toISOString().replace("T", " ").slice(0, 16)} UTC`);
+  doc.moveDown(1);
+  doc.fillColor("#000000");
+};
+
+/** Who invoices are issued by; configured through INVOICE_ISSUER_* environment variables. */
+export const getInvoiceIssuer = () => ({
+  name: process.env.INVOICE_ISSUER_NAME || BRAND_NAME,
+  address: process.env.INVOICE_ISSUER_ADDRESS || null,
+  vatId: process.env.INVOICE_ISSUER_VAT_ID || null,
+  email: process.env.INVOICE_ISSUER_EMAIL || process.env.EMAIL_FROM || null,
+});
+
+/** Moves to a new page when fewer than `height` points remain. */
+export const ensureSpace = (doc, height) => {
+  if (doc.y + height > pageBottom(doc)) {
+    doc.addPage();
+  }
+};
+
+export const drawSectionHeading = (doc, text) => {
+  ensureSpace(doc, 40);
+  doc.x = doc.page.margins.left;
+  doc.font("Helvetica-Bold").fontSize(12).fillColor(BRAND_COLOR).text(text);
+  doc.moveDown(0.4);
+  doc.font("Helvetica").fontSize(9).fillColor("#000000");
+};
+
+/** Summary totals as a grid of label/value boxes, three per row. */
+export const drawSummary = (doc, items) => {
+  const perRow = 3;
+  const gap = 8;
+  const boxHeight = 42;
+  const left = doc.page.margins.left;
+  const boxWidth = (contentWidth(doc) - gap * (perRow - 1)) / perRow;
+
+  for (let i = 0; i < items.length; i += perRow) {
+    ensureSpace(doc, boxHeight + gap);
+    const top = doc.y;
+    items.slice(i, i + perRow).forEach((item, column) => {
+      const x = left + column * (boxWidth + gap);
+      doc.save();
+      doc.roundedRect(x, top, boxWidth, boxHeight, 3).fill(ROW_STRIPE_COLOR);
+      doc.restore();
+      doc.font("Helvetica").fontSize(8).fillColor(MUTED_COLOR)
+        .text(item.label, x + 8, top + 7, { width: boxWidth - 16, lineBreak: false, ellipsis: true });
+      doc.font("Helvetica-Bold").fontSize(13).fillColor("#111827")
+        .text(String(item.value), x + 8, top + 20, { width: boxWidth - 16, lineBreak: false, ellipsis: true });
+    });
+    doc.y = top + boxHeight + gap;
+  }
+
+  doc.x = left;
+  doc.moveDown(0.5);
+  doc.font("Helvetica").fontSize(9).fillColor("#000000");
+};
+
+/** Side-by-side address blocks, e.g. issuer and recipient: [{ heading, lines }]. Empty lines are skipped. */
+export const drawParties = (doc, parties) => {
+  const gap = 16;
+  const left = doc.page.margins.left;
+  const columnWidth = (contentWidth(doc) - gap * (parties.length - 1)) / parties.length;
+  ensureSpace(doc, 90);
+  const top = doc.y;
+  let bottom = top;
+
+  parties.forEach((party, index) => {
+    const x = left + index * (columnWidth + gap);
+    doc.font("Helvetica-Bold").fontSize(8).fillColor(MUTED_COLOR).text(party.heading.toUpperCase(), x, top, { width: columnWidth });
+    doc.font("Helvetica").fontSize(9).fillColor("#111827");
+    party.lines.filter(Boolean).forEach((line) => doc.text(String(line), x, doc.y, { width: columnWidth }));
+    bottom = Math.max(bottom, doc.y);
+  });
+
+  doc.x = left;
+  doc.y = bottom;
+  doc.moveDown(1);
+  doc.fillColor("#000000");
+};
+
+/** Right-aligned label/value lines under a table; rows with `bold` are emphasised. */
+export const drawTotals = (doc, rows) => {
+  const width = contentWidth(doc);
+  const labelWidth = width * 0.7;
+  const valueWidth = width * 0.3;
+  const left = doc.page.margins.left;
+  ensureSpace(doc, rows.length * 14 + 10);
+
+  rows.forEach((row) => {
+    const top = doc.y;
+    doc.font(row.bold ? "Helvetica-Bold" : "Helvetica").fontSize(row.bold ? 10 : 9).fillColor("#111827");
+    doc.text(row.label, left, top, { width: labelWidth - 8, align: "right" });
+    doc.text(String(row.value), left + labelWidth, top, { width: valueWidth, align: "right" });
+    doc.y = Math.max(doc.y, top + 12);
+  });
+
+  doc.x = left;
+  doc.moveDown(1);
+  doc.font("Helvetica").fontSize(9).fillColor("#000000");
+};
+
+/**
+ * Table that is written row by row, so rows can come straight from a cursor.
+ * columns: [{ header, width (relative weight), align }]. The header row repeats on each new page.
+ */
+export const createTable = (doc, columns) => {
+  const left = doc.page.margins.left;
+  const totalWeight = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+  const widths = columns.map((column) => ((column.width || 1) / totalWeight) * contentWidth(doc));
+  let rowIndex = 0;
+
+  const drawRow = (values, { header = false } = {}) => {
+    doc.font(header ? "Helvetica-Bold" : "Helvetica").fontSize(8);
+    const height = Math.max(
+      ...values.map((value, i) => doc.heightOfString(String(value ?? ""), { width: widths[i] - CELL_PADDING * 2 }))
+    ) + CELL_PADDING * 2;
+
+    if (!header && doc.y + height > pageBottom(doc)) {
+      doc.addPage();
+      drawRow(columns.map((column) => column.header), { header: true });
+      doc.font("Helvetica").fontSize(8);
+    }
+
+    const top = doc.y;
+    if (header || rowIndex % 2 === 1) {
+      doc.save();
+      doc.rect(left, top, contentWidth(doc), height).fill(header ? BRAND_COLOR : ROW_STRIPE_COLOR);
+      doc.restore();
+    }
+
+    let x = left;
+    values.forEach((value, i) => {
+      doc.fillColor(header ? "#ffffff" : "#111827").text(String(value ?? ""), x + CELL_PADDING, top + CELL_PADDING, {
+        width: widths[i] - CELL_PADDING * 2,
+        align: header ? "left" : columns[i].align || "left",
+      });
+      x += widths[i];
+    });
+
+    doc.x = left;
+    doc.y = top + height;
+    if (!header) rowIndex++;
+  };
+
+  ensureSpace(doc, 40);
+  drawRow(columns.map((column) => column.header), { header: true });
+
+  return {
+    addRow: (values) => drawRow(values),
+    /** Closes the table, printing a placeholder when no rows were added. */
+    end: (emptyText = "No data for this period.") => {
+      if (rowIndex === 0) {
+        doc.font("Helvetica-Oblique").fontSize(9).fillColor(MUTED_COLOR).text(emptyText, left, doc.y + CELL_PADDING);
+      }
+      doc.x = left;
+      doc.moveDown(1);
+      doc.font("Helvetica").fontSize(9).fillColor("#000000");
+    },
+  };
+};
+
+/**
+ * Streams a branded A4 PDF to the response as a download. `render(doc)` adds the body;
+ * validate input before calling, since headers are sent as soon as streaming starts.
+ * A failure mid-render aborts the response rather than delivering a truncated document.
+ */
+export const streamPdf = async (res, { filename, title, caption }, render) => {
+  const doc = new PDFDocument({
+    size: "A4",
+    margins: { top: 48, bottom: 40, left: 40, right: 40 },
+    info: { Title: title, Author: BRAND_NAME },
+  });
+
+  res.status(200);
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.setHeader("Cache-Control", "no-store");
+
+  doc.on("pageAdded", () => drawBrandBar(doc, title));
+  doc.pipe(res);
+
+  try {
+    drawBrandBar(doc, title);
+    drawTitle(doc, title, caption);
+    await render(doc);
+    doc.end();
+  } catch (error) {
+    logger.error(`[PDF] Failed to render ${filename}:`, error);
+    doc.unpipe(res);
+    res.destroy(error);
+  }
+};
@@ -54,3 +54,9 @@ export const validateMetaDescription = (description) => {
   return { valid: true, value: sanitized };
 };
 
+export const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/** Escapes user-supplied text for interpolation into HTML (e.g. email templates). */
+export const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
@@ -0,0 +1,145 @@
+import path from "path";
+import ExcelJS from "exceljs";
+import { parse as parseCsv } from "csv-parse/sync";
+import { ApiError } from "./ApiError.js";
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/** Header plus rows (arrays of cells) as CSV text; dates are written as ISO strings. */
+export const toCsv = (header, rows) =>
+  [header, ...rows].map((row) => row.map(escapeCsvValue).join(",")).join("\n");
+
+/** "Sub Category", "sub_category" and "subCategory" all become "subcategory". */
+export const normalizeHeader = (header) => String(header ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const cellToString = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") {
+    if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join("");
+    if ("result" in value) return cellToString(value.result);
+    if ("hyperlink" in value) return String(value.hyperlink);
+    if ("text" in value) return cellToString(value.text);
+    return "";
+  }
+  return String(value);
+};
+
+const toRows = (headerCells, dataRows) => {
+  const headers = headerCells.map(normalizeHeader);
+  if (!headers.some(Boolean)) {
+    throw new ApiError(400, "The first row must contain column headers");
+  }
+
+  const columns = headers
+    .map((key, i) => ({ key, label: cellToString(headerCells[i]).trim() }))
+    .filter(({ key }) => key);
+
+  const rows = [];
+  for (const { rowNumber, cells } of dataRows) {
+    const data = {};
+    headers.forEach((header, i) => {
+      if (header) data[header] = cellToString(cells[i]).trim();
+    });
+    if (Object.values(data).some(Boolean)) {
+      rows.push({ rowNumber, data });
+    }
+  }
+  return { headers: headers.filter(Boolean), columns, rows };
+};
+
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch {
+    throw new ApiError(400, "Could not read the spreadsheet. Please upload a valid .xlsx file");
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    throw new ApiError(400, "The spreadsheet has no worksheets");
+  }
+
+  let headerCells = null;
+  const dataRows = [];
+  sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    // row.values is 1-based; drop the empty slot at index 0.
+    const cells = row.values.slice(1);
+    if (!headerCells) {
+      headerCells = cells;
+    } else {
+      dataRows.push({ rowNumber, cells });
+    }
+  });
+
+  if (!headerCells) {
+    throw new ApiError(400, "The spreadsheet is empty");
+  }
+  return toRows(headerCells, dataRows);
+};
+
+const parseCsvBuffer = (buffer, { hasHeader = true } = {}) => {
+  let records;
+  try {
+    records = parseCsv(buffer, { bom: true, relax_column_count: true, skip_empty_lines: true, info: true });
+  } catch (error) {
+    throw new ApiError(400, `Could not read the CSV file: ${error.message}`);
+  }
+  if (records.length === 0) {
+    throw new ApiError(400, "The CSV file is empty");
+  }
+
+  if (!hasHeader) {
+    const width = Math.max(...records.map(({ record }) => record.length));
+    const headerCells = Array.from({ length: width }, (_, i) => `column${i + 1}`);
+    return toRows(headerCells, records.map(({ record, info }) => ({ rowNumber: info.lines, cells: record })));
+  }
+
+  const [header, ...data] = records;
+  return toRows(header.record, data.map(({ record, info }) => ({ rowNumber: info.lines, cells: record })));
+};
+
+/** Plain text: one value per line under a single "key" column. */
+const parseTextLines = (buffer) => {
+  const rows = buffer
+    .toString("utf8")
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .map((line, i) => ({ rowNumber: i + 1, data: { key: line.trim() } }))
+    .filter(({ data }) => data.key);
+  return { headers: ["key"], columns: [{ key: "key", label: "key" }], rows };
+};
+
+/**
+ * Parses an uploaded CSV, XLSX (first worksheet) or TXT file into rows keyed by normalized
+ * header. Row numbers match what the user sees in their file, header being row 1.
+ * CSV files without a header row (`hasHeader: false`) get columns named column1, column2, ...
+ */
+export const parseSpreadsheet = async (file, { maxRows = 1000, hasHeader = true } = {}) => {
+  if (!file?.buffer) {
+    throw new ApiError(400, "A file is required");
+  }
+
+  const extension = path.extname(file.originalname || "").toLowerCase();
+  let result;
+  if (extension === ".xlsx") {
+    result = await parseXlsx(file.buffer);
+  } else if (extension === ".txt") {
+    result = parseTextLines(file.buffer);
+  } else {
+    result = parseCsvBuffer(file.buffer, { hasHeader });
+  }
+
+  if (result.rows.length === 0) {
+    throw new ApiError(400, "The file has no data rows");
+  }
+  if (result.rows.length > maxRows) {
+    throw new ApiError(400, `Too many rows (${result.rows.length}). The limit is ${maxRows} per file`);
+  }
+  return result;
+};
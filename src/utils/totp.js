@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/** New random TOTP secret (160 bits, base32 as authenticator apps expect). */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+
+/** RFC 6238 code (HMAC-SHA1, 6 digits, 30s period) for the given time step. */
+export const generateTotp = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Checks a code against the current step and `window` steps either side (clock drift).
+ * Returns the matching time step, or null.
+ */
+export const verifyTotp = (secret, code, window = 1) => {
+  const token = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(token)) return null;
+
+  const current = getTimeStep();
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = generateTotp(secret, current + offset);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+      return current + offset;
+    }
+  }
+  return null;
+};
+
+/** otpauth:// URI that authenticator apps read from a QR code. */
+export const buildOtpauthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};